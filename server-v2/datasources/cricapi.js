@@ -0,0 +1,211 @@
+import { DataSource, registerScoreSource } from './index.js';
+import { log } from '../lib/logger.js';
+
+// Live scores and match status from CricketData.org (CricAPI)
+// A score source: its matches are never traded, only merged onto the odds
+// feeds' matches by team names (see mergeScores in ./index.js)
+
+// Configuration
+const CRICKETDATA_API_KEY = process.env.CRICKETDATA_API_KEY || '';
+const CRICAPI_BASE_URL = process.env.CRICAPI_BASE_URL || 'https://api.cricapi.com/v1';
+
+// Utility functions
+function asRecord(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) ? value : {};
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function asString(value, fallback = '') {
+  return typeof value === 'string' ? value : fallback;
+}
+
+function normalizeTeamName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shortCode(name) {
+  const words = normalizeTeamName(name).split(' ').filter(Boolean);
+  if (words.length === 0) return 'TEAM';
+  if (words.length === 1) return words[0].slice(0, 3).toUpperCase();
+  return words.slice(0, 3).map(w => w[0]).join('').toUpperCase();
+}
+
+// "India [IND]" -> { name: 'India', short: 'IND' }
+function parseTeamLabel(raw) {
+  const value = asString(raw).trim();
+  const withCode = value.match(/^(.*?)\s*\[([^\]]+)\]\s*$/);
+  if (!withCode) {
+    return { name: value, short: shortCode(value) };
+  }
+
+  const name = withCode[1].trim() || value;
+  return { name, short: withCode[2].trim().toUpperCase() || shortCode(name) };
+}
+
+// "185/6 (19.4)" -> { score: '185/6', overs: '19.4' }; empty until the team bats
+function parseCompactScore(raw) {
+  const parsed = asString(raw).match(/(\d+)\s*\/\s*(\d+)(?:\s*\(([\d.]+)\))?/);
+  if (!parsed) {
+    return { score: '', overs: '' };
+  }
+
+  return { score: `${parsed[1]}/${parsed[2]}`, overs: parsed[3] || '' };
+}
+
+// dateTimeGMT comes without a zone ("2026-10-18T14:00:00")
+function parseStartTime(value) {
+  const text = asString(value).trim();
+  if (!text) return null;
+
+  const time = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// cricScore: one row per match, scores as "185/6 (20)"; ms is fixture, live or result
+export function mapCricScoreMatch(row) {
+  const externalId = asString(row.id);
+  if (!externalId || !row.t1 || !row.t2) return null;
+
+  const teamA = parseTeamLabel(row.t1);
+  const teamB = parseTeamLabel(row.t2);
+  const scoreA = parseCompactScore(row.t1s);
+  const scoreB = parseCompactScore(row.t2s);
+
+  return {
+    externalId,
+    teamA: teamA.name,
+    teamB: teamB.name,
+    teamAShort: teamA.short,
+    teamBShort: teamB.short,
+    scoreA: scoreA.score,
+    scoreB: scoreB.score,
+    oversA: scoreA.overs,
+    oversB: scoreB.overs,
+    statusText: asString(row.status),
+    isLive: asString(row.ms).toLowerCase() === 'live',
+    startTime: parseStartTime(row.dateTimeGMT),
+    matchType: asString(row.matchType)
+  };
+}
+
+// A team's latest innings in currentMatches' score list ("India Inning 1")
+function latestInnings(scoreRows, teamName) {
+  const name = normalizeTeamName(teamName);
+  const innings = scoreRows.filter(entry => normalizeTeamName(entry.inning).startsWith(name));
+  const last = innings[innings.length - 1];
+  if (!last) {
+    return { score: '', overs: '' };
+  }
+
+  return { score: `${last.r ?? 0}/${last.w ?? 0}`, overs: last.o != null ? String(last.o) : '' };
+}
+
+// currentMatches: per-innings scores and the teams' names and short codes
+export function mapCurrentMatch(row) {
+  const externalId = asString(row.id);
+  const teamInfo = asArray(row.teamInfo).map(asRecord);
+  const teams = asArray(row.teams).map(team => asString(team)).filter(Boolean);
+
+  const teamAName = asString(teamInfo[0]?.name) || teams[0];
+  const teamBName = asString(teamInfo[1]?.name) || teams[1];
+  if (!externalId || !teamAName || !teamBName) return null;
+
+  const scoreRows = asArray(row.score).map(asRecord);
+  const scoreA = latestInnings(scoreRows, teamAName);
+  const scoreB = latestInnings(scoreRows, teamBName);
+
+  return {
+    externalId,
+    teamA: teamAName,
+    teamB: teamBName,
+    teamAShort: asString(teamInfo[0]?.shortname).toUpperCase() || shortCode(teamAName),
+    teamBShort: asString(teamInfo[1]?.shortname).toUpperCase() || shortCode(teamBName),
+    scoreA: scoreA.score,
+    scoreB: scoreB.score,
+    oversA: scoreA.overs,
+    oversB: scoreB.overs,
+    statusText: asString(row.status),
+    isLive: Boolean(row.matchStarted) && !row.matchEnded,
+    startTime: parseStartTime(row.dateTimeGMT),
+    matchType: asString(row.matchType)
+  };
+}
+
+// API fetching
+async function fetchRows(apiKey, endpoint) {
+  const url = new URL(`${CRICAPI_BASE_URL}/${endpoint}`);
+  url.searchParams.set('apikey', apiKey);
+  url.searchParams.set('offset', '0');
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 25000);
+
+  try {
+    const response = await fetch(url.toString(), { signal: controller.signal });
+    if (!response.ok) {
+      log.warn(`[cricapi] ${endpoint}: HTTP ${response.status}`);
+      return [];
+    }
+
+    const payload = asRecord(await response.json());
+    if (asString(payload.status).toLowerCase() !== 'success') {
+      log.warn(`[cricapi] ${endpoint}: ${payload.status || 'no status'}${payload.reason ? ` (${payload.reason})` : ''}`);
+      return [];
+    }
+
+    return asArray(payload.data).map(asRecord);
+  } catch (err) {
+    log.error(`[cricapi] ${endpoint}: ${err.name === 'AbortError' ? 'Timeout' : err.message}`);
+    return [];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class CricapiDataSource extends DataSource {
+  constructor(apiKey = CRICKETDATA_API_KEY) {
+    super('cricapi');
+    this.apiKey = apiKey;
+  }
+
+  // Both lists, by CricAPI match id; currentMatches wins where both have a match
+  async fetchMatches() {
+    const [scoreRows, currentRows] = await Promise.all([
+      fetchRows(this.apiKey, 'cricScore'),
+      fetchRows(this.apiKey, 'currentMatches')
+    ]);
+
+    const byId = new Map();
+    for (const match of scoreRows.map(mapCricScoreMatch).filter(Boolean)) {
+      byId.set(match.externalId, match);
+    }
+    // Whole rows, not field by field: the two lists may put the teams in a different order
+    for (const match of currentRows.map(mapCurrentMatch).filter(Boolean)) {
+      byId.set(match.externalId, match);
+    }
+
+    const matches = Array.from(byId.values());
+    log.info(`[cricapi] Fetched ${matches.length} matches (${matches.filter(m => m.isLive).length} live)`);
+    return matches;
+  }
+
+  async fetchOdds() {
+    return null; // Scores only
+  }
+}
+
+// Auto-register when an API key is set
+export function initCricapiSource() {
+  if (CRICKETDATA_API_KEY) {
+    registerScoreSource('cricapi', new CricapiDataSource());
+  }
+}
+
+export default CricapiDataSource;
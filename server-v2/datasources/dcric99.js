@@ -1,5 +1,6 @@
 import { DataSource, registerSource } from './index.js';
 import { log } from '../lib/logger.js';
+import { MARKET_TYPES, MARKET_KINDS, MARKET_DEFINITIONS } from '../lib/constants.js';
 
 // Configuration
 const DCRIC99_ENABLED = process.env.DCRIC99_ENABLED !== 'false';
@@ -39,14 +40,6 @@ function clampPrice(value) {
   return clamp(Math.round(value), 1, 99);
 }
 
-// Generate mock odds when real odds unavailable
-function generateMockOdds() {
-  // Random price between 30-70 for team A
-  const priceA = Math.floor(Math.random() * 40) + 30;
-  const priceB = 100 - priceA;
-  return { priceA, priceB };
-}
-
 function clampProbability(value) {
   return clamp(value, 0.01, 0.99);
 }
@@ -76,6 +69,12 @@ function parseTeamsFromName(name) {
   return [parts[0].trim(), parts[1].trim()];
 }
 
+// Event start time as an ISO string, or null if the feed gives none we can read
+function parseStartTime(value) {
+  const time = Date.parse(asString(value));
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
 function generateMatchKey(teamA, teamB) {
   const normalize = (name) => normalizeTeamName(name).replace(/\s+/g, '-').slice(0, 20);
   const date = new Date().toISOString().split('T')[0];
@@ -236,6 +235,31 @@ function buildSelectionNameMap(eventPayload) {
   return namesBySelectionId;
 }
 
+function buildMarketNameMap(eventPayload) {
+  const namesByMarketId = new Map();
+
+  for (const value of Object.values(eventPayload)) {
+    if (!Array.isArray(value)) continue;
+
+    for (const row of value) {
+      const record = asRecord(row);
+      const marketId = asString(record.market_id).trim();
+      const name = (
+        asString(record.name) ||
+        asString(record.market_name) ||
+        asString(record.fancy_name) ||
+        asString(record.runnerName)
+      ).trim();
+
+      if (marketId && name && !namesByMarketId.has(marketId)) {
+        namesByMarketId.set(marketId, name);
+      }
+    }
+  }
+
+  return namesByMarketId;
+}
+
 function buildMarketIds(eventPayload) {
   const marketIds = [];
 
@@ -263,6 +287,7 @@ function parseOddsRows(rows, detailPayload) {
   if (marketIdIndex < 0) return [];
 
   const selectionNames = buildSelectionNameMap(asRecord(detailPayload.event));
+  const marketNames = buildMarketNameMap(asRecord(detailPayload.event));
   const markets = [];
 
   for (const row of rows) {
@@ -290,7 +315,7 @@ function parseOddsRows(rows, detailPayload) {
     }
 
     if (runners.length >= 2) {
-      markets.push({ marketId, runners });
+      markets.push({ marketId, marketName: marketNames.get(marketId) || '', runners });
     }
   }
 
@@ -307,6 +332,9 @@ function pickMatchWinnerPair(detailPayload, parsedMarkets, fallbackEventName = '
   const parsedTeams = parseTeamsFromName(eventName);
 
   for (const market of parsedMarkets) {
+    // Toss and over/under markets also have two runners
+    if (isSecondaryMarketName(market.marketName)) continue;
+
     const activeRunners = market.runners.filter(r => r.odds > 0);
     if (activeRunners.length !== 2) continue;
 
@@ -329,6 +357,144 @@ function pickMatchWinnerPair(detailPayload, parsedMarkets, fallbackEventName = '
   return null;
 }
 
+// Secondary markets: Dcric99 fancy/session/bookmaker markets matched to our
+// market types by name, with runners put in our A/B order
+const MARKET_CLASSIFIERS = [
+  { marketId: MARKET_TYPES.TOSS_WINNER, patterns: [/toss/i] },
+  { marketId: MARKET_TYPES.POWERPLAY_RUNS, patterns: [/power\s*play/i, /\bpp\b/i, /6\s*over\s*run/i, /first\s*6/i] },
+  { marketId: MARKET_TYPES.TEN_OVER_RUNS, patterns: [/10\s*over/i, /first\s*10/i, /10\s*ov\b/i] },
+  { marketId: MARKET_TYPES.TOP_BATTER_30, patterns: [/top\s*bat/i, /batt?(?:er|sman)/i, /30\s*run/i, /highest\s*score/i] },
+  { marketId: MARKET_TYPES.TOTAL_WICKETS, patterns: [/wicket/i, /\bwkt/i, /fall\s*of/i] },
+  { marketId: MARKET_TYPES.OVER_20_RUNS, patterns: [/over\s*20/i, /20th\s*over/i, /20\s*over\s*run/i] },
+  { marketId: MARKET_TYPES.ODD_EVEN, patterns: [/odd.*even/i, /even.*odd/i, /total.*odd/i, /total.*even/i] }
+];
+
+function isSecondaryMarketName(marketName) {
+  return MARKET_CLASSIFIERS.some(classifier => classifier.patterns.some(pattern => pattern.test(marketName)));
+}
+
+// Feeds mix full names and short forms ("Mumbai Indians" / "Mumbai")
+function isSameTeam(runnerName, teamName) {
+  const runner = normalizeTeamName(runnerName);
+  const team = normalizeTeamName(teamName);
+  return Boolean(runner && team) && (runner === team || runner.includes(team) || team.includes(runner));
+}
+
+// An over/under runner: which side its words put it on (session markets
+// often say Yes/No for Over/Under) and the line in its name, each or null
+function parseOverUnderRunner(label) {
+  const text = String(label || '').toLowerCase();
+  const line = text.match(/(\d+(?:\.\d+)?)/);
+
+  let direction = null;
+  if (/\b(over|yes)\b/.test(text)) direction = 'over';
+  else if (/\b(under|no)\b/.test(text)) direction = 'under';
+
+  return { direction, threshold: line ? parseFloat(line[1]) : null };
+}
+
+// Which runner is side A for a market kind: { swap, threshold, confidence },
+// or null when the runners don't fit the kind
+function orientRunners(kind, nameA, nameB, teams) {
+  const lowerA = nameA.toLowerCase();
+  const lowerB = nameB.toLowerCase();
+
+  if (kind === MARKET_KINDS.OVER_UNDER) {
+    const parsedA = parseOverUnderRunner(nameA);
+    const parsedB = parseOverUnderRunner(nameB);
+
+    // Over is the runner whose words say Over, or the one opposite a runner
+    // saying Under; skip the market when neither says, or both say the same
+    if (!parsedA.direction && !parsedB.direction) return null;
+    if (parsedA.direction && parsedA.direction === parsedB.direction) return null;
+    const aIsOver = parsedA.direction ? parsedA.direction === 'over' : parsedB.direction === 'under';
+
+    // Only at the feed's own line: without one (or with two) the prices are
+    // for a line we can't read
+    const threshold = parsedA.threshold ?? parsedB.threshold;
+    if (threshold === null) return null;
+    if (parsedA.threshold !== null && parsedB.threshold !== null && parsedA.threshold !== parsedB.threshold) return null;
+
+    const certain = parsedA.direction && parsedB.direction && parsedA.threshold !== null && parsedB.threshold !== null;
+    return { swap: !aIsOver, threshold, confidence: certain ? 1.0 : 0.8 };
+  }
+
+  if (kind === MARKET_KINDS.ODD_EVEN) {
+    if (lowerA.includes('odd') && lowerB.includes('even')) return { swap: false, threshold: null, confidence: 1.0 };
+    if (lowerA.includes('even') && lowerB.includes('odd')) return { swap: true, threshold: null, confidence: 1.0 };
+    return null;
+  }
+
+  if (kind === MARKET_KINDS.YES_NO) {
+    if (lowerA === 'yes' && lowerB === 'no') return { swap: false, threshold: null, confidence: 0.9 };
+    if (lowerA === 'no' && lowerB === 'yes') return { swap: true, threshold: null, confidence: 0.9 };
+    return null;
+  }
+
+  if (kind === MARKET_KINDS.TEAM) {
+    const [teamA, teamB] = teams;
+    if (isSameTeam(nameA, teamA) && isSameTeam(nameB, teamB)) return { swap: false, threshold: null, confidence: 0.7 };
+    if (isSameTeam(nameA, teamB) && isSameTeam(nameB, teamA)) return { swap: true, threshold: null, confidence: 0.7 };
+    return null;
+  }
+
+  return null;
+}
+
+function classifyMarket(market, teams) {
+  const marketName = String(market.marketName || '').trim();
+  if (!marketName) return null;
+
+  for (const classifier of MARKET_CLASSIFIERS) {
+    if (!classifier.patterns.some(pattern => pattern.test(marketName))) continue;
+
+    const activeRunners = market.runners.filter(r => r.odds > 0);
+    if (activeRunners.length < 2) continue;
+
+    const [runnerA, runnerB] = activeRunners;
+    const { kind } = MARKET_DEFINITIONS[classifier.marketId];
+    const orientation = orientRunners(kind, asString(runnerA.name).trim(), asString(runnerB.name).trim(), teams);
+    if (!orientation) continue;
+
+    const probabilityA = parseDcricPriceProbability(runnerA.odds);
+    const probabilityB = parseDcricPriceProbability(runnerB.odds);
+    if (!probabilityA || !probabilityB) continue;
+
+    const pair = orientation.swap
+      ? toPricePair(probabilityB, probabilityA)
+      : toPricePair(probabilityA, probabilityB);
+    if (!pair) continue;
+
+    return {
+      marketId: classifier.marketId,
+      threshold: orientation.threshold,
+      priceA: pair.priceA,
+      priceB: pair.priceB,
+      confidence: orientation.confidence
+    };
+  }
+
+  return null;
+}
+
+// Best-classified feed market per secondary market type
+// parsedMarkets: from parseOddsRows; teams: [teamA, teamB] of the match
+export function extractSecondaryMarkets(parsedMarkets, teams) {
+  const bestByMarketId = new Map();
+
+  for (const market of parsedMarkets) {
+    const classified = classifyMarket(market, teams);
+    if (!classified) continue;
+
+    const existing = bestByMarketId.get(classified.marketId);
+    if (!existing || classified.confidence > existing.confidence) {
+      bestByMarketId.set(classified.marketId, classified);
+    }
+  }
+
+  return Array.from(bestByMarketId.values());
+}
+
 // Concurrency helper
 async function mapWithConcurrency(items, limit, mapper) {
   const results = new Array(items.length);
@@ -395,9 +561,12 @@ class Dcric99DataSource extends DataSource {
 
         const [teamA, teamB] = teams;
 
-        // Try to get real odds, fall back to mock odds
-        let priceA, priceB;
+        // Without real odds the prices stay null: the market falls back to
+        // its last real price or a model (see PRICING_TIERS)
+        let priceA = null;
+        let priceB = null;
         let gotRealOdds = false;
+        let secondaryMarkets = [];
 
         try {
           const detailPayload = await fetchEventDetail(eventId);
@@ -422,6 +591,8 @@ class Dcric99DataSource extends DataSource {
                   priceB = pair.priceB;
                   gotRealOdds = true;
                 }
+
+                secondaryMarkets = extractSecondaryMarkets(parsedMarkets, teams);
               }
             }
           }
@@ -429,12 +600,8 @@ class Dcric99DataSource extends DataSource {
           log.warn(`[dcric99] Failed to get odds for ${eventId}: ${err.message}`);
         }
 
-        // Use mock odds if real odds not available
         if (!gotRealOdds) {
-          const mock = generateMockOdds();
-          priceA = mock.priceA;
-          priceB = mock.priceB;
-          log.debug(`[dcric99] Using mock odds for ${eventName}: ${priceA}/${priceB}`);
+          log.debug(`[dcric99] No odds for ${eventName}`);
         }
 
         return {
@@ -448,18 +615,19 @@ class Dcric99DataSource extends DataSource {
           statusText: entry.in_play ? 'Live' : 'Upcoming',
           timeLabel: entry.in_play ? 'Now' : 'Upcoming',
           isLive: Boolean(entry.in_play),
+          startTime: parseStartTime(entry.open_date),
           priceA,
           priceB,
-          provider: gotRealOdds ? 'dcric99' : 'dcric99-mock',
-          eventId
+          provider: 'dcric99',
+          eventId,
+          secondaryMarkets
         };
       }
     );
 
     const matches = matchPromises.filter(Boolean);
-    const realOddsCount = matches.filter(m => m.provider === 'dcric99').length;
-    const mockOddsCount = matches.filter(m => m.provider === 'dcric99-mock').length;
-    log.info(`[dcric99] Fetched ${matches.length} matches (${realOddsCount} real odds, ${mockOddsCount} mock odds)`);
+    const pricedCount = matches.filter(m => m.priceA !== null).length;
+    log.info(`[dcric99] Fetched ${matches.length} matches (${pricedCount} with odds, ${matches.length - pricedCount} without)`);
     return matches;
   }
 
@@ -1,4 +1,6 @@
 import { log } from '../lib/logger.js';
+import { CONSENSUS } from '../lib/constants.js';
+import { consensusPrice } from '../lib/consensus.js';
 
 // Base DataSource interface
 export class DataSource {
@@ -18,11 +20,20 @@ export class DataSource {
 // Registry of data sources
 const sources = new Map();
 
+// Score sources: their matches aren't listed, only merged onto the odds
+// sources' matches (scores, overs, status text)
+const scoreSources = new Map();
+
 export function registerSource(name, source) {
   sources.set(name, source);
   log.info(`[DataSources] Registered: ${name}`);
 }
 
+export function registerScoreSource(name, source) {
+  scoreSources.set(name, source);
+  log.info(`[DataSources] Registered score source: ${name}`);
+}
+
 export function getSource(name) {
   return sources.get(name);
 }
@@ -31,7 +42,14 @@ export function getAllSources() {
   return Array.from(sources.values());
 }
 
-// Fetch matches from all registered sources
+// Each source's last successful fetch: { matches, fetchedAt }
+const lastResults = new Map();
+
+// Fixtures whose sources disagree, so it's logged once
+const disagreeing = new Set();
+
+// Fetch matches from all registered sources, one listing per fixture priced
+// by consensus across every source that lists it (see lib/consensus.js)
 export async function fetchAllMatches() {
   const results = [];
 
@@ -42,43 +60,189 @@ export async function fetchAllMatches() {
       const duration = Date.now() - startTime;
 
       log.datasource(name, 'fetchMatches', { count: matches.length, durationMs: duration });
-      results.push(...matches);
+      lastResults.set(name, { matches, fetchedAt: Date.now() });
+      results.push(...tagSource(name, matches, Date.now()));
     } catch (err) {
       log.error(`[DataSources] ${name} fetchMatches failed:`, err.message);
+
+      // Its last matches stand in until they're too old to price from
+      const last = lastResults.get(name);
+      if (last && Date.now() - last.fetchedAt <= (CONSENSUS.SOURCE_MAX_AGE_MS[name] ?? CONSENSUS.MAX_AGE_MS)) {
+        results.push(...tagSource(name, last.matches, last.fetchedAt));
+      }
     }
   }
 
-  return dedupeMatches(results);
+  const fixtures = groupFixtures(results).map(priceFixture);
+  return mergeScores(fixtures, await fetchAllScores());
 }
 
-// Deduplicate matches by normalized team names
-function dedupeMatches(matches) {
-  const seen = new Map();
+function tagSource(name, matches, fetchedAt) {
+  return matches.map(match => ({ ...match, source: name, quotedAt: match.quotedAt ?? fetchedAt }));
+}
 
-  for (const match of matches) {
-    const key = normalizeMatchKey(match.teamA, match.teamB);
-    const reverseKey = normalizeMatchKey(match.teamB, match.teamA);
+// Matches from all score sources, each tagged with its source
+async function fetchAllScores() {
+  const results = [];
+
+  for (const [name, source] of scoreSources) {
+    try {
+      const startTime = Date.now();
+      const matches = await source.fetchMatches();
+      const duration = Date.now() - startTime;
 
-    if (!seen.has(key) && !seen.has(reverseKey)) {
-      seen.set(key, match);
+      log.datasource(name, 'fetchMatches', { count: matches.length, durationMs: duration });
+      results.push(...matches.map(match => ({ ...match, scoreSource: name })));
+    } catch (err) {
+      log.error(`[DataSources] ${name} fetchMatches failed:`, err.message);
     }
   }
 
-  return Array.from(seen.values());
+  return results;
 }
 
-function normalizeMatchKey(teamA, teamB) {
-  const normalize = (name) => String(name || '')
+// Names count as the same team at this share of common words (or the same short code)
+const MIN_TEAM_SIMILARITY = 0.5;
+
+// Start times further apart than this are different fixtures of the same teams
+// (yesterday's result mustn't land on today's match)
+const MAX_START_TIME_GAP_MS = 12 * 60 * 60 * 1000;
+
+// Words that make a different side of the same country or club ("W" = women)
+const TEAM_QUALIFIERS = ['women', 'u19', 'u23', 'xi', 'a'];
+
+function teamWords(name) {
+  return String(name || '')
     .toLowerCase()
-    .replace(/[^a-z0-9]/g, '')
-    .trim();
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function teamSimilarity(name, short, otherName, otherShort) {
+  const qualifiers = (words) => {
+    const normalized = words.map(word => (word === 'w' ? 'women' : word));
+    return TEAM_QUALIFIERS.filter(q => normalized.includes(q)).join(' ');
+  };
+  if (qualifiers(teamWords(name)) !== qualifiers(teamWords(otherName))) return 0;
+
+  if (short && otherShort && short.toUpperCase() === otherShort.toUpperCase()) return 1;
+
+  const words = teamWords(name).filter(word => word.length > 1);
+  const otherWords = new Set(teamWords(otherName).filter(word => word.length > 1));
+  if (words.length === 0 || otherWords.size === 0) return 0;
+
+  return words.filter(word => otherWords.has(word)).length / Math.max(words.length, otherWords.size);
+}
+
+// How well a score match's teams fit a match's, listed the same way round or
+// swapped: { score, swapped }, score 0 unless both teams fit
+function teamFit(match, scoreMatch) {
+  const fit = (a, aShort, b, bShort) => {
+    const simA = teamSimilarity(match.teamA, match.teamAShort, a, aShort);
+    const simB = teamSimilarity(match.teamB, match.teamBShort, b, bShort);
+    return simA >= MIN_TEAM_SIMILARITY && simB >= MIN_TEAM_SIMILARITY ? simA + simB : 0;
+  };
+
+  const direct = fit(scoreMatch.teamA, scoreMatch.teamAShort, scoreMatch.teamB, scoreMatch.teamBShort);
+  const swapped = fit(scoreMatch.teamB, scoreMatch.teamBShort, scoreMatch.teamA, scoreMatch.teamAShort);
+
+  return swapped > direct ? { score: swapped, swapped: true } : { score: direct, swapped: false };
+}
+
+function sameFixtureTime(match, scoreMatch) {
+  const start = Date.parse(match.startTime || '');
+  const otherStart = Date.parse(scoreMatch.startTime || '');
+  if (Number.isNaN(start) || Number.isNaN(otherStart)) return true;
+  return Math.abs(start - otherStart) <= MAX_START_TIME_GAP_MS;
+}
+
+// Scores, overs and status text from the best-fitting score match, by team
+// names, with its teams put in the match's order. Trading state (isLive,
+// prices) stays the odds feed's; a start time fills in only where it has none
+export function mergeScores(matches, scoreMatches) {
+  if (scoreMatches.length === 0) return matches;
+
+  return matches.map(match => {
+    let best = null;
+    for (const scoreMatch of scoreMatches) {
+      if (!sameFixtureTime(match, scoreMatch)) continue;
+      const fit = teamFit(match, scoreMatch);
+      if (fit.score > 0 && (!best || fit.score > best.score)) {
+        best = { ...fit, scoreMatch };
+      }
+    }
+
+    if (!best) return match;
+
+    const { scoreMatch, swapped } = best;
+    return {
+      ...match,
+      scoreA: swapped ? scoreMatch.scoreB : scoreMatch.scoreA,
+      scoreB: swapped ? scoreMatch.scoreA : scoreMatch.scoreB,
+      oversA: swapped ? scoreMatch.oversB : scoreMatch.oversA,
+      oversB: swapped ? scoreMatch.oversA : scoreMatch.oversB,
+      statusText: scoreMatch.statusText || match.statusText,
+      startTime: match.startTime || scoreMatch.startTime || null,
+      // t20, odi, test: the odds feeds don't say
+      matchFormat: scoreMatch.matchType || match.matchFormat || '',
+      scoreSource: scoreMatch.scoreSource
+    };
+  });
+}
+
+// Matches listed by more than one source, grouped by fixture: the same teams
+// (by the rules mergeScores matches them by, either way round) at the same
+// time. The first source registered lists the fixture; every source's prices
+// are kept as quotes, in the listing's team order: [{ match, quotes }]
+function groupFixtures(matches) {
+  const fixtures = [];
+
+  for (const match of matches) {
+    const fixture = fixtures.find(f => sameFixtureTime(f.match, match) && teamFit(f.match, match).score > 0);
+
+    if (!fixture) {
+      fixtures.push({ match, quotes: [toQuote(match, false)] });
+    } else {
+      fixture.quotes.push(toQuote(match, teamFit(fixture.match, match).swapped));
+    }
+  }
+
+  return fixtures;
+}
+
+function toQuote(match, swapped) {
+  return {
+    source: match.source,
+    provider: match.provider,
+    priceA: swapped ? match.priceB : match.priceA,
+    priceB: swapped ? match.priceA : match.priceB,
+    quotedAt: match.quotedAt
+  };
+}
+
+// The listing match at its consensus price (null without fresh real odds),
+// with how it was priced. A listing without odds of its own takes the
+// provider of a source that priced it
+function priceFixture({ match, quotes }) {
+  const { priceA, priceB, ...pricing } = consensusPrice(quotes);
+  const firstUsed = pricing.sources.find(s => s.used);
+  const provider = match.priceA == null && firstUsed ? firstUsed.provider : match.provider;
+
+  if (pricing.disagreement && !disagreeing.has(match.matchKey)) {
+    disagreeing.add(match.matchKey);
+    log.warn(`[DataSources] Sources disagree on ${match.matchKey} by ${pricing.spread} points: ${pricing.sources.filter(s => s.used).map(s => `${s.provider} ${s.priceA}`).join(', ')}`);
+  } else if (!pricing.disagreement && disagreeing.delete(match.matchKey)) {
+    log.info(`[DataSources] Sources agree again on ${match.matchKey}`);
+  }
 
-  return `${normalize(teamA)}:${normalize(teamB)}`;
+  return { ...match, priceA, priceB, provider, pricing };
 }
 
 export default {
   DataSource,
   registerSource,
+  registerScoreSource,
   getSource,
   getAllSources,
   fetchAllMatches
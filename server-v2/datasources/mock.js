@@ -1,4 +1,5 @@
 import { DataSource, registerSource } from './index.js';
+import { MARKET_TYPES } from '../lib/constants.js';
 
 // Mock data source for development and testing
 class MockDataSource extends DataSource {
@@ -18,7 +19,13 @@ class MockDataSource extends DataSource {
         isLive: true,
         priceA: 55,
         priceB: 45,
-        provider: 'mock'
+        provider: 'mock',
+        secondaryMarkets: [
+          { marketId: MARKET_TYPES.TOSS_WINNER, threshold: null, priceA: 52, priceB: 48 },
+          { marketId: MARKET_TYPES.POWERPLAY_RUNS, threshold: 48.5, priceA: 56, priceB: 44 },
+          { marketId: MARKET_TYPES.TOTAL_WICKETS, threshold: 6.5, priceA: 45, priceB: 55 },
+          { marketId: MARKET_TYPES.ODD_EVEN, threshold: null, priceA: 50, priceB: 50 }
+        ]
       },
       {
         matchKey: 'eng-vs-sa-2024-02-18',
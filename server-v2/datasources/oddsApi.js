@@ -0,0 +1,256 @@
+import { DataSource, registerSource } from './index.js';
+import { log } from '../lib/logger.js';
+
+// Bookmaker match odds from The Odds API (the-odds-api.com, v4).
+// Head-to-head only: no secondary markets
+
+// Configuration
+const ODDS_API_KEY = process.env.ODDS_API_KEY || '';
+const ODDS_API_BASE_URL = process.env.ODDS_API_BASE_URL || 'https://api.the-odds-api.com/v4';
+const ODDS_REGIONS = (process.env.ODDS_REGIONS || 'uk').trim();
+const ODDS_SPORT_KEYS = (process.env.ODDS_SPORT_KEYS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+const ODDS_API_MAX_SPORTS = parseInt(process.env.ODDS_API_MAX_SPORTS || '8', 10);
+
+// Utility functions
+function asRecord(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) ? value : {};
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function asString(value, fallback = '') {
+  return typeof value === 'string' ? value : fallback;
+}
+
+function asNumber(value, fallback = 0) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string') {
+    const parsed = parseFloat(value);
+    if (Number.isFinite(parsed)) return parsed;
+  }
+  return fallback;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function clampPrice(value) {
+  return clamp(Math.round(value), 1, 99);
+}
+
+function normalizeTeamName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shortCode(name) {
+  const words = normalizeTeamName(name).split(' ').filter(Boolean);
+  if (words.length === 0) return 'TEAM';
+  if (words.length === 1) return words[0].slice(0, 3).toUpperCase();
+  return words.slice(0, 3).map(w => w[0]).join('').toUpperCase();
+}
+
+// Same keys as dcric99's, so a match keeps its key whichever feed lists it
+function generateMatchKey(teamA, teamB) {
+  const normalize = (name) => normalizeTeamName(name).replace(/\s+/g, '-').slice(0, 20);
+  const date = new Date().toISOString().split('T')[0];
+  return `${normalize(teamA)}-vs-${normalize(teamB)}-${date}`;
+}
+
+function parseStartTime(value) {
+  const time = Date.parse(asString(value));
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Decimal odds (2.10) as an implied probability
+function decimalProbability(price) {
+  const odds = asNumber(price, 0);
+  return odds > 1 ? clamp(1 / odds, 0.01, 0.99) : null;
+}
+
+function toPricePair(probabilityA, probabilityB) {
+  const total = probabilityA + probabilityB;
+  if (!Number.isFinite(total) || total <= 0) return null;
+
+  const normalizedA = clampPrice((probabilityA / total) * 100);
+  const normalizedB = clampPrice(100 - normalizedA);
+
+  return { priceA: normalizedA, priceB: normalizedB };
+}
+
+// Prices from the first bookmaker quoting both teams head to head; the margin
+// (and a test's draw) is normalized out
+export function parseEventOdds(event) {
+  const homeTeam = asString(event.home_team);
+  const awayTeam = asString(event.away_team);
+  if (!homeTeam || !awayTeam) return null;
+
+  for (const bookmaker of asArray(event.bookmakers).map(asRecord)) {
+    const h2h = asArray(bookmaker.markets).map(asRecord).find(market => asString(market.key) === 'h2h');
+    if (!h2h) continue;
+
+    const outcomes = asArray(h2h.outcomes).map(asRecord);
+    const priceOf = (team) => outcomes.find(
+      outcome => normalizeTeamName(asString(outcome.name)) === normalizeTeamName(team)
+    )?.price;
+
+    const homeProbability = decimalProbability(priceOf(homeTeam));
+    const awayProbability = decimalProbability(priceOf(awayTeam));
+    if (!homeProbability || !awayProbability) continue;
+
+    const pair = toPricePair(homeProbability, awayProbability);
+    if (pair) {
+      return { ...pair, bookmaker: asString(bookmaker.key) };
+    }
+  }
+
+  return null;
+}
+
+export function mapEvent(event, now = Date.now()) {
+  const pair = parseEventOdds(event);
+  if (!pair) return null;
+
+  const teamA = asString(event.home_team);
+  const teamB = asString(event.away_team);
+  const startTime = parseStartTime(event.commence_time);
+  const isLive = startTime !== null && Date.parse(startTime) <= now;
+
+  return {
+    matchKey: generateMatchKey(teamA, teamB),
+    teamA,
+    teamB,
+    teamAShort: shortCode(teamA),
+    teamBShort: shortCode(teamB),
+    matchType: 'Cricket',
+    category: asString(event.sport_title, 'Cricket'),
+    statusText: isLive ? 'Live' : 'Upcoming',
+    timeLabel: isLive ? 'Now' : 'Upcoming',
+    isLive,
+    startTime,
+    priceA: pair.priceA,
+    priceB: pair.priceB,
+    provider: 'odds-api',
+    bookmaker: pair.bookmaker,
+    eventId: asString(event.id),
+    sportKey: asString(event.sport_key),
+    secondaryMarkets: []
+  };
+}
+
+// API fetching
+async function fetchJson(url, label, timeoutMs = 10000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const startTime = Date.now();
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const duration = Date.now() - startTime;
+
+    if (!response.ok) {
+      log.warn(`[${label}] HTTP ${response.status} (${duration}ms)`);
+      return null;
+    }
+
+    const remaining = response.headers?.get?.('x-requests-remaining');
+    log.debug(`[${label}] OK (${duration}ms${remaining ? `, ${remaining} requests left` : ''})`);
+    return await response.json();
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    log.error(`[${label}] ${err.name === 'AbortError' ? 'Timeout' : err.message} (${duration}ms)`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class OddsApiDataSource extends DataSource {
+  constructor({ apiKey = ODDS_API_KEY, regions = ODDS_REGIONS, sportKeys = ODDS_SPORT_KEYS } = {}) {
+    super('odds-api');
+    this.apiKey = apiKey;
+    this.regions = regions;
+    this.sportKeys = sportKeys;
+    // matchKey -> { sportKey, eventId }, for fetchOdds
+    this.events = new Map();
+  }
+
+  url(path, params = {}) {
+    const url = new URL(`${ODDS_API_BASE_URL.replace(/\/$/, '')}/${path}`);
+    url.searchParams.set('apiKey', this.apiKey);
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+    return url.toString();
+  }
+
+  oddsParams() {
+    return { regions: this.regions, markets: 'h2h', oddsFormat: 'decimal', dateFormat: 'iso' };
+  }
+
+  // The configured sport keys, or the cricket ones in season
+  async fetchSportKeys() {
+    if (this.sportKeys.length > 0) return this.sportKeys;
+
+    const sports = asArray(await fetchJson(this.url('sports/'), 'odds-api:sports'));
+    return sports
+      .map(sport => asString(asRecord(sport).key))
+      .filter(key => key.startsWith('cricket_'))
+      .slice(0, ODDS_API_MAX_SPORTS);
+  }
+
+  async fetchMatches() {
+    const sportKeys = await this.fetchSportKeys();
+    if (sportKeys.length === 0) {
+      log.warn('[odds-api] No cricket sports to fetch');
+      return [];
+    }
+
+    const eventsBySport = await Promise.all(
+      sportKeys.map(sportKey => fetchJson(this.url(`sports/${sportKey}/odds/`, this.oddsParams()), `odds-api:${sportKey}`))
+    );
+
+    const now = Date.now();
+    const matches = eventsBySport
+      .flatMap(events => asArray(events).map(event => mapEvent(asRecord(event), now)))
+      .filter(Boolean);
+
+    for (const match of matches) {
+      this.events.set(match.matchKey, { sportKey: match.sportKey, eventId: match.eventId });
+    }
+
+    log.info(`[odds-api] Fetched ${matches.length} matches from ${sportKeys.length} sports`);
+    return matches;
+  }
+
+  // One listed event's prices, or null if it isn't listed here
+  async fetchOdds(matchKey) {
+    const listed = this.events.get(matchKey);
+    if (!listed) return null;
+
+    const event = await fetchJson(
+      this.url(`sports/${listed.sportKey}/events/${listed.eventId}/odds`, this.oddsParams()),
+      `odds-api:${listed.eventId}`
+    );
+    const pair = event ? parseEventOdds(asRecord(event)) : null;
+    return pair ? { priceA: pair.priceA, priceB: pair.priceB } : null;
+  }
+}
+
+// Auto-register when an API key is set
+export function initOddsApiSource() {
+  if (ODDS_API_KEY) {
+    registerSource('odds-api', new OddsApiDataSource());
+  }
+}
+
+export default OddsApiDataSource;
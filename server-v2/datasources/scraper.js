@@ -0,0 +1,381 @@
+import { load as loadHtml } from 'cheerio';
+import { DataSource, registerSource } from './index.js';
+import { log } from '../lib/logger.js';
+
+// Match odds scraped from bookmaker pages, one declarative config per site
+// (ODDS_SCRAPER_SITES_JSON, a JSON array). HTML pages are read with CSS
+// selectors, JSON ones with dotted paths:
+//
+// { "name": "site-a", "url": "https://example.com/cricket", "format": "html",
+//   "eventSelector": ".event", "homeSelector": ".home", "awaySelector": ".away",
+//   "homeOddsSelector": ".home-odds", "awayOddsSelector": ".away-odds",
+//   "oddsFormat": "decimal" }
+//
+// { "name": "site-b", "url": "https://example.com/odds.json", "format": "json",
+//   "eventsPath": "data.events", "homeField": "teams.0", "awayField": "teams.1",
+//   "homeOddsField": "odds.home", "awayOddsField": "odds.away" }
+//
+// scripts/test-scraper-config.js tries a config on a saved page
+
+// Configuration
+const ODDS_SCRAPER_SITES_JSON = process.env.ODDS_SCRAPER_SITES_JSON || '';
+
+export const SCRAPER_FORMATS = ['html', 'json'];
+
+// auto: decimal above 1, a probability up to 1, a percentage with "%"
+export const ODDS_FORMATS = ['auto', 'decimal', 'fractional', 'american', 'probability'];
+
+const HTML_SELECTORS = {
+  eventSelector: '.event',
+  homeSelector: '.home',
+  awaySelector: '.away',
+  homeOddsSelector: '.home-odds',
+  awayOddsSelector: '.away-odds'
+};
+
+const JSON_FIELDS = {
+  eventsPath: 'events',
+  homeField: 'home',
+  awayField: 'away',
+  homeOddsField: 'homeOdds',
+  awayOddsField: 'awayOdds'
+};
+
+// Utility functions
+function asRecord(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) ? value : {};
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function clampPrice(value) {
+  return clamp(Math.round(value), 1, 99);
+}
+
+function clampProbability(value) {
+  return clamp(value, 0.01, 0.99);
+}
+
+function normalizeTeamName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shortCode(name) {
+  const words = normalizeTeamName(name).split(' ').filter(Boolean);
+  if (words.length === 0) return 'TEAM';
+  if (words.length === 1) return words[0].slice(0, 3).toUpperCase();
+  return words.slice(0, 3).map(w => w[0]).join('').toUpperCase();
+}
+
+// Same keys as dcric99's, so a match keeps its key whichever feed lists it
+function generateMatchKey(teamA, teamB) {
+  const normalize = (name) => normalizeTeamName(name).replace(/\s+/g, '-').slice(0, 20);
+  const date = new Date().toISOString().split('T')[0];
+  return `${normalize(teamA)}-vs-${normalize(teamB)}-${date}`;
+}
+
+function toPricePair(probabilityA, probabilityB) {
+  const total = probabilityA + probabilityB;
+  if (!Number.isFinite(total) || total <= 0) return null;
+
+  const normalizedA = clampPrice((probabilityA / total) * 100);
+  const normalizedB = clampPrice(100 - normalizedA);
+
+  return { priceA: normalizedA, priceB: normalizedB };
+}
+
+// "a.b.0.c" into nested objects and arrays
+function readPath(record, path) {
+  let current = record;
+
+  for (const part of path.split('.').filter(Boolean)) {
+    if (typeof current !== 'object' || current === null) return undefined;
+    current = current[part];
+  }
+
+  return current;
+}
+
+// Odds as text ("2.10", "11/10", "+110", "0.48", "48%") as an implied probability
+export function parseOddsProbability(raw, oddsFormat = 'auto') {
+  const value = String(raw ?? '').trim();
+  if (!value) return null;
+
+  if (oddsFormat === 'fractional') {
+    const parts = value.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+    if (!parts || Number(parts[2]) <= 0) return null;
+    return clampProbability(Number(parts[2]) / (Number(parts[1]) + Number(parts[2])));
+  }
+
+  if (oddsFormat === 'american') {
+    const line = Number.parseFloat(value);
+    if (!Number.isFinite(line) || Math.abs(line) < 100) return null;
+    return clampProbability(line > 0 ? 100 / (line + 100) : -line / (-line + 100));
+  }
+
+  if (value.endsWith('%')) {
+    const percent = Number.parseFloat(value.slice(0, -1));
+    return Number.isFinite(percent) && percent > 0 ? clampProbability(percent / 100) : null;
+  }
+
+  const numeric = Number.parseFloat(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) return null;
+
+  if (oddsFormat === 'decimal') {
+    return numeric > 1 ? clampProbability(1 / numeric) : null;
+  }
+  if (oddsFormat === 'probability') {
+    return numeric <= 1 ? clampProbability(numeric) : null;
+  }
+
+  if (numeric > 1 && numeric < 100) return clampProbability(1 / numeric);
+  if (numeric <= 1) return clampProbability(numeric);
+  return null;
+}
+
+function isValidSelector(selector) {
+  try {
+    loadHtml('').root().find(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A site's config with its defaults filled in. Throws with every problem found
+export function validateSiteConfig(entry) {
+  const site = asRecord(entry);
+  const name = String(site.name ?? '').trim();
+  const label = name ? `Scraper site "${name}"` : 'Scraper site';
+  const problems = [];
+
+  if (!name) problems.push('name is required');
+
+  const url = String(site.url ?? '').trim();
+  try {
+    if (!['http:', 'https:'].includes(new URL(url).protocol)) {
+      problems.push(`url must be http(s), got "${url}"`);
+    }
+  } catch {
+    problems.push(url ? `url "${url}" is not a URL` : 'url is required');
+  }
+
+  const format = String(site.format ?? 'html').trim().toLowerCase();
+  if (!SCRAPER_FORMATS.includes(format)) {
+    problems.push(`format must be one of ${SCRAPER_FORMATS.join(', ')}, got "${format}"`);
+  }
+
+  const oddsFormat = String(site.oddsFormat ?? 'auto').trim().toLowerCase();
+  if (!ODDS_FORMATS.includes(oddsFormat)) {
+    problems.push(`oddsFormat must be one of ${ODDS_FORMATS.join(', ')}, got "${oddsFormat}"`);
+  }
+
+  const fields = format === 'json' ? JSON_FIELDS : HTML_SELECTORS;
+  const config = { name, url, format, oddsFormat };
+
+  for (const [field, fallback] of Object.entries(fields)) {
+    if (site[field] !== undefined && typeof site[field] !== 'string') {
+      problems.push(`${field} must be a string`);
+      continue;
+    }
+
+    const value = (site[field] ?? fallback).trim();
+    if (!value) {
+      problems.push(`${field} must not be empty`);
+    } else if (format === 'html' && !isValidSelector(value)) {
+      problems.push(`${field} "${value}" is not a valid CSS selector`);
+    }
+    config[field] = value;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`${label}: ${problems.join('; ')}`);
+  }
+
+  return config;
+}
+
+// ODDS_SCRAPER_SITES_JSON as validated configs: { sites, errors }, a site
+// whose config is invalid being left out with its error
+export function loadSiteConfigs(raw) {
+  if (!raw || !raw.trim()) return { sites: [], errors: [] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    return { sites: [], errors: [`Scraper sites are not valid JSON: ${err.message}`] };
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+  const sites = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    try {
+      const site = validateSiteConfig(entry);
+      if (sites.some(other => other.name === site.name)) {
+        throw new Error(`Scraper site "${site.name}": name is used by another site`);
+      }
+      sites.push(site);
+    } catch (err) {
+      errors.push(`[${index}] ${err.message}`);
+    }
+  });
+
+  return { sites, errors };
+}
+
+function toPair(site, row) {
+  const home = String(row.home ?? '').trim();
+  const away = String(row.away ?? '').trim();
+  if (!home || !away) return null;
+
+  const homeProbability = parseOddsProbability(row.homeOdds, site.oddsFormat);
+  const awayProbability = parseOddsProbability(row.awayOdds, site.oddsFormat);
+  if (!homeProbability || !awayProbability) return null;
+
+  const pair = toPricePair(homeProbability, awayProbability);
+  return pair ? { teamA: home, teamB: away, ...pair } : null;
+}
+
+// The odds pairs on a fetched page (HTML text or a parsed JSON payload):
+// [{ teamA, teamB, priceA, priceB }], rows missing a team or odds left out
+export function parseSitePage(site, page) {
+  if (site.format === 'json') {
+    const payload = typeof page === 'string' ? JSON.parse(page) : page;
+    return asArray(readPath(payload, site.eventsPath))
+      .map(row => toPair(site, {
+        home: readPath(row, site.homeField),
+        away: readPath(row, site.awayField),
+        homeOdds: readPath(row, site.homeOddsField),
+        awayOdds: readPath(row, site.awayOddsField)
+      }))
+      .filter(Boolean);
+  }
+
+  const $ = loadHtml(page);
+  const pairs = [];
+
+  $(site.eventSelector).each((_, element) => {
+    const text = (selector) => $(element).find(selector).first().text().trim();
+    const pair = toPair(site, {
+      home: text(site.homeSelector),
+      away: text(site.awaySelector),
+      homeOdds: text(site.homeOddsSelector),
+      awayOdds: text(site.awayOddsSelector)
+    });
+    if (pair) pairs.push(pair);
+  });
+
+  return pairs;
+}
+
+async function fetchSitePage(site) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 15000);
+  const startTime = Date.now();
+
+  try {
+    const response = await fetch(site.url, {
+      signal: controller.signal,
+      headers: {
+        'user-agent': 'yesno-gateway-scraper/2.0',
+        'accept': site.format === 'json' ? 'application/json' : 'text/html,application/xhtml+xml'
+      }
+    });
+    const duration = Date.now() - startTime;
+
+    if (!response.ok) {
+      log.warn(`[scraper:${site.name}] HTTP ${response.status} (${duration}ms)`);
+      return null;
+    }
+
+    return site.format === 'json' ? await response.json() : await response.text();
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    log.error(`[scraper:${site.name}] ${err.name === 'AbortError' ? 'Timeout' : err.message} (${duration}ms)`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class ScraperDataSource extends DataSource {
+  constructor(sites) {
+    super('scraper');
+    this.sites = sites;
+  }
+
+  async fetchSite(site) {
+    const page = await fetchSitePage(site);
+    if (page === null) return [];
+
+    let pairs;
+    try {
+      pairs = parseSitePage(site, page);
+    } catch (err) {
+      log.error(`[scraper:${site.name}] Unreadable page: ${err.message}`);
+      return [];
+    }
+
+    if (pairs.length === 0) {
+      log.warn(`[scraper:${site.name}] No odds found (has the page changed?)`);
+    }
+
+    return pairs.map(pair => ({
+      matchKey: generateMatchKey(pair.teamA, pair.teamB),
+      teamA: pair.teamA,
+      teamB: pair.teamB,
+      teamAShort: shortCode(pair.teamA),
+      teamBShort: shortCode(pair.teamB),
+      matchType: 'Cricket',
+      category: 'Cricket',
+      statusText: 'Upcoming',
+      timeLabel: 'Upcoming',
+      isLive: false,
+      startTime: null,
+      priceA: pair.priceA,
+      priceB: pair.priceB,
+      provider: `scraper:${site.name}`,
+      secondaryMarkets: []
+    }));
+  }
+
+  async fetchMatches() {
+    const bySite = await Promise.all(this.sites.map(site => this.fetchSite(site)));
+    const matches = bySite.flat();
+    log.info(`[scraper] Fetched ${matches.length} matches from ${this.sites.length} sites`);
+    return matches;
+  }
+
+  async fetchOdds(matchKey) {
+    // Pages are scraped whole; rely on full refresh
+    return null;
+  }
+}
+
+// Auto-register when sites are configured; an invalid site is logged and skipped
+export function initScraperSource() {
+  const { sites, errors } = loadSiteConfigs(ODDS_SCRAPER_SITES_JSON);
+
+  for (const error of errors) {
+    log.error(`[scraper] ${error}`);
+  }
+
+  if (sites.length > 0) {
+    registerSource('scraper', new ScraperDataSource(sites));
+  }
+}
+
+export default ScraperDataSource;
@@ -0,0 +1,94 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Throws on error so a failed read never settles a match twice
+export async function getAutoSettlements(matchKeys) {
+  if (matchKeys.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('auto_settlements')
+    .select('*')
+    .in('match_key', matchKeys);
+
+  if (error) {
+    log.error('[DB:autoSettlements] getAutoSettlements error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+export async function getAutoSettlement(matchKey) {
+  const { data, error } = await supabase
+    .from('auto_settlements')
+    .select('*')
+    .eq('match_key', matchKey)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:autoSettlements] getAutoSettlement error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getAutoSettlementsByStatus(status) {
+  const { data, error } = await supabase
+    .from('auto_settlements')
+    .select('*')
+    .eq('status', status)
+    .order('detected_at', { ascending: true });
+
+  if (error) {
+    log.error('[DB:autoSettlements] getAutoSettlementsByStatus error:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// row: { match_key, status, outcome, status_text, reason, settle_after, ... }
+export async function upsertAutoSettlement(row) {
+  const { data, error } = await supabase
+    .from('auto_settlements')
+    .upsert({
+      ...row,
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:autoSettlements] upsertAutoSettlement error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function updateAutoSettlement(matchKey, updates) {
+  const { data, error } = await supabase
+    .from('auto_settlements')
+    .update({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+    .eq('match_key', matchKey)
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:autoSettlements] updateAutoSettlement error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function deleteAutoSettlement(matchKey) {
+  const { error } = await supabase
+    .from('auto_settlements')
+    .delete()
+    .eq('match_key', matchKey);
+
+  if (error) {
+    log.error('[DB:autoSettlements] deleteAutoSettlement error:', error);
+    throw error;
+  }
+}
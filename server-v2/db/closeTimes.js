@@ -0,0 +1,55 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Close times set by admins (migrations/018_market_close_times.sql)
+export async function getMarketCloseTimes(matchKeys) {
+  if (matchKeys.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('market_close_times')
+    .select('*')
+    .in('match_key', matchKeys);
+
+  if (error) {
+    log.error('[DB:closeTimes] getMarketCloseTimes error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+// marketId 0 sets the close time of every market of the match
+export async function upsertMarketCloseTime(matchKey, marketId, closesAt, updatedBy) {
+  const { data, error } = await supabase
+    .from('market_close_times')
+    .upsert({
+      match_key: matchKey,
+      market_id: marketId,
+      closes_at: closesAt,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:closeTimes] upsertMarketCloseTime error:', error);
+    throw error;
+  }
+  return data;
+}
+
+// Back to the data source's start time
+export async function deleteMarketCloseTime(matchKey, marketId) {
+  const { data, error } = await supabase
+    .from('market_close_times')
+    .delete()
+    .eq('match_key', matchKey)
+    .eq('market_id', marketId)
+    .select();
+
+  if (error) {
+    log.error('[DB:closeTimes] deleteMarketCloseTime error:', error);
+    throw error;
+  }
+  return (data || []).length > 0;
+}
@@ -0,0 +1,41 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Markets of the given matches an admin allowed to trade on fallback prices
+// (migrations/020_fallback_pricing_approvals.sql)
+export async function getFallbackPricingApprovals(matchKeys) {
+  if (matchKeys.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('fallback_pricing_approvals')
+    .select('*')
+    .in('match_key', matchKeys)
+    .eq('allowed', true);
+
+  if (error) {
+    log.error('[DB:fallbackPricing] getFallbackPricingApprovals error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+// marketId 0 allows (or stops) every market of the match
+export async function upsertFallbackPricingApproval(matchKey, marketId, allowed, updatedBy) {
+  const { data, error } = await supabase
+    .from('fallback_pricing_approvals')
+    .upsert({
+      match_key: matchKey,
+      market_id: marketId,
+      allowed,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:fallbackPricing] upsertFallbackPricingApproval error:', error);
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,103 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Insert a pending row for this key. Returns null if we now own the key,
+// or the existing row if another request already claimed it.
+export async function reserveIdempotencyKey(userId, key, requestHash) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .insert({
+      user_id: userId,
+      key,
+      request_hash: requestHash,
+      status: 'pending'
+    });
+
+  if (!error) return null;
+
+  // 23505 = unique_violation: key already used by this user
+  if (error.code !== '23505') {
+    log.error('[DB:idempotency] reserveIdempotencyKey error:', error);
+    throw error;
+  }
+
+  return getIdempotencyKey(userId, key);
+}
+
+// Take over a pending key whose lease ran out (claimed before staleBefore).
+// Returns true if this request now owns it; only one of several retries can,
+// as the claim time moves on with the takeover
+export async function takeOverIdempotencyKey(userId, key, staleBefore) {
+  const { data, error } = await supabase
+    .from('idempotency_keys')
+    .update({ created_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('key', key)
+    .eq('status', 'pending')
+    .lt('created_at', staleBefore)
+    .select('key');
+
+  if (error) {
+    log.error('[DB:idempotency] takeOverIdempotencyKey error:', error);
+    throw error;
+  }
+  return data.length > 0;
+}
+
+export async function getIdempotencyKey(userId, key) {
+  const { data, error } = await supabase
+    .from('idempotency_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('key', key)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:idempotency] getIdempotencyKey error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function completeIdempotencyKey(userId, key, responseStatus, responseBody) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .update({
+      status: 'completed',
+      response_status: responseStatus,
+      response_body: responseBody,
+      completed_at: new Date().toISOString()
+    })
+    .eq('user_id', userId)
+    .eq('key', key);
+
+  if (error) {
+    log.error('[DB:idempotency] completeIdempotencyKey error:', error);
+    throw error;
+  }
+}
+
+export async function deleteIdempotencyKey(userId, key) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('user_id', userId)
+    .eq('key', key);
+
+  if (error) {
+    log.error('[DB:idempotency] deleteIdempotencyKey error:', error);
+  }
+}
+
+export async function cleanOldIdempotencyKeys(hours = 24) {
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .lt('created_at', cutoff);
+
+  if (error) {
+    log.error('[DB:idempotency] cleanOldIdempotencyKeys error:', error);
+  }
+}
@@ -4,4 +4,21 @@ export * from './positions.js';
 export * from './transactions.js';
 export * from './settlements.js';
 export * from './priceHistory.js';
+export * from './trades.js';
+export * from './locks.js';
+export * from './idempotency.js';
+export * from './orders.js';
+export * from './quotes.js';
+export * from './pricing.js';
+export * from './risk.js';
+export * from './thresholds.js';
+export * from './tieRules.js';
+export * from './notifications.js';
+export * from './settlementJobs.js';
+export * from './autoSettlements.js';
+export * from './matchStats.js';
+export * from './settlementApprovals.js';
+export * from './closeTimes.js';
+export * from './suspensions.js';
+export * from './fallbackPricing.js';
 export { default as supabase } from './client.js';
@@ -0,0 +1,28 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+export async function acquireUserLock(userId, owner, ttlMs) {
+  const { data, error } = await supabase.rpc('acquire_user_lock', {
+    p_user_id: userId,
+    p_owner: owner,
+    p_ttl_ms: ttlMs
+  });
+
+  if (error) {
+    log.error('[DB:locks] acquireUserLock error:', error);
+    throw error;
+  }
+  return data === true;
+}
+
+export async function releaseUserLock(userId, owner) {
+  const { error } = await supabase
+    .from('user_locks')
+    .delete()
+    .eq('user_id', userId)
+    .eq('owner', owner);
+
+  if (error) {
+    log.error('[DB:locks] releaseUserLock error:', error);
+  }
+}
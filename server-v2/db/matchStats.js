@@ -0,0 +1,87 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Throws on error so a failed read never settles a market as undecided
+export async function getMatchStats(matchKey) {
+  const { data, error } = await supabase
+    .from('match_stats')
+    .select('*')
+    .eq('match_key', matchKey)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:matchStats] getMatchStats error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function upsertMatchStats(matchKey, stats, source, updatedBy) {
+  const { data, error } = await supabase
+    .from('match_stats')
+    .upsert({
+      match_key: matchKey,
+      stats,
+      source,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:matchStats] upsertMatchStats error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function createMarketSettlement(matchKey, marketId, result, stats, settledBy) {
+  const { data, error } = await supabase
+    .from('market_settlements')
+    .insert({
+      match_key: matchKey,
+      market_id: marketId,
+      result,
+      stats,
+      settled_by: settledBy
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:matchStats] createMarketSettlement error:', error);
+    throw error;
+  }
+  return data;
+}
+
+// Markets settled on their own and still in force, for the given matches
+export async function getMarketSettlements(matchKeys) {
+  if (matchKeys.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('market_settlements')
+    .select('*')
+    .in('match_key', matchKeys)
+    .is('reversed_at', null);
+
+  if (error) {
+    log.error('[DB:matchStats] getMarketSettlements error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+export async function reverseMarketSettlements(matchKey) {
+  const { error } = await supabase
+    .from('market_settlements')
+    .update({ reversed_at: new Date().toISOString() })
+    .eq('match_key', matchKey)
+    .is('reversed_at', null);
+
+  if (error) {
+    log.error('[DB:matchStats] reverseMarketSettlements error:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,36 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+export async function createNotification(userId, title, text, icon = '📢') {
+  const { data, error } = await supabase
+    .from('notifications')
+    .insert({
+      user_id: userId,
+      title,
+      text,
+      icon
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:notifications] createNotification error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getUserNotifications(userId, limit = 20) {
+  const { data, error } = await supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    log.error('[DB:notifications] getUserNotifications error:', error);
+    return [];
+  }
+  return data || [];
+}
@@ -0,0 +1,101 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Balance-affecting order writes run as Postgres functions
+// (migrations/005_limit_orders.sql), same as trades.js
+
+export async function placeLimitOrderAtomic(order) {
+  const { data, error } = await supabase.rpc('place_limit_order', {
+    p_user_id: order.userId,
+    p_match_key: order.matchKey,
+    p_market_id: order.marketId,
+    p_direction: order.direction,
+    p_quantity: order.quantity,
+    p_limit_price: order.limitPrice
+  });
+
+  if (error) {
+    log.error('[DB:orders] placeLimitOrderAtomic error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function fillLimitOrderAtomic(orderId, price, description) {
+  const { data, error } = await supabase.rpc('fill_limit_order', {
+    p_order_id: orderId,
+    p_price: price,
+    p_description: description || null
+  });
+
+  if (error) {
+    log.error('[DB:orders] fillLimitOrderAtomic error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function cancelLimitOrderAtomic(orderId, userId, reason) {
+  const { data, error } = await supabase.rpc('cancel_limit_order', {
+    p_order_id: orderId,
+    p_user_id: userId ?? null,
+    p_reason: reason || null
+  });
+
+  if (error) {
+    log.error('[DB:orders] cancelLimitOrderAtomic error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getOrder(orderId) {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:orders] getOrder error:', error);
+  }
+  return data;
+}
+
+export async function getUserOrders(userId, status = 'open') {
+  const query = supabase
+    .from('orders')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (status) {
+    query.eq('status', status);
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+
+  if (error) {
+    log.error('[DB:orders] getUserOrders error:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function getOpenOrders(matchKey = null) {
+  const query = supabase
+    .from('orders')
+    .select('*')
+    .eq('status', 'open');
+
+  if (matchKey) {
+    query.eq('match_key', matchKey);
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: true });
+
+  if (error) {
+    log.error('[DB:orders] getOpenOrders error:', error);
+    return [];
+  }
+  return data || [];
+}
@@ -96,6 +96,62 @@ export async function closePosition(positionId, status = 'closed') {
   });
 }
 
+// Positions a settlement closed on a match (won, lost, void or tie)
+export async function getSettledPositions(matchKey) {
+  const { data, error } = await supabase
+    .from('positions')
+    .select('*')
+    .eq('match_key', matchKey)
+    .in('status', ['won', 'lost', 'void', 'tie']);
+
+  if (error) {
+    log.error('[DB:positions] getSettledPositions error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
 export async function updatePositionForTrade(positionId, quantity, avgPrice) {
   return updatePosition(positionId, { quantity, avg_price: avgPrice });
 }
+
+// Open positions carrying a stop-loss or take-profit level
+export async function getTriggeredPositions() {
+  const { data, error } = await supabase
+    .from('positions')
+    .select('*')
+    .eq('status', 'open')
+    .or('stop_loss.not.is.null,take_profit.not.is.null');
+
+  if (error) {
+    log.error('[DB:positions] getTriggeredPositions error:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function updatePositionTriggers(positionId, stopLoss, takeProfit) {
+  return updatePosition(positionId, { stop_loss: stopLoss, take_profit: takeProfit });
+}
+
+// Size and cost of every open position (optionally one match's), for order
+// flow, house liability and risk limits
+// Throws on error: callers must not mistake a failed read for an empty book
+export async function getOpenPositionBook(matchKey = null) {
+  const query = supabase
+    .from('positions')
+    .select('match_key, market_id, direction, quantity, avg_price')
+    .eq('status', 'open');
+
+  if (matchKey) {
+    query.eq('match_key', matchKey);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    log.error('[DB:positions] getOpenPositionBook error:', error);
+    throw error;
+  }
+  return data || [];
+}
@@ -0,0 +1,35 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+export async function getMarketPricingConfigs() {
+  const { data, error } = await supabase
+    .from('market_pricing')
+    .select('*');
+
+  if (error) {
+    log.error('[DB:pricing] getMarketPricingConfigs error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+export async function upsertMarketPricing(matchKey, marketId, engine, liquidity, updatedBy) {
+  const { data, error } = await supabase
+    .from('market_pricing')
+    .upsert({
+      match_key: matchKey,
+      market_id: marketId,
+      engine,
+      liquidity,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:pricing] upsertMarketPricing error:', error);
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,44 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Mark a quote as filled. Returns false if it was already redeemed.
+export async function redeemQuote(quoteId, userId) {
+  const { error } = await supabase
+    .from('quote_redemptions')
+    .insert({ quote_id: quoteId, user_id: userId });
+
+  if (!error) return true;
+
+  // 23505 = unique_violation: quote already used
+  if (error.code !== '23505') {
+    log.error('[DB:quotes] redeemQuote error:', error);
+    throw error;
+  }
+
+  return false;
+}
+
+// Undo a redemption whose trade failed, so the quote can be retried
+export async function unredeemQuote(quoteId) {
+  const { error } = await supabase
+    .from('quote_redemptions')
+    .delete()
+    .eq('quote_id', quoteId);
+
+  if (error) {
+    log.error('[DB:quotes] unredeemQuote error:', error);
+  }
+}
+
+export async function cleanOldQuoteRedemptions(hours = 1) {
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  const { error } = await supabase
+    .from('quote_redemptions')
+    .delete()
+    .lt('redeemed_at', cutoff);
+
+  if (error) {
+    log.error('[DB:quotes] cleanOldQuoteRedemptions error:', error);
+  }
+}
@@ -0,0 +1,72 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Overrides that apply to a trade: the user's and the match's
+// Throws on error so a failed read never silently falls back to the defaults
+export async function getRiskOverrides(userId, matchKey) {
+  const { data, error } = await supabase
+    .from('risk_limit_overrides')
+    .select('*')
+    .in('scope_id', [userId, matchKey].filter(Boolean));
+
+  if (error) {
+    log.error('[DB:risk] getRiskOverrides error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+export async function getAllRiskOverrides() {
+  const { data, error } = await supabase
+    .from('risk_limit_overrides')
+    .select('*')
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    log.error('[DB:risk] getAllRiskOverrides error:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// Only the limits present in `limits` are written; the row's others are kept
+export async function upsertRiskOverride(scope, scopeId, limits, updatedBy) {
+  const row = {
+    scope,
+    scope_id: scopeId,
+    updated_by: updatedBy,
+    updated_at: new Date().toISOString()
+  };
+
+  if (limits.maxOrderStake !== undefined) row.max_order_stake = limits.maxOrderStake;
+  if (limits.maxUserExposure !== undefined) row.max_user_exposure = limits.maxUserExposure;
+  if (limits.maxMatchLiability !== undefined) row.max_match_liability = limits.maxMatchLiability;
+  if (limits.maxMarketLiability !== undefined) row.max_market_liability = limits.maxMarketLiability;
+
+  const { data, error } = await supabase
+    .from('risk_limit_overrides')
+    .upsert(row)
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:risk] upsertRiskOverride error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function deleteRiskOverride(scope, scopeId) {
+  const { data, error } = await supabase
+    .from('risk_limit_overrides')
+    .delete()
+    .eq('scope', scope)
+    .eq('scope_id', scopeId)
+    .select();
+
+  if (error) {
+    log.error('[DB:risk] deleteRiskOverride error:', error);
+    throw error;
+  }
+  return (data || []).length > 0;
+}
@@ -0,0 +1,90 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// row: { match_key, winner, market_results, competition, total_payout, requested_by }
+export async function createSettlementApproval(row) {
+  const { data, error } = await supabase
+    .from('settlement_approvals')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:settlementApprovals] createSettlementApproval error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getSettlementApproval(id) {
+  const { data, error } = await supabase
+    .from('settlement_approvals')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:settlementApprovals] getSettlementApproval error:', error);
+    throw error;
+  }
+  return data;
+}
+
+// The request waiting for a match's settlement, or with marketId for that
+// market's. Throws on error so a failed read never lets a second request through
+export async function getPendingSettlementApproval(matchKey, marketId = null) {
+  const query = supabase
+    .from('settlement_approvals')
+    .select('*')
+    .eq('match_key', matchKey)
+    .eq('status', 'pending');
+
+  if (marketId === null) {
+    query.is('market_id', null);
+  } else {
+    query.eq('market_id', marketId);
+  }
+
+  const { data, error } = await query.single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:settlementApprovals] getPendingSettlementApproval error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getSettlementApprovals(status = null) {
+  const query = supabase
+    .from('settlement_approvals')
+    .select('*');
+
+  if (status) {
+    query.eq('status', status);
+  }
+
+  const { data, error } = await query.order('requested_at', { ascending: false });
+
+  if (error) {
+    log.error('[DB:settlementApprovals] getSettlementApprovals error:', error);
+    return [];
+  }
+  return data || [];
+}
+
+// Moves a request out of fromStatus; returns null if it was no longer in it
+// (another admin decided first)
+export async function updateSettlementApproval(id, fromStatus, updates) {
+  const { data, error } = await supabase
+    .from('settlement_approvals')
+    .update(updates)
+    .eq('id', id)
+    .eq('status', fromStatus)
+    .select();
+
+  if (error) {
+    log.error('[DB:settlementApprovals] updateSettlementApproval error:', error);
+    throw error;
+  }
+  return data?.[0] ?? null;
+}
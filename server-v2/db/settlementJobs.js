@@ -0,0 +1,131 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Settlement jobs and their per-position items (migrations/014_settlement_jobs.sql).
+// Creating a job and settling an item run as Postgres functions, like trades.js
+
+// job: { matchKey, marketId?, winner, marketResults, tie, settledBy }
+// (marketId settles that market alone, see 016_market_resolvers.sql)
+// items: [{ position_id, user_id, market_id, direction, quantity, avg_price, outcome, cost_basis, payout, refund }]
+export async function createSettlementJobAtomic(job, items) {
+  const { data, error } = await supabase.rpc('create_settlement_job', {
+    p_match_key: job.matchKey,
+    p_winner: job.winner,
+    p_market_results: job.marketResults,
+    p_competition: job.tie?.competition ?? null,
+    p_tie_rule: job.tie?.rule ?? null,
+    p_settled_by: job.settledBy,
+    p_items: items,
+    p_market_id: job.marketId ?? null
+  });
+
+  if (error) {
+    log.error('[DB:settlementJobs] createSettlementJobAtomic error:', error);
+    throw error;
+  }
+  return data;
+}
+
+// Returns { item, position, user, already_settled }
+export async function settleJobPositionAtomic(jobId, positionId, description, payoutDescription) {
+  const { data, error } = await supabase.rpc('settle_job_position', {
+    p_job_id: jobId,
+    p_position_id: positionId,
+    p_description: description || null,
+    p_payout_description: payoutDescription || null
+  });
+
+  if (error) {
+    log.error('[DB:settlementJobs] settleJobPositionAtomic error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getSettlementJob(jobId) {
+  const { data, error } = await supabase
+    .from('settlement_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:settlementJobs] getSettlementJob error:', error);
+    throw error;
+  }
+  return data;
+}
+
+// The match's unfinished job, if any
+export async function getRunningSettlementJob(matchKey) {
+  const { data, error } = await supabase
+    .from('settlement_jobs')
+    .select('*')
+    .eq('match_key', matchKey)
+    .eq('status', 'running')
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:settlementJobs] getRunningSettlementJob error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getRunningSettlementJobs() {
+  const { data, error } = await supabase
+    .from('settlement_jobs')
+    .select('*')
+    .eq('status', 'running')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    log.error('[DB:settlementJobs] getRunningSettlementJobs error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+export async function getSettlementJobItems(jobId) {
+  const { data, error } = await supabase
+    .from('settlement_job_positions')
+    .select('*')
+    .eq('job_id', jobId)
+    .order('position_id', { ascending: true });
+
+  if (error) {
+    log.error('[DB:settlementJobs] getSettlementJobItems error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+export async function failSettlementJobItem(jobId, positionId, message) {
+  const { error } = await supabase
+    .from('settlement_job_positions')
+    .update({ status: 'failed', error: message })
+    .eq('job_id', jobId)
+    .eq('position_id', positionId)
+    .in('status', ['pending', 'failed']);
+
+  if (error) {
+    log.error('[DB:settlementJobs] failSettlementJobItem error:', error);
+    throw error;
+  }
+}
+
+// updates: { status?, last_error?, completed_at? }
+export async function updateSettlementJob(jobId, updates) {
+  const { data, error } = await supabase
+    .from('settlement_jobs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:settlementJobs] updateSettlementJob error:', error);
+    throw error;
+  }
+  return data;
+}
@@ -1,12 +1,17 @@
 import supabase from './client.js';
 import { log } from '../lib/logger.js';
 
-export async function createSettlement(matchKey, winner, settledBy) {
+// winner: 'A' | 'B' | 'void' | 'tie'; marketResults: { [marketId]: 'A' | 'B' | 'void' | 'tie' }
+// tie: { competition, rule } a tied match was settled under
+export async function createSettlement(matchKey, winner, settledBy, marketResults = {}, tie = null) {
   const { data, error } = await supabase
     .from('settlements')
     .insert({
       match_key: matchKey,
       winner,
+      market_results: marketResults,
+      competition: tie?.competition ?? null,
+      tie_rule: tie?.rule ?? null,
       settled_by: settledBy
     })
     .select()
@@ -19,11 +24,13 @@ export async function createSettlement(matchKey, winner, settledBy) {
   return data;
 }
 
+// The match's settlement in force (reversed settlements are kept for audit)
 export async function getSettlement(matchKey) {
   const { data, error } = await supabase
     .from('settlements')
     .select('*')
     .eq('match_key', matchKey)
+    .is('reversed_at', null)
     .single();
 
   if (error && error.code !== 'PGRST116') {
@@ -32,6 +39,63 @@ export async function getSettlement(matchKey) {
   return data;
 }
 
+// summary: what the reversal posted, kept with the settlement as its audit record
+export async function markSettlementReversed(settlementId, reversedBy, reason, summary) {
+  const { data, error } = await supabase
+    .from('settlements')
+    .update({
+      reversed_at: new Date().toISOString(),
+      reversed_by: reversedBy,
+      reversal_reason: reason,
+      reversal_summary: summary
+    })
+    .eq('id', settlementId)
+    .is('reversed_at', null)
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:settlements] markSettlementReversed error:', error);
+    throw error;
+  }
+  return data;
+}
+
+// Reopen a settled position and put its money back in one transaction
+// (migrations/022_settlement_reversal_positions.sql)
+// reversal: { balanceDelta, heldDelta, amount, description }
+// Returns { item, position, user, already_reversed }
+export async function reverseSettlementPositionAtomic(settlementId, positionId, reversal) {
+  const { data, error } = await supabase.rpc('reverse_settlement_position', {
+    p_settlement_id: settlementId,
+    p_position_id: positionId,
+    p_balance_delta: reversal.balanceDelta,
+    p_held_delta: reversal.heldDelta,
+    p_amount: reversal.amount,
+    p_description: reversal.description || null
+  });
+
+  if (error) {
+    log.error('[DB:settlements] reverseSettlementPositionAtomic error:', error);
+    throw error;
+  }
+  return data;
+}
+
+// Positions a settlement's reversal has got through so far
+export async function getSettlementReversalPositions(settlementId) {
+  const { data, error } = await supabase
+    .from('settlement_reversal_positions')
+    .select('*')
+    .eq('settlement_id', settlementId);
+
+  if (error) {
+    log.error('[DB:settlements] getSettlementReversalPositions error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
 export async function getAllSettlements() {
   const { data, error } = await supabase
     .from('settlements')
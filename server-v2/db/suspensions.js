@@ -0,0 +1,41 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Suspended markets of the given matches (migrations/019_market_suspensions.sql)
+export async function getMarketSuspensions(matchKeys) {
+  if (matchKeys.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('market_suspensions')
+    .select('*')
+    .in('match_key', matchKeys)
+    .eq('suspended', true);
+
+  if (error) {
+    log.error('[DB:suspensions] getMarketSuspensions error:', error);
+    throw error;
+  }
+  return data || [];
+}
+
+// marketId 0 suspends (or resumes) every market of the match
+export async function upsertMarketSuspension(matchKey, marketId, suspended, reason, updatedBy) {
+  const { data, error } = await supabase
+    .from('market_suspensions')
+    .upsert({
+      match_key: matchKey,
+      market_id: marketId,
+      suspended,
+      reason,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:suspensions] upsertMarketSuspension error:', error);
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,45 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Lock a market's over/under threshold unless one is already locked
+// Returns the locked threshold (the existing one if another instance won)
+export async function lockMarketThreshold(matchKey, marketId, threshold) {
+  const { error: insertError } = await supabase
+    .from('market_thresholds')
+    .upsert(
+      { match_key: matchKey, market_id: marketId, threshold },
+      { onConflict: 'match_key,market_id', ignoreDuplicates: true }
+    );
+
+  if (insertError) {
+    log.error('[DB:thresholds] lockMarketThreshold error:', insertError);
+    throw insertError;
+  }
+
+  const { data, error } = await supabase
+    .from('market_thresholds')
+    .select('threshold')
+    .eq('match_key', matchKey)
+    .eq('market_id', marketId)
+    .single();
+
+  if (error) {
+    log.error('[DB:thresholds] lockMarketThreshold read error:', error);
+    throw error;
+  }
+  return parseFloat(data.threshold);
+}
+
+// Locked over/under lines of a match: { [marketId]: threshold }
+export async function getMarketThresholds(matchKey) {
+  const { data, error } = await supabase
+    .from('market_thresholds')
+    .select('market_id, threshold')
+    .eq('match_key', matchKey);
+
+  if (error) {
+    log.error('[DB:thresholds] getMarketThresholds error:', error);
+    throw error;
+  }
+  return Object.fromEntries((data || []).map(row => [row.market_id, parseFloat(row.threshold)]));
+}
@@ -0,0 +1,49 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Throws on error so a failed read never settles a tie under the default rule
+export async function getTieRule(competition) {
+  const { data, error } = await supabase
+    .from('tie_rules')
+    .select('*')
+    .eq('competition', competition)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    log.error('[DB:tieRules] getTieRule error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getAllTieRules() {
+  const { data, error } = await supabase
+    .from('tie_rules')
+    .select('*')
+    .order('competition', { ascending: true });
+
+  if (error) {
+    log.error('[DB:tieRules] getAllTieRules error:', error);
+    return [];
+  }
+  return data || [];
+}
+
+export async function upsertTieRule(competition, rule, updatedBy) {
+  const { data, error } = await supabase
+    .from('tie_rules')
+    .upsert({
+      competition,
+      rule,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    log.error('[DB:tieRules] upsertTieRule error:', error);
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,43 @@
+import supabase from './client.js';
+import { log } from '../lib/logger.js';
+
+// Trade writes run as Postgres functions (migrations/002_atomic_trades.sql)
+// so the position, balance and ledger rows commit together or not at all.
+
+// trade.triggers: { stop_loss?, take_profit? } (0-1) to set on the position
+// in the same transaction (migrations/021_trade_triggers.sql)
+
+export async function executeTradeAtomic(trade) {
+  const { data, error } = await supabase.rpc('execute_trade', {
+    p_user_id: trade.userId,
+    p_match_key: trade.matchKey,
+    p_market_id: trade.marketId,
+    p_direction: trade.direction,
+    p_quantity: trade.quantity,
+    p_price: trade.price,
+    p_description: trade.description || null,
+    p_triggers: trade.triggers ?? null
+  });
+
+  if (error) {
+    log.error('[DB:trades] executeTradeAtomic error:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function closePositionAtomic(close) {
+  const { data, error } = await supabase.rpc('close_position', {
+    p_user_id: close.userId,
+    p_position_id: close.positionId,
+    p_quantity: close.quantity ?? null,
+    p_price: close.price,
+    p_description: close.description || null
+  });
+
+  if (error) {
+    log.error('[DB:trades] closePositionAtomic error:', error);
+    throw error;
+  }
+  return data;
+}
@@ -1,11 +1,14 @@
 import { createServer } from 'http';
 import app from './app.js';
-import { initSocket, broadcastMarketUpdate } from './socket.js';
+import { initSocket, broadcastMarketUpdate, sendPositionUpdate, sendBalanceUpdate } from './socket.js';
 import { log } from './lib/logger.js';
 import { PORT } from './lib/constants.js';
-import { marketService, priceHistoryService } from './services/index.js';
+import { marketService, priceHistoryService, idempotencyService, orderService, tradingService, quoteService, settlementService, autoSettlementService } from './services/index.js';
 import { initDcric99Source } from './datasources/dcric99.js';
 import { initMockSource } from './datasources/mock.js';
+import { initCricapiSource } from './datasources/cricapi.js';
+import { initOddsApiSource } from './datasources/oddsApi.js';
+import { initScraperSource } from './datasources/scraper.js';
 
 async function start() {
   log.info('=================================');
@@ -14,7 +17,10 @@ async function start() {
 
   // Initialize data sources
   initDcric99Source();
+  initOddsApiSource();
+  initScraperSource();
   initMockSource();
+  initCricapiSource();
 
   // Create HTTP server
   const httpServer = createServer(app);
@@ -27,11 +33,41 @@ async function start() {
   // Start price history recording
   priceHistoryService.startRecording();
 
+  // Expire old idempotency keys and quote redemptions
+  idempotencyService.startCleanup();
+  quoteService.startCleanup();
+
+  // Finish settlements a crash or restart interrupted
+  await settlementService.resumeSettlementJobs().catch(err => {
+    log.error('[Startup] Failed to resume settlement jobs:', err.message);
+  });
+
   // Do initial market refresh and broadcast
   const refreshAndBroadcast = async () => {
     const count = await marketService.refreshMarkets();
     if (count > 0) {
       broadcastMarketUpdate(marketService.getAllMarkets());
+
+      // Fill resting limit orders the new prices have reached
+      const fills = await orderService.matchOrders();
+      for (const fill of fills) {
+        sendPositionUpdate(fill.order.userId, fill.position);
+        sendBalanceUpdate(fill.order.userId, fill.balance);
+      }
+
+      // Close positions whose stop-loss / take-profit the new prices crossed
+      const closes = await tradingService.runPositionTriggers();
+      for (const close of closes) {
+        sendPositionUpdate(close.userId, {
+          id: close.positionId,
+          status: 'closed',
+          trigger: close.trigger,
+          closedQuantity: close.closedQuantity,
+          closePrice: close.closePrice,
+          pnl: close.pnl
+        });
+        sendBalanceUpdate(close.userId, close.newBalance);
+      }
     }
     return count;
   };
@@ -42,6 +78,12 @@ async function start() {
   // Set up periodic refresh with broadcast
   setInterval(refreshAndBroadcast, 30000);
 
+  // Tell clients as markets pass their scheduled close or are suspended
+  marketService.startStatusScheduler(broadcastMarketUpdate);
+
+  // Settle matches whose feeds report a final result
+  autoSettlementService.startAutoSettlement();
+
   // Start server
   httpServer.listen(PORT, () => {
     log.info(`Server running on port ${PORT}`);
@@ -53,7 +95,11 @@ async function start() {
   process.on('SIGTERM', () => {
     log.info('SIGTERM received, shutting down...');
     marketService.stopRefreshLoop();
+    marketService.stopStatusScheduler();
     priceHistoryService.stopRecording();
+    idempotencyService.stopCleanup();
+    quoteService.stopCleanup();
+    autoSettlementService.stopAutoSettlement();
     httpServer.close(() => {
       log.info('Server closed');
       process.exit(0);
@@ -63,7 +109,11 @@ async function start() {
   process.on('SIGINT', () => {
     log.info('SIGINT received, shutting down...');
     marketService.stopRefreshLoop();
+    marketService.stopStatusScheduler();
     priceHistoryService.stopRecording();
+    idempotencyService.stopCleanup();
+    quoteService.stopCleanup();
+    autoSettlementService.stopAutoSettlement();
     httpServer.close(() => {
       log.info('Server closed');
       process.exit(0);
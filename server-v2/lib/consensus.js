@@ -0,0 +1,105 @@
+// Consensus match odds across odds sources
+// Pure logic, prices on the 1-99 scale (priceB = 100 - priceA)
+//
+// Every source that lists a fixture quotes it; the consensus price of A is the
+// weighted median of the fresh, real quotes. A median, so one source far off
+// (a stale page, a misread selector) can't drag the price the way a mean would.
+
+import { CONSENSUS, PRICING_METHODS } from './constants.js';
+
+function clampPrice(value) {
+  return Math.min(99, Math.max(1, Math.round(value)));
+}
+
+// values: [{ value, weight }]. The value at half the total weight; halfway
+// between two values when the weight splits evenly on them
+export function weightedMedian(values) {
+  const sorted = values.filter(v => v.weight > 0).sort((a, b) => a.value - b.value);
+  const total = sorted.reduce((sum, v) => sum + v.weight, 0);
+  if (total === 0) return null;
+
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].weight;
+    if (cumulative > total / 2) return sorted[i].value;
+    if (cumulative === total / 2) return (sorted[i].value + sorted[i + 1].value) / 2;
+  }
+
+  return sorted[sorted.length - 1].value;
+}
+
+function lookup(byName, quote, fallback) {
+  return byName[quote.provider] ?? byName[quote.source] ?? fallback;
+}
+
+function ageOf(quote, now) {
+  const quotedAt = typeof quote.quotedAt === 'number' ? quote.quotedAt : Date.parse(quote.quotedAt || '');
+  return Number.isNaN(quotedAt) ? null : Math.max(0, now - quotedAt);
+}
+
+// quotes: [{ source, provider, priceA, priceB, quotedAt }], the listing
+// source's first; priceA is null where a source lists the fixture without odds.
+// Returns { priceA, priceB, method, spread, disagreement, sources }, sources
+// being every quote with its weight, age and whether it was used (with the
+// reason when not). Without a fresh real quote the prices are null (NONE),
+// for the market's fallback pricing tiers (see PRICING_TIERS)
+export function consensusPrice(quotes, options = {}) {
+  const {
+    weights = CONSENSUS.SOURCE_WEIGHTS,
+    defaultWeight = CONSENSUS.DEFAULT_WEIGHT,
+    maxAges = CONSENSUS.SOURCE_MAX_AGE_MS,
+    maxAgeMs = CONSENSUS.MAX_AGE_MS,
+    disagreement = CONSENSUS.DISAGREEMENT,
+    now = Date.now()
+  } = options;
+
+  const sources = quotes.map(quote => {
+    const weight = lookup(weights, quote, defaultWeight);
+    const ageMs = ageOf(quote, now);
+
+    let reason = null;
+    if (quote.priceA == null) reason = 'no_odds';
+    else if (ageMs !== null && ageMs > lookup(maxAges, quote, maxAgeMs)) reason = 'stale';
+    else if (weight <= 0) reason = 'no_weight';
+
+    return {
+      source: quote.source,
+      provider: quote.provider,
+      priceA: quote.priceA,
+      weight,
+      ageMs,
+      used: reason === null,
+      ...(reason && { reason })
+    };
+  });
+
+  const used = sources.filter(s => s.used);
+  if (used.length === 0) {
+    return {
+      priceA: null,
+      priceB: null,
+      method: PRICING_METHODS.NONE,
+      spread: null,
+      disagreement: false,
+      sources
+    };
+  }
+
+  const priceA = clampPrice(weightedMedian(used.map(s => ({ value: s.priceA, weight: s.weight }))));
+  const prices = used.map(s => s.priceA);
+  const spread = Math.max(...prices) - Math.min(...prices);
+
+  return {
+    priceA,
+    priceB: 100 - priceA,
+    method: used.length > 1 ? PRICING_METHODS.WEIGHTED_MEDIAN : PRICING_METHODS.SINGLE_SOURCE,
+    spread,
+    disagreement: spread > disagreement,
+    sources
+  };
+}
+
+export default {
+  weightedMedian,
+  consensusPrice
+};
@@ -10,7 +10,40 @@ export const WELCOME_BONUS = 100.00;
 
 // Market configuration
 export const MARKET_TYPES = {
-  MATCH_WINNER: 1
+  MATCH_WINNER: 1,
+  TOSS_WINNER: 2,
+  POWERPLAY_RUNS: 3,
+  TEN_OVER_RUNS: 4,
+  TOP_BATTER_30: 5,
+  TOTAL_WICKETS: 6,
+  OVER_20_RUNS: 7,
+  ODD_EVEN: 8
+};
+
+// market_id of a close time or suspension that covers every market of a match
+export const ALL_MARKETS = 0;
+
+// How a market's two sides are labelled
+export const MARKET_KINDS = {
+  TEAM: 'team',             // A = team A, B = team B
+  OVER_UNDER: 'overunder',  // A = Over threshold, B = Under threshold
+  YES_NO: 'yesno',          // A = Yes, B = No
+  ODD_EVEN: 'oddeven'       // A = Odd, B = Even
+};
+
+// Every market a match can list. `{teamA}` in a title is the team's full name.
+// Over/under thresholds lock the first time a feed quotes the market
+// (defaultThreshold until then) so a position's line never moves under it.
+export const MARKET_DEFINITIONS = {
+  [MARKET_TYPES.MATCH_WINNER]: { name: 'Match Winner', category: 'winner', kind: MARKET_KINDS.TEAM },
+  // The toss is called about half an hour before the start, so it closes then
+  [MARKET_TYPES.TOSS_WINNER]: { name: 'Toss Winner', category: 'winner', kind: MARKET_KINDS.TEAM, closeBeforeStartMs: 30 * 60 * 1000 },
+  [MARKET_TYPES.POWERPLAY_RUNS]: { name: 'Powerplay Runs - {teamA}', category: 'sessions', kind: MARKET_KINDS.OVER_UNDER, defaultThreshold: 48.5 },
+  [MARKET_TYPES.TEN_OVER_RUNS]: { name: '10 Over Runs - {teamA}', category: 'sessions', kind: MARKET_KINDS.OVER_UNDER, defaultThreshold: 82.5 },
+  [MARKET_TYPES.TOP_BATTER_30]: { name: '{teamA} Top Batter 30+', category: 'player', kind: MARKET_KINDS.YES_NO },
+  [MARKET_TYPES.TOTAL_WICKETS]: { name: 'Total Wickets - {teamA}', category: 'wickets', kind: MARKET_KINDS.OVER_UNDER, defaultThreshold: 6.5 },
+  [MARKET_TYPES.OVER_20_RUNS]: { name: 'Over 20 Runs - {teamA}', category: 'overbyover', kind: MARKET_KINDS.OVER_UNDER, defaultThreshold: 10.5 },
+  [MARKET_TYPES.ODD_EVEN]: { name: 'Match Total - Odd or Even?', category: 'oddeven', kind: MARKET_KINDS.ODD_EVEN }
 };
 
 // Position statuses
@@ -18,7 +51,60 @@ export const POSITION_STATUS = {
   OPEN: 'open',
   WON: 'won',
   LOST: 'lost',
-  CLOSED: 'closed'
+  CLOSED: 'closed',
+  VOID: 'void',
+  TIE: 'tie'
+};
+
+// Settlement outcome of a market: a side wins, or the market is void
+// (abandoned / no result) and stakes are refunded. Only the Match Winner
+// can end in a tie, settled by the competition's tie rule
+export const SETTLEMENT_RESULTS = {
+  A: 'A',
+  B: 'B',
+  VOID: 'void',
+  TIE: 'tie'
+};
+
+// A settlement runs as a job until every position in it is settled
+export const SETTLEMENT_JOB_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed'
+};
+
+// Progress of each position in a settlement job; skipped positions were no
+// longer open when the job reached them
+export const SETTLEMENT_ITEM_STATUS = {
+  PENDING: 'pending',
+  SETTLED: 'settled',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  REVERSED: 'reversed' // settlement_reversal_positions
+};
+
+// How a competition settles a tied match
+// super_over: a tie is decided by super over, so settle with its winner
+// void: both sides are refunded; dead_heat: both sides are paid at half
+export const TIE_RULES = {
+  SUPER_OVER: 'super_over',
+  VOID: 'void',
+  DEAD_HEAT: 'dead_heat'
+};
+
+// Tie rule for competitions without one of their own (tie_rules)
+export const DEFAULT_TIE_RULE = process.env.TIE_RULE || TIE_RULES.DEAD_HEAT;
+
+// Position close triggers
+export const POSITION_TRIGGERS = {
+  STOP_LOSS: 'stop_loss',
+  TAKE_PROFIT: 'take_profit'
+};
+
+// Limit order statuses
+export const ORDER_STATUS = {
+  OPEN: 'open',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled'
 };
 
 // Transaction types
@@ -27,9 +113,40 @@ export const TRANSACTION_TYPES = {
   WITHDRAWAL: 'withdrawal',
   TRADE: 'trade',
   SETTLEMENT: 'settlement',
+  SETTLEMENT_REVERSAL: 'settlement_reversal',
+  REFUND: 'refund',
   BONUS: 'bonus'
 };
 
+// Automatic settlement from the feeds' result text (see autoSettlementService)
+// A detected winner is settled once it has stood for GRACE_MS; anything the
+// worker can't settle on its own waits in the admin review queue
+export const AUTO_SETTLEMENT = {
+  ENABLED: process.env.AUTO_SETTLE_ENABLED !== 'false',
+  GRACE_MS: parseInt(process.env.AUTO_SETTLE_GRACE_MS || '600000', 10),
+  INTERVAL: 60 * 1000,          // 1 minute
+  SETTLED_BY: 'auto'
+};
+
+export const AUTO_SETTLEMENT_STATUS = {
+  PENDING: 'pending',           // winner detected, waiting out the grace period
+  REVIEW: 'review',             // ambiguous or failed, waiting for an admin
+  SETTLED: 'settled',
+  DISMISSED: 'dismissed'        // admin will settle by hand
+};
+
+// Two-person approval: a settlement paying out more than THRESHOLD (rupees,
+// payouts plus refunds) waits for a second admin to approve it
+export const SETTLEMENT_APPROVAL = {
+  THRESHOLD: parseFloat(process.env.SETTLEMENT_APPROVAL_THRESHOLD || '50000')
+};
+
+export const SETTLEMENT_APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
 // Data refresh intervals (in milliseconds)
 export const REFRESH_INTERVALS = {
   MARKETS: 30 * 1000,           // 30 seconds
@@ -37,6 +154,13 @@ export const REFRESH_INTERVALS = {
   PRICE_CLEANUP: 6 * 60 * 60 * 1000  // 6 hours
 };
 
+// Trading halts: a market stops trading at its scheduled close (the match
+// start time from the data source, or a close time an admin sets) and while
+// an admin has it suspended. Changes are broadcast every CHECK_INTERVAL
+export const TRADING_STATUS = {
+  CHECK_INTERVAL: 10 * 1000     // 10 seconds
+};
+
 // Socket.io events (must match frontend expectations)
 export const SOCKET_EVENTS = {
   MARKET_UPDATE: 'markets:update',
@@ -53,3 +177,133 @@ export const PRICE_MODEL = {
   DEFAULT_PRICE_A: 0.5,
   VOLATILITY: 0.02
 };
+
+// Per-user lock (serializes balance-mutating operations)
+export const USER_LOCK = {
+  TTL_MS: parseInt(process.env.USER_LOCK_TTL_MS || '15000', 10),
+  TIMEOUT_MS: parseInt(process.env.USER_LOCK_TIMEOUT_MS || '5000', 10),
+  RETRY_MS: 50
+};
+
+// Idempotency keys for order placement / position close
+export const IDEMPOTENCY = {
+  HEADER: 'idempotency-key',
+  MAX_KEY_LENGTH: 255,
+  RETENTION_HOURS: parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS || '24', 10),
+  CLEANUP_INTERVAL: 60 * 60 * 1000,  // 1 hour
+  // A pending key whose request never finished (crashed instance) can be
+  // claimed again after this; longer than any request holds it
+  PENDING_LEASE_MS: parseInt(process.env.IDEMPOTENCY_PENDING_LEASE_MS || '60000', 10),
+  // Outcomes that may change on retry (account busy, price moved, market
+  // halted, risk limit), all refused before any write: the key is released
+  // rather than stored. A 5xx may come after the trade committed, so its key
+  // is kept with an OUTCOME_UNKNOWN response instead
+  RETRYABLE_STATUSES: [409, 429]
+};
+
+// Slippage protection: orders/closes may carry the price the user was quoted
+// and a tolerance in percentage points (1-99 price scale)
+export const SLIPPAGE = {
+  DEFAULT_TOLERANCE: 2,
+  MAX_TOLERANCE: 20
+};
+
+// Firm quotes (POST /api/trades/quote): signed, short-lived, single-use
+export const QUOTES = {
+  TTL_MS: parseInt(process.env.QUOTE_TTL_MS || '10000', 10),
+  // Its own secret, never a database credential; unset, each instance
+  // signs with a random one (see quoteService)
+  SECRET: process.env.QUOTE_SECRET,
+  CLEANUP_INTERVAL: 60 * 60 * 1000   // 1 hour
+};
+
+// Market maker pricing (see lib/pricing.js)
+// 'external' = flat price straight from the odds feed, no curve
+export const PRICING = {
+  EXTERNAL: 'external',
+  DEFAULT_ENGINE: process.env.PRICING_ENGINE || 'external',
+  DEFAULT_LIQUIDITY: parseFloat(process.env.PRICING_LIQUIDITY || '500')
+};
+
+// "name:number" pairs ("dcric99:3,odds-api:2") as { name: number }
+function parseNamedNumbers(raw) {
+  const values = {};
+
+  for (const entry of String(raw || '').split(',')) {
+    const separator = entry.lastIndexOf(':');
+    if (separator <= 0) continue;
+
+    const value = parseFloat(entry.slice(separator + 1));
+    if (Number.isFinite(value) && value >= 0) {
+      values[entry.slice(0, separator).trim()] = value;
+    }
+  }
+
+  return values;
+}
+
+// Consensus match odds across odds sources (see lib/consensus.js). Weights and
+// max ages are per source ("odds-api") or per provider ("scraper:site-a");
+// prices are 1-99, so DISAGREEMENT is in price points
+export const CONSENSUS = {
+  SOURCE_WEIGHTS: parseNamedNumbers(process.env.PRICE_SOURCE_WEIGHTS),
+  DEFAULT_WEIGHT: 1,
+  SOURCE_MAX_AGE_MS: parseNamedNumbers(process.env.PRICE_SOURCE_MAX_AGE_MS),
+  MAX_AGE_MS: parseInt(process.env.PRICE_MAX_AGE_MS || '120000', 10),
+  DISAGREEMENT: parseFloat(process.env.PRICE_DISAGREEMENT_THRESHOLD || '10')
+};
+
+export const PRICING_METHODS = {
+  WEIGHTED_MEDIAN: 'weighted_median',   // two or more sources
+  SINGLE_SOURCE: 'single_source',       // one source priced it
+  NONE: 'none'                          // no source has fresh real odds
+};
+
+// Where a market's price came from, best first. Without real odds a market
+// falls back to its last real price while that is under LAST_KNOWN_MAX_AGE_MS
+// old, then to a model of the score (lib/priceModel.js), then to no price.
+// Only TRUSTED tiers trade, unless an admin allows a match's fallback prices;
+// an unpriced market never trades. Last known prices are trusted only with
+// FALLBACK_TRUST_LAST_KNOWN=true, as they can be minutes behind the match
+export const PRICING_TIERS = {
+  FEED: 'feed',
+  LAST_KNOWN: 'last_known',
+  MODEL: 'model',
+  UNPRICED: 'unpriced'
+};
+
+export const FALLBACK_PRICING = {
+  LAST_KNOWN_MAX_AGE_MS: parseInt(process.env.FALLBACK_PRICE_MAX_AGE_MS || '300000', 10),
+  TRUSTED_TIERS: process.env.FALLBACK_TRUST_LAST_KNOWN === 'true'
+    ? [PRICING_TIERS.FEED, PRICING_TIERS.LAST_KNOWN]
+    : [PRICING_TIERS.FEED]
+};
+
+// Risk limits checked before every fill (rupees); admins can override them
+// per user or per match at runtime (risk_limit_overrides)
+export const RISK_LIMITS = {
+  MAX_ORDER_STAKE: parseFloat(process.env.MAX_ORDER_STAKE || '10000'),
+  MAX_USER_EXPOSURE: parseFloat(process.env.MAX_USER_EXPOSURE || '50000'),
+  MAX_MATCH_LIABILITY: parseFloat(process.env.MAX_MATCH_LIABILITY || '250000'),
+  MAX_MARKET_LIABILITY: parseFloat(process.env.MAX_MARKET_LIABILITY || '100000')
+};
+
+// Scopes a risk limit override can apply to
+export const RISK_SCOPES = {
+  USER: 'user',
+  MATCH: 'match'
+};
+
+// Machine-readable error codes returned alongside `error`
+export const ERROR_CODES = {
+  PRICE_MOVED: 'PRICE_MOVED',
+  QUOTE_EXPIRED: 'QUOTE_EXPIRED',
+  ORDER_STAKE_LIMIT: 'ORDER_STAKE_LIMIT',
+  USER_EXPOSURE_LIMIT: 'USER_EXPOSURE_LIMIT',
+  MATCH_LIABILITY_LIMIT: 'MATCH_LIABILITY_LIMIT',
+  MARKET_LIABILITY_LIMIT: 'MARKET_LIABILITY_LIMIT',
+  MARKET_CLOSED: 'MARKET_CLOSED',
+  MARKET_SUSPENDED: 'MARKET_SUSPENDED',
+  PRICE_UNTRUSTED: 'PRICE_UNTRUSTED',
+  OUTCOME_UNKNOWN: 'OUTCOME_UNKNOWN'
+};
@@ -0,0 +1,142 @@
+// Settlement rules per market type, from final match statistics
+// Pure functions, no I/O (see settlementService.resolveMarkets)
+//
+// Stats, entered by an admin or written by a score feed:
+// {
+//   tossWinner: 'A' | 'B',
+//   innings: {
+//     A: { runs, wickets, overs, complete, topScore, runsAtOver: { [over]: total at the end of that over } },
+//     B: { ... }
+//   }
+// }
+// Markets titled "- {teamA}" read team A's innings.
+//
+// A resolver returns 'A' | 'B' | 'void', or null while the stats don't decide
+// the market yet. Markets are decided as soon as they can be: an over is
+// won once the count passes the line, an under only once the innings is over.
+
+import { MARKET_TYPES, SETTLEMENT_RESULTS } from './constants.js';
+
+const { A, B, VOID } = SETTLEMENT_RESULTS;
+
+// Team A's side is the first listed team, Over, Yes or Odd (see MARKET_KINDS)
+function overUnder(value, threshold, final) {
+  if (value == null || threshold == null) return null;
+  if (value > threshold) return A;
+  if (!final) return null;
+  // A whole-number line can land exactly on the count
+  return value < threshold ? B : VOID;
+}
+
+// Runs at the end of an over; an innings that ended before it counts its total
+function runsAt(innings, over) {
+  const total = innings?.runsAtOver?.[over];
+  if (total != null) return total;
+  if (innings?.complete && innings.overs != null && innings.overs < over) return innings.runs;
+  return null;
+}
+
+export const MARKET_RESOLVERS = {
+  [MARKET_TYPES.TOSS_WINNER]: (stats) => stats.tossWinner ?? null,
+
+  [MARKET_TYPES.POWERPLAY_RUNS]: (stats, threshold) =>
+    overUnder(runsAt(stats.innings?.A, 6), threshold, true),
+
+  [MARKET_TYPES.TEN_OVER_RUNS]: (stats, threshold) =>
+    overUnder(runsAt(stats.innings?.A, 10), threshold, true),
+
+  [MARKET_TYPES.TOP_BATTER_30]: (stats) => {
+    const innings = stats.innings?.A;
+    if (innings?.topScore != null && innings.topScore >= 30) return A;
+    return innings?.complete ? B : null;
+  },
+
+  [MARKET_TYPES.TOTAL_WICKETS]: (stats, threshold) => {
+    const innings = stats.innings?.A;
+    return overUnder(innings?.wickets, threshold, Boolean(innings?.complete));
+  },
+
+  // Runs scored in the 20th over; void if the innings ended before it was bowled
+  [MARKET_TYPES.OVER_20_RUNS]: (stats, threshold) => {
+    const innings = stats.innings?.A;
+    const after20 = innings?.runsAtOver?.[20];
+    const after19 = innings?.runsAtOver?.[19];
+
+    if (after20 != null && after19 != null) {
+      return overUnder(after20 - after19, threshold, true);
+    }
+    if (innings?.complete && innings.overs != null && innings.overs <= 19) return VOID;
+    return null;
+  },
+
+  // Both teams' runs added up
+  [MARKET_TYPES.ODD_EVEN]: (stats) => {
+    const { A: first, B: second } = stats.innings || {};
+    if (!first?.complete || !second?.complete) return null;
+    return (first.runs + second.runs) % 2 === 1 ? A : B;
+  }
+};
+
+// Result of a market under the stats, or null if undecided (or no rule for it)
+export function resolveMarket(marketId, stats, threshold = null) {
+  const resolver = MARKET_RESOLVERS[marketId];
+  if (!resolver || !stats) return null;
+  return resolver(stats, threshold);
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Throws on stats that don't have the shape above
+export function validateStats(stats) {
+  if (typeof stats !== 'object' || stats === null || Array.isArray(stats)) {
+    throw new Error('stats must be an object');
+  }
+
+  if (stats.tossWinner != null && ![A, B].includes(stats.tossWinner)) {
+    throw new Error('tossWinner must be "A" or "B"');
+  }
+
+  for (const [side, innings] of Object.entries(stats.innings || {})) {
+    if (![A, B].includes(side)) {
+      throw new Error('innings must be keyed "A" or "B"');
+    }
+
+    for (const field of ['runs', 'wickets', 'topScore']) {
+      if (innings[field] != null && !isCount(innings[field])) {
+        throw new Error(`innings.${side}.${field} must be a non-negative integer`);
+      }
+    }
+
+    if (innings.wickets != null && innings.wickets > 10) {
+      throw new Error(`innings.${side}.wickets must be at most 10`);
+    }
+
+    if (innings.overs != null && !(typeof innings.overs === 'number' && innings.overs >= 0)) {
+      throw new Error(`innings.${side}.overs must be a non-negative number`);
+    }
+
+    for (const [over, runs] of Object.entries(innings.runsAtOver || {})) {
+      if (!isCount(Number(over)) || !isCount(runs)) {
+        throw new Error(`innings.${side}.runsAtOver must map over numbers to run totals`);
+      }
+    }
+  }
+}
+
+// Stats with an update applied: innings fields and overs checkpoints are
+// merged, so a feed or admin can send only what changed
+export function mergeStats(current = {}, update = {}) {
+  const innings = { ...(current.innings || {}) };
+
+  for (const [side, values] of Object.entries(update.innings || {})) {
+    innings[side] = {
+      ...innings[side],
+      ...values,
+      runsAtOver: { ...innings[side]?.runsAtOver, ...values.runsAtOver }
+    };
+  }
+
+  return { ...current, ...update, innings };
+}
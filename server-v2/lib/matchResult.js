@@ -0,0 +1,103 @@
+// Final result of a match from a feed's status text
+// Pure text matching, no I/O (see services/autoSettlementService.js)
+//
+// "India won by 5 wickets" / "Australia beat India by 20 runs" name the
+// winner before the verb; that part is matched against the match's stored
+// team names (and short codes) to get side A or B. Anything that can't be
+// read with confidence comes back ambiguous, for an admin to decide.
+
+import { SETTLEMENT_RESULTS } from './constants.js';
+
+// Verbs that announce a winner; "won the toss" and "to win" don't
+const WIN_PATTERN = /\b(won|wins? by|beat|beats|defeated)\b/g;
+const NOT_A_RESULT = /^\s*(the\s+)?toss\b/;
+
+const NO_RESULT_PATTERN = /\b(no result|abandoned|called off|washed out)\b/;
+const TIE_PATTERN = /\b(match tied|tied match|ended in a tie|ends in a tie)\b/;
+
+// Share of a team name's words a name match needs
+const MIN_NAME_OVERLAP = 0.5;
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// How much of a team (share of its name's words, or its short code) the text names
+function teamOverlap(text, name, short) {
+  const words = new Set(normalize(text).split(' '));
+  if (short && words.has(normalize(short))) {
+    return 1;
+  }
+
+  const nameWords = normalize(name).split(' ').filter(Boolean);
+  if (nameWords.length === 0) {
+    return 0;
+  }
+
+  return nameWords.filter(word => words.has(word)).length / nameWords.length;
+}
+
+// The part of the text naming the winner, or null if it announces none
+function winnerClause(text) {
+  const lower = String(text || '').toLowerCase();
+
+  for (const match of lower.matchAll(WIN_PATTERN)) {
+    const before = lower.slice(0, match.index);
+    const after = lower.slice(match.index + match[0].length);
+
+    if (/\bto\s*$/.test(before) || NOT_A_RESULT.test(after)) {
+      continue;
+    }
+
+    return before;
+  }
+
+  return null;
+}
+
+// teams: { teamA, teamB, teamAShort?, teamBShort? } as stored on the market
+// Returns null while the text announces no final result, otherwise
+// { outcome: 'A' | 'B' | 'void' | 'tie' | null, ambiguous, reason }
+// Only a winner named unambiguously is not ambiguous: no-results and ties
+// are left to an admin (a tie needs the competition's tie rule)
+export function parseMatchResult(statusText, teams) {
+  const text = normalize(statusText);
+
+  // Checked first: "Match tied (India won the super over)" still settles by the tie rule
+  if (TIE_PATTERN.test(text)) {
+    return { outcome: SETTLEMENT_RESULTS.TIE, ambiguous: true, reason: 'Match tied: settle under the competition tie rule' };
+  }
+
+  const clause = winnerClause(statusText);
+
+  if (clause !== null) {
+    const a = teamOverlap(clause, teams.teamA, teams.teamAShort);
+    const b = teamOverlap(clause, teams.teamB, teams.teamBShort);
+
+    if (a >= MIN_NAME_OVERLAP && a > b) {
+      return { outcome: SETTLEMENT_RESULTS.A, ambiguous: false, reason: `${teams.teamA} won` };
+    }
+
+    if (b >= MIN_NAME_OVERLAP && b > a) {
+      return { outcome: SETTLEMENT_RESULTS.B, ambiguous: false, reason: `${teams.teamB} won` };
+    }
+
+    return {
+      outcome: null,
+      ambiguous: true,
+      reason: a === 0 && b === 0
+        ? 'Result names neither team'
+        : 'Result does not name one team clearly'
+    };
+  }
+
+  if (NO_RESULT_PATTERN.test(text)) {
+    return { outcome: SETTLEMENT_RESULTS.VOID, ambiguous: true, reason: 'No result: confirm the match is void' };
+  }
+
+  return null;
+}
@@ -0,0 +1,117 @@
+// Match Winner price modelled from the score, for when no source has odds
+// Pure arithmetic, no I/O (see priceMatchWinner in services/marketService.js)
+//
+// A rough read of the game state, not a bookmaker: run and wicket difference,
+// then in a limited-overs chase the required rate against the current rate.
+// It only prices a match with a score or a result to read; before the first
+// ball there is nothing to model and the market has no price.
+
+import { parseMatchResult } from './matchResult.js';
+
+function clampPrice(value) {
+  return Math.min(99, Math.max(1, Math.round(value)));
+}
+
+function clampProbability(value) {
+  return Math.min(0.99, Math.max(0.01, value));
+}
+
+// "185/6" and "19.4" -> { runs: 185, wickets: 6, overs: 19.67 }; null before the team bats
+export function parseInnings(score, overs) {
+  const parsed = String(score || '').match(/(\d+)\s*\/\s*(\d+)/);
+  if (!parsed) return null;
+
+  const [whole, balls = '0'] = String(overs || '0').split('.');
+  return {
+    runs: parseInt(parsed[1], 10),
+    wickets: parseInt(parsed[2], 10),
+    overs: (parseInt(whole, 10) || 0) + (parseInt(balls, 10) || 0) / 6
+  };
+}
+
+// Overs per innings from the format, or null for a test or an unknown format
+function limitedOvers(match) {
+  const text = `${match.matchFormat || ''} ${match.matchType || ''} ${match.category || ''}`.toLowerCase();
+
+  if (text.includes('t10')) return 10;
+  if (text.includes('t20') || text.includes('ipl')) return 20;
+  if (text.includes('odi') || text.includes('one day')) return 50;
+  return null;
+}
+
+function parScore(totalOvers) {
+  if (totalOvers <= 10) return 95;
+  if (totalOvers <= 20) return 165;
+  return 285;
+}
+
+function isComplete(innings, totalOvers) {
+  return innings.wickets >= 10 || (totalOvers !== null && innings.overs >= totalOvers - 0.01);
+}
+
+// The chasing side's edge: positive when it is ahead of the rate it needs
+function chaseEdge(first, chaser, totalOvers) {
+  const runsNeeded = Math.max(0, first.runs + 1 - chaser.runs);
+  const remainingOvers = Math.max(0, totalOvers - chaser.overs);
+
+  let edge;
+  if (runsNeeded === 0) {
+    edge = 0.49;
+  } else if (remainingOvers <= 0.1 || chaser.wickets >= 10) {
+    edge = -0.49;
+  } else {
+    const requiredRate = runsNeeded / remainingOvers;
+    const currentRate = chaser.runs / Math.max(0.1, chaser.overs);
+    edge = Math.tanh((currentRate - requiredRate) / 2.4) * 0.28;
+  }
+
+  return edge + Math.tanh((4 - chaser.wickets) / 2.4) * 0.14;
+}
+
+// match: { teamA, teamB, teamAShort, teamBShort, statusText, scoreA, scoreB,
+// oversA, oversB, matchFormat?, matchType?, category? } as the feeds give it.
+// Returns the price of A (1-99), or null when there is nothing to model
+export function modelPriceA(match) {
+  const result = parseMatchResult(match.statusText, match);
+  if (result) {
+    if (result.ambiguous) return null;
+    return result.outcome === 'A' ? 99 : 1;
+  }
+
+  const a = parseInnings(match.scoreA, match.oversA);
+  const b = parseInnings(match.scoreB, match.oversB);
+  if (!a && !b) return null;
+
+  const totalOvers = limitedOvers(match);
+  let probabilityA = 0.5;
+
+  if (a && b) {
+    // Side A batted first unless only B's innings is over
+    const aFirst = !(isComplete(b, totalOvers) && !isComplete(a, totalOvers));
+    const [first, chaser] = aFirst ? [a, b] : [b, a];
+
+    if (totalOvers !== null && chaser.overs > 0.2) {
+      const edge = chaseEdge(first, chaser, totalOvers);
+      probabilityA += aFirst ? -edge : edge;
+    } else {
+      probabilityA += Math.tanh((a.runs - b.runs) / 45) * 0.2;
+      probabilityA += Math.tanh((b.wickets - a.wickets) / 3) * 0.1;
+    }
+  } else if (totalOvers !== null) {
+    // First innings under way: projected total against par
+    const batting = a || b;
+    if (batting.overs > 0.5) {
+      const projected = (batting.runs / batting.overs) * totalOvers;
+      const edge = Math.tanh((projected - parScore(totalOvers)) / 40) * 0.16
+        + Math.tanh((4 - batting.wickets) / 2.8) * 0.09;
+      probabilityA += a ? edge : -edge;
+    }
+  }
+
+  return clampPrice(clampProbability(probabilityA) * 100);
+}
+
+export default {
+  parseInnings,
+  modelPriceA
+};
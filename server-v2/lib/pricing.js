@@ -0,0 +1,118 @@
+// Market maker pricing curves
+// Pure math, probabilities in 0-1 (callers convert to the 1-99 price scale)
+//
+// Every engine is anchored so that with no order flow it prices at the
+// external odds p0 (probability of A). `net` is the order flow the house has
+// taken on: shares of A outstanding minus shares of B outstanding. Buying A
+// pushes the price of A up, buying B pushes it down; `liquidity` sets how far.
+
+const MIN_PROBABILITY = 0.01;
+const MAX_PROBABILITY = 0.99;
+
+function clampProbability(p) {
+  return Math.min(MAX_PROBABILITY, Math.max(MIN_PROBABILITY, p));
+}
+
+function logit(p) {
+  return Math.log(p / (1 - p));
+}
+
+// Logarithmic market scoring rule, liquidity = b
+// Price of A: sigmoid(logit(p0) + net / b)
+// Cost of delta shares of an outcome currently priced p: b * ln(1 - p + p * e^(delta / b))
+const lmsr = {
+  price(p0, net, b) {
+    return 1 / (1 + Math.exp(-(logit(clampProbability(p0)) + net / b)));
+  },
+
+  cost(p0, net, b, side, delta) {
+    const priceA = lmsr.price(p0, net, b);
+    const p = side === 'A' ? priceA : 1 - priceA;
+    return b * Math.log(1 - p + p * Math.exp(delta / b));
+  },
+
+  // House loss is bounded by b * ln(1 / p0) of the outcome that wins
+  maxLoss(p0, b) {
+    const p = clampProbability(p0);
+    return b * Math.log(1 / Math.min(p, 1 - p));
+  }
+};
+
+// Constant-product pool (fixed product market maker)
+// The pool holds nA A-shares and nB B-shares, price of A = nB / (nA + nB).
+// Buying delta of one outcome mints `cost` complete sets into the pool and
+// takes delta shares of that outcome out, keeping nA * nB constant.
+function anchoredPool(p0, liquidity) {
+  const p = clampProbability(p0);
+  return { A: 2 * liquidity * (1 - p), B: 2 * liquidity * p };
+}
+
+function poolBuy(pool, side, delta) {
+  const other = side === 'A' ? 'B' : 'A';
+  const total = pool.A + pool.B - delta;
+  const cost = (-total + Math.sqrt(total * total + 4 * delta * pool[other])) / 2;
+
+  return {
+    cost,
+    pool: {
+      [side]: pool[side] + cost - delta,
+      [other]: pool[other] + cost
+    }
+  };
+}
+
+// Pool after the house has absorbed `net` order flow
+function poolAfterFlow(p0, net, liquidity) {
+  const pool = anchoredPool(p0, liquidity);
+  if (net === 0) return pool;
+  return poolBuy(pool, net > 0 ? 'A' : 'B', Math.abs(net)).pool;
+}
+
+const constantProduct = {
+  price(p0, net, liquidity) {
+    const pool = poolAfterFlow(p0, net, liquidity);
+    return pool.B / (pool.A + pool.B);
+  },
+
+  cost(p0, net, liquidity, side, delta) {
+    return poolBuy(poolAfterFlow(p0, net, liquidity), side, delta).cost;
+  },
+
+  // The pool can't pay out more shares than it was seeded with
+  maxLoss(p0, liquidity) {
+    const pool = anchoredPool(p0, liquidity);
+    return Math.max(pool.A, pool.B);
+  }
+};
+
+export const ENGINES = {
+  lmsr,
+  constant_product: constantProduct
+};
+
+export function isEngine(name) {
+  return Object.prototype.hasOwnProperty.call(ENGINES, name);
+}
+
+// Marginal probability of A after `net` flow, clamped to the tradable range
+export function marginalPrice(engine, p0, net, liquidity) {
+  return clampProbability(ENGINES[engine].price(p0, net, liquidity));
+}
+
+// Cost in rupees of buying `delta` shares of `side` (negative delta = selling
+// back to the curve, returning negative cost i.e. proceeds)
+export function tradeCost(engine, p0, net, liquidity, side, delta) {
+  return ENGINES[engine].cost(p0, net, liquidity, side, delta);
+}
+
+export function maxLoss(engine, p0, liquidity) {
+  return ENGINES[engine].maxLoss(p0, liquidity);
+}
+
+export default {
+  ENGINES,
+  isEngine,
+  marginalPrice,
+  tradeCost,
+  maxLoss
+};
@@ -0,0 +1,90 @@
+// Per-user lock for balance-mutating operations, and per-match lock for the
+// house liability check and the fill it allows
+// Serializes within this process (promise queue) and across instances
+// sharing the database (lease row in user_locks, see 003_user_locks.sql;
+// a match's row is keyed "match:<matchKey>")
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import * as db from '../db/index.js';
+import * as state from './state.js';
+import { log } from './logger.js';
+import { USER_LOCK } from './constants.js';
+
+// Tail of the pending critical sections per lock: Map<lockId, Promise>
+const queues = new Map();
+
+// Lock ids the current async call chain already holds, so nested calls
+// (settleMatch -> addToBalance) don't deadlock
+const heldLocks = new AsyncLocalStorage();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function acquireLease(lockId, busyMessage) {
+  const owner = randomUUID();
+  const deadline = Date.now() + USER_LOCK.TIMEOUT_MS;
+
+  while (!(await db.acquireUserLock(lockId, owner, USER_LOCK.TTL_MS))) {
+    if (Date.now() >= deadline) {
+      throw new Error(busyMessage);
+    }
+    await sleep(USER_LOCK.RETRY_MS);
+  }
+
+  return owner;
+}
+
+// Run fn while holding the lock lockId; onAcquired runs first, under it
+async function withLock(lockId, busyMessage, fn, onAcquired = () => {}) {
+  const held = heldLocks.getStore();
+  if (held?.has(lockId)) {
+    return fn();
+  }
+
+  const previous = queues.get(lockId) || Promise.resolve();
+  let done;
+  const current = new Promise(resolve => { done = resolve; });
+  const tail = previous.then(() => current);
+  queues.set(lockId, tail);
+
+  try {
+    await previous;
+
+    const owner = await acquireLease(lockId, busyMessage);
+    try {
+      onAcquired();
+      return await heldLocks.run(new Set([...(held || []), lockId]), fn);
+    } finally {
+      await db.releaseUserLock(lockId, owner).catch(err => {
+        log.warn(`[UserLock] Failed to release lock for ${lockId}: ${err.message}`);
+      });
+    }
+  } finally {
+    done();
+    if (queues.get(lockId) === tail) {
+      queues.delete(lockId);
+    }
+  }
+}
+
+// Run fn while holding the lock for userId
+export function withUserLock(userId, fn) {
+  return withLock(userId, `Account busy, please retry (user ${userId})`, fn, () => {
+    // Another instance may have moved the balance since we cached it
+    state.clearUserCache(userId);
+  });
+}
+
+// Run fn while holding the lock for matchKey: every user's fills on the
+// match, so a liability check still holds when the fill commits. Take it
+// inside the user's lock, never the other way round
+export function withMatchLock(matchKey, fn) {
+  return withLock(`match:${matchKey}`, `Market busy, please retry (${matchKey})`, fn);
+}
+
+export default {
+  withUserLock,
+  withMatchLock
+};
@@ -0,0 +1,156 @@
+-- YesNo Cricket v2 - Atomic trade execution
+-- Run this in Supabase SQL Editor after 001_initial_schema.sql
+--
+-- Each function runs in a single transaction: the position write, the
+-- balance hold/release and the ledger row either all commit or none do.
+
+-- Buy: create or average into an open position, hold the cost, record the trade
+CREATE OR REPLACE FUNCTION execute_trade(
+  p_user_id TEXT,
+  p_match_key TEXT,
+  p_market_id INTEGER,
+  p_direction TEXT,
+  p_quantity INTEGER,
+  p_price DECIMAL,                        -- 0-1 range
+  p_description TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_position positions%ROWTYPE;
+  v_cost DECIMAL(12,2);
+  v_available DECIMAL(12,2);
+  v_tx_id INTEGER;
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found: %', p_user_id;
+  END IF;
+
+  v_cost := p_quantity * p_price;
+  v_available := v_user.balance - v_user.held_balance;
+  IF v_cost > v_available THEN
+    RAISE EXCEPTION 'Insufficient balance. Available: %, Required: %', v_available, v_cost;
+  END IF;
+
+  SELECT * INTO v_position FROM positions
+  WHERE user_id = p_user_id
+    AND match_key = p_match_key
+    AND market_id = p_market_id
+    AND direction = p_direction
+    AND status = 'open'
+  ORDER BY id
+  LIMIT 1
+  FOR UPDATE;
+
+  IF FOUND THEN
+    UPDATE positions
+    SET quantity = v_position.quantity + p_quantity,
+        avg_price = (v_position.quantity * v_position.avg_price + p_quantity * p_price)
+                    / (v_position.quantity + p_quantity)
+    WHERE id = v_position.id
+    RETURNING * INTO v_position;
+  ELSE
+    INSERT INTO positions (user_id, match_key, market_id, direction, quantity, avg_price, status)
+    VALUES (p_user_id, p_match_key, p_market_id, p_direction, p_quantity, p_price, 'open')
+    RETURNING * INTO v_position;
+  END IF;
+
+  UPDATE users
+  SET held_balance = held_balance + v_cost,
+      updated_at = NOW()
+  WHERE id = p_user_id
+  RETURNING * INTO v_user;
+
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id, description)
+  VALUES (p_user_id, 'trade', -v_cost, v_user.balance, v_position.id::TEXT, p_description)
+  RETURNING id INTO v_tx_id;
+
+  RETURN jsonb_build_object(
+    'position', to_jsonb(v_position),
+    'user', to_jsonb(v_user),
+    'cost', v_cost,
+    'transaction_id', v_tx_id
+  );
+END;
+$$;
+
+-- Sell: close all or part of a position, release the held cost, apply PnL
+CREATE OR REPLACE FUNCTION close_position(
+  p_user_id TEXT,
+  p_position_id INTEGER,
+  p_quantity INTEGER,                     -- NULL closes the full position
+  p_price DECIMAL,                        -- 0-1 range
+  p_description TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_position positions%ROWTYPE;
+  v_close_quantity INTEGER;
+  v_cost_basis DECIMAL(12,2);
+  v_close_value DECIMAL(12,2);
+  v_pnl DECIMAL(12,2);
+  v_tx_id INTEGER;
+BEGIN
+  SELECT * INTO v_position FROM positions WHERE id = p_position_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Position not found';
+  END IF;
+
+  IF v_position.user_id <> p_user_id THEN
+    RAISE EXCEPTION 'Position does not belong to user';
+  END IF;
+
+  IF v_position.status <> 'open' THEN
+    RAISE EXCEPTION 'Position is not open';
+  END IF;
+
+  v_close_quantity := COALESCE(p_quantity, v_position.quantity);
+  IF v_close_quantity > v_position.quantity THEN
+    RAISE EXCEPTION 'Cannot close more than owned. Owned: %, Requested: %', v_position.quantity, v_close_quantity;
+  END IF;
+
+  v_cost_basis := v_close_quantity * v_position.avg_price;
+  v_close_value := v_close_quantity * p_price;
+  v_pnl := v_close_value - v_cost_basis;
+
+  IF v_close_quantity = v_position.quantity THEN
+    UPDATE positions
+    SET status = 'closed',
+        closed_at = NOW()
+    WHERE id = p_position_id
+    RETURNING * INTO v_position;
+  ELSE
+    UPDATE positions
+    SET quantity = v_position.quantity - v_close_quantity
+    WHERE id = p_position_id
+    RETURNING * INTO v_position;
+  END IF;
+
+  UPDATE users
+  SET balance = balance + v_pnl,
+      held_balance = GREATEST(0, held_balance - v_cost_basis),
+      updated_at = NOW()
+  WHERE id = p_user_id
+  RETURNING * INTO v_user;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found: %', p_user_id;
+  END IF;
+
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id, description)
+  VALUES (p_user_id, 'trade', v_pnl, v_user.balance, p_position_id::TEXT, p_description)
+  RETURNING id INTO v_tx_id;
+
+  RETURN jsonb_build_object(
+    'position', to_jsonb(v_position),
+    'user', to_jsonb(v_user),
+    'closed_quantity', v_close_quantity,
+    'pnl', v_pnl,
+    'transaction_id', v_tx_id
+  );
+END;
+$$;
@@ -0,0 +1,38 @@
+-- YesNo Cricket v2 - Per-user locks
+-- Run this in Supabase SQL Editor after 002_atomic_trades.sql
+--
+-- Lease rows that serialize balance-mutating operations for a user across
+-- every server-v2 instance sharing this database. A lease whose expires_at
+-- has passed is treated as free, so a crashed instance cannot wedge a user.
+
+CREATE TABLE IF NOT EXISTS user_locks (
+  user_id TEXT PRIMARY KEY,
+  owner TEXT NOT NULL,                    -- random token per acquisition
+  acquired_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE user_locks ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for user_locks" ON user_locks FOR ALL USING (true);
+
+-- Returns true if p_owner now holds the lease for p_user_id
+CREATE OR REPLACE FUNCTION acquire_user_lock(
+  p_user_id TEXT,
+  p_owner TEXT,
+  p_ttl_ms INTEGER
+) RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO user_locks (user_id, owner, acquired_at, expires_at)
+  VALUES (p_user_id, p_owner, NOW(), NOW() + p_ttl_ms * INTERVAL '1 millisecond')
+  ON CONFLICT (user_id) DO UPDATE
+    SET owner = EXCLUDED.owner,
+        acquired_at = EXCLUDED.acquired_at,
+        expires_at = EXCLUDED.expires_at
+    WHERE user_locks.expires_at < NOW();
+
+  -- FOUND is false when the row exists and its lease is still live
+  RETURN FOUND;
+END;
+$$;
@@ -0,0 +1,22 @@
+-- YesNo Cricket v2 - Idempotency keys
+-- Run this in Supabase SQL Editor after 003_user_locks.sql
+--
+-- Stores the response to each (user, Idempotency-Key) pair so a retried
+-- order or close returns the original result instead of executing again.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id TEXT NOT NULL,
+  key TEXT NOT NULL,                      -- client-supplied Idempotency-Key header
+  request_hash TEXT NOT NULL,             -- sha256 of method + path + body
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, completed
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for idempotency_keys" ON idempotency_keys FOR ALL USING (true);
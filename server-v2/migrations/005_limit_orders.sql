@@ -0,0 +1,173 @@
+-- YesNo Cricket v2 - Limit orders
+-- Run this in Supabase SQL Editor after 004_idempotency_keys.sql
+--
+-- Resting buy orders that fill once the market price reaches the limit.
+-- The order's worst-case cost (quantity * limit_price) is held on the user
+-- while it rests and released on fill, cancel or settlement.
+
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT REFERENCES users(id),
+  match_key TEXT NOT NULL,
+  market_id INTEGER NOT NULL,
+  direction TEXT NOT NULL,                -- "A" or "B"
+  quantity INTEGER NOT NULL,
+  limit_price DECIMAL(5,4) NOT NULL,      -- 0-1 range, fill at this price or better
+  held_amount DECIMAL(12,2) NOT NULL,
+  status TEXT DEFAULT 'open',             -- open, filled, cancelled
+  fill_price DECIMAL(5,4),
+  position_id INTEGER REFERENCES positions(id),
+  cancel_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  filled_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_user ON orders(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_orders_book ON orders(match_key, market_id, status);
+
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for orders" ON orders FOR ALL USING (true);
+
+-- Rest a new order and hold its worst-case cost
+CREATE OR REPLACE FUNCTION place_limit_order(
+  p_user_id TEXT,
+  p_match_key TEXT,
+  p_market_id INTEGER,
+  p_direction TEXT,
+  p_quantity INTEGER,
+  p_limit_price DECIMAL                   -- 0-1 range
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_order orders%ROWTYPE;
+  v_hold DECIMAL(12,2);
+  v_available DECIMAL(12,2);
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found: %', p_user_id;
+  END IF;
+
+  v_hold := p_quantity * p_limit_price;
+  v_available := v_user.balance - v_user.held_balance;
+  IF v_hold > v_available THEN
+    RAISE EXCEPTION 'Insufficient balance. Available: %, Required: %', v_available, v_hold;
+  END IF;
+
+  INSERT INTO orders (user_id, match_key, market_id, direction, quantity, limit_price, held_amount, status)
+  VALUES (p_user_id, p_match_key, p_market_id, p_direction, p_quantity, p_limit_price, v_hold, 'open')
+  RETURNING * INTO v_order;
+
+  UPDATE users
+  SET held_balance = held_balance + v_hold,
+      updated_at = NOW()
+  WHERE id = p_user_id
+  RETURNING * INTO v_user;
+
+  RETURN jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'user', to_jsonb(v_user)
+  );
+END;
+$$;
+
+-- Fill a resting order at p_price (must be at or below the limit):
+-- release the order hold, then buy through execute_trade in the same transaction
+CREATE OR REPLACE FUNCTION fill_limit_order(
+  p_order_id INTEGER,
+  p_price DECIMAL,                        -- 0-1 range
+  p_description TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_trade JSONB;
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found';
+  END IF;
+
+  IF v_order.status <> 'open' THEN
+    RAISE EXCEPTION 'Order is not open';
+  END IF;
+
+  IF p_price > v_order.limit_price THEN
+    RAISE EXCEPTION 'Price % is above limit %', p_price, v_order.limit_price;
+  END IF;
+
+  UPDATE users
+  SET held_balance = GREATEST(0, held_balance - v_order.held_amount)
+  WHERE id = v_order.user_id;
+
+  v_trade := execute_trade(
+    v_order.user_id,
+    v_order.match_key,
+    v_order.market_id,
+    v_order.direction,
+    v_order.quantity,
+    p_price,
+    p_description
+  );
+
+  UPDATE orders
+  SET status = 'filled',
+      fill_price = p_price,
+      position_id = (v_trade->'position'->>'id')::INTEGER,
+      filled_at = NOW()
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  RETURN v_trade || jsonb_build_object('order', to_jsonb(v_order));
+END;
+$$;
+
+-- Cancel a resting order and release its hold
+-- p_user_id NULL skips the ownership check (system cancels, e.g. settlement)
+CREATE OR REPLACE FUNCTION cancel_limit_order(
+  p_order_id INTEGER,
+  p_user_id TEXT,
+  p_reason TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_user users%ROWTYPE;
+BEGIN
+  SELECT * INTO v_order FROM orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found';
+  END IF;
+
+  IF p_user_id IS NOT NULL AND v_order.user_id <> p_user_id THEN
+    RAISE EXCEPTION 'Order does not belong to user';
+  END IF;
+
+  IF v_order.status <> 'open' THEN
+    RAISE EXCEPTION 'Order is not open';
+  END IF;
+
+  UPDATE orders
+  SET status = 'cancelled',
+      cancel_reason = p_reason,
+      cancelled_at = NOW()
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  UPDATE users
+  SET held_balance = GREATEST(0, held_balance - v_order.held_amount),
+      updated_at = NOW()
+  WHERE id = v_order.user_id
+  RETURNING * INTO v_user;
+
+  RETURN jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'user', to_jsonb(v_user)
+  );
+END;
+$$;
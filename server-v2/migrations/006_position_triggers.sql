@@ -0,0 +1,12 @@
+-- YesNo Cricket v2 - Stop-loss / take-profit triggers
+-- Run this in Supabase SQL Editor after 005_limit_orders.sql
+--
+-- Optional price levels (0-1 range, same as avg_price) on a position.
+-- The server closes the position when the live price for its direction
+-- falls to stop_loss or rises to take_profit.
+
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS stop_loss DECIMAL(5,4);
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS take_profit DECIMAL(5,4);
+
+CREATE INDEX IF NOT EXISTS idx_positions_triggers ON positions(status)
+  WHERE stop_loss IS NOT NULL OR take_profit IS NOT NULL;
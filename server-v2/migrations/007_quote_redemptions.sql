@@ -0,0 +1,17 @@
+-- YesNo Cricket v2 - Firm quote redemptions
+-- Run this in Supabase SQL Editor after 006_position_triggers.sql
+--
+-- Quotes themselves are signed tokens and never stored; this table only
+-- records which quote ids have been filled so each quote fills at most once,
+-- across every server instance.
+
+CREATE TABLE IF NOT EXISTS quote_redemptions (
+  quote_id TEXT PRIMARY KEY,              -- nonce embedded in the signed quote
+  user_id TEXT NOT NULL,
+  redeemed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_redemptions_redeemed ON quote_redemptions(redeemed_at);
+
+ALTER TABLE quote_redemptions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for quote_redemptions" ON quote_redemptions FOR ALL USING (true);
@@ -0,0 +1,20 @@
+-- YesNo Cricket v2 - Market maker pricing
+-- Run this in Supabase SQL Editor after 007_quote_redemptions.sql
+--
+-- Per-market pricing engine. Markets without a row use PRICING_ENGINE /
+-- PRICING_LIQUIDITY from the environment ('external' = odds feed only).
+
+CREATE TABLE IF NOT EXISTS market_pricing (
+  match_key TEXT NOT NULL,
+  market_id INTEGER NOT NULL DEFAULT 1,
+  engine TEXT NOT NULL DEFAULT 'external', -- external, lmsr, constant_product
+  liquidity DECIMAL(12,2) NOT NULL DEFAULT 500,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (match_key, market_id),
+  CONSTRAINT market_pricing_engine CHECK (engine IN ('external', 'lmsr', 'constant_product')),
+  CONSTRAINT market_pricing_liquidity CHECK (liquidity > 0)
+);
+
+ALTER TABLE market_pricing ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for market_pricing" ON market_pricing FOR ALL USING (true);
@@ -0,0 +1,21 @@
+-- YesNo Cricket v2 - Risk limit overrides
+-- Run this in Supabase SQL Editor after 008_market_pricing.sql
+--
+-- Admin overrides of the MAX_* risk limits for one user or one match.
+-- A NULL column keeps the environment default for that limit.
+
+CREATE TABLE IF NOT EXISTS risk_limit_overrides (
+  scope TEXT NOT NULL, -- user, match
+  scope_id TEXT NOT NULL, -- user id or match key
+  max_order_stake DECIMAL(12,2),
+  max_user_exposure DECIMAL(12,2),
+  max_match_liability DECIMAL(12,2),
+  max_market_liability DECIMAL(12,2),
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (scope, scope_id),
+  CONSTRAINT risk_limit_overrides_scope CHECK (scope IN ('user', 'match'))
+);
+
+ALTER TABLE risk_limit_overrides ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for risk_limit_overrides" ON risk_limit_overrides FOR ALL USING (true);
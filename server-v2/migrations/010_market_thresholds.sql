@@ -0,0 +1,17 @@
+-- YesNo Cricket v2 - Over/under market thresholds
+-- Run this in Supabase SQL Editor after 009_risk_limit_overrides.sql
+--
+-- The line of an over/under market (e.g. Powerplay Runs Over 48.5) is locked
+-- the first time it is listed, so it never moves under open positions and
+-- every instance shows the same line.
+
+CREATE TABLE IF NOT EXISTS market_thresholds (
+  match_key TEXT NOT NULL,
+  market_id INTEGER NOT NULL,
+  threshold DECIMAL(8,1) NOT NULL,
+  locked_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (match_key, market_id)
+);
+
+ALTER TABLE market_thresholds ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for market_thresholds" ON market_thresholds FOR ALL USING (true);
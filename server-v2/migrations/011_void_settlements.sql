@@ -0,0 +1,9 @@
+-- YesNo Cricket v2 - Void settlements
+-- Run this in Supabase SQL Editor after 010_market_thresholds.sql
+--
+-- settlements.winner may now be 'void' (abandoned / no-result match), and
+-- market_results records the outcome of each market settled with the match:
+-- { "<marketId>": "A" | "B" | "void" }. Voided positions get status 'void'
+-- and their cost basis refunded.
+
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS market_results JSONB NOT NULL DEFAULT '{}';
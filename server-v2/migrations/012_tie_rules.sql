@@ -0,0 +1,22 @@
+-- YesNo Cricket v2 - Tie rules per competition
+-- Run this in Supabase SQL Editor after 011_void_settlements.sql
+--
+-- How a tied match settles in each competition (league / series):
+--   super_over - ties are decided by super over; a tie result is refused
+--   void       - both sides are refunded
+--   dead_heat  - both sides are paid at half (0.5 per share)
+-- Competitions without a row use the TIE_RULE environment default.
+-- settlements records the competition and rule a tie was settled under.
+
+CREATE TABLE IF NOT EXISTS tie_rules (
+  competition TEXT PRIMARY KEY,
+  rule TEXT NOT NULL CHECK (rule IN ('super_over', 'void', 'dead_heat')),
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS competition TEXT;
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS tie_rule TEXT;
+
+ALTER TABLE tie_rules ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for tie_rules" ON tie_rules FOR ALL USING (true);
@@ -0,0 +1,32 @@
+-- YesNo Cricket v2 - Settlement reversal
+-- Run this in Supabase SQL Editor after 012_tie_rules.sql
+--
+-- A wrong settlement can be reversed: its row is kept as the audit record
+-- (reversed_at / reversed_by / reversal_reason / reversal_summary) and the
+-- match can be settled again, so match_key is only unique among settlements
+-- that have not been reversed. Users affected by a reversal are told why in
+-- notifications.
+
+ALTER TABLE settlements DROP CONSTRAINT IF EXISTS settlements_match_key_key;
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ;
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS reversed_by TEXT;
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS reversal_reason TEXT;
+ALTER TABLE settlements ADD COLUMN IF NOT EXISTS reversal_summary JSONB;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlements_active_match
+  ON settlements(match_key) WHERE reversed_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT REFERENCES users(id),
+  title TEXT NOT NULL,
+  text TEXT NOT NULL,
+  icon TEXT NOT NULL DEFAULT '📢',
+  read BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for notifications" ON notifications FOR ALL USING (true);
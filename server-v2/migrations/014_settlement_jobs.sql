@@ -0,0 +1,196 @@
+-- YesNo Cricket v2 - Resumable settlement jobs
+-- Run this in Supabase SQL Editor after 013_settlement_reversals.sql
+--
+-- A settlement runs as a job: the outcome and the positions it covers (with
+-- each one's status, cost basis and payout) are written before any money
+-- moves, then each position is settled by settle_job_position, which closes
+-- the position, moves the balance, writes the ledger and marks the item
+-- settled in one transaction. A job interrupted by a crash or a DB error is
+-- resumed from its unsettled items; a settled item is never paid again. The
+-- match is only recorded in settlements once every item is settled.
+
+CREATE TABLE IF NOT EXISTS settlement_jobs (
+  id SERIAL PRIMARY KEY,
+  match_key TEXT NOT NULL,
+  winner TEXT NOT NULL,                   -- "A", "B", "void" or "tie"
+  market_results JSONB NOT NULL DEFAULT '{}',
+  competition TEXT,
+  tie_rule TEXT,
+  settled_by TEXT,                        -- admin user_id
+  status TEXT NOT NULL DEFAULT 'running', -- running, completed
+  total_positions INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- One unfinished job per match
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlement_jobs_running
+  ON settlement_jobs(match_key) WHERE status = 'running';
+
+CREATE TABLE IF NOT EXISTS settlement_job_positions (
+  job_id INTEGER REFERENCES settlement_jobs(id),
+  position_id INTEGER REFERENCES positions(id),
+  user_id TEXT REFERENCES users(id),
+  market_id INTEGER NOT NULL,
+  direction TEXT NOT NULL,
+  quantity INTEGER NOT NULL,
+  avg_price DECIMAL(5,4) NOT NULL,
+  outcome TEXT NOT NULL,                  -- won, lost, void, tie
+  cost_basis DECIMAL(12,2) NOT NULL,
+  payout DECIMAL(12,2) NOT NULL,
+  refund BOOLEAN NOT NULL DEFAULT false,  -- payout releases the held stake
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, settled, failed, skipped
+  error TEXT,
+  settled_at TIMESTAMPTZ,
+  PRIMARY KEY (job_id, position_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_settlement_job_positions_status ON settlement_job_positions(job_id, status);
+
+ALTER TABLE settlement_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE settlement_job_positions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for settlement_jobs" ON settlement_jobs FOR ALL USING (true);
+CREATE POLICY "Server access for settlement_job_positions" ON settlement_job_positions FOR ALL USING (true);
+
+-- Write a job and its items together, so a job is never left without its
+-- positions. items: [{ position_id, user_id, market_id, direction, quantity,
+-- avg_price, outcome, cost_basis, payout, refund }]
+CREATE OR REPLACE FUNCTION create_settlement_job(
+  p_match_key TEXT,
+  p_winner TEXT,
+  p_market_results JSONB,
+  p_competition TEXT,
+  p_tie_rule TEXT,
+  p_settled_by TEXT,
+  p_items JSONB
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_job settlement_jobs%ROWTYPE;
+BEGIN
+  INSERT INTO settlement_jobs (match_key, winner, market_results, competition, tie_rule, settled_by, total_positions)
+  VALUES (p_match_key, p_winner, p_market_results, p_competition, p_tie_rule, p_settled_by, jsonb_array_length(p_items))
+  RETURNING * INTO v_job;
+
+  INSERT INTO settlement_job_positions (job_id, position_id, user_id, market_id, direction, quantity, avg_price, outcome, cost_basis, payout, refund)
+  SELECT v_job.id,
+         (i->>'position_id')::INTEGER,
+         i->>'user_id',
+         (i->>'market_id')::INTEGER,
+         i->>'direction',
+         (i->>'quantity')::INTEGER,
+         (i->>'avg_price')::DECIMAL,
+         i->>'outcome',
+         (i->>'cost_basis')::DECIMAL,
+         (i->>'payout')::DECIMAL,
+         (i->>'refund')::BOOLEAN
+  FROM jsonb_array_elements(p_items) AS i;
+
+  RETURN to_jsonb(v_job);
+END;
+$$;
+
+-- Settle one position of a job. A no-op for an item that is already settled
+-- or skipped; an item whose position is no longer open is skipped
+CREATE OR REPLACE FUNCTION settle_job_position(
+  p_job_id INTEGER,
+  p_position_id INTEGER,
+  p_description TEXT,                     -- stake (or refund) ledger row
+  p_payout_description TEXT               -- payout ledger row, if any
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item settlement_job_positions%ROWTYPE;
+  v_position positions%ROWTYPE;
+  v_user users%ROWTYPE;
+BEGIN
+  SELECT * INTO v_item FROM settlement_job_positions
+  WHERE job_id = p_job_id AND position_id = p_position_id
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Position % is not part of settlement job %', p_position_id, p_job_id;
+  END IF;
+
+  IF v_item.status IN ('settled', 'skipped') THEN
+    RETURN jsonb_build_object('item', to_jsonb(v_item), 'already_settled', true);
+  END IF;
+
+  SELECT * INTO v_position FROM positions WHERE id = p_position_id FOR UPDATE;
+  IF NOT FOUND OR v_position.status <> 'open' THEN
+    UPDATE settlement_job_positions
+    SET status = 'skipped',
+        error = 'Position is not open',
+        settled_at = NOW()
+    WHERE job_id = p_job_id AND position_id = p_position_id
+    RETURNING * INTO v_item;
+
+    RETURN jsonb_build_object('item', to_jsonb(v_item), 'already_settled', false);
+  END IF;
+
+  UPDATE positions
+  SET status = v_item.outcome,
+      closed_at = NOW()
+  WHERE id = p_position_id
+  RETURNING * INTO v_position;
+
+  IF v_item.refund THEN
+    -- The stake was only held, so release it back
+    UPDATE users
+    SET held_balance = GREATEST(0, held_balance - v_item.cost_basis),
+        updated_at = NOW()
+    WHERE id = v_item.user_id
+    RETURNING * INTO v_user;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'User not found: %', v_item.user_id;
+    END IF;
+
+    INSERT INTO transactions (user_id, type, amount, balance_after, reference_id, description)
+    VALUES (v_item.user_id, 'refund', v_item.payout, v_user.balance, p_position_id::TEXT, p_description);
+  ELSE
+    -- Take the stake (clearing its hold), then credit the payout
+    UPDATE users
+    SET balance = balance - v_item.cost_basis,
+        held_balance = GREATEST(0, held_balance - v_item.cost_basis),
+        updated_at = NOW()
+    WHERE id = v_item.user_id
+    RETURNING * INTO v_user;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'User not found: %', v_item.user_id;
+    END IF;
+
+    INSERT INTO transactions (user_id, type, amount, balance_after, reference_id, description)
+    VALUES (v_item.user_id, 'settlement', -v_item.cost_basis, v_user.balance, p_position_id::TEXT, p_description);
+
+    IF v_item.payout > 0 THEN
+      UPDATE users
+      SET balance = balance + v_item.payout,
+          updated_at = NOW()
+      WHERE id = v_item.user_id
+      RETURNING * INTO v_user;
+
+      INSERT INTO transactions (user_id, type, amount, balance_after, reference_id, description)
+      VALUES (v_item.user_id, 'settlement', v_item.payout, v_user.balance, p_position_id::TEXT, p_payout_description);
+    END IF;
+  END IF;
+
+  UPDATE settlement_job_positions
+  SET status = 'settled',
+      error = NULL,
+      settled_at = NOW()
+  WHERE job_id = p_job_id AND position_id = p_position_id
+  RETURNING * INTO v_item;
+
+  RETURN jsonb_build_object(
+    'item', to_jsonb(v_item),
+    'position', to_jsonb(v_position),
+    'user', to_jsonb(v_user),
+    'already_settled', false
+  );
+END;
+$$;
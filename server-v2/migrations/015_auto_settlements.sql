@@ -0,0 +1,25 @@
+-- YesNo Cricket v2 - Automatic settlement
+-- Run this in Supabase SQL Editor after 014_settlement_jobs.sql
+--
+-- One row per match whose feed reported a final result. A clear winner
+-- waits out the grace period as 'pending' before it is settled; ties, no
+-- results, results that don't name one team clearly and settlements that
+-- fail wait as 'review' for an admin to approve or dismiss.
+
+CREATE TABLE IF NOT EXISTS auto_settlements (
+  match_key TEXT PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, review, settled, dismissed
+  outcome TEXT,                           -- detected: "A", "B", "void", "tie" or NULL
+  status_text TEXT,                       -- feed status the result was read from
+  reason TEXT,                            -- why it is in review
+  detected_at TIMESTAMPTZ DEFAULT NOW(),
+  settle_after TIMESTAMPTZ,
+  resolved_by TEXT,                       -- 'auto' or admin user_id
+  resolved_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auto_settlements_status ON auto_settlements(status);
+
+ALTER TABLE auto_settlements ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for auto_settlements" ON auto_settlements FOR ALL USING (true);
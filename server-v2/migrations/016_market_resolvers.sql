@@ -0,0 +1,77 @@
+-- YesNo Cricket v2 - Rule-based market settlement
+-- Run this in Supabase SQL Editor after 015_auto_settlements.sql
+--
+-- Secondary markets settle from match statistics (runs, wickets, totals at
+-- overs checkpoints) entered by an admin or written by a score feed, each by
+-- its market's rule (lib/marketResolvers.js). A market can settle on its own,
+-- before the match ends: its settlement job carries the market_id and the
+-- result is recorded in market_settlements instead of settlements.
+
+CREATE TABLE IF NOT EXISTS match_stats (
+  match_key TEXT PRIMARY KEY,
+  stats JSONB NOT NULL DEFAULT '{}',
+  source TEXT,                            -- 'admin' or the feed's name
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS market_settlements (
+  id SERIAL PRIMARY KEY,
+  match_key TEXT NOT NULL,
+  market_id INTEGER NOT NULL,
+  result TEXT NOT NULL,                   -- "A", "B" or "void"
+  stats JSONB,                            -- what the result was resolved from
+  settled_by TEXT,
+  settled_at TIMESTAMPTZ DEFAULT NOW(),
+  reversed_at TIMESTAMPTZ                 -- reversed with the match's settlement
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_market_settlements_active
+  ON market_settlements(match_key, market_id) WHERE reversed_at IS NULL;
+
+ALTER TABLE match_stats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE market_settlements ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for match_stats" ON match_stats FOR ALL USING (true);
+CREATE POLICY "Server access for market_settlements" ON market_settlements FOR ALL USING (true);
+
+-- A job settles one market (market_id) or the whole match (NULL)
+ALTER TABLE settlement_jobs ADD COLUMN IF NOT EXISTS market_id INTEGER;
+
+DROP FUNCTION IF EXISTS create_settlement_job(TEXT, TEXT, JSONB, TEXT, TEXT, TEXT, JSONB);
+
+CREATE OR REPLACE FUNCTION create_settlement_job(
+  p_match_key TEXT,
+  p_winner TEXT,
+  p_market_results JSONB,
+  p_competition TEXT,
+  p_tie_rule TEXT,
+  p_settled_by TEXT,
+  p_items JSONB,
+  p_market_id INTEGER DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_job settlement_jobs%ROWTYPE;
+BEGIN
+  INSERT INTO settlement_jobs (match_key, market_id, winner, market_results, competition, tie_rule, settled_by, total_positions)
+  VALUES (p_match_key, p_market_id, p_winner, p_market_results, p_competition, p_tie_rule, p_settled_by, jsonb_array_length(p_items))
+  RETURNING * INTO v_job;
+
+  INSERT INTO settlement_job_positions (job_id, position_id, user_id, market_id, direction, quantity, avg_price, outcome, cost_basis, payout, refund)
+  SELECT v_job.id,
+         (i->>'position_id')::INTEGER,
+         i->>'user_id',
+         (i->>'market_id')::INTEGER,
+         i->>'direction',
+         (i->>'quantity')::INTEGER,
+         (i->>'avg_price')::DECIMAL,
+         i->>'outcome',
+         (i->>'cost_basis')::DECIMAL,
+         (i->>'payout')::DECIMAL,
+         (i->>'refund')::BOOLEAN
+  FROM jsonb_array_elements(p_items) AS i;
+
+  RETURN to_jsonb(v_job);
+END;
+$$;
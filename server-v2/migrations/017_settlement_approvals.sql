@@ -0,0 +1,30 @@
+-- YesNo Cricket v2 - Two-person settlement approval
+-- Run this in Supabase SQL Editor after 016_market_resolvers.sql
+--
+-- A settlement paying out more than SETTLEMENT_APPROVAL_THRESHOLD waits here
+-- as 'pending' until a second, different admin approves it (and it is
+-- settled) or rejects it. Who asked, who decided and when are kept.
+
+CREATE TABLE IF NOT EXISTS settlement_approvals (
+  id BIGSERIAL PRIMARY KEY,
+  match_key TEXT NOT NULL,
+  winner TEXT NOT NULL,                   -- "A", "B", "void" or "tie"
+  market_results JSONB NOT NULL DEFAULT '{}',
+  competition TEXT,
+  total_payout DECIMAL(12, 2) NOT NULL,   -- payouts plus refunds when requested
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, approved, rejected
+  requested_by TEXT NOT NULL,
+  requested_at TIMESTAMPTZ DEFAULT NOW(),
+  decided_by TEXT,
+  decided_at TIMESTAMPTZ,
+  reason TEXT,                            -- why it was rejected
+  job_id BIGINT REFERENCES settlement_jobs(id)
+);
+
+-- One request waiting per match
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlement_approvals_pending
+  ON settlement_approvals(match_key) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_settlement_approvals_status ON settlement_approvals(status);
+
+ALTER TABLE settlement_approvals ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for settlement_approvals" ON settlement_approvals FOR ALL USING (true);
@@ -0,0 +1,19 @@
+-- YesNo Cricket v2 - Scheduled market close times
+-- Run this in Supabase SQL Editor after 017_settlement_approvals.sql
+--
+-- Markets close for trading at the match start time the data source reports.
+-- An admin can set a different close time here, for one market or, with
+-- market_id 0, for every market of the match. closes_at NULL keeps a market
+-- open with no scheduled close.
+
+CREATE TABLE IF NOT EXISTS market_close_times (
+  match_key TEXT NOT NULL,
+  market_id INTEGER NOT NULL DEFAULT 0,
+  closes_at TIMESTAMPTZ,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (match_key, market_id)
+);
+
+ALTER TABLE market_close_times ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for market_close_times" ON market_close_times FOR ALL USING (true);
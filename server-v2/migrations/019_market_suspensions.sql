@@ -0,0 +1,21 @@
+-- YesNo Cricket v2 - Market suspensions
+-- Run this in Supabase SQL Editor after 018_market_close_times.sql
+--
+-- An admin can suspend trading on one market or, with market_id 0, on every
+-- market of a match (e.g. during a rain delay or a suspected feed problem).
+-- Resuming keeps the row with suspended = false, so it shows who resumed it.
+
+CREATE TABLE IF NOT EXISTS market_suspensions (
+  match_key TEXT NOT NULL,
+  market_id INTEGER NOT NULL DEFAULT 0,
+  suspended BOOLEAN NOT NULL DEFAULT TRUE,
+  reason TEXT,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (match_key, market_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_suspensions_suspended ON market_suspensions(match_key) WHERE suspended;
+
+ALTER TABLE market_suspensions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for market_suspensions" ON market_suspensions FOR ALL USING (true);
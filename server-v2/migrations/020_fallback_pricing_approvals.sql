@@ -0,0 +1,21 @@
+-- YesNo Cricket v2 - Fallback pricing approvals
+-- Run this in Supabase SQL Editor after 019_market_suspensions.sql
+--
+-- A market without real odds is priced by a fallback tier (its last real
+-- price, then a model of the score). Trading on a tier that isn't trusted
+-- (the model) needs an admin to allow it, for one market or, with market_id 0,
+-- every market of a match. Withdrawing keeps the row with allowed = false.
+
+CREATE TABLE IF NOT EXISTS fallback_pricing_approvals (
+  match_key TEXT NOT NULL,
+  market_id INTEGER NOT NULL DEFAULT 0,
+  allowed BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (match_key, market_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fallback_pricing_approvals_allowed ON fallback_pricing_approvals(match_key) WHERE allowed;
+
+ALTER TABLE fallback_pricing_approvals ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for fallback_pricing_approvals" ON fallback_pricing_approvals FOR ALL USING (true);
@@ -0,0 +1,92 @@
+-- YesNo Cricket v2 - Stop-loss / take-profit set with the trade
+-- Run this in Supabase SQL Editor after 020_fallback_pricing_approvals.sql
+--
+-- A buy's stop-loss and take-profit are written by execute_trade itself, so
+-- they commit with the position rather than in a second write that can fail
+-- after the trade has gone through. Callers without triggers (fill_limit_order)
+-- are unchanged.
+
+DROP FUNCTION IF EXISTS execute_trade(TEXT, TEXT, INTEGER, TEXT, INTEGER, DECIMAL, TEXT);
+
+CREATE OR REPLACE FUNCTION execute_trade(
+  p_user_id TEXT,
+  p_match_key TEXT,
+  p_market_id INTEGER,
+  p_direction TEXT,
+  p_quantity INTEGER,
+  p_price DECIMAL,                        -- 0-1 range
+  p_description TEXT,
+  p_triggers JSONB DEFAULT NULL           -- { stop_loss?, take_profit? } (0-1, null clears)
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_position positions%ROWTYPE;
+  v_cost DECIMAL(12,2);
+  v_available DECIMAL(12,2);
+  v_tx_id INTEGER;
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found: %', p_user_id;
+  END IF;
+
+  v_cost := p_quantity * p_price;
+  v_available := v_user.balance - v_user.held_balance;
+  IF v_cost > v_available THEN
+    RAISE EXCEPTION 'Insufficient balance. Available: %, Required: %', v_available, v_cost;
+  END IF;
+
+  SELECT * INTO v_position FROM positions
+  WHERE user_id = p_user_id
+    AND match_key = p_match_key
+    AND market_id = p_market_id
+    AND direction = p_direction
+    AND status = 'open'
+  ORDER BY id
+  LIMIT 1
+  FOR UPDATE;
+
+  IF FOUND THEN
+    UPDATE positions
+    SET quantity = v_position.quantity + p_quantity,
+        avg_price = (v_position.quantity * v_position.avg_price + p_quantity * p_price)
+                    / (v_position.quantity + p_quantity)
+    WHERE id = v_position.id
+    RETURNING * INTO v_position;
+  ELSE
+    INSERT INTO positions (user_id, match_key, market_id, direction, quantity, avg_price, status)
+    VALUES (p_user_id, p_match_key, p_market_id, p_direction, p_quantity, p_price, 'open')
+    RETURNING * INTO v_position;
+  END IF;
+
+  -- Only the levels given are set; a null clears one
+  IF p_triggers IS NOT NULL THEN
+    UPDATE positions
+    SET stop_loss = CASE WHEN p_triggers ? 'stop_loss'
+                         THEN (p_triggers->>'stop_loss')::DECIMAL ELSE stop_loss END,
+        take_profit = CASE WHEN p_triggers ? 'take_profit'
+                           THEN (p_triggers->>'take_profit')::DECIMAL ELSE take_profit END
+    WHERE id = v_position.id
+    RETURNING * INTO v_position;
+  END IF;
+
+  UPDATE users
+  SET held_balance = held_balance + v_cost,
+      updated_at = NOW()
+  WHERE id = p_user_id
+  RETURNING * INTO v_user;
+
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id, description)
+  VALUES (p_user_id, 'trade', -v_cost, v_user.balance, v_position.id::TEXT, p_description)
+  RETURNING id INTO v_tx_id;
+
+  RETURN jsonb_build_object(
+    'position', to_jsonb(v_position),
+    'user', to_jsonb(v_user),
+    'cost', v_cost,
+    'transaction_id', v_tx_id
+  );
+END;
+$$;
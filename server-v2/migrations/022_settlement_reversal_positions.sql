@@ -0,0 +1,92 @@
+-- YesNo Cricket v2 - Atomic settlement reversal per position
+-- Run this in Supabase SQL Editor after 021_trade_triggers.sql
+--
+-- Reversing a settlement reopens each position it closed and puts its money
+-- back. reverse_settlement_position does both, with the ledger row and the
+-- position's progress row, in one transaction, like settle_job_position: a
+-- reversal interrupted by a DB error is retried from the positions still
+-- settled, and a reversed position is never adjusted twice.
+
+CREATE TABLE IF NOT EXISTS settlement_reversal_positions (
+  settlement_id INTEGER REFERENCES settlements(id),
+  position_id INTEGER REFERENCES positions(id),
+  user_id TEXT REFERENCES users(id),
+  balance_delta DECIMAL(12,2) NOT NULL,   -- given back (+) or clawed back (-)
+  held_delta DECIMAL(12,2) NOT NULL,      -- stake held again
+  status TEXT NOT NULL DEFAULT 'reversed', -- reversed, skipped
+  error TEXT,
+  reversed_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (settlement_id, position_id)
+);
+
+ALTER TABLE settlement_reversal_positions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Server access for settlement_reversal_positions" ON settlement_reversal_positions FOR ALL USING (true);
+
+-- Reverse one position of a settlement. A no-op for a position this
+-- settlement already reversed; a position that is no longer settled is skipped
+CREATE OR REPLACE FUNCTION reverse_settlement_position(
+  p_settlement_id INTEGER,
+  p_position_id INTEGER,
+  p_balance_delta DECIMAL,
+  p_held_delta DECIMAL,
+  p_amount DECIMAL,                       -- ledger amount
+  p_description TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item settlement_reversal_positions%ROWTYPE;
+  v_position positions%ROWTYPE;
+  v_user users%ROWTYPE;
+BEGIN
+  SELECT * INTO v_position FROM positions WHERE id = p_position_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Position not found: %', p_position_id;
+  END IF;
+
+  SELECT * INTO v_item FROM settlement_reversal_positions
+  WHERE settlement_id = p_settlement_id AND position_id = p_position_id;
+  IF FOUND THEN
+    RETURN jsonb_build_object('item', to_jsonb(v_item), 'already_reversed', true);
+  END IF;
+
+  IF v_position.status NOT IN ('won', 'lost', 'void', 'tie') THEN
+    INSERT INTO settlement_reversal_positions (settlement_id, position_id, user_id, balance_delta, held_delta, status, error)
+    VALUES (p_settlement_id, p_position_id, v_position.user_id, 0, 0, 'skipped', 'Position is not settled')
+    RETURNING * INTO v_item;
+
+    RETURN jsonb_build_object('item', to_jsonb(v_item), 'already_reversed', false);
+  END IF;
+
+  UPDATE positions
+  SET status = 'open',
+      closed_at = NULL
+  WHERE id = p_position_id
+  RETURNING * INTO v_position;
+
+  UPDATE users
+  SET balance = balance + p_balance_delta,
+      held_balance = GREATEST(0, held_balance + p_held_delta),
+      updated_at = NOW()
+  WHERE id = v_position.user_id
+  RETURNING * INTO v_user;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found: %', v_position.user_id;
+  END IF;
+
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id, description)
+  VALUES (v_position.user_id, 'settlement_reversal', p_amount, v_user.balance, p_position_id::TEXT, p_description);
+
+  INSERT INTO settlement_reversal_positions (settlement_id, position_id, user_id, balance_delta, held_delta)
+  VALUES (p_settlement_id, p_position_id, v_position.user_id, p_balance_delta, p_held_delta)
+  RETURNING * INTO v_item;
+
+  RETURN jsonb_build_object(
+    'item', to_jsonb(v_item),
+    'position', to_jsonb(v_position),
+    'user', to_jsonb(v_user),
+    'already_reversed', false
+  );
+END;
+$$;
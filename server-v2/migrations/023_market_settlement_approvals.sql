@@ -0,0 +1,13 @@
+-- YesNo Cricket v2 - Approval of per-market settlements
+-- Run this in Supabase SQL Editor after 022_settlement_reversal_positions.sql
+--
+-- A secondary market settled on its own is held for a second admin like a
+-- match settlement when it would pay out more than
+-- SETTLEMENT_APPROVAL_THRESHOLD. market_id is set on those requests (the
+-- match settlement's is NULL), and one request per market waits at a time.
+
+ALTER TABLE settlement_approvals ADD COLUMN IF NOT EXISTS market_id INTEGER;
+
+DROP INDEX IF EXISTS idx_settlement_approvals_pending;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlement_approvals_pending
+  ON settlement_approvals(match_key, COALESCE(market_id, 0)) WHERE status = 'pending';
@@ -1,56 +1,647 @@
 import { Router } from 'express';
-import { settlementService, userService, marketService } from '../services/index.js';
-import { requireAdmin } from './auth.js';
+import { settlementService, settlementApprovalService, autoSettlementService, userService, marketService, pricingService, riskService } from '../services/index.js';
+import { requireAdmin, requireNamedAdmin } from './auth.js';
+import { broadcastMarketUpdate } from '../socket.js';
 import { log } from '../lib/logger.js';
+import { validateStats } from '../lib/marketResolvers.js';
 import * as state from '../lib/state.js';
+import { MARKET_TYPES, ALL_MARKETS, RISK_SCOPES, SETTLEMENT_RESULTS, AUTO_SETTLEMENT_STATUS, SETTLEMENT_APPROVAL_STATUS } from '../lib/constants.js';
 
 const router = Router();
 
+function validateSettleBody({ matchKey, winner }) {
+  if (!matchKey) {
+    return 'matchKey is required';
+  }
+
+  if (!winner || !Object.values(SETTLEMENT_RESULTS).includes(winner)) {
+    return 'winner must be "A", "B", "void" or "tie"';
+  }
+
+  return null;
+}
+
+// Settlement errors caused by the request rather than the server
+function isSettleRequestError(err) {
+  return err.message.includes('already settled') || err.message.includes('Missing result') ||
+    err.message.includes('must be "A", "B"') || err.message.includes('decided by super over') ||
+    err.message.includes('cannot be settled on its own');
+}
+
+// Respond with a settlement job's result; a job with failed positions left
+// the match unsettled and answers 500 with the failures, to be resumed
+function sendSettlementResult(res, result) {
+  const settlement = {
+    jobId: result.jobId,
+    matchKey: result.matchKey,
+    marketId: result.marketId,
+    winner: result.winner,
+    complete: result.complete,
+    totalPositions: result.totalPositions,
+    winnersCount: result.winners.length,
+    losersCount: result.losers.length,
+    voidedCount: result.voided.length,
+    tiedCount: result.tied.length,
+    skippedCount: result.skipped.length,
+    failedPositions: result.failed,
+    tieRule: result.tieRule,
+    totalPayout: result.totalPayout,
+    totalRefunded: result.totalRefunded,
+    marketResults: result.marketResults
+  };
+
+  if (!result.complete) {
+    return res.status(500).json({
+      success: false,
+      error: `Settlement incomplete: ${result.failed.length} position(s) failed, resume job ${result.jobId}`,
+      settlement
+    });
+  }
+
+  res.json({
+    success: true,
+    settlement
+  });
+}
+
+// Respond to a settle request: 202 with the request when it waits for a
+// second admin's approval, otherwise as sendSettlementResult
+function sendSettlementRequest(res, result) {
+  if (result.pending) {
+    return res.status(202).json({
+      success: true,
+      pending: true,
+      approval: result.approval
+    });
+  }
+
+  sendSettlementResult(res, result.settlement);
+}
+
 // All admin routes require admin authentication
 router.use(requireAdmin);
 
 // POST /api/admin/settle
-// Settle a match with a winner
-router.post('/settle', async (req, res) => {
+// Settle a match with a winner, void it (abandoned / no result) or tie it
+// Body: { matchKey, winner: 'A' | 'B' | 'void' | 'tie', marketResults?: { [marketId]: 'A' | 'B' | 'void' },
+//         competition? }
+// (marketResults is required for each secondary market with open positions,
+// unless the match is void; a 'void' market refunds its positions' stakes.
+// A tie settles under the competition's tie rule, see /tie-rules)
+// A settlement paying out more than SETTLEMENT_APPROVAL_THRESHOLD is held
+// instead (202 with the request) until a second admin approves it, see
+// /settlement-approvals; so the requester can't be named at will, it needs a
+// named key
+router.post('/settle', requireNamedAdmin, async (req, res) => {
   try {
-    const { matchKey, winner } = req.body;
+    const { matchKey, winner, marketResults = {}, competition } = req.body;
 
-    if (!matchKey) {
+    const invalid = validateSettleBody(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const adminUserId = req.adminUser;
+
+    const result = await settlementApprovalService.requestSettlement(matchKey, winner, adminUserId, marketResults, { competition });
+
+    if (result.pending) {
+      log.info(`[Admin] Settlement of ${matchKey} requested by ${adminUserId}, awaiting approval (request ${result.approval.id})`);
+    } else {
+      log.info(`[Admin] Match settled: ${matchKey}, winner=${winner}, by=${adminUserId}${result.settlement.complete ? '' : ' (incomplete)'}`);
+    }
+
+    sendSettlementRequest(res, result);
+  } catch (err) {
+    log.error('[Admin] POST /settle error:', err.message);
+
+    if (isSettleRequestError(err)) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('already in progress') || err.message.includes('already awaiting approval')) {
+      return res.status(409).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to settle match'
+    });
+  }
+});
+
+// POST /api/admin/settle/preview
+// Dry run of /settle: same body, nothing is written
+// Returns the affected positions, each user's payout or loss, totals and the
+// house's net P&L on the match
+router.post('/settle/preview', async (req, res) => {
+  try {
+    const { matchKey, winner, marketResults = {}, competition } = req.body;
+
+    const invalid = validateSettleBody(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const preview = await settlementService.previewSettlement(matchKey, winner, marketResults, { competition });
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (err) {
+    log.error('[Admin] POST /settle/preview error:', err.message);
+
+    if (isSettleRequestError(err)) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview settlement'
+    });
+  }
+});
+
+// POST /api/admin/settle/market
+// Settle one secondary market before the match ends; it is delisted and the
+// match settles later without it. Held for a second admin like /settle when
+// it pays out more than the approval threshold (202 with the request), so it
+// needs a named key
+// Body: { matchKey, marketId, result?: 'A' | 'B' | 'void' }
+// (without a result the market's rule decides it from the recorded match stats)
+router.post('/settle/market', requireNamedAdmin, async (req, res) => {
+  try {
+    const { matchKey, result = null } = req.body;
+    const marketId = Number(req.body.marketId);
+
+    if (!matchKey || !Number.isInteger(marketId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'matchKey and marketId are required'
+      });
+    }
+
+    const adminUserId = req.adminUser;
+
+    const requested = await settlementApprovalService.requestMarketSettlement(matchKey, marketId, adminUserId, result);
+
+    if (requested.pending) {
+      log.info(`[Admin] Settlement of ${matchKey} market ${marketId} requested by ${adminUserId}, awaiting approval (request ${requested.approval.id})`);
+    } else {
+      log.info(`[Admin] Market settled: ${matchKey} market ${marketId}, result=${requested.settlement.winner}, by=${adminUserId}${requested.settlement.complete ? '' : ' (incomplete)'}`);
+    }
+
+    sendSettlementRequest(res, requested);
+  } catch (err) {
+    log.error('[Admin] POST /settle/market error:', err.message);
+
+    if (isSettleRequestError(err)) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('already in progress') || err.message.includes('already awaiting approval')) {
+      return res.status(409).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to settle market'
+    });
+  }
+});
+
+// GET /api/admin/matches/:matchKey/stats
+// Recorded match stats and the result each secondary market's rule gives under them
+router.get('/matches/:matchKey/stats', async (req, res) => {
+  try {
+    const stats = await settlementService.getMatchStats(req.params.matchKey);
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  } catch (err) {
+    log.error('[Admin] GET /matches/:matchKey/stats error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch match stats'
+    });
+  }
+});
+
+// PUT /api/admin/matches/:matchKey/stats
+// Record match stats; merged into what is recorded, so send only what changed
+// Body: { stats: { tossWinner?, innings?: { A?: {...}, B?: {...} } } }
+router.put('/matches/:matchKey/stats', async (req, res) => {
+  try {
+    const { stats } = req.body;
+
+    try {
+      validateStats(stats);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    const adminUserId = req.adminUser;
+    const result = await settlementService.recordMatchStats(req.params.matchKey, stats, 'admin', adminUserId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (err) {
+    log.error('[Admin] PUT /matches/:matchKey/stats error:', err.message);
+
+    // The update was valid on its own but not merged into what's recorded
+    if (err.message.includes('must be')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record match stats'
+    });
+  }
+});
+
+// POST /api/admin/matches/:matchKey/settle-markets
+// Settle every secondary market the recorded stats decide; those paying out
+// more than the approval threshold are held for a second admin (pending).
+// Needs a named key
+router.post('/matches/:matchKey/settle-markets', requireNamedAdmin, async (req, res) => {
+  try {
+    const adminUserId = req.adminUser;
+    const { settled, pending } = await settlementApprovalService.requestResolvedMarkets(req.params.matchKey, adminUserId);
+
+    res.json({
+      success: true,
+      pending,
+      settled: settled.map(result => ({
+        marketId: result.marketId,
+        result: result.winner,
+        complete: result.complete,
+        jobId: result.jobId,
+        totalPositions: result.totalPositions,
+        totalPayout: result.totalPayout,
+        totalRefunded: result.totalRefunded
+      }))
+    });
+  } catch (err) {
+    log.error('[Admin] POST /matches/:matchKey/settle-markets error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to settle markets'
+    });
+  }
+});
+
+// GET /api/admin/settlement-approvals
+// Settlements held for a second admin; ?status=pending (default), approved or rejected
+router.get('/settlement-approvals', async (req, res) => {
+  try {
+    const status = req.query.status || SETTLEMENT_APPROVAL_STATUS.PENDING;
+
+    if (!Object.values(SETTLEMENT_APPROVAL_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${Object.values(SETTLEMENT_APPROVAL_STATUS).join(', ')}`
+      });
+    }
+
+    const approvals = await settlementApprovalService.listSettlementApprovals(status);
+
+    res.json({
+      success: true,
+      approvals
+    });
+  } catch (err) {
+    log.error('[Admin] GET /settlement-approvals error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settlement approvals'
+    });
+  }
+});
+
+// POST /api/admin/settlement-approvals/:id/approve
+// Approve a held settlement and run it; the approver must be a different
+// admin from the one who requested it, identified by a named key
+router.post('/settlement-approvals/:id/approve', requireNamedAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const adminUserId = req.adminUser;
+
+    const result = await settlementApprovalService.approveSettlement(id, adminUserId);
+
+    log.info(`[Admin] Settlement request ${id} approved by ${adminUserId}${result.complete ? '' : ' (incomplete)'}`);
+
+    sendSettlementResult(res, result);
+  } catch (err) {
+    log.error('[Admin] POST /settlement-approvals/:id/approve error:', err.message);
+
+    if (err.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('different admin')) {
+      return res.status(403).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (isSettleRequestError(err)) {
       return res.status(400).json({
         success: false,
-        error: 'matchKey is required'
+        error: err.message
+      });
+    }
+
+    // Decided by another admin, or a settlement already running
+    if (err.message.includes('already')) {
+      return res.status(409).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve settlement'
+    });
+  }
+});
+
+// POST /api/admin/settlement-approvals/:id/reject
+// Reject a held settlement; nothing is paid. Needs a named key
+// Body: { reason? }
+router.post('/settlement-approvals/:id/reject', requireNamedAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const adminUserId = req.adminUser;
+
+    const approval = await settlementApprovalService.rejectSettlement(id, adminUserId, req.body.reason);
+
+    res.json({
+      success: true,
+      approval
+    });
+  } catch (err) {
+    log.error('[Admin] POST /settlement-approvals/:id/reject error:', err.message);
+
+    if (err.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('already')) {
+      return res.status(409).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject settlement'
+    });
+  }
+});
+
+// GET /api/admin/settlement-jobs
+// Settlements still running: their progress and failed positions
+router.get('/settlement-jobs', async (req, res) => {
+  try {
+    const jobs = await settlementService.listSettlementJobs();
+
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (err) {
+    log.error('[Admin] GET /settlement-jobs error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settlement jobs'
+    });
+  }
+});
+
+// POST /api/admin/settlement-jobs/:jobId/resume
+// Retry a running settlement's unsettled positions; settled ones are not paid again
+router.post('/settlement-jobs/:jobId/resume', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    const result = await settlementService.resumeSettlement(jobId);
+
+    log.info(`[Admin] Settlement job resumed: ${jobId}${result.complete ? '' : ' (incomplete)'}`);
+
+    sendSettlementResult(res, result);
+  } catch (err) {
+    log.error('[Admin] POST /settlement-jobs/:jobId/resume error:', err.message);
+
+    if (err.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
       });
     }
 
-    if (!winner || !['A', 'B'].includes(winner)) {
+    if (err.message.includes('already completed')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume settlement'
+    });
+  }
+});
+
+// GET /api/admin/auto-settlements
+// Results detected in the feeds; ?status=review (default) is the review
+// queue, also pending, settled or dismissed
+router.get('/auto-settlements', async (req, res) => {
+  try {
+    const status = req.query.status || AUTO_SETTLEMENT_STATUS.REVIEW;
+
+    if (!Object.values(AUTO_SETTLEMENT_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${Object.values(AUTO_SETTLEMENT_STATUS).join(', ')}`
+      });
+    }
+
+    const autoSettlements = await autoSettlementService.listAutoSettlements(status);
+
+    res.json({
+      success: true,
+      autoSettlements
+    });
+  } catch (err) {
+    log.error('[Admin] GET /auto-settlements error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch auto settlements'
+    });
+  }
+});
+
+// POST /api/admin/auto-settlements/:matchKey/approve
+// Settle a match from the review queue; held for approval like /settle, so it
+// needs a named key
+// Body: { winner?, marketResults?, competition? } (winner defaults to the detected result)
+router.post('/auto-settlements/:matchKey/approve', requireNamedAdmin, async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+    const { winner, marketResults = {}, competition } = req.body;
+
+    if (winner && !Object.values(SETTLEMENT_RESULTS).includes(winner)) {
+      return res.status(400).json({
+        success: false,
+        error: 'winner must be "A", "B", "void" or "tie"'
+      });
+    }
+
+    const adminUserId = req.adminUser;
+
+    const result = await autoSettlementService.approveAutoSettlement(matchKey, adminUserId, { winner, marketResults, competition });
+
+    sendSettlementRequest(res, result);
+  } catch (err) {
+    log.error('[Admin] POST /auto-settlements/:matchKey/approve error:', err.message);
+
+    if (err.message.includes('not in the review queue')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (isSettleRequestError(err) || err.message.includes('winner is required')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('already in progress') || err.message.includes('already awaiting approval')) {
+      return res.status(409).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to settle match'
+    });
+  }
+});
+
+// POST /api/admin/auto-settlements/:matchKey/dismiss
+// Take a match off the review queue, to settle it by hand
+router.post('/auto-settlements/:matchKey/dismiss', async (req, res) => {
+  try {
+    const adminUserId = req.adminUser;
+
+    const autoSettlement = await autoSettlementService.dismissAutoSettlement(req.params.matchKey, adminUserId);
+
+    res.json({
+      success: true,
+      autoSettlement
+    });
+  } catch (err) {
+    log.error('[Admin] POST /auto-settlements/:matchKey/dismiss error:', err.message);
+
+    if (err.message.includes('not in the review queue')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss auto settlement'
+    });
+  }
+});
+
+// POST /api/admin/settlements/:matchKey/reverse
+// Undo a settlement: reopens its positions, posts compensating ledger entries
+// and notifies the affected users. The match can then be settled again
+// Body: { reason }
+router.post('/settlements/:matchKey/reverse', async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
       return res.status(400).json({
         success: false,
-        error: 'winner must be "A" or "B"'
+        error: 'reason is required'
       });
     }
 
-    const adminUserId = req.headers['x-admin-user'] || 'admin';
+    const adminUserId = req.adminUser;
 
-    const result = await settlementService.settleMatch(matchKey, winner, adminUserId);
+    const result = await settlementService.reverseSettlement(matchKey, adminUserId, String(reason).trim());
 
-    log.info(`[Admin] Match settled: ${matchKey}, winner=${winner}, by=${adminUserId}`);
+    log.info(`[Admin] Settlement reversed: ${matchKey}, by=${adminUserId}`);
 
     res.json({
       success: true,
-      settlement: {
-        matchKey: result.matchKey,
-        winner: result.winner,
-        totalPositions: result.totalPositions,
-        winnersCount: result.winners.length,
-        losersCount: result.losers.length,
-        totalPayout: result.totalPayout
-      }
+      reversal: result
     });
   } catch (err) {
-    log.error('[Admin] POST /settle error:', err.message);
+    log.error('[Admin] POST /settlements/:matchKey/reverse error:', err.message);
 
-    if (err.message.includes('already settled')) {
-      return res.status(400).json({
+    if (err.message.includes('not settled')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('Reversal incomplete')) {
+      return res.status(409).json({
         success: false,
         error: err.message
       });
@@ -58,7 +649,7 @@ router.post('/settle', async (req, res) => {
 
     res.status(500).json({
       success: false,
-      error: 'Failed to settle match'
+      error: 'Failed to reverse settlement'
     });
   }
 });
@@ -75,8 +666,14 @@ router.get('/settlements', async (req, res) => {
         id: s.id,
         matchKey: s.match_key,
         winner: s.winner,
+        marketResults: s.market_results || {},
+        competition: s.competition,
+        tieRule: s.tie_rule,
         settledBy: s.settled_by,
-        settledAt: s.settled_at
+        settledAt: s.settled_at,
+        reversedAt: s.reversed_at,
+        reversedBy: s.reversed_by,
+        reversalReason: s.reversal_reason
       }))
     });
   } catch (err) {
@@ -88,6 +685,55 @@ router.get('/settlements', async (req, res) => {
   }
 });
 
+// GET /api/admin/tie-rules
+// How each competition settles tied matches, and the default for the rest
+router.get('/tie-rules', async (req, res) => {
+  try {
+    const { defaultRule, rules } = await settlementService.listTieRules();
+
+    res.json({
+      success: true,
+      defaultRule,
+      rules
+    });
+  } catch (err) {
+    log.error('[Admin] GET /tie-rules error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tie rules'
+    });
+  }
+});
+
+// PUT /api/admin/tie-rules/:competition
+// Set how a competition settles ties
+// Body: { rule: 'super_over' | 'void' | 'dead_heat' }
+router.put('/tie-rules/:competition', async (req, res) => {
+  try {
+    const adminUserId = req.adminUser;
+    const tieRule = await settlementService.setTieRule(req.params.competition, req.body?.rule, adminUserId);
+
+    res.json({
+      success: true,
+      tieRule
+    });
+  } catch (err) {
+    log.error(`[Admin] PUT /tie-rules/${req.params.competition} error:`, err.message);
+
+    if (err.message.includes('Unknown tie rule')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update tie rule'
+    });
+  }
+});
+
 // POST /api/admin/refresh-markets
 // Force refresh markets from data sources
 router.post('/refresh-markets', async (req, res) => {
@@ -107,6 +753,365 @@ router.post('/refresh-markets', async (req, res) => {
   }
 });
 
+// GET /api/admin/markets/liability
+// House worst-case liability per market from open positions, with pricing engine
+router.get('/markets/liability', async (req, res) => {
+  try {
+    const markets = await pricingService.getLiabilities();
+
+    res.json({
+      success: true,
+      totalWorstCase: Math.round(markets.reduce((sum, m) => sum + Math.max(0, m.worstCase), 0) * 100) / 100,
+      markets
+    });
+  } catch (err) {
+    log.error('[Admin] GET /markets/liability error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute liability'
+    });
+  }
+});
+
+// PUT /api/admin/markets/:matchKey/pricing
+// Set a market's pricing engine
+// Body: { marketId?: number, engine: 'external' | 'lmsr' | 'constant_product', liquidity?: number }
+router.put('/markets/:matchKey/pricing', async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+    const marketId = parseInt(req.body.marketId || MARKET_TYPES.MATCH_WINNER, 10);
+    const { engine } = req.body;
+    const liquidity = Number(req.body.liquidity ?? pricingService.getConfig(matchKey, marketId).liquidity);
+
+    if (!marketService.getMarketPrices(matchKey, marketId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Market not found'
+      });
+    }
+
+    const adminUserId = req.adminUser;
+    const config = await pricingService.setConfig(matchKey, marketId, engine, liquidity, adminUserId);
+
+    res.json({
+      success: true,
+      pricing: {
+        matchKey,
+        marketId,
+        ...config,
+        prices: marketService.getMarketPrices(matchKey, marketId)
+      }
+    });
+  } catch (err) {
+    log.error(`[Admin] PUT /markets/${req.params.matchKey}/pricing error:`, err.message);
+
+    if (err.message.includes('Unknown pricing engine') || err.message.includes('Liquidity must be')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update pricing'
+    });
+  }
+});
+
+// PUT /api/admin/markets/:matchKey/close-time
+// Set when a market stops trading, instead of the match start time
+// Body: { marketId?: number (default: every market of the match), closesAt: ISO date | null }
+// (null keeps the market open with no scheduled close)
+router.put('/markets/:matchKey/close-time', async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+    const marketId = parseInt(req.body.marketId ?? ALL_MARKETS, 10);
+    const { closesAt } = req.body;
+
+    if (closesAt === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'closesAt is required (ISO date, or null for no scheduled close)'
+      });
+    }
+
+    const adminUserId = req.adminUser;
+    const market = await marketService.setMarketCloseTime(matchKey, marketId, closesAt, adminUserId);
+
+    res.json({
+      success: true,
+      market
+    });
+  } catch (err) {
+    log.error(`[Admin] PUT /markets/${req.params.matchKey}/close-time error:`, err.message);
+
+    if (err.message.includes('Market not found')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('closesAt must be')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update close time'
+    });
+  }
+});
+
+// DELETE /api/admin/markets/:matchKey/close-time?marketId=
+// Remove an admin's close time so the match start time applies again
+router.delete('/markets/:matchKey/close-time', async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+    const marketId = parseInt(req.query.marketId ?? ALL_MARKETS, 10);
+    const adminUserId = req.adminUser;
+
+    const deleted = await marketService.clearMarketCloseTime(matchKey, marketId, adminUserId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'No close time set for that market'
+      });
+    }
+
+    res.json({
+      success: true,
+      market: marketService.getMarket(matchKey)
+    });
+  } catch (err) {
+    log.error(`[Admin] DELETE /markets/${req.params.matchKey}/close-time error:`, err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove close time'
+    });
+  }
+});
+
+// GET /api/admin/markets/suspensions
+// Markets and matches suspended by an admin
+router.get('/markets/suspensions', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      suspensions: marketService.getSuspensions()
+    });
+  } catch (err) {
+    log.error('[Admin] GET /markets/suspensions error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch suspensions'
+    });
+  }
+});
+
+// POST /api/admin/market/:matchId/pause
+// Suspend or resume trading on a match (v1 path, called by the frontend's
+// setGatewayMarketSuspended); matchId is the frontend id or a matchKey
+// Body: { suspended: boolean, reason?: string, marketId?: number (default: every market of the match) }
+router.post('/market/:matchId/pause', async (req, res) => {
+  try {
+    const matchKey = marketService.resolveMatchKey(req.params.matchId);
+    const marketId = parseInt(req.body.marketId ?? ALL_MARKETS, 10);
+    const suspended = Boolean(req.body.suspended);
+    const reason = String(req.body.reason ?? '').trim();
+
+    if (!matchKey) {
+      return res.status(404).json({
+        ok: false,
+        success: false,
+        error: 'Market not found'
+      });
+    }
+
+    const adminUserId = req.adminUser;
+    const suspension = await marketService.setMarketSuspended(matchKey, marketId, suspended, reason, adminUserId);
+
+    // Clients hear of it now rather than on the next status check
+    broadcastMarketUpdate(marketService.checkTradingStatus());
+
+    res.json({
+      ok: true,
+      success: true,
+      matchId: req.params.matchId,
+      ...suspension
+    });
+  } catch (err) {
+    log.error(`[Admin] POST /market/${req.params.matchId}/pause error:`, err.message);
+
+    if (err.message.includes('Market not found')) {
+      return res.status(404).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      success: false,
+      error: 'Failed to update market suspension'
+    });
+  }
+});
+
+// GET /api/admin/markets/fallback-pricing
+// Markets priced by a fallback tier (last known price, score model, or none),
+// whether each can trade, and the matches and markets admins allowed
+router.get('/markets/fallback-pricing', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      markets: marketService.getFallbackPricedMarkets()
+    });
+  } catch (err) {
+    log.error('[Admin] GET /markets/fallback-pricing error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fallback-priced markets'
+    });
+  }
+});
+
+// PUT /api/admin/markets/:matchKey/fallback-pricing
+// Allow or stop trading on a market's fallback prices (last known, unless
+// trusted by FALLBACK_TRUST_LAST_KNOWN, or modelled)
+// Body: { allowed: boolean, marketId?: number (default: every market of the match) }
+router.put('/markets/:matchKey/fallback-pricing', async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+    const marketId = parseInt(req.body.marketId ?? ALL_MARKETS, 10);
+
+    if (typeof req.body.allowed !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'allowed is required (boolean)'
+      });
+    }
+
+    const adminUserId = req.adminUser;
+    const approval = await marketService.setFallbackPricingAllowed(matchKey, marketId, req.body.allowed, adminUserId);
+
+    // Clients hear of it now rather than on the next status check
+    broadcastMarketUpdate(marketService.checkTradingStatus());
+
+    res.json({
+      success: true,
+      ...approval
+    });
+  } catch (err) {
+    log.error(`[Admin] PUT /markets/${req.params.matchKey}/fallback-pricing error:`, err.message);
+
+    if (err.message.includes('Market not found')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fallback pricing'
+    });
+  }
+});
+
+// GET /api/admin/risk/limits
+// Default risk limits and every per-user / per-match override
+router.get('/risk/limits', async (req, res) => {
+  try {
+    const { defaults, overrides } = await riskService.listOverrides();
+
+    res.json({
+      success: true,
+      defaults,
+      overrides
+    });
+  } catch (err) {
+    log.error('[Admin] GET /risk/limits error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch risk limits'
+    });
+  }
+});
+
+// PUT /api/admin/risk/limits/:scope/:scopeId
+// Override risk limits for a user (scope "user") or match (scope "match")
+// Body: any of { maxOrderStake, maxUserExposure, maxMatchLiability, maxMarketLiability }
+// (rupees; null reverts that limit to the default)
+router.put('/risk/limits/:scope/:scopeId', async (req, res) => {
+  try {
+    const { scope, scopeId } = req.params;
+    const limits = {};
+    for (const [name, value] of Object.entries(req.body || {})) {
+      limits[name] = value === null ? null : Number(value);
+    }
+
+    const adminUserId = req.adminUser;
+    const override = await riskService.setOverride(scope, scopeId, limits, adminUserId);
+
+    res.json({
+      success: true,
+      override,
+      limits: scope === RISK_SCOPES.USER
+        ? await riskService.getLimits(scopeId, null)
+        : await riskService.getLimits(null, scopeId)
+    });
+  } catch (err) {
+    log.error(`[Admin] PUT /risk/limits/${req.params.scope}/${req.params.scopeId} error:`, err.message);
+
+    if (err.message.includes('Unknown risk') || err.message.includes('No limits given') ||
+        err.message.includes('must be a positive number') || err.message.includes('Missing scope id')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update risk limits'
+    });
+  }
+});
+
+// DELETE /api/admin/risk/limits/:scope/:scopeId
+// Remove an override so the defaults apply again
+router.delete('/risk/limits/:scope/:scopeId', async (req, res) => {
+  try {
+    const { scope, scopeId } = req.params;
+    const adminUserId = req.adminUser;
+
+    const deleted = await riskService.clearOverride(scope, scopeId, adminUserId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'No override for that user or match'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Risk limit override for ${scope} ${scopeId} removed`
+    });
+  } catch (err) {
+    log.error(`[Admin] DELETE /risk/limits/${req.params.scope}/${req.params.scopeId} error:`, err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove risk limit override'
+    });
+  }
+});
+
 // POST /api/admin/user/:userId/refresh
 // Clear user from cache, reload from DB
 router.post('/user/:userId/refresh', async (req, res) => {
@@ -182,25 +182,70 @@ export async function requireAuth(req, res, next) {
   }
 }
 
-// Middleware for admin routes (simple check for now)
+// Named admin keys from ADMIN_API_KEYS ("alice:key1,bob:key2"): Map<key, admin>
+function parseAdminKeys(raw) {
+  const keys = new Map();
+
+  for (const entry of String(raw || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) continue;
+
+    const admin = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (admin && key) {
+      keys.set(key, admin);
+    }
+  }
+
+  return keys;
+}
+
+// Middleware for admin routes
+// Sets req.adminUser: the admin a named key belongs to, so the identity can't
+// be claimed by anyone holding another key. The shared ADMIN_API_KEY is still
+// accepted, identified by the x-admin-user header (or 'admin');
+// req.adminKeyNamed tells the two apart
 export function requireAdmin(req, res, next) {
   const adminKey = req.headers['x-admin-key'];
   const expectedKey = process.env.ADMIN_API_KEY;
+  const namedKeys = parseAdminKeys(process.env.ADMIN_API_KEYS);
 
-  if (!expectedKey) {
+  if (!expectedKey && namedKeys.size === 0) {
     return res.status(500).json({
       success: false,
       error: 'Admin API key not configured'
     });
   }
 
-  if (adminKey !== expectedKey) {
+  if (adminKey && namedKeys.has(adminKey)) {
+    req.adminUser = namedKeys.get(adminKey);
+    req.adminKeyNamed = true;
+    return next();
+  }
+
+  if (!expectedKey || adminKey !== expectedKey) {
     return res.status(403).json({
       success: false,
       error: 'Admin access required'
     });
   }
 
+  req.adminUser = req.headers['x-admin-user'] || 'admin';
+  req.adminKeyNamed = false;
+  next();
+}
+
+// Middleware for admin actions that rely on who the admin is (after
+// requireAdmin): only a named key proves it, the shared key's x-admin-user
+// header can name anyone
+export function requireNamedAdmin(req, res, next) {
+  if (!req.adminKeyNamed) {
+    return res.status(403).json({
+      success: false,
+      error: 'A named admin key (ADMIN_API_KEYS) is required'
+    });
+  }
+
   next();
 }
 
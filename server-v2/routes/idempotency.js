@@ -0,0 +1,83 @@
+import { idempotencyService } from '../services/index.js';
+import { log } from '../lib/logger.js';
+import { IDEMPOTENCY } from '../lib/constants.js';
+
+// Middleware: honour an Idempotency-Key header on mutating trade routes
+// Must run after requireAuth (keys are scoped per user)
+// Requests without the header pass straight through
+export async function idempotent(req, res, next) {
+  const key = req.get(IDEMPOTENCY.HEADER);
+  if (!key) return next();
+
+  if (key.length > IDEMPOTENCY.MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      ok: false,
+      success: false,
+      error: `Idempotency-Key must be at most ${IDEMPOTENCY.MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const userId = req.userId;
+  const requestHash = idempotencyService.hashRequest(req.method, `${req.baseUrl}${req.path}`, req.body);
+
+  let claim;
+  try {
+    claim = await idempotencyService.claimKey(userId, key, requestHash);
+  } catch (err) {
+    log.error('[Idempotency] Failed to claim key:', err.message);
+    return res.status(500).json({
+      ok: false,
+      success: false,
+      error: 'Failed to process Idempotency-Key'
+    });
+  }
+
+  if (claim.status === 'replay') {
+    log.info(`[Idempotency] Replaying response for user=${userId}, key=${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.responseStatus).json(claim.responseBody);
+  }
+
+  if (claim.status === 'in_progress') {
+    return res.status(409).json({
+      ok: false,
+      success: false,
+      error: 'A request with this Idempotency-Key is still in progress'
+    });
+  }
+
+  if (claim.status === 'mismatch') {
+    return res.status(422).json({
+      ok: false,
+      success: false,
+      error: 'Idempotency-Key was already used for a different request'
+    });
+  }
+
+  // New key: persist the response before sending it, so a retry that
+  // arrives right after sees the stored result rather than "in progress"
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    // Refused before any write (account busy, price moved...): release the
+    // key so a retry executes again. A server error may have come after the
+    // trade committed: keep the key so a retry can't trade twice
+    let persist;
+    if (idempotencyService.isFinalResponse(res.statusCode)) {
+      persist = idempotencyService.saveResponse(userId, key, res.statusCode, body);
+    } else if (idempotencyService.isRetryableResponse(res.statusCode)) {
+      persist = idempotencyService.releaseKey(userId, key);
+    } else {
+      persist = idempotencyService.saveResponse(userId, key, res.statusCode, idempotencyService.outcomeUnknownResponse());
+    }
+
+    persist
+      .catch(err => log.error(`[Idempotency] Failed to store response for key=${key}:`, err.message))
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  next();
+}
+
+export default idempotent;
@@ -1,6 +1,7 @@
 import { Router } from 'express';
-import { marketService, priceHistoryService } from '../services/index.js';
+import { marketService, priceHistoryService, orderService } from '../services/index.js';
 import { log } from '../lib/logger.js';
+import { PRICING_TIERS } from '../lib/constants.js';
 
 const router = Router();
 
@@ -50,26 +51,19 @@ router.get('/markets/:matchId', async (req, res) => {
     const { matchId } = req.params;
     const allMarkets = marketService.getAllMarkets();
 
-    // Find market by eventId or index
-    let market = null;
-    let marketIndex = 0;
-
-    // Try to match by eventId first
-    for (let i = 0; i < allMarkets.length; i++) {
-      const m = allMarkets[i];
-      if (String(m.eventId) === String(matchId) || m.matchKey === matchId) {
-        market = m;
-        marketIndex = i;
-        break;
-      }
-    }
+    // Find market by eventId, the numeric id the frontend was given
+    // (see formatMarket), or matchKey
+    let market = allMarkets.find((m, i) =>
+      String(m.eventId) === String(matchId) ||
+      String(formatMarket(m, i).id) === String(matchId) ||
+      m.matchKey === matchId
+    ) || null;
 
     // Try index-based lookup (matchId as 1-based index)
     if (!market) {
       const idx = parseInt(matchId, 10);
       if (idx > 0 && idx <= allMarkets.length) {
         market = allMarkets[idx - 1];
-        marketIndex = idx - 1;
       }
     }
 
@@ -80,29 +74,13 @@ router.get('/markets/:matchId', async (req, res) => {
       });
     }
 
-    const formatted = formatMarket(market, marketIndex);
-
     res.json({
       ok: true,
-      markets: formatted.markets?.map((m, i) => ({
-        marketId: m.marketId,
-        title: m.name || 'Match Winner',
-        options: [
-          { label: m.labelA || formatted.teamAShort, price: m.priceA },
-          { label: m.labelB || formatted.teamBShort, price: m.priceB }
-        ]
-      })) || [{
-        marketId: 1,
-        title: 'Match Winner',
-        options: [
-          { label: formatted.teamAShort, price: formatted.priceA },
-          { label: formatted.teamBShort, price: formatted.priceB }
-        ]
-      }],
+      markets: marketService.toGameMarkets(market),
       tradingStatus: {
-        suspended: false,
         reason: null,
-        updatedAt: market.lastUpdated
+        updatedAt: market.lastUpdated,
+        ...marketService.getTradingStatus(market)
       }
     });
   } catch (err) {
@@ -143,6 +121,28 @@ router.get('/:matchKey', async (req, res) => {
   }
 });
 
+// GET /api/markets/:matchKey/orderbook
+// Resting limit orders aggregated by price (?marketId=1)
+router.get('/:matchKey/orderbook', async (req, res) => {
+  try {
+    const { matchKey } = req.params;
+    const marketId = parseInt(req.query.marketId || '1', 10);
+
+    const book = await orderService.getOrderBook(matchKey, marketId);
+
+    res.json({
+      success: true,
+      orderBook: book
+    });
+  } catch (err) {
+    log.error(`[Markets] GET /${req.params.matchKey}/orderbook error:`, err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch order book'
+    });
+  }
+});
+
 // GET /api/price-history/:matchKey
 // Get price history for charts
 router.get('/price-history/:matchKey', async (req, res) => {
@@ -197,11 +197,11 @@ function formatMarket(market, index) {
     time: market.timeLabel,
     isLive: market.isLive,
 
-    // Scores (defaults)
-    scoreA: '',
-    scoreB: '',
-    oversA: '',
-    oversB: '',
+    // Scores, from a score source when one has the match
+    scoreA: market.scoreA || '',
+    scoreB: market.scoreB || '',
+    oversA: market.oversA || '',
+    oversB: market.oversB || '',
     volume: '0',
 
     // Prices (as percentages 1-99)
@@ -209,6 +209,12 @@ function formatMarket(market, index) {
     priceB: market.priceB,
     labelA: market.labelA,
     labelB: market.labelB,
+    // How the Match Winner prices were arrived at (method, sources used)
+    pricing: market.pricing ?? null,
+    // Which tier priced them (feed, last_known, model, unpriced); an
+    // untrusted price doesn't trade
+    pricingTier: market.pricingTier ?? PRICING_TIERS.FEED,
+    priceTrusted: market.priceTrusted ?? true,
 
     // Markets array for multi-market support
     markets: market.markets?.map(m => ({
@@ -217,7 +223,10 @@ function formatMarket(market, index) {
       labelA: m.labelA,
       labelB: m.labelB,
       priceA: m.priceA,
-      priceB: m.priceB
+      priceB: m.priceB,
+      pricing: m.pricing ?? null,
+      pricingTier: m.pricingTier ?? PRICING_TIERS.FEED,
+      priceTrusted: marketService.isPriceTrusted(market.matchKey, m.marketId, m.pricingTier)
     })) || [],
 
     // Metadata
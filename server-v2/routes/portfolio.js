@@ -26,6 +26,9 @@ router.get('/', requireAuth, async (req, res) => {
     // Get recent transactions
     const transactions = await userService.getUserTransactions(userId, 20);
 
+    // Get notifications (e.g., settlement corrections)
+    const notifications = await userService.getUserNotifications(userId, 20);
+
     res.json({
       success: true,
       portfolio: {
@@ -37,7 +40,8 @@ router.get('/', requireAuth, async (req, res) => {
           availableBalance: user.balance - user.heldBalance
         },
         positions: positions.map(formatPosition),
-        transactions: transactions.map(formatTransaction)
+        transactions: transactions.map(formatTransaction),
+        notifications: notifications.map(formatNotification)
       }
     });
   } catch (err) {
@@ -141,6 +145,8 @@ function formatPosition(pos) {
     direction: pos.direction,
     quantity: pos.quantity,
     avgPrice: pos.avgPrice,
+    stopLoss: pos.stopLoss ?? null,
+    takeProfit: pos.takeProfit ?? null,
     currentPrice: pos.currentPrice,
     unrealizedPnl: pos.unrealizedPnl,
     status: pos.status,
@@ -160,4 +166,15 @@ function formatTransaction(tx) {
   };
 }
 
+function formatNotification(n) {
+  return {
+    id: n.id,
+    title: n.title,
+    text: n.text,
+    icon: n.icon,
+    read: n.read,
+    createdAt: n.created_at
+  };
+}
+
 export default router;
@@ -1,8 +1,9 @@
 import { Router } from 'express';
-import { tradingService, userService, marketService } from '../services/index.js';
+import { tradingService, orderService, quoteService, userService, marketService, riskService } from '../services/index.js';
 import { requireAuth } from './auth.js';
+import { idempotent } from './idempotency.js';
 import { log } from '../lib/logger.js';
-import { MARKET_TYPES } from '../lib/constants.js';
+import { MARKET_TYPES, ORDER_STATUS, SLIPPAGE, ERROR_CODES } from '../lib/constants.js';
 
 const router = Router();
 
@@ -17,24 +18,69 @@ const router = Router();
  * Server expects: { matchKey, direction, quantity, marketId }
  */
 function normalizeTradeRequest(body) {
+  // Limit orders carry a limitPrice (1-99); market orders omit it
+  const limitPrice = body.limitPrice != null ? Number(body.limitPrice) : null;
+  const triggers = parseTriggers(body);
+  const quote = parseQuote(body);
+
+  const quoteError = validateQuote(quote);
+  if (quoteError) {
+    throw new Error(quoteError);
+  }
+
+  const { matchKey, marketId, direction, marketData } = resolveOrderTarget(body);
+
+  if (!marketData) {
+    // Legacy format - return as-is
+    return {
+      matchKey,
+      marketId,
+      direction,
+      quantity: parseInt(body.quantity, 10),
+      limitPrice,
+      triggers,
+      quote
+    };
+  }
+
+  // Calculate quantity from amount and price (the limit for limit orders,
+  // otherwise the price the user was quoted, falling back to the live price)
+  const { matchId, side, amount } = body;
+  const price = limitPrice ?? quote?.quotedPrice ?? (direction === 'A' ? marketData.priceA : marketData.priceB);
+  const quantity = Math.floor(amount / (price / 100));
+
+  if (quantity <= 0) {
+    throw new Error(`Amount too small. Minimum: Rs ${(price / 100).toFixed(2)}`);
+  }
+
+  log.info(`[Trading] Normalized request: matchId=${matchId} -> matchKey=${matchKey}, side=${side} -> direction=${direction}, amount=${amount} -> quantity=${quantity}`);
+
+  return { matchKey, marketId, direction, quantity, limitPrice, triggers, quote };
+}
+
+/**
+ * Resolve which match, market and side a request targets
+ * Legacy format names them directly ({ matchKey, marketId, direction });
+ * frontend format ({ matchId, side, optionLabel }) is resolved against the
+ * live market, which is returned as marketData (null for legacy requests)
+ */
+function resolveOrderTarget(body) {
   // Detect format: frontend has 'side' and 'amount'
   const isFrontendFormat = 'side' in body || 'amount' in body;
 
   if (!isFrontendFormat) {
-    // Legacy format - return as-is
     return {
       matchKey: body.matchKey,
       marketId: body.marketId || MARKET_TYPES.MATCH_WINNER,
       direction: body.direction,
-      quantity: parseInt(body.quantity, 10)
+      marketData: null
     };
   }
 
-  // Frontend format - transform
-  const { matchId, matchKey: providedKey, marketId = MARKET_TYPES.MATCH_WINNER, side, amount, optionLabel } = body;
+  const { matchId, matchKey: providedKey, marketId = MARKET_TYPES.MATCH_WINNER, side, optionLabel } = body;
 
   // 1. Resolve matchKey from matchId or use provided
-  const matchKey = providedKey || resolveMatchKey(matchId);
+  const matchKey = providedKey || marketService.resolveMatchKey(matchId);
   if (!matchKey) {
     throw new Error(`Match not found for matchId: ${matchId}`);
   }
@@ -50,53 +96,94 @@ function normalizeTradeRequest(body) {
   // 3. Resolve direction from side + optionLabel
   const direction = resolveDirection(side, optionLabel, marketData);
 
-  // 4. Calculate quantity from amount and price
-  const price = direction === 'A' ? marketData.priceA : marketData.priceB;
-  const quantity = Math.floor(amount / (price / 100));
-
-  if (quantity <= 0) {
-    throw new Error(`Amount too small. Minimum: Rs ${(price / 100).toFixed(2)}`);
-  }
-
-  log.info(`[Trading] Normalized request: matchId=${matchId} -> matchKey=${matchKey}, side=${side} -> direction=${direction}, amount=${amount} -> quantity=${quantity}`);
+  return { matchKey, marketId, direction, marketData };
+}
 
-  return { matchKey, marketId, direction, quantity };
+/**
+ * Read optional stopLoss / takeProfit (1-99, null clears) from a request body
+ * Returns null when neither is present
+ */
+function parseTriggers(body) {
+  if (!('stopLoss' in body) && !('takeProfit' in body)) return null;
+
+  const parse = (value) => (value === undefined ? undefined : value === null ? null : Number(value));
+  return {
+    stopLoss: parse(body.stopLoss),
+    takeProfit: parse(body.takeProfit)
+  };
 }
 
 /**
- * Resolve matchKey from matchId (which might be eventId or index)
- *
- * NOTE: The numeric `id` sent to frontend is truncated from the original eventId
- * (first 9 digits only, see formatMarket in markets.js). So we need to apply
- * the same truncation when comparing eventId to matchId.
+ * Read optional slippage protection from a request body:
+ * quotedPrice (1-99, the price the user saw) and maxSlippage (points)
+ * Returns null when no quotedPrice is sent
  */
-function resolveMatchKey(matchId) {
-  if (typeof matchId === 'string' && matchId.includes('-')) {
-    return matchId; // Already a matchKey
-  }
+function parseQuote(body) {
+  if (body.quotedPrice == null) return null;
 
-  const allMarkets = marketService.getAllMarkets();
+  return {
+    quotedPrice: Number(body.quotedPrice),
+    maxSlippage: body.maxSlippage != null ? Number(body.maxSlippage) : SLIPPAGE.DEFAULT_TOLERANCE
+  };
+}
 
-  // Try matching against truncated eventId (same logic as formatMarket)
-  const byEventId = allMarkets.find(m => {
-    if (m.eventId) {
-      // Apply same truncation as formatMarket: first 9 digits
-      const truncatedEventId = parseInt(String(m.eventId).replace(/\D/g, '').slice(0, 9), 10);
-      if (truncatedEventId == matchId) return true;
-    }
-    return m.matchKey == matchId;
-  });
-  if (byEventId) return byEventId.matchKey;
+// Returns an error message for an out-of-range quote, or null
+function validateQuote(quote) {
+  if (!quote) return null;
+
+  if (!Number.isFinite(quote.quotedPrice) || quote.quotedPrice < 1 || quote.quotedPrice > 99) {
+    return 'quotedPrice must be between 1 and 99';
+  }
 
-  // Try index-based (for mock data, matchId starts at 1)
-  const idx = parseInt(matchId, 10);
-  if (idx > 0 && idx <= allMarkets.length) {
-    return allMarkets[idx - 1]?.matchKey;
+  if (!Number.isFinite(quote.maxSlippage) || quote.maxSlippage < 0 || quote.maxSlippage > SLIPPAGE.MAX_TOLERANCE) {
+    return `maxSlippage must be between 0 and ${SLIPPAGE.MAX_TOLERANCE}`;
   }
 
   return null;
 }
 
+// 409 with the fresh price so the client can re-quote
+function sendPriceMoved(res, err) {
+  return res.status(409).json({
+    ok: false,
+    success: false,
+    code: err.code,
+    error: err.message,
+    quotedPrice: err.quotedPrice,
+    currentPrice: err.currentPrice,
+    maxSlippage: err.maxSlippage
+  });
+}
+
+// 409 with the limit that was hit and the exposure the trade would have reached
+function sendRiskLimit(res, err) {
+  return res.status(409).json({
+    ok: false,
+    success: false,
+    code: err.code,
+    error: err.message,
+    limit: err.limit,
+    exposure: err.exposure
+  });
+}
+
+// 409 while the market is suspended, without a trusted price, or once it has
+// passed its scheduled close
+function sendMarketHalted(res, err) {
+  return res.status(409).json({
+    ok: false,
+    success: false,
+    code: err.code,
+    error: err.message,
+    closesAt: err.closesAt,
+    pricingTier: err.pricingTier
+  });
+}
+
+function isMarketHalted(err) {
+  return [ERROR_CODES.MARKET_CLOSED, ERROR_CODES.MARKET_SUSPENDED, ERROR_CODES.PRICE_UNTRUSTED].includes(err.code);
+}
+
 /**
  * Resolve direction ('A' or 'B') from side ('yes'/'no') and optionLabel
  */
@@ -123,6 +210,13 @@ async function handleExecuteTrade(req, res) {
 
     log.info(`[Trading] Received trade request: userId=${userId}, body=${JSON.stringify(req.body)}`);
 
+    // Firm quote: the signed quote fixes match, side, shares and price
+    if (req.body.quoteId) {
+      const result = await quoteService.executeQuote(userId, req.body.quoteId, parseTriggers(req.body));
+      log.info(`[Trading] Quote filled: user=${userId}, match=${result.matchKey}, dir=${result.direction}, qty=${result.quantity}`);
+      return sendTradeResult(res, result);
+    }
+
     // Normalize request to internal format (handles frontend format conversion)
     let normalized;
     try {
@@ -136,7 +230,7 @@ async function handleExecuteTrade(req, res) {
       });
     }
 
-    const { matchKey, marketId, direction, quantity } = normalized;
+    const { matchKey, marketId, direction, quantity, limitPrice, triggers, quote } = normalized;
 
     // Validate normalized values
     if (!matchKey || !direction || !['A', 'B'].includes(direction)) {
@@ -155,61 +249,50 @@ async function handleExecuteTrade(req, res) {
       });
     }
 
+    if (limitPrice !== null) {
+      return await handlePlaceLimitOrder(req, res, { matchKey, marketId, direction, quantity, limitPrice });
+    }
+
     // Execute trade
     const result = await tradingService.executeTrade(
       userId,
       matchKey,
       marketId,
       direction,
-      quantity
+      quantity,
+      triggers,
+      quote
     );
 
     log.info(`[Trading] Trade executed: user=${userId}, match=${matchKey}, dir=${direction}, qty=${quantity}`);
 
-    // Get match info for response
-    const match = marketService.getMarket(matchKey);
-    const marketData = match?.markets?.find(m => m.marketId === marketId) || {};
-    const marketTitle = marketData.name || 'Match Winner';
-    const optionLabel = direction === 'A' ? (marketData.labelA || 'A') : (marketData.labelB || 'B');
-
-    // Return format expected by frontend (backend.ts:542-547)
-    res.json({
-      ok: true,
-      order: {
-        position: {
-          id: result.positionId,
-          matchId: match?.eventId || matchKey,
-          matchKey: result.matchKey,
-          marketId: result.marketId,
-          marketTitle: marketTitle,
-          optionLabel: optionLabel,
-          side: direction === 'A' ? 'yes' : 'no',
-          shares: result.quantity,
-          avgPrice: result.avgPrice,
-          stake: result.cost,
-          isLive: match?.isLive ?? true,
-          openedAt: new Date().toISOString()
-        },
-        balance: result.newBalance
-      },
-      // Also include legacy format for backwards compatibility
-      success: true,
-      trade: {
-        positionId: result.positionId,
-        matchKey: result.matchKey,
-        marketId: result.marketId,
-        direction: result.direction,
-        quantity: result.quantity,
-        avgPrice: result.avgPrice,
-        cost: result.cost
-      },
-      newBalance: result.newBalance
-    });
+    sendTradeResult(res, result);
   } catch (err) {
     log.error('[Trading] Execute trade error:', err.message);
 
+    if (err.code === ERROR_CODES.PRICE_MOVED) {
+      return sendPriceMoved(res, err);
+    }
+
+    if (riskService.isLimitError(err)) {
+      return sendRiskLimit(res, err);
+    }
+
+    if (isMarketHalted(err)) {
+      return sendMarketHalted(res, err);
+    }
+
+    if (err.code === ERROR_CODES.QUOTE_EXPIRED || err.message.includes('Quote already used')) {
+      return res.status(409).json({
+        ok: false,
+        success: false,
+        code: err.code,
+        error: err.message
+      });
+    }
+
     // Return specific error messages for known error types
-    if (err.message.includes('Insufficient balance')) {
+    if (err.message.includes('Insufficient balance') || err.message.includes('Invalid quote') || err.message.includes('already settled')) {
       return res.status(400).json({
         ok: false,
         success: false,
@@ -225,6 +308,22 @@ async function handleExecuteTrade(req, res) {
       });
     }
 
+    if (err.message.includes('Account busy') || err.message.includes('Market busy')) {
+      return res.status(409).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('Invalid trigger')) {
+      return res.status(400).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
     res.status(500).json({
       ok: false,
       success: false,
@@ -233,13 +332,109 @@ async function handleExecuteTrade(req, res) {
   }
 }
 
+// Respond to a filled market order in the shape the frontend expects
+function sendTradeResult(res, result) {
+  // Get match info for response
+  const match = marketService.getMarket(result.matchKey);
+  const marketData = match?.markets?.find(m => m.marketId === result.marketId) || {};
+  const marketTitle = marketData.name || 'Match Winner';
+  const optionLabel = result.direction === 'A' ? (marketData.labelA || 'A') : (marketData.labelB || 'B');
+
+  // Return format expected by frontend (backend.ts:542-547)
+  res.json({
+    ok: true,
+    order: {
+      position: {
+        id: result.positionId,
+        matchId: match?.eventId || result.matchKey,
+        matchKey: result.matchKey,
+        marketId: result.marketId,
+        marketTitle: marketTitle,
+        optionLabel: optionLabel,
+        side: result.direction === 'A' ? 'yes' : 'no',
+        shares: result.quantity,
+        avgPrice: result.avgPrice,
+        stopLoss: result.stopLoss,
+        takeProfit: result.takeProfit,
+        stake: result.cost,
+        isLive: match?.isLive ?? true,
+        openedAt: new Date().toISOString()
+      },
+      balance: result.newBalance
+    },
+    // Also include legacy format for backwards compatibility
+    success: true,
+    trade: {
+      positionId: result.positionId,
+      matchKey: result.matchKey,
+      marketId: result.marketId,
+      direction: result.direction,
+      quantity: result.quantity,
+      avgPrice: result.avgPrice,
+      cost: result.cost
+    },
+    newBalance: result.newBalance
+  });
+}
+
+// Place a limit order (called from handleExecuteTrade when limitPrice is set)
+async function handlePlaceLimitOrder(req, res, { matchKey, marketId, direction, quantity, limitPrice }) {
+  const userId = req.userId;
+
+  if (!Number.isFinite(limitPrice) || limitPrice < 1 || limitPrice > 99) {
+    return res.status(400).json({
+      ok: false,
+      success: false,
+      error: 'limitPrice must be between 1 and 99'
+    });
+  }
+
+  const result = await orderService.placeLimitOrder(userId, matchKey, marketId, direction, quantity, limitPrice);
+
+  log.info(`[Trading] Limit order ${result.order.id} ${result.order.status}: user=${userId}, match=${matchKey}, dir=${direction}, qty=${quantity}, limit=${limitPrice}`);
+
+  res.json({
+    ok: true,
+    success: true,
+    limitOrder: formatOrder(result.order),
+    position: result.position ? {
+      id: result.position.dbId,
+      matchKey: result.position.matchKey,
+      marketId: result.position.marketId,
+      direction: result.position.direction,
+      quantity: result.position.quantity,
+      avgPrice: result.position.avgPrice
+    } : null,
+    newBalance: result.balance
+  });
+}
+
+function formatOrder(order) {
+  return {
+    id: order.id,
+    matchKey: order.matchKey,
+    marketId: order.marketId,
+    direction: order.direction,
+    quantity: order.quantity,
+    limitPrice: order.limitPrice,
+    heldAmount: order.heldAmount,
+    status: order.status,
+    fillPrice: order.fillPrice,
+    positionId: order.positionId,
+    cancelReason: order.cancelReason,
+    createdAt: order.createdAt,
+    filledAt: order.filledAt,
+    cancelledAt: order.cancelledAt
+  };
+}
+
 // POST /api/trade
 // Execute a trade (buy position) - legacy endpoint
-router.post('/', requireAuth, handleExecuteTrade);
+router.post('/', requireAuth, idempotent, handleExecuteTrade);
 
 // POST /api/trade/close
 // Close a position (sell) - body contains positionId
-router.post('/close', requireAuth, async (req, res) => {
+router.post('/close', requireAuth, idempotent, async (req, res) => {
   try {
     const userId = req.userId;
     const { positionId, quantity, shares } = req.body; // Accept both 'quantity' and 'shares'
@@ -269,8 +464,17 @@ router.post('/close', requireAuth, async (req, res) => {
       });
     }
 
+    const quote = parseQuote(req.body);
+    const quoteError = validateQuote(quote);
+    if (quoteError) {
+      return res.status(400).json({
+        success: false,
+        error: quoteError
+      });
+    }
+
     // Close position
-    const result = await tradingService.closePosition(userId, posId, qty);
+    const result = await tradingService.closePosition(userId, posId, qty, null, quote);
 
     log.info(`[Trading] Position closed: user=${userId}, posId=${posId}, qty=${result.closedQuantity}`);
 
@@ -288,6 +492,14 @@ router.post('/close', requireAuth, async (req, res) => {
   } catch (err) {
     log.error('[Trading] POST /close error:', err.message);
 
+    if (err.code === ERROR_CODES.PRICE_MOVED) {
+      return sendPriceMoved(res, err);
+    }
+
+    if (isMarketHalted(err)) {
+      return sendMarketHalted(res, err);
+    }
+
     if (err.message.includes('Position not found')) {
       return res.status(404).json({
         success: false,
@@ -309,6 +521,13 @@ router.post('/close', requireAuth, async (req, res) => {
       });
     }
 
+    if (err.message.includes('Account busy')) {
+      return res.status(409).json({
+        success: false,
+        error: err.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to close position'
@@ -318,7 +537,7 @@ router.post('/close', requireAuth, async (req, res) => {
 
 // POST /api/trades/positions/:positionId/close
 // Close a position (sell) - positionId in URL (frontend-compatible)
-router.post('/positions/:positionId/close', requireAuth, async (req, res) => {
+router.post('/positions/:positionId/close', requireAuth, idempotent, async (req, res) => {
   try {
     const userId = req.userId;
     const { positionId } = req.params;
@@ -344,8 +563,17 @@ router.post('/positions/:positionId/close', requireAuth, async (req, res) => {
       });
     }
 
+    const quote = parseQuote(req.body);
+    const quoteError = validateQuote(quote);
+    if (quoteError) {
+      return res.status(400).json({
+        success: false,
+        error: quoteError
+      });
+    }
+
     // Close position
-    const result = await tradingService.closePosition(userId, posId, qty);
+    const result = await tradingService.closePosition(userId, posId, qty, null, quote);
 
     log.info(`[Trading] Position closed: user=${userId}, posId=${posId}, qty=${result.closedQuantity}`);
 
@@ -363,6 +591,14 @@ router.post('/positions/:positionId/close', requireAuth, async (req, res) => {
   } catch (err) {
     log.error('[Trading] POST /positions/:positionId/close error:', err.message);
 
+    if (err.code === ERROR_CODES.PRICE_MOVED) {
+      return sendPriceMoved(res, err);
+    }
+
+    if (isMarketHalted(err)) {
+      return sendMarketHalted(res, err);
+    }
+
     if (err.message.includes('Position not found')) {
       return res.status(404).json({
         success: false,
@@ -384,6 +620,13 @@ router.post('/positions/:positionId/close', requireAuth, async (req, res) => {
       });
     }
 
+    if (err.message.includes('Account busy')) {
+      return res.status(409).json({
+        success: false,
+        error: err.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to close position'
@@ -391,9 +634,226 @@ router.post('/positions/:positionId/close', requireAuth, async (req, res) => {
   }
 });
 
+// PUT /api/trades/positions/:positionId/triggers
+// Set or clear stop-loss / take-profit on an open position
+// Body: { stopLoss?: 1-99 | null, takeProfit?: 1-99 | null }
+router.put('/positions/:positionId/triggers', requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const posId = parseInt(req.params.positionId, 10);
+    if (isNaN(posId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid positionId'
+      });
+    }
+
+    const triggers = parseTriggers(req.body);
+    if (!triggers) {
+      return res.status(400).json({
+        success: false,
+        error: 'stopLoss or takeProfit is required'
+      });
+    }
+
+    const position = await tradingService.setPositionTriggers(userId, posId, triggers.stopLoss, triggers.takeProfit);
+
+    res.json({
+      success: true,
+      position: {
+        id: position.dbId,
+        matchKey: position.matchKey,
+        marketId: position.marketId,
+        direction: position.direction,
+        quantity: position.quantity,
+        avgPrice: position.avgPrice,
+        stopLoss: position.stopLoss,
+        takeProfit: position.takeProfit,
+        status: position.status
+      }
+    });
+  } catch (err) {
+    log.error('[Trading] PUT /positions/:positionId/triggers error:', err.message);
+
+    if (err.message.includes('Position not found') || err.message.includes('Market not found')) {
+      return res.status(404).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('does not belong to user')) {
+      return res.status(403).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('not open') || err.message.includes('Invalid trigger')) {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update triggers'
+    });
+  }
+});
+
+// POST /api/trades/quote
+// Firm quote for a buy: exact shares, price, cost and payout, plus a signed
+// quoteId that POST /orders fills at exactly these terms until it expires
+// Body: { matchId | matchKey, marketId?, side, optionLabel, amount } or
+//       { matchKey, marketId?, direction, amount }
+router.post('/quote', requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const amount = Number(req.body.amount);
+
+    let target;
+    try {
+      target = req.body.direction
+        ? { matchKey: req.body.matchKey, marketId: req.body.marketId || MARKET_TYPES.MATCH_WINNER, direction: req.body.direction }
+        : resolveOrderTarget(req.body);
+    } catch (err) {
+      return res.status(400).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    const quote = await quoteService.createQuote(userId, target.matchKey, target.marketId, target.direction, amount);
+
+    res.json({
+      ok: true,
+      success: true,
+      quote
+    });
+  } catch (err) {
+    log.error('[Trading] POST /quote error:', err.message);
+
+    if (isMarketHalted(err)) {
+      return sendMarketHalted(res, err);
+    }
+
+    if (err.message.includes('Market not found')) {
+      return res.status(404).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('Missing required') || err.message.includes('must be') ||
+        err.message.includes('too small') || err.message.includes('already settled')) {
+      return res.status(400).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      success: false,
+      error: 'Failed to create quote'
+    });
+  }
+});
+
 // POST /api/trades/orders
 // Execute a trade (buy position) - frontend endpoint
-router.post('/orders', requireAuth, handleExecuteTrade);
+router.post('/orders', requireAuth, idempotent, handleExecuteTrade);
+
+// GET /api/trades/orders
+// List the user's limit orders (?status=open|filled|cancelled|all, default open)
+router.get('/orders', requireAuth, async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null : (req.query.status || ORDER_STATUS.OPEN);
+    const orders = await orderService.getUserOrders(req.userId, status);
+
+    res.json({
+      ok: true,
+      success: true,
+      orders: orders.map(formatOrder)
+    });
+  } catch (err) {
+    log.error('[Trading] GET /orders error:', err.message);
+    res.status(500).json({
+      ok: false,
+      success: false,
+      error: 'Failed to fetch orders'
+    });
+  }
+});
+
+// DELETE /api/trades/orders/:orderId
+// Cancel a resting limit order and release its held balance
+router.delete('/orders/:orderId', requireAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.orderId, 10);
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        ok: false,
+        success: false,
+        error: 'Invalid orderId'
+      });
+    }
+
+    const result = await orderService.cancelOrder(req.userId, orderId);
+
+    res.json({
+      ok: true,
+      success: true,
+      order: formatOrder(result.order),
+      newBalance: result.balance
+    });
+  } catch (err) {
+    log.error('[Trading] DELETE /orders/:orderId error:', err.message);
+
+    if (err.message.includes('Order not found')) {
+      return res.status(404).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('does not belong to user')) {
+      return res.status(403).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('not open')) {
+      return res.status(400).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    if (err.message.includes('Account busy')) {
+      return res.status(409).json({
+        ok: false,
+        success: false,
+        error: err.message
+      });
+    }
+
+    res.status(500).json({
+      ok: false,
+      success: false,
+      error: 'Failed to cancel order'
+    });
+  }
+});
 
 // GET /api/positions
 // Get user's positions
@@ -411,6 +871,8 @@ router.get('/positions', requireAuth, async (req, res) => {
         direction: pos.direction,
         quantity: pos.quantity,
         avgPrice: pos.avgPrice,
+        stopLoss: pos.stopLoss ?? null,
+        takeProfit: pos.takeProfit ?? null,
         currentPrice: pos.currentPrice,
         unrealizedPnl: pos.unrealizedPnl,
         status: pos.status,
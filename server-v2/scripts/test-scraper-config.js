@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Try a scraper site config on a saved page, without fetching anything:
+//
+//   npm run scraper:test -- <config.json> <page.html|page.json> [site name]
+//
+// The config file holds one site's config or an array of them (as in
+// ODDS_SCRAPER_SITES_JSON); with several, name the site to use. Prints the
+// validated config and the odds pairs read from the page
+import { readFile } from 'fs/promises';
+import { loadSiteConfigs, parseSitePage } from '../datasources/scraper.js';
+
+async function main() {
+  const [configPath, pagePath, siteName] = process.argv.slice(2);
+  if (!configPath || !pagePath) {
+    console.error('Usage: npm run scraper:test -- <config.json> <saved page> [site name]');
+    process.exit(2);
+  }
+
+  const { sites, errors } = loadSiteConfigs(await readFile(configPath, 'utf8'));
+  for (const error of errors) {
+    console.error(`Invalid config ${error}`);
+  }
+  if (errors.length > 0) {
+    process.exit(1);
+  }
+
+  const site = siteName ? sites.find(s => s.name === siteName) : sites[0];
+  if (!site || (!siteName && sites.length > 1)) {
+    console.error(siteName
+      ? `No site "${siteName}" in ${configPath}`
+      : `${configPath} has ${sites.length} sites; name one of: ${sites.map(s => s.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log('Site config:');
+  console.log(JSON.stringify(site, null, 2));
+
+  const pairs = parseSitePage(site, await readFile(pagePath, 'utf8'));
+
+  console.log(`\n${pairs.length} odds pairs from ${pagePath}:`);
+  if (pairs.length > 0) {
+    console.table(pairs);
+  } else {
+    console.log(site.format === 'json'
+      ? `Nothing at "${site.eventsPath}" with both teams and odds; check the paths`
+      : `No "${site.eventSelector}" rows with both teams and odds; check the selectors`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
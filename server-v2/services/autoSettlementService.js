@@ -0,0 +1,246 @@
+import * as db from '../db/index.js';
+import * as state from '../lib/state.js';
+import { log } from '../lib/logger.js';
+import { AUTO_SETTLEMENT, AUTO_SETTLEMENT_STATUS } from '../lib/constants.js';
+import { parseMatchResult } from '../lib/matchResult.js';
+import * as settlementService from './settlementService.js';
+import * as settlementApprovalService from './settlementApprovalService.js';
+
+let workerInterval = null;
+let running = false;
+
+function mapRow(row) {
+  return {
+    matchKey: row.match_key,
+    status: row.status,
+    outcome: row.outcome,
+    statusText: row.status_text,
+    reason: row.reason,
+    detectedAt: row.detected_at,
+    settleAfter: row.settle_after,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at
+  };
+}
+
+// Check every listed match for a final result in its feed status. A clear
+// winner is settled once it has stood for the grace period; anything else
+// goes to the review queue. Returns the settlements made
+export async function runAutoSettlement(now = Date.now()) {
+  const markets = state.getAllMarkets();
+  const rows = new Map(
+    (await db.getAutoSettlements(markets.map(m => m.matchKey))).map(row => [row.match_key, row])
+  );
+  const settled = [];
+
+  for (const market of markets) {
+    const row = rows.get(market.matchKey);
+
+    // In review, settled or dismissed: up to the admin now
+    if (row && row.status !== AUTO_SETTLEMENT_STATUS.PENDING) continue;
+
+    try {
+      const result = parseMatchResult(market.statusText, market);
+
+      if (!result) {
+        // The feed took the result back before the grace period ran out
+        if (row) {
+          await db.deleteAutoSettlement(market.matchKey);
+          log.warn(`[AutoSettlement] Result for ${market.matchKey} withdrawn by the feed: "${market.statusText}"`);
+        }
+        continue;
+      }
+
+      // Settled by hand already
+      if (!row && await settlementService.isMatchSettled(market.matchKey)) continue;
+
+      if (result.ambiguous) {
+        await sendToReview(market, result.outcome, result.reason);
+        continue;
+      }
+
+      if (!row) {
+        await db.upsertAutoSettlement({
+          match_key: market.matchKey,
+          status: AUTO_SETTLEMENT_STATUS.PENDING,
+          outcome: result.outcome,
+          status_text: market.statusText,
+          reason: null,
+          detected_at: new Date(now).toISOString(),
+          settle_after: new Date(now + AUTO_SETTLEMENT.GRACE_MS).toISOString()
+        });
+        log.info(`[AutoSettlement] ${market.matchKey}: ${result.reason} ("${market.statusText}"), settling in ${AUTO_SETTLEMENT.GRACE_MS / 1000}s`);
+        continue;
+      }
+
+      if (row.outcome !== result.outcome) {
+        await sendToReview(market, result.outcome, `Feed result changed from ${row.outcome} to ${result.outcome} during the grace period`);
+        continue;
+      }
+
+      if (now < new Date(row.settle_after).getTime()) continue;
+
+      const settlement = await settleDetected(market, result.outcome);
+      if (settlement) {
+        settled.push(settlement);
+      }
+    } catch (err) {
+      log.error(`[AutoSettlement] Error checking ${market.matchKey}:`, err.message);
+    }
+  }
+
+  return settled;
+}
+
+async function sendToReview(market, outcome, reason) {
+  await db.upsertAutoSettlement({
+    match_key: market.matchKey,
+    status: AUTO_SETTLEMENT_STATUS.REVIEW,
+    outcome: outcome ?? null,
+    status_text: market.statusText,
+    reason
+  });
+
+  log.warn(`[AutoSettlement] ${market.matchKey} needs review: ${reason} ("${market.statusText}")`);
+}
+
+async function settleDetected(market, outcome) {
+  try {
+    const { pending, approval, settlement: result } = await settlementApprovalService.requestSettlement(market.matchKey, outcome, AUTO_SETTLEMENT.SETTLED_BY);
+
+    // Pays out too much to settle unattended
+    if (pending) {
+      await sendToReview(market, outcome, `Payout of ${approval.totalPayout} needs an admin's approval (request ${approval.id})`);
+      return null;
+    }
+
+    await db.updateAutoSettlement(market.matchKey, {
+      status: AUTO_SETTLEMENT_STATUS.SETTLED,
+      reason: result.complete ? null : `Settlement incomplete: resume job ${result.jobId}`,
+      resolved_by: AUTO_SETTLEMENT.SETTLED_BY,
+      resolved_at: new Date().toISOString()
+    });
+
+    log.info(`[AutoSettlement] Settled ${market.matchKey}, winner=${outcome}${result.complete ? '' : ' (incomplete)'}`);
+    return result;
+  } catch (err) {
+    // Another instance got there first; try again next run
+    if (err.message.includes('already in progress') || err.message.includes('already awaiting approval')) {
+      return null;
+    }
+
+    if (err.message.includes('already settled')) {
+      await db.updateAutoSettlement(market.matchKey, { status: AUTO_SETTLEMENT_STATUS.SETTLED });
+      return null;
+    }
+
+    // e.g. secondary markets with open positions need their own results
+    await sendToReview(market, outcome, err.message);
+    return null;
+  }
+}
+
+// Detected results, by status (the review queue by default)
+export async function listAutoSettlements(status = AUTO_SETTLEMENT_STATUS.REVIEW) {
+  const rows = await db.getAutoSettlementsByStatus(status);
+  return rows.map(mapRow);
+}
+
+// Settle a match from the review queue (admin). winner defaults to the
+// detected outcome; marketResults and competition as for settleMatch.
+// Above the approval threshold the match stays in review until a second
+// admin approves the request; returns as requestSettlement
+export async function approveAutoSettlement(matchKey, adminUserId, { winner, marketResults = {}, competition } = {}) {
+  const row = await db.getAutoSettlement(matchKey);
+  if (!row || row.status !== AUTO_SETTLEMENT_STATUS.REVIEW) {
+    throw new Error(`Match ${matchKey} is not in the review queue`);
+  }
+
+  const outcome = winner || row.outcome;
+  if (!outcome) {
+    throw new Error('winner is required: the result names neither team clearly');
+  }
+
+  const result = await settlementApprovalService.requestSettlement(matchKey, outcome, adminUserId, marketResults, { competition });
+
+  if (result.pending) {
+    await db.updateAutoSettlement(matchKey, {
+      reason: `Payout of ${result.approval.totalPayout} needs a second admin's approval (request ${result.approval.id})`
+    });
+    return result;
+  }
+
+  const { settlement } = result;
+
+  await db.updateAutoSettlement(matchKey, {
+    status: AUTO_SETTLEMENT_STATUS.SETTLED,
+    reason: settlement.complete ? row.reason : `Settlement incomplete: resume job ${settlement.jobId}`,
+    resolved_by: adminUserId,
+    resolved_at: new Date().toISOString()
+  });
+
+  log.info(`[AutoSettlement] ${matchKey} approved by ${adminUserId}, winner=${outcome}`);
+
+  return result;
+}
+
+// Take a match off the review queue; the worker leaves it alone from then on
+export async function dismissAutoSettlement(matchKey, adminUserId) {
+  const row = await db.getAutoSettlement(matchKey);
+  if (!row || row.status !== AUTO_SETTLEMENT_STATUS.REVIEW) {
+    throw new Error(`Match ${matchKey} is not in the review queue`);
+  }
+
+  const updated = await db.updateAutoSettlement(matchKey, {
+    status: AUTO_SETTLEMENT_STATUS.DISMISSED,
+    resolved_by: adminUserId,
+    resolved_at: new Date().toISOString()
+  });
+
+  log.info(`[AutoSettlement] ${matchKey} dismissed by ${adminUserId}`);
+
+  return mapRow(updated);
+}
+
+// Start the worker
+export function startAutoSettlement() {
+  if (workerInterval) return;
+
+  if (!AUTO_SETTLEMENT.ENABLED) {
+    log.warn('[AutoSettlement] Disabled via AUTO_SETTLE_ENABLED=false');
+    return;
+  }
+
+  log.info(`[AutoSettlement] Starting worker (grace period ${AUTO_SETTLEMENT.GRACE_MS / 1000}s)`);
+
+  workerInterval = setInterval(async () => {
+    // A slow run (settling a big match) must not overlap the next
+    if (running) return;
+    running = true;
+    try {
+      await runAutoSettlement();
+    } catch (err) {
+      log.error('[AutoSettlement] Run failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }, AUTO_SETTLEMENT.INTERVAL);
+}
+
+// Stop the worker
+export function stopAutoSettlement() {
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+    log.info('[AutoSettlement] Stopped worker');
+  }
+}
+
+export default {
+  runAutoSettlement,
+  listAutoSettlements,
+  approveAutoSettlement,
+  dismissAutoSettlement,
+  startAutoSettlement,
+  stopAutoSettlement
+};
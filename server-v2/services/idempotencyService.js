@@ -0,0 +1,112 @@
+import { createHash } from 'node:crypto';
+import * as db from '../db/index.js';
+import { log } from '../lib/logger.js';
+import { IDEMPOTENCY, ERROR_CODES } from '../lib/constants.js';
+
+let cleanupInterval = null;
+
+// Fingerprint a request so a key can't be reused for a different order
+export function hashRequest(method, path, body) {
+  return createHash('sha256')
+    .update(`${method} ${path}\n${JSON.stringify(body ?? {})}`)
+    .digest('hex');
+}
+
+// Claim a key for this user
+// Returns { status: 'new' | 'replay' | 'in_progress' | 'mismatch', ... }
+export async function claimKey(userId, key, requestHash) {
+  const existing = await db.reserveIdempotencyKey(userId, key, requestHash);
+
+  if (!existing) {
+    return { status: 'new' };
+  }
+
+  if (existing.request_hash !== requestHash) {
+    return { status: 'mismatch' };
+  }
+
+  if (existing.status !== 'completed') {
+    // Still running, unless its lease ran out: the instance handling it died
+    const staleBefore = new Date(Date.now() - IDEMPOTENCY.PENDING_LEASE_MS).toISOString();
+    if (Date.parse(existing.created_at) < Date.parse(staleBefore) &&
+        await db.takeOverIdempotencyKey(userId, key, staleBefore)) {
+      log.warn(`[Idempotency] Took over key=${key} for user=${userId}, pending since ${existing.created_at}`);
+      return { status: 'new' };
+    }
+    return { status: 'in_progress' };
+  }
+
+  return {
+    status: 'replay',
+    responseStatus: existing.response_status,
+    responseBody: existing.response_body
+  };
+}
+
+// Whether a response is the request's final outcome, to replay on retry:
+// successes and client errors that a retry can't change. Server errors and
+// conflicts (see IDEMPOTENCY.RETRYABLE_STATUSES) may go the other way
+export function isFinalResponse(responseStatus) {
+  return responseStatus < 500 && !isRetryableResponse(responseStatus);
+}
+
+// Whether a response was refused before anything was written, so the key can
+// be released and a retry run again
+export function isRetryableResponse(responseStatus) {
+  return IDEMPOTENCY.RETRYABLE_STATUSES.includes(responseStatus);
+}
+
+// What a retry gets after a server error: the request may have traded before
+// it failed (e.g. a response lost after the transaction committed), so it is
+// never run again under the same key
+export function outcomeUnknownResponse() {
+  return {
+    ok: false,
+    success: false,
+    code: ERROR_CODES.OUTCOME_UNKNOWN,
+    error: 'The outcome of this request is unknown: check your positions before retrying with a new Idempotency-Key'
+  };
+}
+
+// Store the response so retries with the same key get it back
+export async function saveResponse(userId, key, responseStatus, responseBody) {
+  await db.completeIdempotencyKey(userId, key, responseStatus, responseBody);
+}
+
+// Forget the key so the client can retry (e.g. after a server error)
+export async function releaseKey(userId, key) {
+  await db.deleteIdempotencyKey(userId, key);
+}
+
+// Start periodic cleanup of expired keys
+export function startCleanup() {
+  if (cleanupInterval) return;
+
+  log.info(`[Idempotency] Starting cleanup (keys kept ${IDEMPOTENCY.RETENTION_HOURS}h)`);
+
+  cleanupInterval = setInterval(
+    () => db.cleanOldIdempotencyKeys(IDEMPOTENCY.RETENTION_HOURS),
+    IDEMPOTENCY.CLEANUP_INTERVAL
+  );
+}
+
+// Stop cleanup
+export function stopCleanup() {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+    log.info('[Idempotency] Stopped cleanup');
+  }
+}
+
+export default {
+  hashRequest,
+  claimKey,
+  isFinalResponse,
+  isRetryableResponse,
+  outcomeUnknownResponse,
+  saveResponse,
+  releaseKey,
+  startCleanup,
+  stopCleanup
+};
@@ -4,3 +4,10 @@ export * as marketService from './marketService.js';
 export * as tradingService from './tradingService.js';
 export * as settlementService from './settlementService.js';
 export * as priceHistoryService from './priceHistoryService.js';
+export * as idempotencyService from './idempotencyService.js';
+export * as orderService from './orderService.js';
+export * as quoteService from './quoteService.js';
+export * as pricingService from './pricingService.js';
+export * as riskService from './riskService.js';
+export * as autoSettlementService from './autoSettlementService.js';
+export * as settlementApprovalService from './settlementApprovalService.js';
@@ -1,9 +1,44 @@
 import { fetchAllMatches } from '../datasources/index.js';
+import * as db from '../db/index.js';
 import * as state from '../lib/state.js';
 import { log } from '../lib/logger.js';
-import { MARKET_TYPES, REFRESH_INTERVALS } from '../lib/constants.js';
+import { MARKET_TYPES, MARKET_KINDS, MARKET_DEFINITIONS, ALL_MARKETS, TRADING_STATUS, REFRESH_INTERVALS, PRICING_METHODS, PRICING_TIERS, FALLBACK_PRICING } from '../lib/constants.js';
+import { modelPriceA } from '../lib/priceModel.js';
+import * as pricingService from './pricingService.js';
 
 let refreshInterval = null;
+let statusInterval = null;
+
+// Locked over/under lines: Map<"matchKey:marketId", threshold>
+const thresholds = new Map();
+
+// Secondary markets settled on their own, delisted: Set<"matchKey:marketId">
+const settledMarkets = new Set();
+
+// Close times set by admins: Map<"matchKey:marketId", ISO string | null>
+// (marketId ALL_MARKETS covers the whole match, here and in suspensions)
+const closeTimes = new Map();
+
+// Suspended markets: Map<"matchKey:marketId", { reason, updatedBy, updatedAt }>
+const suspensions = new Map();
+
+// Fallback prices admins allowed trading on: Map<"matchKey:marketId", { updatedBy, updatedAt }>
+const fallbackApprovals = new Map();
+
+// Halts last broadcast: Map<"matchKey:marketId", 'closed' | 'suspended' | 'untrusted'>
+const announcedHalts = new Map();
+
+const DEFAULT_SUSPENSION_REASON = 'Suspended by risk team';
+
+const SECONDARY_MARKET_IDS = Object.values(MARKET_TYPES).filter(id => id !== MARKET_TYPES.MATCH_WINNER);
+
+// Option colours per market kind (A, B), as the frontend's GameMarket expects
+const OPTION_TYPES = {
+  [MARKET_KINDS.TEAM]: ['green', 'blue'],
+  [MARKET_KINDS.OVER_UNDER]: ['green', 'red'],
+  [MARKET_KINDS.YES_NO]: ['green', 'red'],
+  [MARKET_KINDS.ODD_EVEN]: ['green', 'blue']
+};
 
 // Build markets from data sources
 export async function refreshMarkets() {
@@ -11,8 +46,17 @@ export async function refreshMarkets() {
     const matches = await fetchAllMatches();
     log.info(`[MarketService] Fetched ${matches.length} matches`);
 
+    // Pricing engines and order flow, so curve-priced markets blend both
+    await pricingService.sync();
+    await loadSettledMarkets(matches.map(m => m.matchKey));
+    await loadCloseTimes(matches.map(m => m.matchKey));
+    await loadSuspensions(matches.map(m => m.matchKey));
+    await loadFallbackApprovals(matches.map(m => m.matchKey));
+
     for (const match of matches) {
       const existingMarket = state.getMarketState(match.matchKey);
+      const markets = withCloseTimes(match.matchKey, match.startTime, await buildMatchMarkets(match, existingMarket));
+      const { priceA, priceB } = markets[0];
 
       const market = {
         matchKey: match.matchKey,
@@ -25,18 +69,18 @@ export async function refreshMarkets() {
         statusText: match.statusText,
         timeLabel: match.timeLabel,
         isLive: match.isLive,
+        startTime: match.startTime || null,
         provider: match.provider,
         eventId: match.eventId,
 
-        // Market 1: Match Winner
-        markets: [{
-          marketId: MARKET_TYPES.MATCH_WINNER,
-          name: 'Match Winner',
-          labelA: match.teamAShort || 'A',
-          labelB: match.teamBShort || 'B',
-          priceA: match.priceA,
-          priceB: match.priceB
-        }],
+        // From a score source, when one has the match (see mergeScores)
+        scoreA: match.scoreA || '',
+        scoreB: match.scoreB || '',
+        oversA: match.oversA || '',
+        oversB: match.oversB || '',
+
+        // Market 1: Match Winner, then any secondary markets the feed quotes
+        markets,
 
         // Preserve price history from existing market
         priceHistory: existingMarket?.priceHistory || [],
@@ -44,12 +88,14 @@ export async function refreshMarkets() {
         lastUpdated: new Date().toISOString()
       };
 
-      // Add current price to history
-      market.priceHistory.push({
-        timestamp: Date.now(),
-        priceA: match.priceA,
-        priceB: match.priceB
-      });
+      // Add current price to history (a placeholder isn't a price)
+      if (markets[0].pricingTier !== PRICING_TIERS.UNPRICED) {
+        market.priceHistory.push({
+          timestamp: Date.now(),
+          priceA,
+          priceB
+        });
+      }
 
       // Keep only last 4 hours of history
       const fourHoursAgo = Date.now() - 4 * 60 * 60 * 1000;
@@ -65,6 +111,493 @@ export async function refreshMarkets() {
   }
 }
 
+// Match Winner from the feed's headline prices, plus every secondary market
+// the feed quotes. A secondary market stays listed at its last price if the
+// feed drops it, since positions may be open on it.
+async function buildMatchMarkets(match, existingMarket) {
+  const now = Date.now();
+  const markets = [buildMarket(match, MARKET_TYPES.MATCH_WINNER, priceMatchWinner(match, existingMarket, now), null)];
+  const quotedById = new Map((match.secondaryMarkets || []).map(m => [m.marketId, m]));
+
+  for (const marketId of SECONDARY_MARKET_IDS) {
+    if (settledMarkets.has(`${match.matchKey}:${marketId}`)) continue;
+
+    const quoted = quotedById.get(marketId);
+    const previous = existingMarket?.markets.find(m => m.marketId === marketId);
+
+    let threshold = null;
+    if (quoted && MARKET_DEFINITIONS[marketId].kind === MARKET_KINDS.OVER_UNDER) {
+      threshold = await lockThreshold(
+        match.matchKey,
+        marketId,
+        quoted.threshold ?? MARKET_DEFINITIONS[marketId].defaultThreshold
+      );
+    }
+
+    // Prices quoted for a different line than the locked one don't apply
+    const usable = quoted && (quoted.threshold == null || threshold == null || quoted.threshold === threshold);
+
+    if (usable) {
+      markets.push(buildMarket(match, marketId, quoted, threshold));
+    } else if (previous) {
+      markets.push({
+        ...previous,
+        ...pricingService.displayPrices(match.matchKey, marketId, previous.externalPriceA, previous.externalPriceB),
+        pricingTier: isFresh(previous, now) ? PRICING_TIERS.LAST_KNOWN : PRICING_TIERS.UNPRICED
+      });
+    }
+  }
+
+  return markets;
+}
+
+// A market's last real price, while it is recent enough to stand in
+function isFresh(previous, now) {
+  return [PRICING_TIERS.FEED, PRICING_TIERS.LAST_KNOWN].includes(previous?.pricingTier) &&
+    Boolean(previous.pricedAt) &&
+    now - Date.parse(previous.pricedAt) <= FALLBACK_PRICING.LAST_KNOWN_MAX_AGE_MS;
+}
+
+// Match Winner prices from the first tier that has them (see PRICING_TIERS):
+// the sources' odds, the last real price, the score model, else a 50/50
+// placeholder that doesn't trade. { priceA, priceB, pricingTier, pricedAt },
+// pricedAt being when the price was the sources'
+function priceMatchWinner(match, existingMarket, now) {
+  if (match.priceA != null && match.priceB != null) {
+    return { priceA: match.priceA, priceB: match.priceB, pricingTier: PRICING_TIERS.FEED, pricedAt: new Date(now).toISOString() };
+  }
+
+  const previous = existingMarket?.markets.find(m => m.marketId === MARKET_TYPES.MATCH_WINNER);
+  if (isFresh(previous, now)) {
+    return {
+      priceA: previous.externalPriceA,
+      priceB: previous.externalPriceB,
+      pricingTier: PRICING_TIERS.LAST_KNOWN,
+      pricedAt: previous.pricedAt
+    };
+  }
+
+  const modelled = modelPriceA(match);
+  if (modelled !== null) {
+    return { priceA: modelled, priceB: 100 - modelled, pricingTier: PRICING_TIERS.MODEL, pricedAt: null };
+  }
+
+  return { priceA: 50, priceB: 50, pricingTier: PRICING_TIERS.UNPRICED, pricedAt: null };
+}
+
+// Keeps the last known set if the read fails, so nothing is relisted by mistake
+async function loadSettledMarkets(matchKeys) {
+  try {
+    const rows = await db.getMarketSettlements(matchKeys);
+    settledMarkets.clear();
+    for (const row of rows) {
+      settledMarkets.add(`${row.match_key}:${row.market_id}`);
+    }
+  } catch (err) {
+    log.warn(`[MarketService] Could not load settled markets: ${err.message}`);
+  }
+}
+
+// Delist a secondary market settled on its own, without waiting for the next refresh
+export function markMarketSettled(matchKey, marketId) {
+  settledMarkets.add(`${matchKey}:${marketId}`);
+
+  const market = state.getMarketState(matchKey);
+  if (market) {
+    state.setMarketState(matchKey, {
+      ...market,
+      markets: market.markets.filter(m => m.marketId !== marketId)
+    });
+  }
+}
+
+// Keeps the last known close times if the read fails
+async function loadCloseTimes(matchKeys) {
+  try {
+    const rows = await db.getMarketCloseTimes(matchKeys);
+    closeTimes.clear();
+    for (const row of rows) {
+      closeTimes.set(`${row.match_key}:${row.market_id}`, row.closes_at);
+    }
+  } catch (err) {
+    log.warn(`[MarketService] Could not load market close times: ${err.message}`);
+  }
+}
+
+// Keeps the last known suspensions if the read fails, so nothing resumes by mistake
+async function loadSuspensions(matchKeys) {
+  try {
+    const rows = await db.getMarketSuspensions(matchKeys);
+    suspensions.clear();
+    for (const row of rows) {
+      suspensions.set(`${row.match_key}:${row.market_id}`, {
+        reason: row.reason,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      });
+    }
+  } catch (err) {
+    log.warn(`[MarketService] Could not load market suspensions: ${err.message}`);
+  }
+}
+
+// Keeps the last known approvals if the read fails
+async function loadFallbackApprovals(matchKeys) {
+  try {
+    const rows = await db.getFallbackPricingApprovals(matchKeys);
+    fallbackApprovals.clear();
+    for (const row of rows) {
+      fallbackApprovals.set(`${row.match_key}:${row.market_id}`, {
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      });
+    }
+  } catch (err) {
+    log.warn(`[MarketService] Could not load fallback pricing approvals: ${err.message}`);
+  }
+}
+
+// When a market stops trading (ISO string), or null if it has no scheduled close:
+// the admin's time for the market, else for the match, else the match start
+// (less the market's closeBeforeStartMs)
+function closeTimeFor(matchKey, marketId, startTime) {
+  for (const key of [`${matchKey}:${marketId}`, `${matchKey}:${ALL_MARKETS}`]) {
+    if (closeTimes.has(key)) return closeTimes.get(key);
+  }
+
+  if (!startTime) return null;
+  const offset = MARKET_DEFINITIONS[marketId]?.closeBeforeStartMs || 0;
+  return new Date(Date.parse(startTime) - offset).toISOString();
+}
+
+function withCloseTimes(matchKey, startTime, markets) {
+  return markets.map(m => ({ ...m, closesAt: closeTimeFor(matchKey, m.marketId, startTime) }));
+}
+
+function isClosed(marketData, now = Date.now()) {
+  return Boolean(marketData.closesAt) && Date.parse(marketData.closesAt) <= now;
+}
+
+// Whether a market has passed its scheduled close
+export function isMarketClosed(matchKey, marketId = MARKET_TYPES.MATCH_WINNER, now = Date.now()) {
+  const marketData = state.getMarketState(matchKey)?.markets.find(m => m.marketId === marketId);
+  return Boolean(marketData) && isClosed(marketData, now);
+}
+
+// A listed match, and the market unless marketId is ALL_MARKETS; throws if not
+function getListedMarket(matchKey, marketId) {
+  const market = state.getMarketState(matchKey);
+  if (!market) {
+    throw new Error('Market not found');
+  }
+
+  if (marketId !== ALL_MARKETS && !market.markets.some(m => m.marketId === marketId)) {
+    throw new Error('Market not found');
+  }
+
+  return market;
+}
+
+// Set when a market (or, with marketId ALL_MARKETS, every market of the
+// match) closes; closesAt null keeps it open with no scheduled close.
+// Applies at once; the status scheduler broadcasts the change
+export async function setMarketCloseTime(matchKey, marketId, closesAt, updatedBy) {
+  const market = getListedMarket(matchKey, marketId);
+
+  let closesAtIso = null;
+  if (closesAt !== null) {
+    const time = Date.parse(closesAt);
+    if (Number.isNaN(time)) {
+      throw new Error('closesAt must be an ISO date or null');
+    }
+    closesAtIso = new Date(time).toISOString();
+  }
+
+  await db.upsertMarketCloseTime(matchKey, marketId, closesAtIso, updatedBy);
+  closeTimes.set(`${matchKey}:${marketId}`, closesAtIso);
+
+  const updated = { ...market, markets: withCloseTimes(matchKey, market.startTime, market.markets) };
+  state.setMarketState(matchKey, updated);
+
+  log.info(`[MarketService] ${matchKey} market ${marketId || 'all'} closes ${closesAtIso || 'never'} (set by ${updatedBy})`);
+
+  return formatMarketForClient(updated);
+}
+
+// Drop an admin's close time so the data source's start time applies again
+export async function clearMarketCloseTime(matchKey, marketId, updatedBy) {
+  const deleted = await db.deleteMarketCloseTime(matchKey, marketId);
+  closeTimes.delete(`${matchKey}:${marketId}`);
+
+  const market = state.getMarketState(matchKey);
+  if (market) {
+    state.setMarketState(matchKey, { ...market, markets: withCloseTimes(matchKey, market.startTime, market.markets) });
+  }
+
+  if (deleted) {
+    log.info(`[MarketService] ${matchKey} market ${marketId || 'all'} close time cleared by ${updatedBy}`);
+  }
+  return deleted;
+}
+
+// The suspension a market trades under (its match's first), or null
+export function getSuspension(matchKey, marketId = MARKET_TYPES.MATCH_WINNER) {
+  return suspensions.get(`${matchKey}:${ALL_MARKETS}`) || suspensions.get(`${matchKey}:${marketId}`) || null;
+}
+
+// Suspend or resume trading on a market, or with marketId ALL_MARKETS on
+// every market of the match. Applies at once; broadcast by the caller
+// through checkTradingStatus
+export async function setMarketSuspended(matchKey, marketId, suspended, reason, updatedBy) {
+  getListedMarket(matchKey, marketId);
+
+  const row = await db.upsertMarketSuspension(matchKey, marketId, suspended, reason || null, updatedBy);
+  const key = `${matchKey}:${marketId}`;
+
+  if (suspended) {
+    suspensions.set(key, { reason: row.reason, updatedBy: row.updated_by, updatedAt: row.updated_at });
+  } else {
+    suspensions.delete(key);
+  }
+
+  log.info(`[MarketService] ${matchKey} market ${marketId || 'all'} ${suspended ? 'suspended' : 'resumed'} by ${updatedBy}${reason ? `: ${reason}` : ''}`);
+
+  return {
+    matchKey,
+    marketId,
+    suspended,
+    reason: row.reason,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+// Every suspension in force
+export function getSuspensions() {
+  return Array.from(suspensions, ([key, suspension]) => {
+    const separator = key.lastIndexOf(':');
+    return {
+      matchKey: key.slice(0, separator),
+      marketId: Number(key.slice(separator + 1)),
+      ...suspension
+    };
+  });
+}
+
+// Whether a market's price can be traded on: a trusted tier, or a fallback
+// tier an admin allowed for the market or its match. Never without a price
+export function isPriceTrusted(matchKey, marketId, pricingTier = PRICING_TIERS.FEED) {
+  if (pricingTier === PRICING_TIERS.UNPRICED) return false;
+  if (FALLBACK_PRICING.TRUSTED_TIERS.includes(pricingTier)) return true;
+
+  return fallbackApprovals.has(`${matchKey}:${ALL_MARKETS}`) || fallbackApprovals.has(`${matchKey}:${marketId}`);
+}
+
+// Allow (or stop) trading on a market's fallback prices, or with marketId
+// ALL_MARKETS on every market of the match. Unpriced markets stay untradable.
+// Applies at once; the status scheduler broadcasts the change
+export async function setFallbackPricingAllowed(matchKey, marketId, allowed, updatedBy) {
+  getListedMarket(matchKey, marketId);
+
+  const row = await db.upsertFallbackPricingApproval(matchKey, marketId, allowed, updatedBy);
+  const key = `${matchKey}:${marketId}`;
+
+  if (allowed) {
+    fallbackApprovals.set(key, { updatedBy: row.updated_by, updatedAt: row.updated_at });
+  } else {
+    fallbackApprovals.delete(key);
+  }
+
+  log.info(`[MarketService] ${matchKey} market ${marketId || 'all'} fallback prices ${allowed ? 'allowed' : 'no longer allowed'} by ${updatedBy}`);
+
+  return {
+    matchKey,
+    marketId,
+    allowed,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+// Every market priced by a fallback tier, and whether it trades
+export function getFallbackPricedMarkets() {
+  const priced = [];
+
+  for (const market of state.getAllMarkets()) {
+    for (const m of market.markets) {
+      if ((m.pricingTier ?? PRICING_TIERS.FEED) === PRICING_TIERS.FEED) continue;
+
+      priced.push({
+        matchKey: market.matchKey,
+        marketId: m.marketId,
+        name: m.name,
+        pricingTier: m.pricingTier,
+        pricedAt: m.pricedAt ?? null,
+        priceA: m.priceA,
+        priceB: m.priceB,
+        tradable: isPriceTrusted(market.matchKey, m.marketId, m.pricingTier)
+      });
+    }
+  }
+
+  return priced;
+}
+
+// 'suspended', 'closed', 'untrusted' or null when the market can trade
+function haltOf(matchKey, marketData, now) {
+  if (getSuspension(matchKey, marketData.marketId)) return 'suspended';
+  if (isClosed(marketData, now)) return 'closed';
+  return isPriceTrusted(matchKey, marketData.marketId, marketData.pricingTier) ? null : 'untrusted';
+}
+
+// Trading status of a match for markets:update: suspended while an admin has
+// the match suspended, or once every one of its markets is suspended, closed
+// or without a trusted price
+export function getTradingStatus(market, now = Date.now()) {
+  const halts = market.markets.map(m => haltOf(market.matchKey, m, now));
+  const matchSuspension = suspensions.get(`${market.matchKey}:${ALL_MARKETS}`);
+
+  if (!matchSuspension && (halts.length === 0 || halts.includes(null))) {
+    return { suspended: false };
+  }
+
+  const suspension = matchSuspension || market.markets.map(m => getSuspension(market.matchKey, m.marketId)).find(Boolean);
+  if (suspension) {
+    return { suspended: true, reason: suspension.reason || DEFAULT_SUSPENSION_REASON, updatedAt: suspension.updatedAt };
+  }
+
+  if (halts.includes('closed')) {
+    const updatedAt = market.markets.map(m => m.closesAt).sort().pop();
+    return { suspended: true, reason: 'Market closed', updatedAt };
+  }
+
+  return { suspended: true, reason: 'Awaiting a trusted price', updatedAt: null };
+}
+
+// Matches with a market that closed, was suspended or reopened since the
+// last check, formatted as getAllMarkets
+export function checkTradingStatus(now = Date.now()) {
+  const changed = [];
+
+  for (const market of state.getAllMarkets()) {
+    let statusChanged = false;
+
+    for (const m of market.markets) {
+      const key = `${market.matchKey}:${m.marketId}`;
+      const halt = haltOf(market.matchKey, m, now);
+      if (halt === (announcedHalts.get(key) ?? null)) continue;
+
+      statusChanged = true;
+      if (halt) {
+        announcedHalts.set(key, halt);
+        const why = { closed: `closed for trading (${m.closesAt})`, suspended: 'suspended', untrusted: `halted: no trusted price (${m.pricingTier})` };
+        log.info(`[MarketService] ${market.matchKey} market ${m.marketId} ${why[halt]}`);
+      } else {
+        announcedHalts.delete(key);
+        log.info(`[MarketService] ${market.matchKey} market ${m.marketId} reopened for trading`);
+      }
+    }
+
+    if (statusChanged) {
+      changed.push(formatMarketForClient(market));
+    }
+  }
+
+  return changed;
+}
+
+// Check for closes and suspensions (including those set on other instances)
+// every TRADING_STATUS.CHECK_INTERVAL; onChange(markets) gets the matches
+// checkTradingStatus returns
+export function startStatusScheduler(onChange) {
+  if (statusInterval) return;
+
+  log.info(`[MarketService] Starting trading status scheduler (${TRADING_STATUS.CHECK_INTERVAL / 1000}s interval)`);
+
+  statusInterval = setInterval(() => {
+    const changed = checkTradingStatus();
+    if (changed.length > 0) {
+      onChange(changed);
+    }
+  }, TRADING_STATUS.CHECK_INTERVAL);
+}
+
+export function stopStatusScheduler() {
+  if (statusInterval) {
+    clearInterval(statusInterval);
+    statusInterval = null;
+    log.info('[MarketService] Stopped trading status scheduler');
+  }
+}
+
+// How a market's feed prices were arrived at: Match Winner by consensus across
+// sources (see fetchAllMatches), secondary markets from the listing source alone
+function marketPricing(match, marketId) {
+  if (marketId === MARKET_TYPES.MATCH_WINNER) {
+    return match.pricing ?? null;
+  }
+
+  return {
+    method: PRICING_METHODS.SINGLE_SOURCE,
+    spread: 0,
+    disagreement: false,
+    sources: [{ source: match.source ?? match.provider, used: true }]
+  };
+}
+
+// One market of a match; prices: the feed's { priceA, priceB } (1-99)
+function buildMarket(match, marketId, prices, threshold) {
+  const definition = MARKET_DEFINITIONS[marketId];
+  const { priceA, priceB } = pricingService.displayPrices(match.matchKey, marketId, prices.priceA, prices.priceB);
+
+  return {
+    marketId,
+    name: definition.name.replace('{teamA}', match.teamA),
+    category: definition.category,
+    kind: definition.kind,
+    threshold,
+    ...marketLabels(definition.kind, match, threshold),
+    priceA,
+    priceB,
+    // Odds feed prices; priceA/priceB differ when a pricing engine is set
+    externalPriceA: prices.priceA,
+    externalPriceB: prices.priceB,
+    pricing: marketPricing(match, marketId),
+    // A quoted secondary market is the feed's; see priceMatchWinner
+    pricingTier: prices.pricingTier ?? PRICING_TIERS.FEED,
+    pricedAt: prices.pricedAt !== undefined ? prices.pricedAt : new Date().toISOString()
+  };
+}
+
+function marketLabels(kind, match, threshold) {
+  switch (kind) {
+    case MARKET_KINDS.OVER_UNDER:
+      return { labelA: `Over ${threshold}`, labelB: `Under ${threshold}` };
+    case MARKET_KINDS.YES_NO:
+      return { labelA: 'Yes', labelB: 'No' };
+    case MARKET_KINDS.ODD_EVEN:
+      return { labelA: 'Odd', labelB: 'Even' };
+    default:
+      return { labelA: match.teamAShort || 'A', labelB: match.teamBShort || 'B' };
+  }
+}
+
+// First line listed for an over/under market wins, across instances
+async function lockThreshold(matchKey, marketId, threshold) {
+  const key = `${matchKey}:${marketId}`;
+  if (thresholds.has(key)) return thresholds.get(key);
+
+  try {
+    const locked = await db.lockMarketThreshold(matchKey, marketId, threshold);
+    thresholds.set(key, locked);
+    return locked;
+  } catch (err) {
+    // Not cached, so the lock is retried on the next refresh
+    log.warn(`[MarketService] Could not lock threshold for ${key}: ${err.message}`);
+    return threshold;
+  }
+}
+
 // Get all active markets
 export function getAllMarkets() {
   return state.getAllMarkets().map(formatMarketForClient);
@@ -76,6 +609,40 @@ export function getMarket(matchKey) {
   return market ? formatMarketForClient(market) : null;
 }
 
+/**
+ * Resolve matchKey from matchId (which might be eventId or index)
+ *
+ * NOTE: The numeric `id` sent to frontend is truncated from the original eventId
+ * (first 9 digits only, see formatMarket in routes/markets.js). So we need to apply
+ * the same truncation when comparing eventId to matchId.
+ */
+export function resolveMatchKey(matchId) {
+  if (typeof matchId === 'string' && matchId.includes('-')) {
+    return matchId; // Already a matchKey
+  }
+
+  const allMarkets = getAllMarkets();
+
+  // Try matching against truncated eventId (same logic as formatMarket)
+  const byEventId = allMarkets.find(m => {
+    if (m.eventId) {
+      // Apply same truncation as formatMarket: first 9 digits
+      const truncatedEventId = parseInt(String(m.eventId).replace(/\D/g, '').slice(0, 9), 10);
+      if (truncatedEventId == matchId) return true;
+    }
+    return m.matchKey == matchId;
+  });
+  if (byEventId) return byEventId.matchKey;
+
+  // Try index-based (for mock data, matchId starts at 1)
+  const idx = parseInt(matchId, 10);
+  if (idx > 0 && idx <= allMarkets.length) {
+    return allMarkets[idx - 1]?.matchKey;
+  }
+
+  return null;
+}
+
 // Get current prices for a market
 export function getMarketPrices(matchKey, marketId = MARKET_TYPES.MATCH_WINNER) {
   const market = state.getMarketState(matchKey);
@@ -88,7 +655,13 @@ export function getMarketPrices(matchKey, marketId = MARKET_TYPES.MATCH_WINNER)
     priceA: marketData.priceA,
     priceB: marketData.priceB,
     labelA: marketData.labelA,
-    labelB: marketData.labelB
+    labelB: marketData.labelB,
+    closesAt: marketData.closesAt ?? null,
+    suspension: getSuspension(matchKey, marketId),
+    pricingTier: marketData.pricingTier ?? PRICING_TIERS.FEED,
+    priceTrusted: isPriceTrusted(matchKey, marketId, marketData.pricingTier),
+    externalPriceA: marketData.externalPriceA ?? marketData.priceA,
+    externalPriceB: marketData.externalPriceB ?? marketData.priceB
   };
 }
 
@@ -104,6 +677,34 @@ export function getPriceHistory(matchKey, marketId = MARKET_TYPES.MATCH_WINNER)
   }));
 }
 
+// A match's markets in the frontend's GameMarket shape (GameViewPage)
+// market: from getMarket / getAllMarkets
+export function toGameMarkets(market) {
+  return market.markets.map(m => {
+    const [typeA, typeB] = OPTION_TYPES[m.kind] || OPTION_TYPES[MARKET_KINDS.TEAM];
+
+    return {
+      id: m.marketId,
+      marketId: m.marketId,
+      category: m.category || 'winner',
+      title: m.name || 'Match Winner',
+      volume: '0',
+      live: market.isLive,
+      threshold: m.threshold ?? null,
+      closesAt: m.closesAt ?? null,
+      closed: isClosed(m),
+      suspended: Boolean(getSuspension(market.matchKey, m.marketId)),
+      pricing: m.pricing ?? null,
+      pricingTier: m.pricingTier ?? PRICING_TIERS.FEED,
+      priceTrusted: isPriceTrusted(market.matchKey, m.marketId, m.pricingTier),
+      options: [
+        { label: m.labelA || market.teamAShort, price: m.priceA, type: typeA },
+        { label: m.labelB || market.teamBShort, price: m.priceB, type: typeB }
+      ]
+    };
+  });
+}
+
 // Format market for client response
 function formatMarketForClient(market) {
   const matchWinner = market.markets.find(m => m.marketId === MARKET_TYPES.MATCH_WINNER) || {};
@@ -120,13 +721,21 @@ function formatMarketForClient(market) {
     statusText: market.statusText,
     timeLabel: market.timeLabel,
     isLive: market.isLive,
+    startTime: market.startTime,
     provider: market.provider,
+    scoreA: market.scoreA,
+    scoreB: market.scoreB,
+    oversA: market.oversA,
+    oversB: market.oversB,
 
     // Primary market (Match Winner)
     priceA: matchWinner.priceA || 50,
     priceB: matchWinner.priceB || 50,
     labelA: matchWinner.labelA || 'A',
     labelB: matchWinner.labelB || 'B',
+    pricing: matchWinner.pricing ?? null,
+    pricingTier: matchWinner.pricingTier ?? PRICING_TIERS.FEED,
+    priceTrusted: isPriceTrusted(market.matchKey, MARKET_TYPES.MATCH_WINNER, matchWinner.pricingTier),
 
     // All markets
     markets: market.markets,
@@ -161,8 +770,24 @@ export default {
   refreshMarkets,
   getAllMarkets,
   getMarket,
+  resolveMatchKey,
   getMarketPrices,
   getPriceHistory,
+  toGameMarkets,
+  markMarketSettled,
+  isMarketClosed,
+  setMarketCloseTime,
+  clearMarketCloseTime,
+  getSuspension,
+  setMarketSuspended,
+  getSuspensions,
+  isPriceTrusted,
+  setFallbackPricingAllowed,
+  getFallbackPricedMarkets,
+  getTradingStatus,
+  checkTradingStatus,
+  startStatusScheduler,
+  stopStatusScheduler,
   startRefreshLoop,
   stopRefreshLoop
 };
@@ -0,0 +1,228 @@
+import * as db from '../db/index.js';
+import * as state from '../lib/state.js';
+import { withUserLock, withMatchLock } from '../lib/userLock.js';
+import { log } from '../lib/logger.js';
+import { ORDER_STATUS } from '../lib/constants.js';
+import * as userService from './userService.js';
+import * as marketService from './marketService.js';
+import * as tradingService from './tradingService.js';
+import * as pricingService from './pricingService.js';
+import * as riskService from './riskService.js';
+
+// Place a limit buy order: rests until the price for `direction` is at or
+// below limitPrice (1-99), then fills at the market price
+export async function placeLimitOrder(userId, matchKey, marketId, direction, quantity, limitPrice) {
+  if (!userId || !matchKey || !direction || !quantity) {
+    throw new Error('Missing required order parameters');
+  }
+
+  if (!['A', 'B'].includes(direction)) {
+    throw new Error('Direction must be "A" or "B"');
+  }
+
+  if (quantity <= 0 || !Number.isInteger(quantity)) {
+    throw new Error('Quantity must be a positive integer');
+  }
+
+  if (!Number.isFinite(limitPrice) || limitPrice < 1 || limitPrice > 99) {
+    throw new Error('Limit price must be between 1 and 99');
+  }
+
+  return withUserLock(userId, async () => {
+    const prices = marketService.getMarketPrices(matchKey, marketId);
+    if (!prices) {
+      throw new Error('Market not found or not available');
+    }
+
+    tradingService.checkMarketOpen(matchKey, marketId, prices);
+
+    // Users row must exist before the order can hold against it
+    const user = await userService.ensureUser(userId);
+
+    // The hold counts towards the user's exposure from now on, so check the
+    // per-order and per-user limits at the limit price up front
+    await riskService.checkTrade({ userId, matchKey, marketId, direction, quantity, price: limitPrice }, user);
+
+    const result = await db.placeLimitOrderAtomic({
+      userId,
+      matchKey,
+      marketId,
+      direction,
+      quantity,
+      limitPrice: limitPrice / 100
+    });
+
+    let order = mapDbOrder(result.order);
+    userService.cacheUserRow(result.user);
+    log.info(`[OrderService] Order ${order.id} resting: ${direction} ${quantity} @ <=${limitPrice} on ${matchKey}`);
+
+    // Marketable on arrival: fill straight away
+    const currentPrice = direction === 'A' ? prices.priceA : prices.priceB;
+    if (currentPrice <= limitPrice) {
+      try {
+        const fill = await fillOrder(order, currentPrice);
+        order = fill.order;
+        return { order, position: fill.position, balance: fill.balance };
+      } catch (err) {
+        if (!riskService.isLimitError(err)) throw err;
+        // Leave it resting; the matcher retries once the book has room
+        log.warn(`[OrderService] Order ${order.id} not filled on arrival: ${err.message}`);
+      }
+    }
+
+    return { order, position: null, balance: state.getUserState(userId).balance };
+  });
+}
+
+// Cancel a user's resting order and release its hold
+export async function cancelOrder(userId, orderId, reason = 'Cancelled by user') {
+  return withUserLock(userId, async () => {
+    const result = await db.cancelLimitOrderAtomic(orderId, userId, reason);
+    const user = userService.cacheUserRow(result.user);
+
+    log.info(`[OrderService] Order ${orderId} cancelled: ${reason}`);
+
+    return { order: mapDbOrder(result.order), balance: user.balance };
+  });
+}
+
+// Cancel every resting order on a match (e.g. when it is settled),
+// or only those on one of its markets
+export async function cancelMatchOrders(matchKey, reason, marketId = null) {
+  const orders = (await db.getOpenOrders(matchKey))
+    .filter(row => marketId === null || row.market_id === marketId);
+  const cancelled = [];
+
+  for (const row of orders) {
+    try {
+      await withUserLock(row.user_id, async () => {
+        const result = await db.cancelLimitOrderAtomic(row.id, null, reason);
+        userService.cacheUserRow(result.user);
+        cancelled.push(mapDbOrder(result.order));
+      });
+    } catch (err) {
+      log.error(`[OrderService] Failed to cancel order ${row.id}:`, err.message);
+    }
+  }
+
+  if (cancelled.length > 0) {
+    log.info(`[OrderService] Cancelled ${cancelled.length} orders on ${matchKey}: ${reason}`);
+  }
+
+  return cancelled;
+}
+
+// Fill every resting order whose limit the current price has reached
+// Runs after each market refresh; returns the fills for socket updates
+export async function matchOrders() {
+  const orders = await db.getOpenOrders();
+  const fills = [];
+
+  for (const row of orders) {
+    const order = mapDbOrder(row);
+    const prices = marketService.getMarketPrices(order.matchKey, order.marketId);
+    // Orders on a closed market rest until settlement cancels them; on a
+    // suspended one until it resumes, and on an untrusted price until it's trusted
+    if (!prices || prices.suspension || prices.priceTrusted === false || (prices.closesAt && Date.parse(prices.closesAt) <= Date.now())) continue;
+
+    const currentPrice = order.direction === 'A' ? prices.priceA : prices.priceB;
+    if (currentPrice > order.limitPrice) continue;
+
+    try {
+      const fill = await withUserLock(order.userId, () => fillOrder(order, currentPrice));
+      fills.push(fill);
+    } catch (err) {
+      // Another instance may have filled or the user cancelled it meanwhile
+      log.warn(`[OrderService] Could not fill order ${order.id}: ${err.message}`);
+    }
+  }
+
+  if (fills.length > 0) {
+    log.info(`[OrderService] Filled ${fills.length} limit orders`);
+  }
+
+  return fills;
+}
+
+// Get a user's orders (open by default)
+export async function getUserOrders(userId, status = ORDER_STATUS.OPEN) {
+  const rows = await db.getUserOrders(userId, status);
+  return rows.map(mapDbOrder);
+}
+
+// Resting orders for one market, grouped by side and price (best first)
+export async function getOrderBook(matchKey, marketId) {
+  const rows = await db.getOpenOrders(matchKey);
+  const book = { A: new Map(), B: new Map() };
+
+  for (const row of rows) {
+    const order = mapDbOrder(row);
+    if (order.marketId !== marketId) continue;
+
+    const levels = book[order.direction];
+    levels.set(order.limitPrice, (levels.get(order.limitPrice) || 0) + order.quantity);
+  }
+
+  const toLevels = (levels) => Array.from(levels, ([price, quantity]) => ({ price, quantity }))
+    .sort((a, b) => b.price - a.price);
+
+  return { matchKey, marketId, A: toLevels(book.A), B: toLevels(book.B) };
+}
+
+// Fill one order at currentPrice (1-99); caller holds the user lock
+async function fillOrder(order, currentPrice) {
+  // Liability check and fill under the match's lock (see executeTrade)
+  const result = await withMatchLock(order.matchKey, async () => {
+    // The stake is already held; only the house's liability can have moved
+    await riskService.checkTrade({ ...order, price: currentPrice });
+
+    return db.fillLimitOrderAtomic(
+      order.id,
+      currentPrice / 100,
+      `Limit buy ${order.quantity} ${order.direction} @ ${currentPrice}% (limit ${order.limitPrice}%) on ${order.matchKey}`
+    );
+  });
+
+  const position = tradingService.mapDbPosition(result.position);
+  state.addPosition(position);
+  pricingService.recordFlow(order.matchKey, order.marketId, order.direction, order.quantity);
+  const user = userService.cacheUserRow(result.user);
+
+  log.info(`[OrderService] Order ${order.id} filled: ${order.direction} ${order.quantity} @ ${currentPrice} (limit ${order.limitPrice})`);
+
+  return {
+    order: mapDbOrder(result.order),
+    position,
+    balance: user.balance
+  };
+}
+
+// Convert an orders row to the service shape (prices as 1-99)
+function mapDbOrder(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    matchKey: row.match_key,
+    marketId: row.market_id,
+    direction: row.direction,
+    quantity: row.quantity,
+    limitPrice: Math.round(parseFloat(row.limit_price) * 100),
+    heldAmount: parseFloat(row.held_amount),
+    status: row.status,
+    fillPrice: row.fill_price != null ? Math.round(parseFloat(row.fill_price) * 100) : null,
+    positionId: row.position_id ?? null,
+    cancelReason: row.cancel_reason ?? null,
+    createdAt: row.created_at,
+    filledAt: row.filled_at ?? null,
+    cancelledAt: row.cancelled_at ?? null
+  };
+}
+
+export default {
+  placeLimitOrder,
+  cancelOrder,
+  cancelMatchOrders,
+  matchOrders,
+  getUserOrders,
+  getOrderBook
+};
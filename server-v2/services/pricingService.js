@@ -0,0 +1,221 @@
+import * as db from '../db/index.js';
+import * as state from '../lib/state.js';
+import { log } from '../lib/logger.js';
+import { PRICING } from '../lib/constants.js';
+import * as pricing from '../lib/pricing.js';
+
+// Per-market engine config: Map<"matchKey:marketId", { engine, liquidity }>
+const configs = new Map();
+
+// Net order flow the house holds per market (A shares minus B shares outstanding)
+// Rebuilt from open positions on every sync, adjusted in between as trades fill
+const flows = new Map();
+
+function marketKey(matchKey, marketId) {
+  return `${matchKey}:${marketId}`;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Engine and liquidity for a market (env defaults when not configured)
+export function getConfig(matchKey, marketId) {
+  return configs.get(marketKey(matchKey, marketId)) || {
+    engine: PRICING.DEFAULT_ENGINE,
+    liquidity: PRICING.DEFAULT_LIQUIDITY
+  };
+}
+
+export function getFlow(matchKey, marketId) {
+  return flows.get(marketKey(matchKey, marketId)) || 0;
+}
+
+// Reload configs and order flow from the DB; called before each market refresh
+// so every instance converges on the same prices
+export async function sync() {
+  try {
+    const [rows, book] = await Promise.all([
+      db.getMarketPricingConfigs(),
+      db.getOpenPositionBook()
+    ]);
+
+    configs.clear();
+    for (const row of rows) {
+      configs.set(marketKey(row.match_key, row.market_id), {
+        engine: row.engine,
+        liquidity: parseFloat(row.liquidity)
+      });
+    }
+
+    flows.clear();
+    for (const row of book) {
+      const key = marketKey(row.match_key, row.market_id);
+      const signed = row.direction === 'A' ? row.quantity : -row.quantity;
+      flows.set(key, (flows.get(key) || 0) + signed);
+    }
+  } catch (err) {
+    // Keep the previous state rather than re-pricing every market at zero flow
+    log.warn(`[PricingService] Sync failed, keeping previous flows: ${err.message}`);
+  }
+}
+
+// Prices to show (1-99) given the odds feed's prices for a market
+export function displayPrices(matchKey, marketId, externalPriceA, externalPriceB) {
+  const { engine, liquidity } = getConfig(matchKey, marketId);
+  if (engine === PRICING.EXTERNAL) {
+    return { priceA: externalPriceA, priceB: externalPriceB };
+  }
+
+  const probabilityA = pricing.marginalPrice(engine, externalPriceA / 100, getFlow(matchKey, marketId), liquidity);
+  const priceA = Math.min(99, Math.max(1, Math.round(probabilityA * 100)));
+  return { priceA, priceB: 100 - priceA };
+}
+
+// Price `quantity` shares of `direction` (negative quantity = selling back)
+// prices: from marketService.getMarketPrices
+// Returns { price: average per share on the 1-99 scale, cost: rupees (negative = proceeds) }
+export function priceTrade(matchKey, marketId, prices, direction, quantity) {
+  const { engine, liquidity } = getConfig(matchKey, marketId);
+  const flatPrice = direction === 'A' ? prices.priceA : prices.priceB;
+
+  if (engine === PRICING.EXTERNAL) {
+    return { price: flatPrice, cost: quantity * (flatPrice / 100) };
+  }
+
+  const p0 = (prices.externalPriceA ?? prices.priceA) / 100;
+  const curveCost = pricing.tradeCost(engine, p0, getFlow(matchKey, marketId), liquidity, direction, quantity);
+
+  // avg_price is stored to 4 decimals (0-1), i.e. 2 decimals on the 1-99 scale
+  const price = Math.round((curveCost / quantity) * 10000) / 100;
+  return { price, cost: quantity * (price / 100) };
+}
+
+// Most whole shares `amount` rupees buys along the curve
+export function sharesForAmount(matchKey, marketId, prices, direction, amount) {
+  const { engine } = getConfig(matchKey, marketId);
+
+  if (engine === PRICING.EXTERNAL) {
+    const flatPrice = direction === 'A' ? prices.priceA : prices.priceB;
+    return Math.floor(amount / (flatPrice / 100));
+  }
+
+  // Cost rises along the curve and never drops below 0.01 a share; binary search
+  let low = 0;
+  let high = Math.floor(amount / 0.01);
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (priceTrade(matchKey, marketId, prices, direction, mid).cost <= amount) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// Account for a fill (negative quantity = shares sold back or closed)
+// and move the market's displayed price along the curve
+export function recordFlow(matchKey, marketId, direction, quantity) {
+  const key = marketKey(matchKey, marketId);
+  const signed = direction === 'A' ? quantity : -quantity;
+  flows.set(key, (flows.get(key) || 0) + signed);
+
+  repriceMarket(matchKey, marketId);
+}
+
+// Set the pricing engine for a market (admin)
+export async function setConfig(matchKey, marketId, engine, liquidity, updatedBy) {
+  if (engine !== PRICING.EXTERNAL && !pricing.isEngine(engine)) {
+    throw new Error(`Unknown pricing engine: ${engine}`);
+  }
+
+  if (!Number.isFinite(liquidity) || liquidity <= 0) {
+    throw new Error('Liquidity must be a positive number');
+  }
+
+  const row = await db.upsertMarketPricing(matchKey, marketId, engine, liquidity, updatedBy);
+  configs.set(marketKey(matchKey, marketId), { engine: row.engine, liquidity: parseFloat(row.liquidity) });
+  repriceMarket(matchKey, marketId);
+
+  log.info(`[PricingService] ${matchKey}/${marketId} pricing: ${engine} (liquidity ${liquidity}) by ${updatedBy}`);
+
+  return getConfig(matchKey, marketId);
+}
+
+// House exposure per market from open positions
+// If A wins the house pays A holders 1 per share and keeps every stake:
+// liability(A) = sharesA - stakes; worstCase is the larger of the two outcomes
+export async function getLiabilities() {
+  const book = await db.getOpenPositionBook();
+
+  return Array.from(summarizeBook(book).values())
+    .map(entry => {
+      const { engine, liquidity } = getConfig(entry.matchKey, entry.marketId);
+      const ifAWins = entry.sharesA - entry.stakes;
+      const ifBWins = entry.sharesB - entry.stakes;
+      const market = findMarketData(entry.matchKey, entry.marketId);
+
+      return {
+        ...entry,
+        stakes: roundMoney(entry.stakes),
+        ifAWins: roundMoney(ifAWins),
+        ifBWins: roundMoney(ifBWins),
+        worstCase: roundMoney(Math.max(ifAWins, ifBWins)),
+        engine,
+        liquidity,
+        netFlow: getFlow(entry.matchKey, entry.marketId),
+        // Most the curve itself can lose from its anchor, whatever the flow
+        curveMaxLoss: engine !== PRICING.EXTERNAL && market
+          ? roundMoney(pricing.maxLoss(engine, (market.externalPriceA ?? market.priceA) / 100, liquidity))
+          : null
+      };
+    })
+    .sort((a, b) => b.worstCase - a.worstCase);
+}
+
+// Open positions (getOpenPositionBook rows) totalled per market:
+// Map<"matchKey:marketId", { matchKey, marketId, sharesA, sharesB, stakes }>
+export function summarizeBook(book) {
+  const byMarket = new Map();
+
+  for (const row of book) {
+    const key = marketKey(row.match_key, row.market_id);
+    if (!byMarket.has(key)) {
+      byMarket.set(key, { matchKey: row.match_key, marketId: row.market_id, sharesA: 0, sharesB: 0, stakes: 0 });
+    }
+
+    const entry = byMarket.get(key);
+    entry[row.direction === 'A' ? 'sharesA' : 'sharesB'] += row.quantity;
+    entry.stakes += row.quantity * parseFloat(row.avg_price);
+  }
+
+  return byMarket;
+}
+
+function findMarketData(matchKey, marketId) {
+  return state.getMarketState(matchKey)?.markets.find(m => m.marketId === marketId) || null;
+}
+
+function repriceMarket(matchKey, marketId) {
+  const marketData = findMarketData(matchKey, marketId);
+  if (!marketData || marketData.externalPriceA == null) return;
+
+  Object.assign(
+    marketData,
+    displayPrices(matchKey, marketId, marketData.externalPriceA, marketData.externalPriceB)
+  );
+}
+
+export default {
+  getConfig,
+  getFlow,
+  sync,
+  displayPrices,
+  priceTrade,
+  sharesForAmount,
+  recordFlow,
+  setConfig,
+  getLiabilities,
+  summarizeBook
+};
@@ -0,0 +1,176 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import * as db from '../db/index.js';
+import { log } from '../lib/logger.js';
+import { QUOTES, ERROR_CODES } from '../lib/constants.js';
+import * as marketService from './marketService.js';
+import * as tradingService from './tradingService.js';
+import * as pricingService from './pricingService.js';
+
+// Quotes are stateless: the terms travel inside the quote id, signed so the
+// client can't alter them. Only redemption is recorded (quote_redemptions).
+let secret = QUOTES.SECRET;
+if (!secret) {
+  secret = randomUUID();
+  log.warn('[QuoteService] QUOTE_SECRET not set, quotes are only valid on this instance');
+}
+
+let cleanupInterval = null;
+
+// Price a buy of `amount` rupees on one side of a market
+// Returns the exact terms an order with the returned quoteId will fill at
+export async function createQuote(userId, matchKey, marketId, direction, amount) {
+  if (!userId || !matchKey || !direction || !amount) {
+    throw new Error('Missing required quote parameters');
+  }
+
+  if (!['A', 'B'].includes(direction)) {
+    throw new Error('Direction must be "A" or "B"');
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error('Amount must be a positive number');
+  }
+
+  const prices = marketService.getMarketPrices(matchKey, marketId);
+  if (!prices) {
+    throw new Error('Market not found or not available');
+  }
+
+  tradingService.checkMarketOpen(matchKey, marketId, prices);
+
+  if (await db.isMatchSettled(matchKey)) {
+    throw new Error('Match is already settled');
+  }
+
+  // Curve-priced markets quote the average price for the whole size
+  const quantity = pricingService.sharesForAmount(matchKey, marketId, prices, direction, amount);
+  if (quantity <= 0) {
+    const marginal = direction === 'A' ? prices.priceA : prices.priceB;
+    throw new Error(`Amount too small. Minimum: Rs ${(marginal / 100).toFixed(2)}`);
+  }
+
+  const { price } = pricingService.priceTrade(matchKey, marketId, prices, direction, quantity);
+
+  const terms = {
+    id: randomUUID(),
+    userId,
+    matchKey,
+    marketId,
+    direction,
+    quantity,
+    price,
+    expiresAt: Date.now() + QUOTES.TTL_MS
+  };
+
+  return {
+    quoteId: encodeQuote(terms),
+    ...describeTerms(terms)
+  };
+}
+
+// Fill a quote at exactly its terms, once, before it expires
+export async function executeQuote(userId, quoteId, triggers = null) {
+  const terms = verifyQuote(userId, quoteId);
+
+  if (await db.isMatchSettled(terms.matchKey)) {
+    throw new Error('Match is already settled');
+  }
+
+  if (!(await db.redeemQuote(terms.id, userId))) {
+    throw new Error('Quote already used');
+  }
+
+  try {
+    const result = await tradingService.executeTrade(
+      userId,
+      terms.matchKey,
+      terms.marketId,
+      terms.direction,
+      terms.quantity,
+      triggers,
+      { quotedPrice: terms.price, firm: true }
+    );
+
+    log.info(`[QuoteService] Quote ${terms.id} filled: ${terms.direction} ${terms.quantity} @ ${terms.price} on ${terms.matchKey}`);
+    return result;
+  } catch (err) {
+    // Nothing was filled, so the quote stays usable until it expires
+    await db.unredeemQuote(terms.id);
+    throw err;
+  }
+}
+
+// Decode and check a quote id; returns its terms
+export function verifyQuote(userId, quoteId) {
+  const [payload, signature] = String(quoteId || '').split('.');
+  if (!payload || !signature) {
+    throw new Error('Invalid quote');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid quote');
+  }
+
+  const terms = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (terms.userId !== userId) {
+    throw new Error('Invalid quote');
+  }
+
+  if (Date.now() > terms.expiresAt) {
+    const err = new Error('Quote expired, please request a new one');
+    err.code = ERROR_CODES.QUOTE_EXPIRED;
+    throw err;
+  }
+
+  return terms;
+}
+
+// Start periodic cleanup of redemptions (quotes expire within seconds)
+export function startCleanup() {
+  if (cleanupInterval) return;
+
+  log.info(`[QuoteService] Starting redemption cleanup (quotes valid ${QUOTES.TTL_MS / 1000}s)`);
+
+  cleanupInterval = setInterval(() => db.cleanOldQuoteRedemptions(1), QUOTES.CLEANUP_INTERVAL);
+}
+
+// Stop cleanup
+export function stopCleanup() {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+    log.info('[QuoteService] Stopped redemption cleanup');
+  }
+}
+
+function sign(payload) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function encodeQuote(terms) {
+  const payload = Buffer.from(JSON.stringify(terms)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+function describeTerms(terms) {
+  return {
+    matchKey: terms.matchKey,
+    marketId: terms.marketId,
+    direction: terms.direction,
+    quantity: terms.quantity,
+    price: terms.price,
+    cost: terms.quantity * (terms.price / 100),
+    potentialPayout: terms.quantity,
+    expiresAt: new Date(terms.expiresAt).toISOString()
+  };
+}
+
+export default {
+  createQuote,
+  executeQuote,
+  verifyQuote,
+  startCleanup,
+  stopCleanup
+};
@@ -0,0 +1,193 @@
+import * as db from '../db/index.js';
+import { log } from '../lib/logger.js';
+import { RISK_LIMITS, RISK_SCOPES, ERROR_CODES } from '../lib/constants.js';
+import * as pricingService from './pricingService.js';
+
+const LIMIT_CODES = [
+  ERROR_CODES.ORDER_STAKE_LIMIT,
+  ERROR_CODES.USER_EXPOSURE_LIMIT,
+  ERROR_CODES.MATCH_LIABILITY_LIMIT,
+  ERROR_CODES.MARKET_LIABILITY_LIMIT
+];
+
+// Override columns by limit name
+const LIMIT_COLUMNS = {
+  maxOrderStake: 'max_order_stake',
+  maxUserExposure: 'max_user_exposure',
+  maxMatchLiability: 'max_match_liability',
+  maxMarketLiability: 'max_market_liability'
+};
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function getDefaults() {
+  return {
+    maxOrderStake: RISK_LIMITS.MAX_ORDER_STAKE,
+    maxUserExposure: RISK_LIMITS.MAX_USER_EXPOSURE,
+    maxMatchLiability: RISK_LIMITS.MAX_MATCH_LIABILITY,
+    maxMarketLiability: RISK_LIMITS.MAX_MARKET_LIABILITY
+  };
+}
+
+// Limits in force for a user trading a match: the user's override wins,
+// then the match's, then the environment default
+export async function getLimits(userId, matchKey) {
+  const rows = await db.getRiskOverrides(userId, matchKey);
+  const userRow = rows.find(r => r.scope === RISK_SCOPES.USER && r.scope_id === userId);
+  const matchRow = rows.find(r => r.scope === RISK_SCOPES.MATCH && r.scope_id === matchKey);
+  const limits = getDefaults();
+
+  for (const [name, column] of Object.entries(LIMIT_COLUMNS)) {
+    const override = userRow?.[column] ?? matchRow?.[column];
+    if (override != null) {
+      limits[name] = parseFloat(override);
+    }
+  }
+
+  return limits;
+}
+
+// Check a buy against the risk limits before it fills; throws a limit error
+// trade: { userId, matchKey, marketId, direction, quantity, price (1-99) }
+// user: the buyer's cached state, for the per-order and exposure checks;
+// omit it when the stake is already held (a resting limit order filling)
+export async function checkTrade(trade, user = null) {
+  const { userId, matchKey, marketId, direction, quantity, price } = trade;
+  const limits = await getLimits(userId, matchKey);
+  const stake = quantity * (price / 100);
+
+  if (user) {
+    if (stake > limits.maxOrderStake) {
+      throw limitError(ERROR_CODES.ORDER_STAKE_LIMIT, 'Order stake limit exceeded', limits.maxOrderStake, stake);
+    }
+
+    // Held balance is the stake of every open position and resting order
+    const exposure = user.heldBalance + stake;
+    if (exposure > limits.maxUserExposure) {
+      throw limitError(ERROR_CODES.USER_EXPOSURE_LIMIT, 'User exposure limit exceeded', limits.maxUserExposure, exposure);
+    }
+  }
+
+  const book = await db.getOpenPositionBook(matchKey);
+
+  // What the house pays out net of stakes if every `direction` holder on the
+  // match wins (each share pays 1)
+  const directionLiability = book
+    .filter(row => row.direction === direction)
+    .reduce((sum, row) => sum + row.quantity * (1 - parseFloat(row.avg_price)), 0);
+  const matchLiability = directionLiability + quantity - stake;
+  if (matchLiability > limits.maxMatchLiability) {
+    throw limitError(ERROR_CODES.MATCH_LIABILITY_LIMIT, 'Match liability limit exceeded', limits.maxMatchLiability, matchLiability);
+  }
+
+  // Worst outcome for the house on this market; a trade that hedges the book
+  // is allowed even while the market is over its limit
+  const entry = pricingService.summarizeBook(book).get(`${matchKey}:${marketId}`) ||
+    { sharesA: 0, sharesB: 0, stakes: 0 };
+  const side = direction === 'A' ? 'sharesA' : 'sharesB';
+  const before = worstCase(entry);
+  const after = worstCase({ ...entry, [side]: entry[side] + quantity, stakes: entry.stakes + stake });
+  if (after > limits.maxMarketLiability && after > before) {
+    throw limitError(ERROR_CODES.MARKET_LIABILITY_LIMIT, 'Market liability limit exceeded', limits.maxMarketLiability, after);
+  }
+
+  return limits;
+}
+
+export function isLimitError(err) {
+  return LIMIT_CODES.includes(err?.code);
+}
+
+// Overrides currently set, with the defaults they override
+export async function listOverrides() {
+  const rows = await db.getAllRiskOverrides();
+
+  return {
+    defaults: getDefaults(),
+    overrides: rows.map(mapDbOverride)
+  };
+}
+
+// Override limits for one user or match (admin); a null limit reverts that
+// limit to the default, an omitted one is left as it was
+export async function setOverride(scope, scopeId, limits, updatedBy) {
+  if (!Object.values(RISK_SCOPES).includes(scope)) {
+    throw new Error(`Unknown risk scope: ${scope}`);
+  }
+
+  if (!scopeId) {
+    throw new Error('Missing scope id');
+  }
+
+  const names = Object.keys(limits).filter(name => limits[name] !== undefined);
+  if (names.length === 0) {
+    throw new Error(`No limits given. Expected any of: ${Object.keys(LIMIT_COLUMNS).join(', ')}`);
+  }
+
+  for (const name of names) {
+    if (!LIMIT_COLUMNS[name]) {
+      throw new Error(`Unknown risk limit: ${name}`);
+    }
+
+    const value = limits[name];
+    if (value !== null && (!Number.isFinite(value) || value <= 0)) {
+      throw new Error(`Risk limit ${name} must be a positive number or null`);
+    }
+  }
+
+  const row = await db.upsertRiskOverride(scope, scopeId, limits, updatedBy);
+
+  log.info(`[RiskService] ${scope} ${scopeId} limits overridden by ${updatedBy}: ${names.map(n => `${n}=${limits[n]}`).join(', ')}`);
+
+  return mapDbOverride(row);
+}
+
+// Drop a user's or match's override, reverting to the defaults (admin)
+export async function clearOverride(scope, scopeId, updatedBy) {
+  const deleted = await db.deleteRiskOverride(scope, scopeId);
+
+  if (deleted) {
+    log.info(`[RiskService] ${scope} ${scopeId} limit override cleared by ${updatedBy}`);
+  }
+
+  return deleted;
+}
+
+function worstCase({ sharesA, sharesB, stakes }) {
+  return Math.max(sharesA - stakes, sharesB - stakes);
+}
+
+function limitError(code, message, limit, exposure) {
+  const err = new Error(`${message} (max Rs ${limit})`);
+  err.code = code;
+  err.limit = limit;
+  err.exposure = roundMoney(exposure);
+  return err;
+}
+
+function mapDbOverride(row) {
+  const override = {
+    scope: row.scope,
+    scopeId: row.scope_id,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+
+  for (const [name, column] of Object.entries(LIMIT_COLUMNS)) {
+    override[name] = row[column] != null ? parseFloat(row[column]) : null;
+  }
+
+  return override;
+}
+
+export default {
+  getDefaults,
+  getLimits,
+  checkTrade,
+  isLimitError,
+  listOverrides,
+  setOverride,
+  clearOverride
+};
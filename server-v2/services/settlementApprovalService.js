@@ -0,0 +1,243 @@
+import * as db from '../db/index.js';
+import { log } from '../lib/logger.js';
+import { SETTLEMENT_APPROVAL, SETTLEMENT_APPROVAL_STATUS, AUTO_SETTLEMENT_STATUS } from '../lib/constants.js';
+import * as settlementService from './settlementService.js';
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function mapRow(row) {
+  return {
+    id: row.id,
+    matchKey: row.match_key,
+    marketId: row.market_id ?? null,
+    winner: row.winner,
+    marketResults: row.market_results || {},
+    competition: row.competition,
+    totalPayout: parseFloat(row.total_payout),
+    status: row.status,
+    requestedBy: row.requested_by,
+    requestedAt: row.requested_at,
+    decidedBy: row.decided_by,
+    decidedAt: row.decided_at,
+    reason: row.reason,
+    jobId: row.job_id
+  };
+}
+
+// Settle a match, or hold the settlement for a second admin when it would pay
+// out (payouts plus refunds) more than SETTLEMENT_APPROVAL.THRESHOLD.
+// Same arguments as settleMatch, whose checks run before anything is held.
+// Returns { pending: false, settlement } or { pending: true, approval }
+export async function requestSettlement(matchKey, winner, requestedBy, marketResults = {}, options = {}) {
+  const waiting = await db.getPendingSettlementApproval(matchKey);
+  if (waiting) {
+    throw new Error(`Settlement of ${matchKey} already awaiting approval (request ${waiting.id})`);
+  }
+
+  const preview = await settlementService.previewSettlement(matchKey, winner, marketResults, options);
+  const totalPayout = roundMoney(preview.totals.payout + preview.totals.refunded);
+
+  if (totalPayout <= SETTLEMENT_APPROVAL.THRESHOLD) {
+    const settlement = await settlementService.settleMatch(matchKey, winner, requestedBy, marketResults, options);
+    return { pending: false, settlement };
+  }
+
+  const row = await createRequest({
+    match_key: matchKey,
+    winner,
+    market_results: marketResults,
+    competition: options.competition ?? null,
+    total_payout: totalPayout,
+    requested_by: requestedBy
+  }, matchKey);
+
+  log.warn(`[SettlementApproval] ${matchKey} (winner ${winner}) pays out ${totalPayout}, above ${SETTLEMENT_APPROVAL.THRESHOLD}: request ${row.id} by ${requestedBy} awaits a second admin`);
+
+  return { pending: true, approval: mapRow(row) };
+}
+
+// Settle one secondary market on its own, or hold it for a second admin
+// like requestSettlement. Same arguments as settleMarket, whose checks run
+// before anything is held. Returns { pending: false, settlement } or
+// { pending: true, approval }
+export async function requestMarketSettlement(matchKey, marketId, requestedBy, result = null) {
+  const label = `market ${marketId} of ${matchKey}`;
+
+  const waiting = await db.getPendingSettlementApproval(matchKey, marketId);
+  if (waiting) {
+    throw new Error(`Settlement of ${label} already awaiting approval (request ${waiting.id})`);
+  }
+
+  // Without a result the stats decide it; the request keeps what they decided
+  const preview = await settlementService.previewMarketSettlement(matchKey, marketId, result);
+  const totalPayout = roundMoney(preview.totals.payout + preview.totals.refunded);
+
+  if (totalPayout <= SETTLEMENT_APPROVAL.THRESHOLD) {
+    const settlement = await settlementService.settleMarket(matchKey, marketId, requestedBy, preview.winner);
+    return { pending: false, settlement };
+  }
+
+  const row = await createRequest({
+    match_key: matchKey,
+    market_id: marketId,
+    winner: preview.winner,
+    market_results: preview.marketResults,
+    competition: null,
+    total_payout: totalPayout,
+    requested_by: requestedBy
+  }, label);
+
+  log.warn(`[SettlementApproval] ${label} (result ${preview.winner}) pays out ${totalPayout}, above ${SETTLEMENT_APPROVAL.THRESHOLD}: request ${row.id} by ${requestedBy} awaits a second admin`);
+
+  return { pending: true, approval: mapRow(row) };
+}
+
+// Settle, or hold for approval, every secondary market the recorded stats
+// decide and that isn't settled yet. Markets that fail (or already wait for
+// approval) are logged and left for the next call
+// Returns { settled: [settlement], pending: [approval] }
+export async function requestResolvedMarkets(matchKey, requestedBy) {
+  const { markets } = await settlementService.getMatchStats(matchKey);
+  const settled = [];
+  const pending = [];
+
+  for (const market of markets) {
+    if (!market.result || market.settledResult) continue;
+
+    try {
+      const result = await requestMarketSettlement(matchKey, market.marketId, requestedBy, market.result);
+      if (result.pending) {
+        pending.push(result.approval);
+      } else {
+        settled.push(result.settlement);
+      }
+    } catch (err) {
+      log.error(`[SettlementApproval] Could not settle market ${market.marketId} of ${matchKey}:`, err.message);
+    }
+  }
+
+  return { settled, pending };
+}
+
+async function createRequest(row, label) {
+  try {
+    return await db.createSettlementApproval(row);
+  } catch (err) {
+    // Another admin asked meanwhile (one pending request per match or market)
+    if (err.code === '23505') {
+      throw new Error(`Settlement of ${label} already awaiting approval`);
+    }
+    throw err;
+  }
+}
+
+// Settlement requests, by status (those awaiting approval by default)
+export async function listSettlementApprovals(status = SETTLEMENT_APPROVAL_STATUS.PENDING) {
+  const rows = await db.getSettlementApprovals(status);
+  return rows.map(mapRow);
+}
+
+async function getPendingRequest(id) {
+  const row = await db.getSettlementApproval(id);
+  if (!row) {
+    throw new Error(`Settlement request ${id} not found`);
+  }
+
+  if (row.status !== SETTLEMENT_APPROVAL_STATUS.PENDING) {
+    throw new Error(`Settlement request ${id} already ${row.status}`);
+  }
+
+  return row;
+}
+
+// Approve a held settlement and run it. The approver must be a different
+// admin from the one who asked. Returns the settlement, as settleMatch (or
+// settleMarket for a market's request)
+export async function approveSettlement(id, adminUserId) {
+  const row = await getPendingRequest(id);
+
+  if (row.requested_by === adminUserId) {
+    throw new Error(`Settlement request ${id} must be approved by a different admin than ${row.requested_by}`);
+  }
+
+  // Claimed before settling, so two approvers can't both settle it
+  const claimed = await db.updateSettlementApproval(id, SETTLEMENT_APPROVAL_STATUS.PENDING, {
+    status: SETTLEMENT_APPROVAL_STATUS.APPROVED,
+    decided_by: adminUserId,
+    decided_at: new Date().toISOString()
+  });
+  if (!claimed) {
+    throw new Error(`Settlement request ${id} already decided`);
+  }
+
+  let settlement;
+  try {
+    if (row.market_id != null) {
+      settlement = await settlementService.settleMarket(row.match_key, row.market_id, adminUserId, row.winner);
+    } else {
+      settlement = await settlementService.settleMatch(
+        row.match_key,
+        row.winner,
+        adminUserId,
+        row.market_results || {},
+        { competition: row.competition }
+      );
+    }
+  } catch (err) {
+    // Refused before any money moved (e.g. settled by hand meanwhile): the
+    // request waits again, for another approval or a rejection
+    await db.updateSettlementApproval(id, SETTLEMENT_APPROVAL_STATUS.APPROVED, {
+      status: SETTLEMENT_APPROVAL_STATUS.PENDING,
+      decided_by: null,
+      decided_at: null
+    });
+    throw err;
+  }
+
+  await db.updateSettlementApproval(id, SETTLEMENT_APPROVAL_STATUS.APPROVED, { job_id: settlement.jobId });
+
+  // A match result the worker detected is settled now too
+  const detected = row.market_id == null ? await db.getAutoSettlement(row.match_key) : null;
+  if (detected?.status === AUTO_SETTLEMENT_STATUS.REVIEW) {
+    await db.updateAutoSettlement(row.match_key, {
+      status: AUTO_SETTLEMENT_STATUS.SETTLED,
+      resolved_by: adminUserId,
+      resolved_at: new Date().toISOString()
+    });
+  }
+
+  log.info(`[SettlementApproval] Request ${id} (${row.match_key}${row.market_id != null ? ` market ${row.market_id}` : ''}, winner ${row.winner}) by ${row.requested_by} approved by ${adminUserId}`);
+
+  return settlement;
+}
+
+// Reject a held settlement; nothing is paid. The admin who asked may also
+// withdraw their own request
+export async function rejectSettlement(id, adminUserId, reason = null) {
+  await getPendingRequest(id);
+
+  const updated = await db.updateSettlementApproval(id, SETTLEMENT_APPROVAL_STATUS.PENDING, {
+    status: SETTLEMENT_APPROVAL_STATUS.REJECTED,
+    decided_by: adminUserId,
+    decided_at: new Date().toISOString(),
+    reason: reason || null
+  });
+  if (!updated) {
+    throw new Error(`Settlement request ${id} already decided`);
+  }
+
+  log.info(`[SettlementApproval] Request ${id} (${updated.match_key}) rejected by ${adminUserId}${reason ? `: ${reason}` : ''}`);
+
+  return mapRow(updated);
+}
+
+export default {
+  requestSettlement,
+  requestMarketSettlement,
+  requestResolvedMarkets,
+  listSettlementApprovals,
+  approveSettlement,
+  rejectSettlement
+};
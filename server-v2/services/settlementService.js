@@ -1,15 +1,45 @@
 import * as db from '../db/index.js';
 import * as state from '../lib/state.js';
+import { withUserLock } from '../lib/userLock.js';
 import { log } from '../lib/logger.js';
-import { POSITION_STATUS, TRANSACTION_TYPES } from '../lib/constants.js';
+import { resolveMarket, validateStats, mergeStats } from '../lib/marketResolvers.js';
+import { POSITION_STATUS, MARKET_TYPES, MARKET_DEFINITIONS, SETTLEMENT_RESULTS, SETTLEMENT_JOB_STATUS, SETTLEMENT_ITEM_STATUS, TIE_RULES, DEFAULT_TIE_RULE } from '../lib/constants.js';
 import * as userService from './userService.js';
 import * as tradingService from './tradingService.js';
+import * as orderService from './orderService.js';
+import * as marketService from './marketService.js';
 
-// Settle a match with a winner
-export async function settleMatch(matchKey, winner, adminUserId) {
+const RESULTS = Object.values(SETTLEMENT_RESULTS);
+const MARKET_RESULTS = RESULTS.filter(r => r !== SETTLEMENT_RESULTS.TIE);
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Validate a settlement request and read everything it acts on, without
+// writing anything; shared by settleMatch and previewSettlement
+async function prepareSettlement(matchKey, winner, marketResults, options) {
   // Validate winner
-  if (!['A', 'B'].includes(winner)) {
-    throw new Error('Winner must be "A" or "B"');
+  if (!RESULTS.includes(winner)) {
+    throw new Error('Winner must be "A", "B", "void" or "tie"');
+  }
+
+  for (const [marketId, result] of Object.entries(marketResults)) {
+    if (!MARKET_RESULTS.includes(result)) {
+      throw new Error(`Result for market ${marketId} must be "A", "B" or "void"`);
+    }
+  }
+
+  let tie = null;
+  if (winner === SETTLEMENT_RESULTS.TIE) {
+    const competition = options.competition || null;
+    const rule = await getTieRule(competition);
+
+    if (rule === TIE_RULES.SUPER_OVER) {
+      throw new Error(`Ties in ${competition || 'this competition'} are decided by super over: settle with the super over winner`);
+    }
+
+    tie = { competition, rule };
   }
 
   // Check if already settled
@@ -18,107 +48,700 @@ export async function settleMatch(matchKey, winner, adminUserId) {
     throw new Error(`Match ${matchKey} already settled. Winner was: ${existingSettlement.winner}`);
   }
 
-  log.info(`[SettlementService] Starting settlement for ${matchKey}, winner: ${winner}`);
-
   // Get all open positions for this match
   const positions = await tradingService.getMatchPositions(matchKey);
+  const marketIds = [...new Set(positions.map(p => p.marketId))];
+
+  // Each market's result: the one given, the void match's, or else its rule
+  // applied to the recorded match stats
+  const results = { [MARKET_TYPES.MATCH_WINNER]: winner };
+  for (const id of marketIds.filter(id => id !== MARKET_TYPES.MATCH_WINNER)) {
+    results[id] = marketResults[id] ?? (winner === SETTLEMENT_RESULTS.VOID ? SETTLEMENT_RESULTS.VOID : null);
+  }
+
+  const undecided = marketIds.filter(id => !results[id]);
+  if (undecided.length > 0) {
+    Object.assign(results, await resolveFromStats(matchKey, undecided));
+  }
+
+  const resultFor = (marketId) => results[marketId];
+
+  // A secondary market isn't decided by the match winner; refuse rather than guess
+  const unresolved = marketIds.filter(id => !resultFor(id));
+  if (unresolved.length > 0) {
+    throw new Error(`Missing result for market ${unresolved.join(', ')}: pass marketResults or record the match stats`);
+  }
+
+  // Outcome of every market settled with the match (and of those settled
+  // before it on their own), as recorded in settlements
+  const earlier = await db.getMarketSettlements([matchKey]);
+  const settledResults = {
+    ...Object.fromEntries(earlier.map(row => [row.market_id, row.result])),
+    ...marketResults,
+    [MARKET_TYPES.MATCH_WINNER]: winner
+  };
+  for (const id of marketIds) {
+    settledResults[id] = resultFor(id);
+  }
+
+  return { positions, resultFor, settledResults, tie };
+}
+
+// Results the match stats decide for the given markets, under each market's
+// rule (lib/marketResolvers.js) and its locked line: { [marketId]: result }
+async function resolveFromStats(matchKey, marketIds) {
+  const row = await db.getMatchStats(matchKey);
+  if (!row) return {};
+
+  const thresholds = await db.getMarketThresholds(matchKey);
+  const results = {};
+
+  for (const id of marketIds) {
+    const result = resolveMarket(id, row.stats, thresholds[id] ?? null);
+    if (result) {
+      results[id] = result;
+    }
+  }
+
+  return results;
+}
+
+// What settling a position under `result` does to it
+// Winners get quantity * 1 (each share pays 100%), losers nothing (they
+// already paid their stake); void and void-rule ties refund the cost basis,
+// dead-heat ties pay half a share
+function projectPosition(position, result, tie) {
+  const costBasis = position.quantity * position.avgPrice;
+
+  if (result === SETTLEMENT_RESULTS.VOID) {
+    return { status: POSITION_STATUS.VOID, costBasis, payout: costBasis, refund: true };
+  }
+
+  if (result === SETTLEMENT_RESULTS.TIE) {
+    return tie.rule === TIE_RULES.VOID
+      ? { status: POSITION_STATUS.TIE, costBasis, payout: costBasis, refund: true }
+      : { status: POSITION_STATUS.TIE, costBasis, payout: position.quantity * 0.5, refund: false };
+  }
+
+  return position.direction === result
+    ? { status: POSITION_STATUS.WON, costBasis, payout: position.quantity, refund: false }
+    : { status: POSITION_STATUS.LOST, costBasis, payout: 0, refund: false };
+}
+
+// Settle a match with a winner
+// winner decides the Match Winner market; marketResults: { [marketId]: 'A' | 'B' | 'void' }
+// decides each secondary market (Toss Winner, Over/Under, ...) with open positions.
+// A 'void' winner (abandoned / no result) also voids every secondary market
+// without a result of its own; voided positions get their cost basis back.
+// A 'tie' winner settles the Match Winner under the tie rule of
+// options.competition (void or dead heat); secondary markets still need results
+// The settlement runs as a persisted job (see runSettlementJob): if any
+// position fails the match is not marked settled, and resumeSettlement
+// finishes it without paying anything twice
+export async function settleMatch(matchKey, winner, adminUserId, marketResults = {}, options = {}) {
+  await assertNoRunningJob(matchKey);
+
+  const { positions, resultFor, settledResults, tie } = await prepareSettlement(matchKey, winner, marketResults, options);
+
+  log.info(`[SettlementService] Starting settlement for ${matchKey}, winner: ${winner}${tie ? ` (tie rule: ${tie.rule})` : ''}`);
   log.info(`[SettlementService] Found ${positions.length} open positions`);
 
+  return startSettlementJob(
+    { matchKey, winner, marketResults: settledResults, tie, settledBy: adminUserId },
+    positions,
+    resultFor,
+    tie
+  );
+}
+
+// Settle one secondary market on its own, before the match ends (admin)
+// result: 'A' | 'B' | 'void'; without one the market's rule decides it from
+// the recorded match stats
+export async function settleMarket(matchKey, marketId, adminUserId, result = null) {
+  const prepared = await prepareMarketSettlement(matchKey, marketId, result);
+
+  log.info(`[SettlementService] Starting settlement of market ${marketId} of ${matchKey}, result: ${prepared.result}, ${prepared.positions.length} open positions`);
+
+  return startSettlementJob(
+    { matchKey, marketId, winner: prepared.result, marketResults: { [marketId]: prepared.result }, tie: null, settledBy: adminUserId },
+    prepared.positions,
+    () => prepared.result,
+    null
+  );
+}
+
+// Checks shared by settleMarket and previewMarketSettlement, and the
+// market's result and open positions
+async function prepareMarketSettlement(matchKey, marketId, result) {
+  if (marketId === MARKET_TYPES.MATCH_WINNER || !MARKET_DEFINITIONS[marketId]) {
+    throw new Error(`Market ${marketId} cannot be settled on its own: settle the match`);
+  }
+
+  if (result && !MARKET_RESULTS.includes(result)) {
+    throw new Error(`Result for market ${marketId} must be "A", "B" or "void"`);
+  }
+
+  await assertNoRunningJob(matchKey);
+
+  const existingSettlement = await db.getSettlement(matchKey);
+  if (existingSettlement) {
+    throw new Error(`Match ${matchKey} already settled. Winner was: ${existingSettlement.winner}`);
+  }
+
+  const earlier = (await db.getMarketSettlements([matchKey])).find(row => row.market_id === marketId);
+  if (earlier) {
+    throw new Error(`Market ${marketId} of ${matchKey} already settled. Result was: ${earlier.result}`);
+  }
+
+  if (!result) {
+    result = (await resolveFromStats(matchKey, [marketId]))[marketId];
+    if (!result) {
+      throw new Error(`Missing result for market ${marketId}: the match stats don't decide it yet`);
+    }
+  }
+
+  const positions = (await tradingService.getMatchPositions(matchKey)).filter(p => p.marketId === marketId);
+
+  return { result, positions };
+}
+
+async function assertNoRunningJob(matchKey) {
+  const running = await db.getRunningSettlementJob(matchKey);
+  if (running) {
+    throw new Error(`Settlement of ${matchKey} already in progress (job ${running.id}, winner: ${running.winner}): resume it`);
+  }
+}
+
+// Fix every position's outcome before any money moves, so a resumed job
+// settles exactly what this one set out to, then run the job
+async function startSettlementJob(job, positions, resultFor, tie) {
+  const items = positions.map(position => {
+    const { status, costBasis, payout, refund } = projectPosition(position, resultFor(position.marketId), tie);
+
+    return {
+      position_id: position.dbId,
+      user_id: position.userId,
+      market_id: position.marketId,
+      direction: position.direction,
+      quantity: position.quantity,
+      avg_price: position.avgPrice,
+      outcome: status,
+      cost_basis: costBasis,
+      payout,
+      refund
+    };
+  });
+
+  let created;
+  try {
+    created = await db.createSettlementJobAtomic(job, items);
+  } catch (err) {
+    // Another admin started one meanwhile (one running job per match)
+    if (err.code === '23505') {
+      throw new Error(`Settlement of ${job.matchKey} already in progress: resume it`);
+    }
+    throw err;
+  }
+
+  return runSettlementJob(created);
+}
+
+// Resume a settlement job that a crash, restart or failed positions left running
+export async function resumeSettlement(jobId) {
+  const job = await db.getSettlementJob(jobId);
+  if (!job) {
+    throw new Error(`Settlement job ${jobId} not found`);
+  }
+
+  if (job.status !== SETTLEMENT_JOB_STATUS.RUNNING) {
+    throw new Error(`Settlement job ${jobId} already completed`);
+  }
+
+  log.info(`[SettlementService] Resuming settlement job ${job.id} for ${job.match_key}`);
+
+  return runSettlementJob(job);
+}
+
+// Resume every running job (on startup)
+export async function resumeSettlementJobs() {
+  const jobs = await db.getRunningSettlementJobs();
+  const results = [];
+
+  for (const job of jobs) {
+    try {
+      log.info(`[SettlementService] Resuming settlement job ${job.id} for ${job.match_key}`);
+      results.push(await runSettlementJob(job));
+    } catch (err) {
+      log.error(`[SettlementService] Error resuming settlement job ${job.id}:`, err.message);
+    }
+  }
+
+  return results;
+}
+
+// Running jobs with their progress, for the admin console
+export async function listSettlementJobs() {
+  const jobs = await db.getRunningSettlementJobs();
+
+  return Promise.all(jobs.map(async job => {
+    const items = await db.getSettlementJobItems(job.id);
+    const count = (status) => items.filter(i => i.status === status).length;
+
+    return {
+      jobId: job.id,
+      matchKey: job.match_key,
+      winner: job.winner,
+      settledBy: job.settled_by,
+      createdAt: job.created_at,
+      lastError: job.last_error,
+      totalPositions: items.length,
+      settled: count(SETTLEMENT_ITEM_STATUS.SETTLED),
+      skipped: count(SETTLEMENT_ITEM_STATUS.SKIPPED),
+      pending: count(SETTLEMENT_ITEM_STATUS.PENDING),
+      failed: items
+        .filter(i => i.status === SETTLEMENT_ITEM_STATUS.FAILED)
+        .map(i => ({ positionId: i.position_id, userId: i.user_id, error: i.error }))
+    };
+  }));
+}
+
+// Settle every item of a job that is not settled yet. Each item settles in
+// one DB transaction (settle_job_position), so running a job again never
+// pays a position twice. The match is recorded as settled only once no item
+// is left; otherwise the job stays running and its failures are reported
+async function runSettlementJob(job) {
+  const matchKey = job.match_key;
+  const marketResults = job.market_results || {};
+  const tie = job.tie_rule ? { competition: job.competition, rule: job.tie_rule } : null;
+
+  const items = await db.getSettlementJobItems(job.id);
+
+  // Resting limit orders can no longer fill; release their holds
+  const cancelledOrders = job.market_id
+    ? await orderService.cancelMatchOrders(matchKey, `Market ${job.market_id} settled (result: ${job.winner})`, job.market_id)
+    : await orderService.cancelMatchOrders(matchKey, `Match settled (winner: ${job.winner})`);
+
+  for (const item of items) {
+    if (item.status === SETTLEMENT_ITEM_STATUS.SETTLED || item.status === SETTLEMENT_ITEM_STATUS.SKIPPED) {
+      continue;
+    }
+
+    try {
+      // Serialize with the user's trades and other balance updates
+      await withUserLock(item.user_id, async () => {
+        const result = marketResults[item.market_id] ?? job.winner;
+        const [description, payoutDescription] = describeSettlement(matchKey, item, result);
+
+        const settled = await db.settleJobPositionAtomic(job.id, item.position_id, description, payoutDescription);
+
+        // Remove from memory
+        state.removePosition(item.position_id);
+        if (settled.user) {
+          userService.cacheUserRow(settled.user);
+        }
+
+        Object.assign(item, settled.item);
+      });
+
+      log.info(`[SettlementService] Position ${item.position_id} ${item.status === SETTLEMENT_ITEM_STATUS.SKIPPED ? 'skipped (no longer open)' : `${item.outcome}: user ${item.user_id}, cost: ${item.cost_basis}, payout: ${item.payout}`}`);
+    } catch (err) {
+      log.error(`[SettlementService] Error processing position ${item.position_id}:`, err.message);
+
+      item.status = SETTLEMENT_ITEM_STATUS.FAILED;
+      item.error = err.message;
+      await db.failSettlementJobItem(job.id, item.position_id, err.message).catch(failErr => {
+        log.warn(`[SettlementService] Could not record failure of position ${item.position_id}: ${failErr.message}`);
+      });
+    }
+  }
+
+  const results = summarizeJob(job, items, cancelledOrders.length);
+
+  if (results.failed.length > 0) {
+    await db.updateSettlementJob(job.id, { last_error: `${results.failed.length} position(s) failed` });
+
+    log.warn(`[SettlementService] Settlement of ${matchKey} incomplete (job ${job.id}): ${results.failed.length} position(s) failed, match not marked settled`);
+    return results;
+  }
+
+  // A crash after recording the settlement leaves only the job to finish
+  if (job.market_id) {
+    // The market alone; the match settles later
+    const recorded = (await db.getMarketSettlements([matchKey])).some(row => row.market_id === job.market_id);
+    if (!recorded) {
+      const stats = await db.getMatchStats(matchKey);
+      await db.createMarketSettlement(matchKey, job.market_id, job.winner, stats?.stats ?? null, job.settled_by);
+    }
+    marketService.markMarketSettled(matchKey, job.market_id);
+  } else if (!(await db.getSettlement(matchKey))) {
+    await db.createSettlement(matchKey, job.winner, job.settled_by, marketResults, tie);
+  }
+  await db.updateSettlementJob(job.id, {
+    status: SETTLEMENT_JOB_STATUS.COMPLETED,
+    last_error: null,
+    completed_at: new Date().toISOString()
+  });
+
+  log.info(`[SettlementService] Settlement complete for ${matchKey}${job.market_id ? ` market ${job.market_id}` : ''}. Winners: ${results.winners.length}, Losers: ${results.losers.length}, Voided: ${results.voided.length}, Tied: ${results.tied.length}, Total payout: ${results.totalPayout}, Total refunded: ${results.totalRefunded}`);
+
+  return results;
+}
+
+// Ledger descriptions for settling an item: [stake or refund row, payout row]
+function describeSettlement(matchKey, item, result) {
+  const { quantity, direction } = item;
+  const payout = Number(item.payout);
+  const stake = `Settlement: ${quantity} shares @ ${(Number(item.avg_price) * 100).toFixed(0)}% cost`;
+
+  switch (item.outcome) {
+    case POSITION_STATUS.VOID:
+      return [`Void: ${quantity} on ${matchKey} (${direction}) refunded - no result`, null];
+    case POSITION_STATUS.TIE:
+      return item.refund
+        ? [`Tie: ${quantity} on ${matchKey} (${direction}) refunded - tie rule: void`, null]
+        : [stake, `Tie on ${matchKey} (${direction}) - dead heat, paid half: $${payout.toFixed(2)}`];
+    case POSITION_STATUS.LOST:
+      return [`Lost ${quantity} on ${matchKey} (bet ${direction}, winner: ${result})`, null];
+    default:
+      return [stake, `Won ${quantity} on ${matchKey} (${direction}) - profit: $${(payout - Number(item.cost_basis)).toFixed(2)}`];
+  }
+}
+
+// Settle results of a job from its items, including those a previous run settled
+function summarizeJob(job, items, cancelledOrders) {
   const results = {
-    matchKey,
-    winner,
-    totalPositions: positions.length,
+    jobId: job.id,
+    matchKey: job.match_key,
+    marketId: job.market_id ?? null,
+    winner: job.winner,
+    marketResults: job.market_results || {},
+    tieRule: job.tie_rule ?? null,
+    totalPositions: items.length,
+    complete: true,
     winners: [],
     losers: [],
-    totalPayout: 0
+    voided: [],
+    tied: [],
+    skipped: [],
+    failed: [],
+    totalPayout: 0,
+    totalRefunded: 0,
+    cancelledOrders
+  };
+
+  for (const item of items) {
+    const entry = {
+      userId: item.user_id,
+      positionId: item.position_id,
+      direction: item.direction,
+      quantity: item.quantity
+    };
+
+    if (item.status === SETTLEMENT_ITEM_STATUS.SKIPPED) {
+      results.skipped.push(entry);
+      continue;
+    }
+
+    if (item.status !== SETTLEMENT_ITEM_STATUS.SETTLED) {
+      results.failed.push({ ...entry, error: item.error || 'Not processed' });
+      continue;
+    }
+
+    const costBasis = Number(item.cost_basis);
+    const payout = Number(item.payout);
+
+    if (item.refund) {
+      results.totalRefunded += payout;
+    } else {
+      results.totalPayout += payout;
+    }
+
+    if (item.outcome === POSITION_STATUS.WON) {
+      results.winners.push({ ...entry, costBasis, payout, profit: payout - costBasis });
+    } else if (item.outcome === POSITION_STATUS.LOST) {
+      results.losers.push({ ...entry, loss: costBasis });
+    } else if (item.outcome === POSITION_STATUS.VOID) {
+      results.voided.push({ ...entry, marketId: item.market_id, refund: payout });
+    } else {
+      results.tied.push({ ...entry, costBasis, payout, profit: payout - costBasis });
+    }
+  }
+
+  results.complete = results.failed.length === 0;
+  results.totalPayout = roundMoney(results.totalPayout);
+  results.totalRefunded = roundMoney(results.totalRefunded);
+
+  return results;
+}
+
+// Dry run of settleMatch: same arguments and checks, nothing written
+// Returns every affected position, each user's net, the totals and the
+// house's net P&L on the match (stakes kept minus payouts and refunds)
+export async function previewSettlement(matchKey, winner, marketResults = {}, options = {}) {
+  const { positions, resultFor, settledResults, tie } = await prepareSettlement(matchKey, winner, marketResults, options);
+  const openOrders = await db.getOpenOrders(matchKey);
+
+  return {
+    matchKey,
+    winner,
+    marketResults: settledResults,
+    tieRule: tie?.rule ?? null,
+    ...projectSettlement(positions, resultFor, tie),
+    cancelledOrders: openOrders.length
+  };
+}
+
+// Dry run of settleMarket: same arguments and checks, nothing written.
+// Returns what previewSettlement does, for the market's positions
+export async function previewMarketSettlement(matchKey, marketId, result = null) {
+  const prepared = await prepareMarketSettlement(matchKey, marketId, result);
+  const openOrders = (await db.getOpenOrders(matchKey)).filter(order => order.market_id === marketId);
+
+  return {
+    matchKey,
+    marketId,
+    winner: prepared.result,
+    marketResults: { [marketId]: prepared.result },
+    tieRule: null,
+    ...projectSettlement(prepared.positions, () => prepared.result, null),
+    cancelledOrders: openOrders.length
+  };
+}
+
+// Every position's projected outcome, each user's net, the totals and the
+// house's net P&L (stakes kept minus payouts and refunds)
+function projectSettlement(positions, resultFor, tie) {
+  const users = new Map();
+  const totals = {
+    positions: positions.length,
+    won: 0,
+    lost: 0,
+    void: 0,
+    tie: 0,
+    stakes: 0,
+    payout: 0,
+    refunded: 0
+  };
+
+  const rows = positions.map(position => {
+    const { status, costBasis, payout, refund } = projectPosition(position, resultFor(position.marketId), tie);
+    const pnl = payout - costBasis;
+
+    totals[status] += 1;
+    totals.stakes += costBasis;
+    if (refund) {
+      totals.refunded += payout;
+    } else {
+      totals.payout += payout;
+    }
+
+    const user = users.get(position.userId) || { userId: position.userId, positions: 0, costBasis: 0, payout: 0, pnl: 0 };
+    user.positions += 1;
+    user.costBasis += costBasis;
+    user.payout += payout;
+    user.pnl += pnl;
+    users.set(position.userId, user);
+
+    return {
+      positionId: position.dbId,
+      userId: position.userId,
+      marketId: position.marketId,
+      direction: position.direction,
+      quantity: position.quantity,
+      avgPrice: Math.round(position.avgPrice * 100),
+      outcome: status,
+      costBasis: roundMoney(costBasis),
+      payout: roundMoney(payout),
+      pnl: roundMoney(pnl)
+    };
+  });
+
+  return {
+    positions: rows,
+    users: [...users.values()].map(user => ({
+      ...user,
+      costBasis: roundMoney(user.costBasis),
+      payout: roundMoney(user.payout),
+      pnl: roundMoney(user.pnl)
+    })),
+    totals: {
+      ...totals,
+      stakes: roundMoney(totals.stakes),
+      payout: roundMoney(totals.payout),
+      refunded: roundMoney(totals.refunded)
+    },
+    houseNet: roundMoney(totals.stakes - totals.payout - totals.refunded)
   };
+}
+
+// Undo a settlement (admin): post a compensating ledger entry for every
+// position it closed, reopen those positions and mark the settlement reversed
+// so the match can be settled again. Each affected user is notified why.
+// Resting orders the settlement cancelled stay cancelled
+export async function reverseSettlement(matchKey, adminUserId, reason) {
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required to reverse a settlement');
+  }
+
+  const settlement = await db.getSettlement(matchKey);
+  if (!settlement) {
+    throw new Error(`Match ${matchKey} is not settled`);
+  }
+
+  // Settlements from before per-market results settled every market by the winner
+  const marketResults = settlement.market_results || {};
+  const resultFor = (marketId) => marketResults[marketId] ?? settlement.winner;
+  const tie = settlement.tie_rule ? { competition: settlement.competition, rule: settlement.tie_rule } : null;
+
+  const positions = (await db.getSettledPositions(matchKey)).map(tradingService.mapDbPosition);
+
+  log.info(`[SettlementService] Reversing settlement ${settlement.id} of ${matchKey} (winner: ${settlement.winner}), ${positions.length} positions, by ${adminUserId}: ${reason}`);
+
+  // Users whose positions this run reopened, to notify
+  const users = new Map();
+  const failed = [];
 
-  // Process each position
   for (const position of positions) {
     try {
-      const isWinner = position.direction === winner;
-      const status = isWinner ? POSITION_STATUS.WON : POSITION_STATUS.LOST;
-
-      // Calculate payout
-      // Winners get: quantity * 1 (they bought at avgPrice, win pays 100%)
-      // Losers get: nothing (they already paid their stake)
-      const payout = isWinner ? position.quantity : 0;
-
-      // Update position status in DB
-      await db.closePosition(position.dbId, status);
-
-      // Remove from memory
-      state.removePosition(position.dbId);
-
-      if (isWinner) {
-        // Winner: their shares are now worth $1.00 each
-        // Deduct the cost (clears held), then add the payout
-        const costBasis = position.quantity * position.avgPrice;
-        const profit = payout - costBasis;
-
-        // Deduct cost basis (this also clears held balance)
-        await userService.deductFromBalance(
-          position.userId,
-          costBasis,
-          TRANSACTION_TYPES.SETTLEMENT,
-          String(position.dbId),
-          `Settlement: ${position.quantity} shares @ ${(position.avgPrice * 100).toFixed(0)}% cost`
-        );
-
-        // Credit the full payout (shares worth $1.00 each)
-        await userService.addToBalance(
-          position.userId,
-          payout,
-          TRANSACTION_TYPES.SETTLEMENT,
-          `Won ${position.quantity} on ${matchKey} (${position.direction}) - profit: $${profit.toFixed(2)}`
-        );
-
-        results.winners.push({
-          userId: position.userId,
-          positionId: position.dbId,
-          direction: position.direction,
-          quantity: position.quantity,
-          costBasis,
-          payout,
-          profit
-        });
+      await withUserLock(position.userId, async () => {
+        const { costBasis, payout, refund } = projectPosition(position, resultFor(position.marketId), tie);
 
-        results.totalPayout += payout;
-        log.info(`[SettlementService] Winner: user ${position.userId}, cost: ${costBasis}, payout: ${payout}, profit: ${profit}`);
-      } else {
-        // Loser: their shares are now worth $0.00
-        // Deduct the cost (their stake is lost)
-        const loss = position.quantity * position.avgPrice;
-
-        await userService.deductFromBalance(
-          position.userId,
-          loss,
-          TRANSACTION_TYPES.SETTLEMENT,
-          String(position.dbId),
-          `Lost ${position.quantity} on ${matchKey} (bet ${position.direction}, winner: ${winner})`
-        );
-
-        results.losers.push({
-          userId: position.userId,
-          positionId: position.dbId,
-          direction: position.direction,
-          quantity: position.quantity,
-          loss
+        // Settling released the stake from held and, unless it was refunded,
+        // took it from the balance and credited the payout; put both back
+        const balanceDelta = refund ? 0 : costBasis - payout;
+
+        const reversed = await db.reverseSettlementPositionAtomic(settlement.id, position.dbId, {
+          balanceDelta,
+          heldDelta: costBasis,
+          amount: refund ? -costBasis : balanceDelta,
+          description: `Settlement reversed: ${position.quantity} on ${matchKey} (${position.direction}) reopened, was ${position.status} - ${reason}`
         });
 
-        log.info(`[SettlementService] Loser: user ${position.userId}, lost: ${loss}`);
-      }
+        if (reversed.already_reversed || !reversed.position) {
+          return;
+        }
+
+        state.addPosition(tradingService.mapDbPosition(reversed.position));
+        userService.cacheUserRow(reversed.user);
+
+        const user = users.get(position.userId) || { userId: position.userId, positions: 0, balanceAdjusted: 0 };
+        user.positions += 1;
+        user.balanceAdjusted = roundMoney(user.balanceAdjusted + balanceDelta);
+        users.set(position.userId, user);
+      });
+    } catch (err) {
+      failed.push(position.dbId);
+      log.error(`[SettlementService] Error reversing position ${position.dbId}:`, err.message);
+    }
+  }
+
+  for (const user of users.values()) {
+    const adjusted = user.balanceAdjusted === 0
+      ? 'Your balance is unchanged'
+      : `Rs ${Math.abs(user.balanceAdjusted).toFixed(2)} was ${user.balanceAdjusted > 0 ? 'credited to' : 'debited from'} your balance`;
+
+    try {
+      await userService.notifyUser(
+        user.userId,
+        'Settlement corrected',
+        `The settlement of ${matchKey} was reversed: ${reason}. ${adjusted} and ${user.positions} position(s) reopened until the match is settled again.`,
+        '↩️'
+      );
     } catch (err) {
-      log.error(`[SettlementService] Error processing position ${position.dbId}:`, err.message);
+      log.error(`[SettlementService] Error notifying ${user.userId} of reversal:`, err.message);
     }
   }
 
-  // Record settlement
-  await db.createSettlement(matchKey, winner, adminUserId);
+  // Positions that failed are still settled; a retry picks up only those
+  if (failed.length > 0) {
+    throw new Error(`Reversal incomplete: positions ${failed.join(', ')} failed, retry to finish`);
+  }
 
-  log.info(`[SettlementService] Settlement complete for ${matchKey}. Winners: ${results.winners.length}, Losers: ${results.losers.length}, Total payout: ${results.totalPayout}`);
+  // Summarize from the recorded progress, so a retry reports the positions
+  // earlier runs reversed as well
+  const reversedItems = (await db.getSettlementReversalPositions(settlement.id))
+    .filter(item => item.status === SETTLEMENT_ITEM_STATUS.REVERSED);
 
-  return results;
+  const totals = new Map();
+  for (const item of reversedItems) {
+    const user = totals.get(item.user_id) || { userId: item.user_id, positions: 0, balanceAdjusted: 0 };
+    user.positions += 1;
+    user.balanceAdjusted = roundMoney(user.balanceAdjusted + parseFloat(item.balance_delta));
+    totals.set(item.user_id, user);
+  }
+
+  const summary = {
+    positions: reversedItems.length,
+    users: [...totals.values()],
+    balanceAdjusted: roundMoney([...totals.values()].reduce((sum, u) => sum + u.balanceAdjusted, 0))
+  };
+
+  // Markets settled before the match are reopened with it
+  await db.reverseMarketSettlements(matchKey);
+  await db.markSettlementReversed(settlement.id, adminUserId, reason, summary);
+
+  log.info(`[SettlementService] Settlement of ${matchKey} reversed. Positions reopened: ${summary.positions}, users: ${summary.users.length}, balance adjusted: ${summary.balanceAdjusted}`);
+
+  return {
+    matchKey,
+    settlementId: settlement.id,
+    winner: settlement.winner,
+    reason,
+    ...summary
+  };
+}
+
+// Record match stats, merged into what is already recorded (admin or score
+// feed). Returns the stats with what they decide, as getMatchStats
+export async function recordMatchStats(matchKey, update, source, updatedBy) {
+  validateStats(update);
+
+  const current = await db.getMatchStats(matchKey);
+  const stats = mergeStats(current?.stats, update);
+  validateStats(stats);
+
+  await db.upsertMatchStats(matchKey, stats, source, updatedBy);
+
+  log.info(`[SettlementService] Match stats for ${matchKey} updated by ${updatedBy} (${source})`);
+
+  return getMatchStats(matchKey);
+}
+
+// Recorded stats for a match, and the result each secondary market's rule
+// gives under them (null while undecided) next to any already settled
+export async function getMatchStats(matchKey) {
+  const [row, thresholds, earlier] = await Promise.all([
+    db.getMatchStats(matchKey),
+    db.getMarketThresholds(matchKey),
+    db.getMarketSettlements([matchKey])
+  ]);
+  const match = state.getMarketState(matchKey);
+
+  const markets = Object.entries(MARKET_DEFINITIONS)
+    .map(([id, definition]) => [Number(id), definition])
+    .filter(([id]) => id !== MARKET_TYPES.MATCH_WINNER)
+    .map(([id, definition]) => {
+      // Only a locked line settles: it is the one positions were traded at
+      const threshold = thresholds[id] ?? null;
+      const settled = earlier.find(r => r.market_id === id);
+
+      return {
+        marketId: id,
+        name: definition.name.replace('{teamA}', match?.teamA || 'Team A'),
+        threshold,
+        result: row ? resolveMarket(id, row.stats, threshold) : null,
+        settledResult: settled?.result ?? null
+      };
+    });
+
+  return {
+    matchKey,
+    stats: row?.stats ?? null,
+    source: row?.source ?? null,
+    updatedBy: row?.updated_by ?? null,
+    updatedAt: row?.updated_at ?? null,
+    markets
+  };
 }
 
 // Get settlement status for a match
@@ -136,9 +759,68 @@ export async function getAllSettlements() {
   return db.getAllSettlements();
 }
 
+// Tie rule a competition settles ties under; the default without one
+export async function getTieRule(competition) {
+  if (!competition) {
+    return DEFAULT_TIE_RULE;
+  }
+
+  const row = await db.getTieRule(competition);
+  return row?.rule ?? DEFAULT_TIE_RULE;
+}
+
+// Tie rules set per competition, with the default for the rest
+export async function listTieRules() {
+  const rows = await db.getAllTieRules();
+
+  return {
+    defaultRule: DEFAULT_TIE_RULE,
+    rules: rows.map(row => ({
+      competition: row.competition,
+      rule: row.rule,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    }))
+  };
+}
+
+// Set how a competition settles ties (admin)
+export async function setTieRule(competition, rule, updatedBy) {
+  if (!competition) {
+    throw new Error('Missing competition');
+  }
+
+  if (!Object.values(TIE_RULES).includes(rule)) {
+    throw new Error(`Unknown tie rule: ${rule}. Expected one of: ${Object.values(TIE_RULES).join(', ')}`);
+  }
+
+  const row = await db.upsertTieRule(competition, rule, updatedBy);
+
+  log.info(`[SettlementService] Tie rule for ${competition} set to ${rule} by ${updatedBy}`);
+
+  return {
+    competition: row.competition,
+    rule: row.rule,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
 export default {
   settleMatch,
+  settleMarket,
+  recordMatchStats,
+  getMatchStats,
+  resumeSettlement,
+  resumeSettlementJobs,
+  listSettlementJobs,
+  previewSettlement,
+  previewMarketSettlement,
+  reverseSettlement,
   getSettlement,
   isMatchSettled,
-  getAllSettlements
+  getAllSettlements,
+  getTieRule,
+  listTieRules,
+  setTieRule
 };
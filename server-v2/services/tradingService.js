@@ -1,12 +1,20 @@
 import * as db from '../db/index.js';
 import * as state from '../lib/state.js';
+import { withUserLock, withMatchLock } from '../lib/userLock.js';
 import { log } from '../lib/logger.js';
-import { POSITION_STATUS, TRANSACTION_TYPES, MARKET_TYPES } from '../lib/constants.js';
+import { POSITION_STATUS, POSITION_TRIGGERS, MARKET_TYPES, ERROR_CODES, PRICING_TIERS } from '../lib/constants.js';
 import * as userService from './userService.js';
 import * as marketService from './marketService.js';
+import * as pricingService from './pricingService.js';
+import * as riskService from './riskService.js';
 
 // Execute a trade (buy position)
-export async function executeTrade(userId, matchKey, marketId, direction, quantity) {
+// triggers: optional { stopLoss, takeProfit } price levels (1-99) for the position;
+// a level left undefined keeps whatever the position already has
+// quote: optional { quotedPrice, maxSlippage } - rejects with PRICE_MOVED if the
+// live price is more than maxSlippage points above what the user was shown;
+// { quotedPrice, firm: true } fills at exactly quotedPrice (see quoteService)
+export async function executeTrade(userId, matchKey, marketId, direction, quantity, triggers = null, quote = null) {
   // Validate inputs
   if (!userId || !matchKey || !direction || !quantity) {
     throw new Error('Missing required trade parameters');
@@ -20,209 +28,263 @@ export async function executeTrade(userId, matchKey, marketId, direction, quanti
     throw new Error('Quantity must be a positive integer');
   }
 
-  // Get market prices
-  const prices = marketService.getMarketPrices(matchKey, marketId);
-  if (!prices) {
-    throw new Error('Market not found or not available');
-  }
-
-  const price = direction === 'A' ? prices.priceA : prices.priceB;
-  const cost = quantity * (price / 100);
+  // Serialize with the user's other balance-mutating operations
+  return withUserLock(userId, async () => {
+    // Get market prices
+    const prices = marketService.getMarketPrices(matchKey, marketId);
+    if (!prices) {
+      throw new Error('Market not found or not available');
+    }
 
-  // Get or create user
-  const user = await userService.ensureUser(userId);
+    checkMarketOpen(matchKey, marketId, prices);
 
-  // Check available balance
-  const available = user.balance - user.heldBalance;
-  if (cost > available) {
-    throw new Error(`Insufficient balance. Available: ${available.toFixed(2)}, Required: ${cost.toFixed(2)}`);
-  }
+    // Flat feed price, or the average along the market's pricing curve
+    let price = pricingService.priceTrade(matchKey, marketId, prices, direction, quantity).price;
+    if (quote?.firm) {
+      price = quote.quotedPrice;
+    } else if (quote) {
+      checkSlippage(price, quote, 'buy');
+    }
 
-  // Check for existing position in same market/direction
-  const userPositionIds = state.getUserPositionIds(userId);
-  let existingPosition = null;
+    const cost = quantity * (price / 100);
 
-  for (const posId of userPositionIds) {
-    const pos = state.getPosition(posId);
-    if (pos && pos.matchKey === matchKey && pos.marketId === marketId &&
-        pos.direction === direction && pos.status === POSITION_STATUS.OPEN) {
-      existingPosition = pos;
-      break;
+    if (triggers) {
+      validateTriggers(price, triggers.stopLoss, triggers.takeProfit);
     }
-  }
 
-  let position;
+    // Get or create user
+    const user = await userService.ensureUser(userId);
 
-  if (existingPosition) {
-    // Update existing position (average in)
-    const totalQuantity = existingPosition.quantity + quantity;
-    const totalCost = existingPosition.quantity * existingPosition.avgPrice + quantity * (price / 100);
-    const newAvgPrice = totalCost / totalQuantity;
+    // Check available balance
+    const available = user.balance - user.heldBalance;
+    if (cost > available) {
+      throw new Error(`Insufficient balance. Available: ${available.toFixed(2)}, Required: ${cost.toFixed(2)}`);
+    }
 
-    // Update DB
-    await db.updatePositionForTrade(existingPosition.dbId, totalQuantity, newAvgPrice);
+    // The match and market liability cover every user's positions: the check
+    // and the fill hold the match's lock so concurrent buys can't both pass
+    const result = await withMatchLock(matchKey, async () => {
+      // Per-order, per-user, per-match and per-market limits (throws with err.code)
+      await riskService.checkTrade({ userId, matchKey, marketId, direction, quantity, price }, user);
+
+      // Position, triggers, balance hold and ledger row are written in one DB
+      // transaction
+      return db.executeTradeAtomic({
+        userId,
+        matchKey,
+        marketId,
+        direction,
+        quantity,
+        price: price / 100,
+        triggers: toDbTriggers(triggers),
+        description: `Buy ${quantity} ${direction} @ ${price}% on ${matchKey}`
+      });
+    });
 
-    // Update memory
-    position = {
-      ...existingPosition,
-      quantity: totalQuantity,
-      avgPrice: newAvgPrice
-    };
+    // Only touch the cache once the transaction has committed
+    const position = mapDbPosition(result.position);
     state.addPosition(position);
+    pricingService.recordFlow(matchKey, marketId, direction, quantity);
+    const updatedUser = userService.cacheUserRow(result.user);
 
-    log.info(`[TradingService] Updated position ${existingPosition.dbId}: +${quantity} @ ${price}`);
-  } else {
-    // Create new position
-    const dbPosition = await db.createPosition({
-      userId,
-      matchKey,
-      marketId,
-      direction,
-      quantity,
-      avgPrice: price / 100
-    });
+    log.info(`[TradingService] Position ${position.dbId}: ${direction} +${quantity} @ ${price} (total ${position.quantity})`);
 
-    position = {
-      id: dbPosition.id,
-      dbId: dbPosition.id,
-      userId,
+    return {
+      positionId: position.dbId,
       matchKey,
       marketId,
       direction,
-      quantity,
-      avgPrice: price / 100,
-      status: POSITION_STATUS.OPEN,
-      createdAt: dbPosition.created_at
+      quantity: position.quantity,
+      avgPrice: position.avgPrice,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      cost,
+      newBalance: updatedUser.balance
     };
-
-    state.addPosition(position);
-    log.info(`[TradingService] Created position ${dbPosition.id}: ${direction} ${quantity} @ ${price}`);
-  }
-
-  // Update user balance (hold the cost)
-  await userService.holdBalance(userId, cost);
-
-  // Record transaction
-  await db.createTransaction({
-    userId,
-    type: TRANSACTION_TYPES.TRADE,
-    amount: -cost,
-    balanceAfter: (await userService.getUser(userId)).balance,
-    referenceId: String(position.dbId),
-    description: `Buy ${quantity} ${direction} @ ${price}% on ${matchKey}`
   });
-
-  return {
-    positionId: position.dbId,
-    matchKey,
-    marketId,
-    direction,
-    quantity: position.quantity,
-    avgPrice: position.avgPrice,
-    cost,
-    newBalance: (await userService.getUser(userId)).balance
-  };
 }
 
 // Close a position (sell)
-export async function closePosition(userId, positionId, quantity = null) {
-  // Find position in memory first
-  let position = state.getPosition(positionId);
-
-  // If not in memory, check DB
-  if (!position) {
-    const dbPosition = await db.getPosition(positionId);
-    if (!dbPosition) {
-      throw new Error('Position not found');
+// trigger: set when a stop-loss/take-profit fired rather than the user closing
+// quote: optional { quotedPrice, maxSlippage } - rejects with PRICE_MOVED if the
+// live price is more than maxSlippage points below what the user was shown
+export async function closePosition(userId, positionId, quantity = null, trigger = null, quote = null) {
+  // Serialize with the user's other balance-mutating operations
+  return withUserLock(userId, async () => {
+    // Find position in memory first
+    let position = state.getPosition(positionId);
+
+    // If not in memory, check DB
+    if (!position) {
+      const dbPosition = await db.getPosition(positionId);
+      if (!dbPosition) {
+        throw new Error('Position not found');
+      }
+
+      position = mapDbPosition(dbPosition);
     }
 
-    position = {
-      id: dbPosition.id,
-      dbId: dbPosition.id,
-      userId: dbPosition.user_id,
-      matchKey: dbPosition.match_key,
-      marketId: dbPosition.market_id,
-      direction: dbPosition.direction,
-      quantity: dbPosition.quantity,
-      avgPrice: parseFloat(dbPosition.avg_price),
-      status: dbPosition.status,
-      createdAt: dbPosition.created_at
-    };
-  }
+    // Validate ownership
+    if (position.userId !== userId) {
+      throw new Error('Position does not belong to user');
+    }
 
-  // Validate ownership
-  if (position.userId !== userId) {
-    throw new Error('Position does not belong to user');
-  }
+    // Validate status
+    if (position.status !== POSITION_STATUS.OPEN) {
+      throw new Error('Position is not open');
+    }
 
-  // Validate status
-  if (position.status !== POSITION_STATUS.OPEN) {
-    throw new Error('Position is not open');
-  }
+    // Determine quantity to close
+    const closeQuantity = quantity || position.quantity;
+    if (closeQuantity > position.quantity) {
+      throw new Error(`Cannot close more than owned. Owned: ${position.quantity}, Requested: ${closeQuantity}`);
+    }
 
-  // Determine quantity to close
-  const closeQuantity = quantity || position.quantity;
-  if (closeQuantity > position.quantity) {
-    throw new Error(`Cannot close more than owned. Owned: ${position.quantity}, Requested: ${closeQuantity}`);
-  }
+    // Get current market price
+    const prices = marketService.getMarketPrices(position.matchKey, position.marketId);
+    if (!prices) {
+      throw new Error('Market not found or not available');
+    }
 
-  // Get current market price
-  const prices = marketService.getMarketPrices(position.matchKey, position.marketId);
-  if (!prices) {
-    throw new Error('Market not found or not available');
-  }
+    // A closed market can still be sold back; a suspended one can't, nor
+    // one without a trusted price to sell at
+    checkNotSuspended(prices);
+    checkPriceTrusted(prices);
+
+    // Selling back along the curve mirrors buying (flat price without an engine)
+    const currentPrice = pricingService.priceTrade(
+      position.matchKey,
+      position.marketId,
+      prices,
+      position.direction,
+      -closeQuantity
+    ).price;
+    if (quote) {
+      checkSlippage(currentPrice, quote, 'sell');
+    }
 
-  const currentPrice = position.direction === 'A' ? prices.priceA : prices.priceB;
-  const closeValue = closeQuantity * (currentPrice / 100);
-  const costBasis = closeQuantity * position.avgPrice;
-  const pnl = closeValue - costBasis;
-
-  if (closeQuantity === position.quantity) {
-    // Full close
-    await db.closePosition(position.dbId, POSITION_STATUS.CLOSED);
-    state.removePosition(position.dbId);
-    log.info(`[TradingService] Closed position ${position.dbId}: ${closeQuantity} @ ${currentPrice} (PnL: ${pnl.toFixed(2)})`);
-  } else {
-    // Partial close
-    const remainingQuantity = position.quantity - closeQuantity;
-    await db.updatePositionForTrade(position.dbId, remainingQuantity, position.avgPrice);
-
-    const updatedPosition = {
-      ...position,
-      quantity: remainingQuantity
-    };
-    state.addPosition(updatedPosition);
+    const closeValue = closeQuantity * (currentPrice / 100);
+    const costBasis = closeQuantity * position.avgPrice;
+    const pnl = closeValue - costBasis;
 
-    log.info(`[TradingService] Partial close ${position.dbId}: ${closeQuantity} @ ${currentPrice}, remaining: ${remainingQuantity}`);
-  }
+    let description = pnl !== 0
+      ? `Close ${closeQuantity} ${position.direction} @ ${currentPrice}% (PnL: ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)})`
+      : `Close ${closeQuantity} ${position.direction} @ ${currentPrice}% (break-even)`;
+
+    if (trigger) {
+      description = `${describeTrigger(trigger.type)} at ${trigger.level}% triggered - ${description}`;
+    }
 
-  // Release held balance and apply PnL
-  // The costBasis was held when buying, so we release it back
-  // Then we apply only the profit/loss (not the full closeValue)
-  await userService.releaseHeldBalance(userId, costBasis);
-
-  // Only record a transaction if there's a PnL
-  if (pnl !== 0) {
-    await userService.addToBalance(userId, pnl, TRANSACTION_TYPES.TRADE, `Close ${closeQuantity} ${position.direction} @ ${currentPrice}% (PnL: ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)})`);
-  } else {
-    // Even if no PnL, record the close transaction
-    await db.createTransaction({
+    // Position update, held balance release, PnL and ledger row commit together
+    const result = await db.closePositionAtomic({
       userId,
-      type: TRANSACTION_TYPES.TRADE,
-      amount: 0,
-      balanceAfter: (await userService.getUser(userId)).balance,
-      description: `Close ${closeQuantity} ${position.direction} @ ${currentPrice}% (break-even)`
+      positionId: position.dbId,
+      quantity: closeQuantity,
+      price: currentPrice / 100,
+      description
     });
+
+    // Only touch the cache once the transaction has committed
+    pricingService.recordFlow(position.matchKey, position.marketId, position.direction, -closeQuantity);
+    const updatedPosition = mapDbPosition(result.position);
+    if (updatedPosition.status === POSITION_STATUS.OPEN) {
+      state.addPosition(updatedPosition);
+      log.info(`[TradingService] Partial close ${position.dbId}: ${closeQuantity} @ ${currentPrice}, remaining: ${updatedPosition.quantity}`);
+    } else {
+      state.removePosition(position.dbId);
+      log.info(`[TradingService] Closed position ${position.dbId}: ${closeQuantity} @ ${currentPrice} (PnL: ${pnl.toFixed(2)})`);
+    }
+    const updatedUser = userService.cacheUserRow(result.user);
+
+    return {
+      positionId: position.dbId,
+      closedQuantity: closeQuantity,
+      closePrice: currentPrice,
+      closeValue,
+      pnl,
+      trigger: trigger?.type ?? null,
+      newBalance: updatedUser.balance
+    };
+  });
+}
+
+// Set or clear stop-loss / take-profit levels on an open position
+// Each level is 1-99; null clears it, undefined leaves it unchanged
+export async function setPositionTriggers(userId, positionId, stopLoss, takeProfit) {
+  return withUserLock(userId, async () => {
+    let position = state.getPosition(positionId);
+    if (!position) {
+      const dbPosition = await db.getPosition(positionId);
+      if (!dbPosition) {
+        throw new Error('Position not found');
+      }
+      position = mapDbPosition(dbPosition);
+    }
+
+    if (position.userId !== userId) {
+      throw new Error('Position does not belong to user');
+    }
+
+    if (position.status !== POSITION_STATUS.OPEN) {
+      throw new Error('Position is not open');
+    }
+
+    const prices = marketService.getMarketPrices(position.matchKey, position.marketId);
+    if (!prices) {
+      throw new Error('Market not found or not available');
+    }
+
+    const currentPrice = position.direction === 'A' ? prices.priceA : prices.priceB;
+    validateTriggers(currentPrice, stopLoss, takeProfit);
+
+    const row = await db.updatePositionTriggers(
+      position.dbId,
+      toDbPrice(stopLoss !== undefined ? stopLoss : position.stopLoss),
+      toDbPrice(takeProfit !== undefined ? takeProfit : position.takeProfit)
+    );
+    const updated = mapDbPosition(row);
+    state.addPosition(updated);
+
+    log.info(`[TradingService] Position ${updated.dbId} triggers: SL=${updated.stopLoss ?? '-'} TP=${updated.takeProfit ?? '-'}`);
+
+    return updated;
+  });
+}
+
+// Close every position whose stop-loss or take-profit the live price has crossed
+// Runs after each market refresh; returns the closes for socket updates
+export async function runPositionTriggers() {
+  const rows = await db.getTriggeredPositions();
+  const closes = [];
+
+  for (const row of rows) {
+    const position = mapDbPosition(row);
+    const prices = marketService.getMarketPrices(position.matchKey, position.marketId);
+    // Triggers wait while the market is suspended or without a trusted price
+    if (!prices || prices.suspension || prices.priceTrusted === false) continue;
+
+    const currentPrice = position.direction === 'A' ? prices.priceA : prices.priceB;
+    let trigger = null;
+
+    if (position.stopLoss !== null && currentPrice <= position.stopLoss) {
+      trigger = { type: POSITION_TRIGGERS.STOP_LOSS, level: position.stopLoss };
+    } else if (position.takeProfit !== null && currentPrice >= position.takeProfit) {
+      trigger = { type: POSITION_TRIGGERS.TAKE_PROFIT, level: position.takeProfit };
+    }
+
+    if (!trigger) continue;
+
+    try {
+      const result = await closePosition(position.userId, position.dbId, null, trigger);
+      closes.push({ userId: position.userId, ...result });
+      log.info(`[TradingService] ${describeTrigger(trigger.type)} fired on position ${position.dbId} @ ${currentPrice}`);
+    } catch (err) {
+      // Closed by the user or another instance in the meantime
+      log.warn(`[TradingService] Could not close position ${position.dbId} on trigger: ${err.message}`);
+    }
   }
 
-  return {
-    positionId: position.dbId,
-    closedQuantity: closeQuantity,
-    closePrice: currentPrice,
-    closeValue,
-    pnl,
-    newBalance: (await userService.getUser(userId)).balance
-  };
+  return closes;
 }
 
 // Get user's open positions
@@ -253,18 +315,7 @@ export async function getUserPositions(userId) {
     const dbPositions = await db.getUserPositions(userId, POSITION_STATUS.OPEN);
 
     for (const dbPos of dbPositions) {
-      const pos = {
-        id: dbPos.id,
-        dbId: dbPos.id,
-        userId: dbPos.user_id,
-        matchKey: dbPos.match_key,
-        marketId: dbPos.market_id,
-        direction: dbPos.direction,
-        quantity: dbPos.quantity,
-        avgPrice: parseFloat(dbPos.avg_price),
-        status: dbPos.status,
-        createdAt: dbPos.created_at
-      };
+      const pos = mapDbPosition(dbPos);
 
       state.addPosition(pos);
 
@@ -288,7 +339,12 @@ export async function getUserPositions(userId) {
 export async function getMatchPositions(matchKey) {
   const dbPositions = await db.getMatchPositions(matchKey, POSITION_STATUS.OPEN);
 
-  return dbPositions.map(dbPos => ({
+  return dbPositions.map(mapDbPosition);
+}
+
+// Convert a positions row to the in-memory position shape
+export function mapDbPosition(dbPos) {
+  return {
     id: dbPos.id,
     dbId: dbPos.id,
     userId: dbPos.user_id,
@@ -297,14 +353,112 @@ export async function getMatchPositions(matchKey) {
     direction: dbPos.direction,
     quantity: dbPos.quantity,
     avgPrice: parseFloat(dbPos.avg_price),
+    stopLoss: fromDbPrice(dbPos.stop_loss),
+    takeProfit: fromDbPrice(dbPos.take_profit),
     status: dbPos.status,
     createdAt: dbPos.created_at
-  }));
+  };
+}
+
+// Trigger levels are stored 0-1 like avg_price but handled 1-99 like market prices
+function toDbPrice(level) {
+  return level == null ? null : level / 100;
+}
+
+// The levels given (undefined keeps the position's, null clears it), or null
+function toDbTriggers(triggers) {
+  if (!triggers) return null;
+
+  const dbTriggers = {};
+  if (triggers.stopLoss !== undefined) dbTriggers.stop_loss = toDbPrice(triggers.stopLoss);
+  if (triggers.takeProfit !== undefined) dbTriggers.take_profit = toDbPrice(triggers.takeProfit);
+  return dbTriggers;
+}
+
+function fromDbPrice(value) {
+  return value == null ? null : Math.round(parseFloat(value) * 100);
+}
+
+function describeTrigger(type) {
+  return type === POSITION_TRIGGERS.STOP_LOSS ? 'Stop-loss' : 'Take-profit';
+}
+
+// Stop-loss must sit below the current price and take-profit above it,
+// otherwise the trigger would fire on the next refresh
+function validateTriggers(currentPrice, stopLoss, takeProfit) {
+  for (const [name, level] of [['Stop-loss', stopLoss], ['Take-profit', takeProfit]]) {
+    if (level != null && (!Number.isFinite(level) || level < 1 || level > 99)) {
+      throw new Error(`Invalid trigger: ${name} must be between 1 and 99`);
+    }
+  }
+
+  if (stopLoss != null && stopLoss >= currentPrice) {
+    throw new Error(`Invalid trigger: Stop-loss must be below the current price (${currentPrice})`);
+  }
+
+  if (takeProfit != null && takeProfit <= currentPrice) {
+    throw new Error(`Invalid trigger: Take-profit must be above the current price (${currentPrice})`);
+  }
+}
+
+// Reject orders on a suspended market, one without a trusted price, or one
+// past its scheduled close (match start or an admin's close time)
+// prices: from marketService.getMarketPrices
+export function checkMarketOpen(matchKey, marketId, prices) {
+  checkNotSuspended(prices);
+  checkPriceTrusted(prices);
+  if (!prices.closesAt || Date.parse(prices.closesAt) > Date.now()) return;
+
+  const err = new Error(`Market closed for trading at ${prices.closesAt}`);
+  err.code = ERROR_CODES.MARKET_CLOSED;
+  err.closesAt = prices.closesAt;
+  throw err;
+}
+
+// Reject buys and closes alike while an admin has the market suspended
+function checkNotSuspended(prices) {
+  if (!prices.suspension) return;
+
+  const err = new Error(prices.suspension.reason || 'Market is suspended');
+  err.code = ERROR_CODES.MARKET_SUSPENDED;
+  throw err;
+}
+
+// Reject trading on a fallback price (see PRICING_TIERS) until an admin
+// allows it for the market, and on a market with no price at all
+function checkPriceTrusted(prices) {
+  if (prices.priceTrusted !== false) return;
+
+  const err = new Error(prices.pricingTier === PRICING_TIERS.UNPRICED
+    ? 'Market has no price to trade at'
+    : `Market is priced by the ${prices.pricingTier} fallback and is not open for trading`);
+  err.code = ERROR_CODES.PRICE_UNTRUSTED;
+  err.pricingTier = prices.pricingTier;
+  throw err;
+}
+
+// Reject when the live price has moved against the user by more than the
+// tolerance since they were quoted (buys: price rose; sells: price fell)
+// The error carries the fresh price so the client can re-quote
+function checkSlippage(currentPrice, { quotedPrice, maxSlippage }, side) {
+  const adverseMove = side === 'buy' ? currentPrice - quotedPrice : quotedPrice - currentPrice;
+  if (adverseMove <= maxSlippage) return;
+
+  const err = new Error(`Price moved from ${quotedPrice}% to ${currentPrice}% (max slippage ${maxSlippage})`);
+  err.code = ERROR_CODES.PRICE_MOVED;
+  err.quotedPrice = quotedPrice;
+  err.currentPrice = currentPrice;
+  err.maxSlippage = maxSlippage;
+  throw err;
 }
 
 export default {
   executeTrade,
   closePosition,
   getUserPositions,
-  getMatchPositions
+  getMatchPositions,
+  setPositionTriggers,
+  runPositionTriggers,
+  checkMarketOpen,
+  mapDbPosition
 };
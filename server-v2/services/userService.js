@@ -1,5 +1,6 @@
 import * as db from '../db/index.js';
 import * as state from '../lib/state.js';
+import { withUserLock } from '../lib/userLock.js';
 import { log } from '../lib/logger.js';
 import { DEFAULT_BALANCE, WELCOME_BONUS, TRANSACTION_TYPES } from '../lib/constants.js';
 
@@ -61,6 +62,22 @@ export async function getUser(userId) {
   return userState;
 }
 
+// Refresh the cache from a users row returned by the DB
+export function cacheUserRow(row) {
+  const cached = state.getUserState(row.id);
+
+  state.setUserState(row.id, {
+    ...cached,
+    id: row.id,
+    name: row.name,
+    balance: parseFloat(row.balance),
+    heldBalance: parseFloat(row.held_balance),
+    createdAt: row.created_at
+  });
+
+  return state.getUserState(row.id);
+}
+
 // Update user balance
 export async function updateBalance(userId, newBalance, newHeldBalance) {
   const user = await ensureUser(userId);
@@ -82,67 +99,135 @@ export async function updateBalance(userId, newBalance, newHeldBalance) {
 
 // Deduct from available balance, add to held
 export async function holdBalance(userId, amount) {
-  const user = await ensureUser(userId);
-  const available = user.balance - user.heldBalance;
+  return withUserLock(userId, async () => {
+    const user = await ensureUser(userId);
+    const available = user.balance - user.heldBalance;
 
-  if (amount > available) {
-    throw new Error(`Insufficient balance. Available: ${available.toFixed(2)}, Required: ${amount.toFixed(2)}`);
-  }
+    if (amount > available) {
+      throw new Error(`Insufficient balance. Available: ${available.toFixed(2)}, Required: ${amount.toFixed(2)}`);
+    }
 
-  const newHeldBalance = user.heldBalance + amount;
-  return updateBalance(userId, user.balance, newHeldBalance);
+    const newHeldBalance = user.heldBalance + amount;
+    return updateBalance(userId, user.balance, newHeldBalance);
+  });
 }
 
 // Release held balance (e.g., when position is closed)
 export async function releaseHeldBalance(userId, amount) {
-  const user = await ensureUser(userId);
-  const newHeldBalance = Math.max(0, user.heldBalance - amount);
-  return updateBalance(userId, user.balance, newHeldBalance);
+  return withUserLock(userId, async () => {
+    const user = await ensureUser(userId);
+    const newHeldBalance = Math.max(0, user.heldBalance - amount);
+    return updateBalance(userId, user.balance, newHeldBalance);
+  });
 }
 
 // Add to balance (e.g., settlement payout)
 export async function addToBalance(userId, amount, type = TRANSACTION_TYPES.SETTLEMENT, description = '') {
-  const user = await ensureUser(userId);
-  const newBalance = user.balance + amount;
+  return withUserLock(userId, async () => {
+    const user = await ensureUser(userId);
+    const newBalance = user.balance + amount;
 
-  await updateBalance(userId, newBalance, user.heldBalance);
+    await updateBalance(userId, newBalance, user.heldBalance);
 
-  // Record transaction
-  await db.createTransaction({
-    userId,
-    type,
-    amount,
-    balanceAfter: newBalance,
-    description
-  });
+    // Record transaction
+    await db.createTransaction({
+      userId,
+      type,
+      amount,
+      balanceAfter: newBalance,
+      description
+    });
 
-  return state.getUserState(userId);
+    return state.getUserState(userId);
+  });
 }
 
 // Deduct from balance (for trades)
 export async function deductFromBalance(userId, amount, type = TRANSACTION_TYPES.TRADE, referenceId = '', description = '') {
-  const user = await ensureUser(userId);
+  return withUserLock(userId, async () => {
+    const user = await ensureUser(userId);
 
-  if (amount > user.balance) {
-    throw new Error(`Insufficient balance. Available: ${user.balance.toFixed(2)}, Required: ${amount.toFixed(2)}`);
-  }
+    if (amount > user.balance) {
+      throw new Error(`Insufficient balance. Available: ${user.balance.toFixed(2)}, Required: ${amount.toFixed(2)}`);
+    }
+
+    const newBalance = user.balance - amount;
+    const newHeldBalance = Math.max(0, user.heldBalance - amount); // Also reduce held if applicable
+
+    await updateBalance(userId, newBalance, newHeldBalance);
+
+    // Record transaction
+    await db.createTransaction({
+      userId,
+      type,
+      amount: -amount,
+      balanceAfter: newBalance,
+      referenceId,
+      description
+    });
+
+    return state.getUserState(userId);
+  });
+}
+
+// Refund a held stake (e.g., a voided position): the stake never left the
+// balance, so only the hold is released; the refund is recorded so it shows
+// against the original trade in the history
+export async function refundHeldBalance(userId, amount, referenceId = '', description = '') {
+  return withUserLock(userId, async () => {
+    const user = await ensureUser(userId);
+    const newHeldBalance = Math.max(0, user.heldBalance - amount);
 
-  const newBalance = user.balance - amount;
-  const newHeldBalance = Math.max(0, user.heldBalance - amount); // Also reduce held if applicable
+    await updateBalance(userId, user.balance, newHeldBalance);
 
-  await updateBalance(userId, newBalance, newHeldBalance);
+    await db.createTransaction({
+      userId,
+      type: TRANSACTION_TYPES.REFUND,
+      amount,
+      balanceAfter: user.balance,
+      referenceId,
+      description
+    });
 
-  // Record transaction
-  await db.createTransaction({
-    userId,
-    type,
-    amount: -amount,
-    balanceAfter: newBalance,
-    referenceId,
-    description
+    return state.getUserState(userId);
   });
+}
 
-  return state.getUserState(userId);
+// Post a correcting ledger entry (e.g., a settlement reversal): move balance
+// and held balance by the given deltas and record `amount` in the history.
+// No balance check: a correction is posted even if it leaves the user short
+export async function adjustBalance(userId, { balanceDelta = 0, heldDelta = 0, amount, type, referenceId = '', description = '' }) {
+  return withUserLock(userId, async () => {
+    const user = await ensureUser(userId);
+    const newBalance = user.balance + balanceDelta;
+    const newHeldBalance = Math.max(0, user.heldBalance + heldDelta);
+
+    if (newBalance < newHeldBalance) {
+      log.warn(`[UserService] Adjustment leaves ${userId} short: balance ${newBalance.toFixed(2)}, held ${newHeldBalance.toFixed(2)}`);
+    }
+
+    await updateBalance(userId, newBalance, newHeldBalance);
+
+    await db.createTransaction({
+      userId,
+      type,
+      amount: amount ?? balanceDelta,
+      balanceAfter: newBalance,
+      referenceId,
+      description
+    });
+
+    return state.getUserState(userId);
+  });
+}
+
+// Tell a user about something that happened to their account
+export async function notifyUser(userId, title, text, icon) {
+  return db.createNotification(userId, title, text, icon);
+}
+
+export async function getUserNotifications(userId, limit = 20) {
+  return db.getUserNotifications(userId, limit);
 }
 
 // Get user transactions
@@ -159,11 +244,16 @@ export function clearUserCache(userId) {
 export default {
   ensureUser,
   getUser,
+  cacheUserRow,
   updateBalance,
   holdBalance,
   releaseHeldBalance,
   addToBalance,
   deductFromBalance,
+  refundHeldBalance,
+  adjustBalance,
+  notifyUser,
+  getUserNotifications,
   getUserTransactions,
   clearUserCache
 };
@@ -56,22 +56,16 @@ export function getIO() {
 }
 
 // Broadcast market updates to all clients
+// (also when the close scheduler closes a market)
 export function broadcastMarketUpdate(markets) {
   if (!io) return;
 
-  // Group markets by matchKey and send to each match room with proper payload
-  const marketsByMatch = new Map();
-  for (const market of markets) {
-    const key = market.matchKey;
-    if (!marketsByMatch.has(key)) marketsByMatch.set(key, []);
-    marketsByMatch.get(key).push(market);
-  }
-
-  for (const [matchKey, matchMarkets] of marketsByMatch) {
-    io.to(`match:${matchKey}`).emit(SOCKET_EVENTS.MARKET_UPDATE, {
-      matchId: matchKey,
-      markets: matchMarkets,
-      tradingStatus: { suspended: false }
+  // Each match room gets that match's markets in the GameMarket shape
+  for (const match of markets) {
+    io.to(`match:${match.matchKey}`).emit(SOCKET_EVENTS.MARKET_UPDATE, {
+      matchId: match.matchKey,
+      markets: marketService.toGameMarkets(match),
+      tradingStatus: marketService.getTradingStatus(match)
     });
   }
 }
@@ -80,10 +74,12 @@ export function broadcastMarketUpdate(markets) {
 export function broadcastMatchUpdate(matchKey, market) {
   if (!io) return;
 
+  const match = marketService.getMarket(matchKey);
+
   io.to(`match:${matchKey}`).emit(SOCKET_EVENTS.MARKET_UPDATE, {
     matchId: matchKey,
     markets: Array.isArray(market) ? market : [market],
-    tradingStatus: { suspended: false }
+    tradingStatus: match ? marketService.getTradingStatus(match) : { suspended: false }
   });
 }
 
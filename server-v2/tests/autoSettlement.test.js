@@ -0,0 +1,203 @@
+/**
+ * Auto Settlement Tests
+ *
+ * Run with: npm test -- tests/autoSettlement.test.js
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock database modules
+jest.unstable_mockModule('../db/index.js', () => ({
+  getAutoSettlements: jest.fn(),
+  getAutoSettlement: jest.fn(),
+  getAutoSettlementsByStatus: jest.fn(),
+  upsertAutoSettlement: jest.fn(),
+  updateAutoSettlement: jest.fn(),
+  deleteAutoSettlement: jest.fn(),
+  supabase: {}
+}));
+
+// Mock settlement services
+jest.unstable_mockModule('../services/settlementService.js', () => ({
+  isMatchSettled: jest.fn()
+}));
+
+jest.unstable_mockModule('../services/settlementApprovalService.js', () => ({
+  requestSettlement: jest.fn()
+}));
+
+const INDIA_VS_AUSTRALIA = { teamA: 'India', teamB: 'Australia', teamAShort: 'IND', teamBShort: 'AUS' };
+
+describe('parseMatchResult', () => {
+  let parseMatchResult;
+
+  beforeAll(async () => {
+    ({ parseMatchResult } = await import('../lib/matchResult.js'));
+  });
+
+  test('should map the named winner to its side', () => {
+    expect(parseMatchResult('India won by 5 wickets', INDIA_VS_AUSTRALIA)).toEqual(expect.objectContaining({ outcome: 'A', ambiguous: false }));
+    expect(parseMatchResult('Australia beat India by 20 runs', INDIA_VS_AUSTRALIA)).toEqual(expect.objectContaining({ outcome: 'B', ambiguous: false }));
+    expect(parseMatchResult('IND win by 4 wkts', INDIA_VS_AUSTRALIA)).toEqual(expect.objectContaining({ outcome: 'A', ambiguous: false }));
+  });
+
+  test('should not read the toss or a chase as a result', () => {
+    expect(parseMatchResult('Australia won the toss and elected to bat', INDIA_VS_AUSTRALIA)).toBeNull();
+    expect(parseMatchResult('India need 20 runs to win', INDIA_VS_AUSTRALIA)).toBeNull();
+    expect(parseMatchResult('Live', INDIA_VS_AUSTRALIA)).toBeNull();
+  });
+
+  test('should leave ties, no results and unnamed winners ambiguous', () => {
+    expect(parseMatchResult('Match tied (India won the super over)', INDIA_VS_AUSTRALIA)).toEqual(expect.objectContaining({ outcome: 'tie', ambiguous: true }));
+    expect(parseMatchResult('Match abandoned due to rain', INDIA_VS_AUSTRALIA)).toEqual(expect.objectContaining({ outcome: 'void', ambiguous: true }));
+    expect(parseMatchResult('Hosts won by 5 runs', INDIA_VS_AUSTRALIA)).toEqual(expect.objectContaining({ outcome: null, ambiguous: true }));
+  });
+});
+
+describe('Auto Settlement Service', () => {
+  let autoSettlementService;
+  let settlementService;
+  let settlementApprovalService;
+  let db;
+  let state;
+
+  const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+  function listMarket(statusText) {
+    state.setMarketState('ind-vs-aus', { matchKey: 'ind-vs-aus', ...INDIA_VS_AUSTRALIA, statusText });
+  }
+
+  beforeEach(async () => {
+    jest.resetModules();
+
+    db = await import('../db/index.js');
+    state = await import('../lib/state.js');
+    settlementService = await import('../services/settlementService.js');
+    settlementApprovalService = await import('../services/settlementApprovalService.js');
+
+    state.clearAllCaches();
+
+    db.getAutoSettlements.mockResolvedValue([]);
+    db.upsertAutoSettlement.mockResolvedValue({});
+    db.updateAutoSettlement.mockImplementation((matchKey, updates) => Promise.resolve({ match_key: matchKey, ...updates }));
+    settlementService.isMatchSettled.mockResolvedValue(false);
+    settlementApprovalService.requestSettlement.mockResolvedValue({ pending: false, settlement: { jobId: 1, complete: true } });
+
+    autoSettlementService = await import('../services/autoSettlementService.js');
+  });
+
+  test('should hold a detected winner for the grace period', async () => {
+    listMarket('India won by 5 wickets');
+
+    const settled = await autoSettlementService.runAutoSettlement(NOW);
+
+    expect(settled).toEqual([]);
+    expect(settlementApprovalService.requestSettlement).not.toHaveBeenCalled();
+    expect(db.upsertAutoSettlement).toHaveBeenCalledWith(expect.objectContaining({
+      match_key: 'ind-vs-aus',
+      status: 'pending',
+      outcome: 'A',
+      settle_after: new Date(NOW + 600000).toISOString()
+    }));
+  });
+
+  test('should settle once the grace period has passed', async () => {
+    listMarket('India won by 5 wickets');
+    db.getAutoSettlements.mockResolvedValue([
+      { match_key: 'ind-vs-aus', status: 'pending', outcome: 'A', settle_after: new Date(NOW - 1000).toISOString() }
+    ]);
+
+    const settled = await autoSettlementService.runAutoSettlement(NOW);
+
+    expect(settlementApprovalService.requestSettlement).toHaveBeenCalledWith('ind-vs-aus', 'A', 'auto');
+    expect(settled).toHaveLength(1);
+    expect(db.updateAutoSettlement).toHaveBeenCalledWith('ind-vs-aus', expect.objectContaining({ status: 'settled', resolved_by: 'auto' }));
+  });
+
+  test('should send ambiguous results and changed results to review', async () => {
+    listMarket('Match tied');
+
+    await autoSettlementService.runAutoSettlement(NOW);
+
+    expect(db.upsertAutoSettlement).toHaveBeenCalledWith(expect.objectContaining({ status: 'review', outcome: 'tie' }));
+
+    listMarket('Australia won by 2 runs');
+    db.getAutoSettlements.mockResolvedValue([
+      { match_key: 'ind-vs-aus', status: 'pending', outcome: 'A', settle_after: new Date(NOW - 1000).toISOString() }
+    ]);
+
+    await autoSettlementService.runAutoSettlement(NOW);
+
+    expect(settlementApprovalService.requestSettlement).not.toHaveBeenCalled();
+    expect(db.upsertAutoSettlement).toHaveBeenLastCalledWith(expect.objectContaining({
+      status: 'review',
+      reason: expect.stringContaining('changed from A to B')
+    }));
+  });
+
+  test('should send a match to review when settling it fails', async () => {
+    listMarket('India won by 5 wickets');
+    db.getAutoSettlements.mockResolvedValue([
+      { match_key: 'ind-vs-aus', status: 'pending', outcome: 'A', settle_after: new Date(NOW - 1000).toISOString() }
+    ]);
+    settlementApprovalService.requestSettlement.mockRejectedValue(new Error('Missing result for market 3: pass marketResults'));
+
+    await autoSettlementService.runAutoSettlement(NOW);
+
+    expect(db.upsertAutoSettlement).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'review',
+      outcome: 'A',
+      reason: expect.stringContaining('Missing result for market 3')
+    }));
+  });
+
+  test('should send a result paying out above the threshold to review', async () => {
+    listMarket('India won by 5 wickets');
+    db.getAutoSettlements.mockResolvedValue([
+      { match_key: 'ind-vs-aus', status: 'pending', outcome: 'A', settle_after: new Date(NOW - 1000).toISOString() }
+    ]);
+    settlementApprovalService.requestSettlement.mockResolvedValue({ pending: true, approval: { id: 9, totalPayout: 80000 } });
+
+    const settled = await autoSettlementService.runAutoSettlement(NOW);
+
+    expect(settled).toEqual([]);
+    expect(db.upsertAutoSettlement).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'review',
+      reason: expect.stringContaining('request 9')
+    }));
+  });
+
+  test('should leave matches in review alone and drop withdrawn results', async () => {
+    listMarket('India won by 5 wickets');
+    db.getAutoSettlements.mockResolvedValue([{ match_key: 'ind-vs-aus', status: 'review', outcome: null }]);
+
+    await autoSettlementService.runAutoSettlement(NOW);
+
+    expect(db.upsertAutoSettlement).not.toHaveBeenCalled();
+
+    listMarket('Live');
+    db.getAutoSettlements.mockResolvedValue([{ match_key: 'ind-vs-aus', status: 'pending', outcome: 'A' }]);
+
+    await autoSettlementService.runAutoSettlement(NOW);
+
+    expect(db.deleteAutoSettlement).toHaveBeenCalledWith('ind-vs-aus');
+  });
+
+  test('should settle a reviewed match with the admin\'s result', async () => {
+    db.getAutoSettlement.mockResolvedValue({ match_key: 'ind-vs-aus', status: 'review', outcome: 'tie' });
+
+    await autoSettlementService.approveAutoSettlement('ind-vs-aus', 'admin1', { competition: 'IPL' });
+
+    expect(settlementApprovalService.requestSettlement).toHaveBeenCalledWith('ind-vs-aus', 'tie', 'admin1', {}, { competition: 'IPL' });
+    expect(db.updateAutoSettlement).toHaveBeenCalledWith('ind-vs-aus', expect.objectContaining({ status: 'settled', resolved_by: 'admin1' }));
+  });
+
+  test('should require a winner when none was detected', async () => {
+    db.getAutoSettlement.mockResolvedValue({ match_key: 'ind-vs-aus', status: 'review', outcome: null });
+
+    await expect(
+      autoSettlementService.approveAutoSettlement('ind-vs-aus', 'admin1')
+    ).rejects.toThrow('winner is required');
+    expect(settlementApprovalService.requestSettlement).not.toHaveBeenCalled();
+  });
+});
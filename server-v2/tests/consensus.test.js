@@ -0,0 +1,162 @@
+/**
+ * Consensus Pricing Tests
+ *
+ * Run with: npm test -- tests/consensus.test.js
+ */
+
+import { jest } from '@jest/globals';
+import { weightedMedian, consensusPrice } from '../lib/consensus.js';
+
+const NOW = Date.parse('2026-10-18T14:00:00Z');
+
+function quote(source, priceA, overrides = {}) {
+  return { source, provider: source, priceA, priceB: 100 - priceA, quotedAt: NOW, ...overrides };
+}
+
+const OPTIONS = { weights: {}, defaultWeight: 1, maxAges: {}, maxAgeMs: 120000, disagreement: 10, now: NOW };
+
+describe('Consensus Pricing', () => {
+  describe('weightedMedian', () => {
+    test('should take the middle value', () => {
+      expect(weightedMedian([{ value: 60, weight: 1 }, { value: 40, weight: 1 }, { value: 52, weight: 1 }])).toBe(52);
+    });
+
+    test('should follow the weight', () => {
+      expect(weightedMedian([{ value: 40, weight: 3 }, { value: 52, weight: 1 }, { value: 60, weight: 1 }])).toBe(40);
+    });
+
+    test('should split an even weight between the two middle values', () => {
+      expect(weightedMedian([{ value: 40, weight: 2 }, { value: 50, weight: 2 }])).toBe(45);
+    });
+
+    test('should ignore values without weight', () => {
+      expect(weightedMedian([{ value: 40, weight: 0 }])).toBeNull();
+    });
+  });
+
+  describe('consensusPrice', () => {
+    test('should price by the weighted median of every source', () => {
+      const price = consensusPrice(
+        [quote('dcric99', 55), quote('odds-api', 58), quote('scraper', 70, { provider: 'scraper:site-a' })],
+        { ...OPTIONS, weights: { dcric99: 4, 'odds-api': 2 } }
+      );
+
+      expect(price).toEqual({
+        priceA: 55,
+        priceB: 45,
+        method: 'weighted_median',
+        spread: 15,
+        disagreement: true,
+        sources: [
+          { source: 'dcric99', provider: 'dcric99', priceA: 55, weight: 4, ageMs: 0, used: true },
+          { source: 'odds-api', provider: 'odds-api', priceA: 58, weight: 2, ageMs: 0, used: true },
+          { source: 'scraper', provider: 'scraper:site-a', priceA: 70, weight: 1, ageMs: 0, used: true }
+        ]
+      });
+    });
+
+    test('should weigh a scraped site by its own name first', () => {
+      const price = consensusPrice(
+        [quote('dcric99', 55), quote('scraper', 61, { provider: 'scraper:site-a' })],
+        { ...OPTIONS, weights: { scraper: 5, 'scraper:site-a': 0.5 } }
+      );
+
+      expect(price.sources[1].weight).toBe(0.5);
+      expect(price.priceA).toBe(55);
+    });
+
+    test('should leave out missing, stale and unweighted prices', () => {
+      const price = consensusPrice([
+        quote('dcric99', null, { priceB: null }),
+        quote('odds-api', 62, { quotedAt: NOW - 60000 }),
+        quote('scraper', 30, { quotedAt: new Date(NOW - 300000).toISOString() }),
+        quote('other', 80)
+      ], { ...OPTIONS, weights: { other: 0 }, maxAges: { 'odds-api': 90000 } });
+
+      expect(price).toEqual(expect.objectContaining({ priceA: 62, method: 'single_source', spread: 0, disagreement: false }));
+      expect(price.sources.map(s => s.reason)).toEqual(['no_odds', undefined, 'stale', 'no_weight']);
+    });
+
+    test('should not price a fixture without a usable quote', () => {
+      const price = consensusPrice([quote('dcric99', 47, { quotedAt: NOW - 300000 })], OPTIONS);
+
+      expect(price).toEqual(expect.objectContaining({
+        priceA: null,
+        priceB: null,
+        method: 'none',
+        spread: null,
+        disagreement: false
+      }));
+    });
+
+    test('should not flag sources within the threshold', () => {
+      const price = consensusPrice([quote('dcric99', 55), quote('odds-api', 65)], OPTIONS);
+
+      expect(price).toEqual(expect.objectContaining({ priceA: 60, spread: 10, disagreement: false }));
+    });
+  });
+
+  describe('fetchAllMatches', () => {
+    let datasources;
+
+    function match(overrides = {}) {
+      return {
+        matchKey: 'india-vs-australia-2026-10-18',
+        teamA: 'India',
+        teamB: 'Australia',
+        teamAShort: 'IND',
+        teamBShort: 'AUS',
+        priceA: 60,
+        priceB: 40,
+        provider: 'dcric99',
+        ...overrides
+      };
+    }
+
+    beforeEach(async () => {
+      jest.resetModules();
+      jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      datasources = await import('../datasources/index.js');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should price a fixture from every source listing it, either way round', async () => {
+      datasources.registerSource('dcric99', { fetchMatches: () => Promise.resolve([match()]) });
+      datasources.registerSource('odds-api', {
+        fetchMatches: () => Promise.resolve([match({ teamA: 'Australia', teamB: 'India', teamAShort: 'AUS', teamBShort: 'IND', priceA: 36, priceB: 64, provider: 'odds-api' })])
+      });
+
+      const matches = await datasources.fetchAllMatches();
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toEqual(expect.objectContaining({ teamA: 'India', priceA: 62, priceB: 38, provider: 'dcric99' }));
+      expect(matches[0].pricing.sources.map(s => [s.source, s.priceA])).toEqual([['dcric99', 60], ['odds-api', 64]]);
+    });
+
+    test('should price from a failing source\'s last prices until they go stale', async () => {
+      let oddsApiDown = false;
+      datasources.registerSource('dcric99', { fetchMatches: () => Promise.resolve([match()]) });
+      datasources.registerSource('odds-api', {
+        fetchMatches: () => (oddsApiDown
+          ? Promise.reject(new Error('HTTP 503'))
+          : Promise.resolve([match({ priceA: 70, priceB: 30, provider: 'odds-api' })]))
+      });
+
+      await datasources.fetchAllMatches();
+      oddsApiDown = true;
+
+      Date.now.mockReturnValue(NOW + 60000);
+      const [recent] = await datasources.fetchAllMatches();
+      expect(recent.priceA).toBe(65);
+      expect(recent.pricing.sources[1]).toEqual(expect.objectContaining({ source: 'odds-api', ageMs: 60000, used: true }));
+
+      Date.now.mockReturnValue(NOW + 180000);
+      const [later] = await datasources.fetchAllMatches();
+      expect(later.priceA).toBe(60);
+      expect(later.pricing.method).toBe('single_source');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Idempotency Middleware Tests
+ *
+ * Run with: npm test -- tests/idempotency.test.js
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock database modules with an in-memory idempotency_keys table
+const rows = new Map();
+
+jest.unstable_mockModule('../db/index.js', () => ({
+  reserveIdempotencyKey: jest.fn(async (userId, key, requestHash) => {
+    const id = `${userId}:${key}`;
+    if (rows.has(id)) return { ...rows.get(id) };
+    rows.set(id, { user_id: userId, key, request_hash: requestHash, status: 'pending', created_at: new Date().toISOString() });
+    return null;
+  }),
+  takeOverIdempotencyKey: jest.fn(async (userId, key, staleBefore) => {
+    const row = rows.get(`${userId}:${key}`);
+    if (row?.status !== 'pending' || !(row.created_at < staleBefore)) return false;
+    row.created_at = new Date().toISOString();
+    return true;
+  }),
+  completeIdempotencyKey: jest.fn(async (userId, key, responseStatus, responseBody) => {
+    Object.assign(rows.get(`${userId}:${key}`), {
+      status: 'completed',
+      response_status: responseStatus,
+      response_body: responseBody
+    });
+  }),
+  deleteIdempotencyKey: jest.fn(async (userId, key) => {
+    rows.delete(`${userId}:${key}`);
+  }),
+  cleanOldIdempotencyKeys: jest.fn(),
+  supabase: {}
+}));
+
+function mockRequest(key, body = { matchKey: 'ind-vs-aus', direction: 'A', quantity: 10 }) {
+  return {
+    method: 'POST',
+    baseUrl: '/api/trades',
+    path: '/orders',
+    userId: 'user123',
+    body,
+    get: (name) => (name.toLowerCase() === 'idempotency-key' ? key : undefined)
+  };
+}
+
+// Runs the middleware and, if it calls next(), the handler; resolves with the sent response
+function run(idempotent, req, handler) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      set(name, value) { this.headers[name] = value; return this; },
+      json(body) { resolve({ status: this.statusCode, headers: this.headers, body }); return this; }
+    };
+    idempotent(req, res, () => handler(req, res));
+  });
+}
+
+describe('Idempotency Middleware', () => {
+  let idempotent;
+  let idempotencyService;
+  let handler;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    rows.clear();
+
+    ({ idempotent } = await import('../routes/idempotency.js'));
+    idempotencyService = await import('../services/idempotencyService.js');
+
+    let fills = 0;
+    handler = jest.fn((req, res) => {
+      fills += 1;
+      res.json({ ok: true, fill: fills });
+    });
+  });
+
+  test('should pass through requests without a key', async () => {
+    const first = await run(idempotent, mockRequest(undefined), handler);
+    const second = await run(idempotent, mockRequest(undefined), handler);
+
+    expect(first.body.fill).toBe(1);
+    expect(second.body.fill).toBe(2);
+    expect(rows.size).toBe(0);
+  });
+
+  test('should replay the original response for a repeated key', async () => {
+    const first = await run(idempotent, mockRequest('key-1'), handler);
+    const retry = await run(idempotent, mockRequest('key-1'), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  test('should replay stored client errors too', async () => {
+    handler.mockImplementation((req, res) => {
+      res.status(400).json({ ok: false, error: 'Insufficient balance' });
+    });
+
+    await run(idempotent, mockRequest('key-1'), handler);
+    const retry = await run(idempotent, mockRequest('key-1'), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(400);
+    expect(retry.body.error).toBe('Insufficient balance');
+  });
+
+  test('should not trade again on retry after a server error that followed the trade', async () => {
+    const executeTradeAtomic = jest.fn().mockResolvedValue({ position: { id: 1, quantity: 10 } });
+    handler.mockImplementation(async (req, res) => {
+      try {
+        await executeTradeAtomic(req.body);
+        throw new Error('socket hang up');
+      } catch (err) {
+        res.status(500).json({ ok: false, error: 'Failed to execute trade' });
+      }
+    });
+
+    await run(idempotent, mockRequest('key-1'), handler);
+    const retry = await run(idempotent, mockRequest('key-1'), handler);
+
+    expect(executeTradeAtomic).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(500);
+    expect(retry.body.code).toBe('OUTCOME_UNKNOWN');
+    expect(retry.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  test('should release the key after a conflict a retry can get past', async () => {
+    handler.mockImplementationOnce((req, res) => {
+      res.status(409).json({ ok: false, error: 'Account busy, try again' });
+    });
+
+    await run(idempotent, mockRequest('key-1'), handler);
+    const retry = await run(idempotent, mockRequest('key-1'), handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.status).toBe(200);
+  });
+
+  test('should reject a key reused for a different request', async () => {
+    await run(idempotent, mockRequest('key-1'), handler);
+    const other = await run(idempotent, mockRequest('key-1', { matchKey: 'ind-vs-aus', direction: 'B', quantity: 5 }), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(other.status).toBe(422);
+  });
+
+  test('should reject a retry while the original is still in progress', async () => {
+    rows.set('user123:key-1', {
+      user_id: 'user123',
+      key: 'key-1',
+      request_hash: idempotencyService.hashRequest('POST', '/api/trades/orders', mockRequest('key-1').body),
+      status: 'pending',
+      created_at: new Date(Date.now() - 5000).toISOString()
+    });
+
+    const retry = await run(idempotent, mockRequest('key-1'), handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(retry.status).toBe(409);
+  });
+
+  test('should let a retry take over a key left pending past its lease', async () => {
+    rows.set('user123:key-1', {
+      user_id: 'user123',
+      key: 'key-1',
+      request_hash: idempotencyService.hashRequest('POST', '/api/trades/orders', mockRequest('key-1').body),
+      status: 'pending',
+      created_at: new Date(Date.now() - 120000).toISOString()
+    });
+
+    const retry = await run(idempotent, mockRequest('key-1'), handler);
+    const replay = await run(idempotent, mockRequest('key-1'), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(200);
+    expect(replay.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  test('should scope keys per user', async () => {
+    await run(idempotent, mockRequest('key-1'), handler);
+    const otherUser = await run(idempotent, { ...mockRequest('key-1'), userId: 'user456' }, handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(otherUser.body.fill).toBe(2);
+  });
+});
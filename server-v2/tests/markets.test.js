@@ -0,0 +1,520 @@
+/**
+ * Market Building Tests
+ *
+ * Run with: npm test -- tests/markets.test.js
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock database modules
+jest.unstable_mockModule('../db/index.js', () => ({
+  getMarketPricingConfigs: jest.fn(),
+  getOpenPositionBook: jest.fn(),
+  lockMarketThreshold: jest.fn(),
+  getMarketSettlements: jest.fn(),
+  getMarketCloseTimes: jest.fn(),
+  getMarketSuspensions: jest.fn(),
+  getFallbackPricingApprovals: jest.fn(),
+  upsertFallbackPricingApproval: jest.fn(),
+  upsertMarketCloseTime: jest.fn(),
+  upsertMarketSuspension: jest.fn(),
+  supabase: {}
+}));
+
+// Mock the data source registry
+jest.unstable_mockModule('../datasources/index.js', () => ({
+  fetchAllMatches: jest.fn(),
+  DataSource: class {},
+  registerSource: jest.fn()
+}));
+
+function feedMatch(overrides = {}) {
+  return {
+    matchKey: 'ind-vs-aus',
+    teamA: 'India',
+    teamB: 'Australia',
+    teamAShort: 'IND',
+    teamBShort: 'AUS',
+    isLive: true,
+    priceA: 55,
+    priceB: 45,
+    provider: 'dcric99',
+    secondaryMarkets: [],
+    ...overrides
+  };
+}
+
+describe('Market Service', () => {
+  let marketService;
+  let datasources;
+  let db;
+  let state;
+
+  beforeEach(async () => {
+    jest.resetModules();
+
+    db = await import('../db/index.js');
+    datasources = await import('../datasources/index.js');
+    state = await import('../lib/state.js');
+
+    state.clearAllCaches();
+
+    db.getMarketPricingConfigs.mockResolvedValue([]);
+    db.getOpenPositionBook.mockResolvedValue([]);
+    db.lockMarketThreshold.mockImplementation((matchKey, marketId, threshold) => Promise.resolve(threshold));
+    db.getMarketSettlements.mockResolvedValue([]);
+    db.getMarketCloseTimes.mockResolvedValue([]);
+    db.getMarketSuspensions.mockResolvedValue([]);
+    db.getFallbackPricingApprovals.mockResolvedValue([]);
+
+    marketService = await import('../services/marketService.js');
+  });
+
+  test('should list only Match Winner when the feed has no secondary markets', async () => {
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch()]);
+
+    await marketService.refreshMarkets();
+
+    const markets = marketService.getMarket('ind-vs-aus').markets;
+    expect(markets.map(m => m.marketId)).toEqual([1]);
+    expect(markets[0]).toEqual(expect.objectContaining({ labelA: 'IND', labelB: 'AUS', priceA: 55 }));
+  });
+
+  test('should build secondary markets the feed quotes', async () => {
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+      secondaryMarkets: [
+        { marketId: 2, threshold: null, priceA: 52, priceB: 48 },
+        { marketId: 3, threshold: 46.5, priceA: 60, priceB: 40 },
+        { marketId: 6, threshold: null, priceA: 45, priceB: 55 },
+        { marketId: 8, threshold: null, priceA: 50, priceB: 50 }
+      ]
+    })]);
+
+    await marketService.refreshMarkets();
+
+    const byId = new Map(marketService.getMarket('ind-vs-aus').markets.map(m => [m.marketId, m]));
+    expect(byId.get(2)).toEqual(expect.objectContaining({ name: 'Toss Winner', labelA: 'IND', priceA: 52 }));
+    expect(byId.get(3)).toEqual(expect.objectContaining({
+      name: 'Powerplay Runs - India',
+      category: 'sessions',
+      threshold: 46.5,
+      labelA: 'Over 46.5',
+      labelB: 'Under 46.5',
+      priceA: 60
+    }));
+    // No line from the feed: the default line
+    expect(byId.get(6)).toEqual(expect.objectContaining({ threshold: 6.5, labelA: 'Over 6.5' }));
+    expect(byId.get(8)).toEqual(expect.objectContaining({ labelA: 'Odd', labelB: 'Even' }));
+  });
+
+  test('should keep the first line once an over/under market is listed', async () => {
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+      secondaryMarkets: [{ marketId: 3, threshold: 46.5, priceA: 60, priceB: 40 }]
+    })]);
+    await marketService.refreshMarkets();
+
+    // The feed moves its line; its prices are for 52.5, not our 46.5
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+      secondaryMarkets: [{ marketId: 3, threshold: 52.5, priceA: 45, priceB: 55 }]
+    })]);
+    await marketService.refreshMarkets();
+
+    const powerplay = marketService.getMarket('ind-vs-aus').markets.find(m => m.marketId === 3);
+    expect(powerplay).toEqual(expect.objectContaining({ threshold: 46.5, labelA: 'Over 46.5', priceA: 60 }));
+    expect(db.lockMarketThreshold).toHaveBeenCalledTimes(1);
+  });
+
+  test('should use the line another instance locked', async () => {
+    db.lockMarketThreshold.mockResolvedValue(48.5);
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+      secondaryMarkets: [{ marketId: 3, threshold: 50.5, priceA: 60, priceB: 40 }]
+    })]);
+
+    await marketService.refreshMarkets();
+
+    const markets = marketService.getMarket('ind-vs-aus').markets;
+    expect(markets.find(m => m.marketId === 3)).toBeUndefined();
+  });
+
+  test('should keep a secondary market listed when the feed drops it', async () => {
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+      secondaryMarkets: [{ marketId: 8, threshold: null, priceA: 51, priceB: 49 }]
+    })]);
+    await marketService.refreshMarkets();
+
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch()]);
+    await marketService.refreshMarkets();
+
+    expect(marketService.getMarketPrices('ind-vs-aus', 8)).toEqual(expect.objectContaining({ priceA: 51, priceB: 49 }));
+  });
+
+  test('should delist a secondary market once it is settled on its own', async () => {
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+      secondaryMarkets: [
+        { marketId: 2, threshold: null, priceA: 52, priceB: 48 },
+        { marketId: 8, threshold: null, priceA: 51, priceB: 49 }
+      ]
+    })]);
+    await marketService.refreshMarkets();
+
+    marketService.markMarketSettled('ind-vs-aus', 2);
+    expect(marketService.getMarket('ind-vs-aus').markets.map(m => m.marketId)).toEqual([1, 8]);
+
+    // Still delisted on later refreshes, from the recorded settlement
+    db.getMarketSettlements.mockResolvedValue([{ match_key: 'ind-vs-aus', market_id: 2, result: 'A' }]);
+    await marketService.refreshMarkets();
+
+    expect(marketService.getMarket('ind-vs-aus').markets.map(m => m.marketId)).toEqual([1, 8]);
+    expect(db.getMarketSettlements).toHaveBeenLastCalledWith(['ind-vs-aus']);
+  });
+
+  test('should format markets for the game view', async () => {
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+      secondaryMarkets: [{ marketId: 3, threshold: 46.5, priceA: 60, priceB: 40 }]
+    })]);
+    await marketService.refreshMarkets();
+
+    const gameMarkets = marketService.toGameMarkets(marketService.getMarket('ind-vs-aus'));
+
+    expect(gameMarkets[1]).toEqual({
+      id: 3,
+      marketId: 3,
+      category: 'sessions',
+      title: 'Powerplay Runs - India',
+      volume: '0',
+      live: true,
+      threshold: 46.5,
+      closesAt: null,
+      closed: false,
+      suspended: false,
+      pricing: { method: 'single_source', spread: 0, disagreement: false, sources: [{ source: 'dcric99', used: true }] },
+      pricingTier: 'feed',
+      priceTrusted: true,
+      options: [
+        { label: 'Over 46.5', price: 60, type: 'green' },
+        { label: 'Under 46.5', price: 40, type: 'red' }
+      ]
+    });
+  });
+
+  test('should show how the match winner was priced', async () => {
+    const pricing = {
+      method: 'weighted_median',
+      spread: 4,
+      disagreement: false,
+      sources: [
+        { source: 'dcric99', provider: 'dcric99', priceA: 55, weight: 2, ageMs: 0, used: true },
+        { source: 'odds-api', provider: 'odds-api', priceA: 59, weight: 1, ageMs: 0, used: true }
+      ]
+    };
+    datasources.fetchAllMatches.mockResolvedValue([feedMatch({ pricing })]);
+    await marketService.refreshMarkets();
+
+    const [matchWinner] = marketService.toGameMarkets(marketService.getMarket('ind-vs-aus'));
+    const [listed] = marketService.getAllMarkets();
+
+    expect(matchWinner.pricing).toEqual(pricing);
+    expect(listed.pricing).toEqual(pricing);
+  });
+
+  describe('scheduled close', () => {
+    const START = '2026-10-18T14:00:00.000Z';
+
+    function closesAt(marketId) {
+      return marketService.getMarket('ind-vs-aus').markets.find(m => m.marketId === marketId).closesAt;
+    }
+
+    test('should close at the match start, and the toss half an hour before', async () => {
+      datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+        isLive: false,
+        startTime: START,
+        secondaryMarkets: [{ marketId: 2, threshold: null, priceA: 52, priceB: 48 }]
+      })]);
+      await marketService.refreshMarkets();
+
+      expect(closesAt(1)).toBe(START);
+      expect(closesAt(2)).toBe('2026-10-18T13:30:00.000Z');
+      expect(marketService.isMarketClosed('ind-vs-aus', 1, Date.parse(START) - 1)).toBe(false);
+      expect(marketService.isMarketClosed('ind-vs-aus', 1, Date.parse(START))).toBe(true);
+    });
+
+    test('should prefer an admin close time for the market, then for the match', async () => {
+      db.getMarketCloseTimes.mockResolvedValue([
+        { match_key: 'ind-vs-aus', market_id: 0, closes_at: '2026-10-18T12:00:00.000Z' },
+        { match_key: 'ind-vs-aus', market_id: 2, closes_at: null }
+      ]);
+      datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+        startTime: START,
+        secondaryMarkets: [{ marketId: 2, threshold: null, priceA: 52, priceB: 48 }]
+      })]);
+      await marketService.refreshMarkets();
+
+      expect(closesAt(1)).toBe('2026-10-18T12:00:00.000Z');
+      expect(closesAt(2)).toBeNull();
+      expect(db.getMarketCloseTimes).toHaveBeenLastCalledWith(['ind-vs-aus']);
+    });
+
+    test('should apply a close time an admin sets at once', async () => {
+      datasources.fetchAllMatches.mockResolvedValue([feedMatch({ startTime: START })]);
+      await marketService.refreshMarkets();
+
+      await marketService.setMarketCloseTime('ind-vs-aus', 1, '2026-10-18T15:00:00Z', 'alice');
+
+      expect(db.upsertMarketCloseTime).toHaveBeenCalledWith('ind-vs-aus', 1, '2026-10-18T15:00:00.000Z', 'alice');
+      expect(closesAt(1)).toBe('2026-10-18T15:00:00.000Z');
+
+      await expect(
+        marketService.setMarketCloseTime('ind-vs-aus', 1, 'tomorrow', 'alice')
+      ).rejects.toThrow('closesAt must be an ISO date or null');
+      await expect(
+        marketService.setMarketCloseTime('ind-vs-aus', 5, null, 'alice')
+      ).rejects.toThrow('Market not found');
+    });
+
+    test('should report each market close once and suspend the match when all have closed', async () => {
+      datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+        isLive: false,
+        startTime: START,
+        secondaryMarkets: [{ marketId: 2, threshold: null, priceA: 52, priceB: 48 }]
+      })]);
+      await marketService.refreshMarkets();
+
+      const beforeToss = Date.parse('2026-10-18T13:00:00Z');
+      const afterToss = Date.parse('2026-10-18T13:45:00Z');
+      const afterStart = Date.parse('2026-10-18T14:05:00Z');
+
+      expect(marketService.checkTradingStatus(beforeToss)).toEqual([]);
+
+      const [tossClosed] = marketService.checkTradingStatus(afterToss);
+      expect(tossClosed.matchKey).toBe('ind-vs-aus');
+      expect(marketService.getTradingStatus(tossClosed, afterToss)).toEqual({ suspended: false });
+      expect(marketService.checkTradingStatus(afterToss)).toEqual([]);
+
+      const [allClosed] = marketService.checkTradingStatus(afterStart);
+      expect(marketService.getTradingStatus(allClosed, afterStart)).toEqual({
+        suspended: true,
+        reason: 'Market closed',
+        updatedAt: START
+      });
+    });
+  });
+
+  describe('suspension', () => {
+    beforeEach(async () => {
+      db.upsertMarketSuspension.mockImplementation((matchKey, marketId, suspended, reason, updatedBy) =>
+        Promise.resolve({ match_key: matchKey, market_id: marketId, suspended, reason, updated_by: updatedBy, updated_at: '2026-10-18T10:00:00Z' }));
+      datasources.fetchAllMatches.mockResolvedValue([feedMatch({
+        secondaryMarkets: [{ marketId: 2, threshold: null, priceA: 52, priceB: 48 }]
+      })]);
+      await marketService.refreshMarkets();
+    });
+
+    test('should suspend one market and broadcast the change once', async () => {
+      await marketService.setMarketSuspended('ind-vs-aus', 2, true, 'Toss delayed', 'alice');
+
+      expect(db.upsertMarketSuspension).toHaveBeenCalledWith('ind-vs-aus', 2, true, 'Toss delayed', 'alice');
+      expect(marketService.getMarketPrices('ind-vs-aus', 2).suspension).toEqual(expect.objectContaining({ reason: 'Toss delayed' }));
+      expect(marketService.getMarketPrices('ind-vs-aus', 1).suspension).toBeNull();
+
+      const [changed] = marketService.checkTradingStatus();
+      expect(marketService.toGameMarkets(changed).map(m => m.suspended)).toEqual([false, true]);
+      expect(marketService.getTradingStatus(changed)).toEqual({ suspended: false });
+      expect(marketService.checkTradingStatus()).toEqual([]);
+    });
+
+    test('should suspend the whole match, then resume it', async () => {
+      await marketService.setMarketSuspended('ind-vs-aus', 0, true, 'Rain delay', 'alice');
+
+      const [changed] = marketService.checkTradingStatus();
+      expect(marketService.getTradingStatus(changed)).toEqual({
+        suspended: true,
+        reason: 'Rain delay',
+        updatedAt: '2026-10-18T10:00:00Z'
+      });
+      expect(marketService.getSuspensions()).toEqual([
+        expect.objectContaining({ matchKey: 'ind-vs-aus', marketId: 0, reason: 'Rain delay', updatedBy: 'alice' })
+      ]);
+
+      await marketService.setMarketSuspended('ind-vs-aus', 0, false, '', 'bob');
+
+      expect(marketService.getMarketPrices('ind-vs-aus', 2).suspension).toBeNull();
+      expect(marketService.checkTradingStatus()).toHaveLength(1);
+      expect(marketService.getSuspensions()).toEqual([]);
+    });
+
+    test('should keep suspensions recorded on other instances across refreshes', async () => {
+      db.getMarketSuspensions.mockResolvedValue([
+        { match_key: 'ind-vs-aus', market_id: 0, suspended: true, reason: null, updated_by: 'bob', updated_at: '2026-10-18T10:00:00Z' }
+      ]);
+      await marketService.refreshMarkets();
+
+      expect(marketService.getTradingStatus(marketService.getMarket('ind-vs-aus'))).toEqual(
+        expect.objectContaining({ suspended: true, reason: 'Suspended by risk team' })
+      );
+
+      // A failed read keeps them
+      db.getMarketSuspensions.mockRejectedValue(new Error('timeout'));
+      await marketService.refreshMarkets();
+
+      expect(marketService.getSuspension('ind-vs-aus', 1)).toEqual(expect.objectContaining({ updatedBy: 'bob' }));
+    });
+  });
+
+  describe('fallback pricing', () => {
+    const NOW = Date.parse('2026-10-18T14:00:00Z');
+    const SCORED = { scoreA: '185/6', oversA: '20', scoreB: '120/2', oversB: '12.0', matchFormat: 'T20' };
+
+    function matchWinner() {
+      return marketService.getMarket('ind-vs-aus').markets[0];
+    }
+
+    async function refreshAt(time, overrides) {
+      Date.now.mockReturnValue(time);
+      datasources.fetchAllMatches.mockResolvedValue([feedMatch(overrides)]);
+      await marketService.refreshMarkets();
+    }
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      db.upsertFallbackPricingApproval.mockImplementation((matchKey, marketId, allowed, updatedBy) =>
+        Promise.resolve({ match_key: matchKey, market_id: marketId, allowed, updated_by: updatedBy, updated_at: '2026-10-18T10:00:00Z' }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should fall back from the feed to the last known price, then the score model', async () => {
+      await refreshAt(NOW);
+      expect(matchWinner()).toEqual(expect.objectContaining({ priceA: 55, pricingTier: 'feed', pricedAt: '2026-10-18T14:00:00.000Z' }));
+
+      await refreshAt(NOW + 60000, { priceA: null, priceB: null, ...SCORED });
+      expect(matchWinner()).toEqual(expect.objectContaining({ priceA: 55, pricingTier: 'last_known', pricedAt: '2026-10-18T14:00:00.000Z' }));
+      expect(marketService.getMarketPrices('ind-vs-aus', 1).priceTrusted).toBe(false);
+
+      await refreshAt(NOW + 360000, { priceA: null, priceB: null, ...SCORED });
+      expect(matchWinner()).toEqual(expect.objectContaining({ priceA: 23, priceB: 77, pricingTier: 'model', pricedAt: null }));
+      expect(marketService.getMarketPrices('ind-vs-aus', 1)).toEqual(expect.objectContaining({ pricingTier: 'model', priceTrusted: false }));
+    });
+
+    test('should trust last known prices only when configured to', async () => {
+      expect(marketService.isPriceTrusted('ind-vs-aus', 1, 'last_known')).toBe(false);
+
+      process.env.FALLBACK_TRUST_LAST_KNOWN = 'true';
+      jest.resetModules();
+      const { FALLBACK_PRICING } = await import('../lib/constants.js');
+      delete process.env.FALLBACK_TRUST_LAST_KNOWN;
+
+      expect(FALLBACK_PRICING.TRUSTED_TIERS).toEqual(['feed', 'last_known']);
+    });
+
+    test('should leave a match without odds or a score unpriced and halted', async () => {
+      await refreshAt(NOW, { priceA: null, priceB: null });
+
+      expect(matchWinner()).toEqual(expect.objectContaining({ priceA: 50, priceB: 50, pricingTier: 'unpriced' }));
+      expect(marketService.getPriceHistory('ind-vs-aus')).toEqual([]);
+
+      const [changed] = marketService.checkTradingStatus(NOW);
+      expect(marketService.getTradingStatus(changed, NOW)).toEqual({
+        suspended: true,
+        reason: 'Awaiting a trusted price',
+        updatedAt: null
+      });
+    });
+
+    test('should trade on modelled prices only once an admin allows it', async () => {
+      await refreshAt(NOW, { priceA: null, priceB: null, ...SCORED });
+      expect(marketService.getFallbackPricedMarkets()).toEqual([
+        expect.objectContaining({ matchKey: 'ind-vs-aus', marketId: 1, pricingTier: 'model', tradable: false })
+      ]);
+
+      await marketService.setFallbackPricingAllowed('ind-vs-aus', 0, true, 'alice');
+
+      expect(db.upsertFallbackPricingApproval).toHaveBeenCalledWith('ind-vs-aus', 0, true, 'alice');
+      expect(marketService.getMarketPrices('ind-vs-aus', 1).priceTrusted).toBe(true);
+      expect(marketService.isPriceTrusted('ind-vs-aus', 1, 'unpriced')).toBe(false);
+
+      await marketService.setFallbackPricingAllowed('ind-vs-aus', 0, false, 'alice');
+      expect(marketService.getMarketPrices('ind-vs-aus', 1).priceTrusted).toBe(false);
+
+      await expect(
+        marketService.setFallbackPricingAllowed('ind-vs-aus', 5, true, 'alice')
+      ).rejects.toThrow('Market not found');
+    });
+
+    test('should keep approvals recorded on other instances', async () => {
+      db.getFallbackPricingApprovals.mockResolvedValue([
+        { match_key: 'ind-vs-aus', market_id: 1, allowed: true, updated_by: 'bob', updated_at: '2026-10-18T10:00:00Z' }
+      ]);
+      await refreshAt(NOW, { priceA: null, priceB: null, ...SCORED });
+
+      expect(db.getFallbackPricingApprovals).toHaveBeenLastCalledWith(['ind-vs-aus']);
+      expect(marketService.getMarketPrices('ind-vs-aus', 1).priceTrusted).toBe(true);
+    });
+  });
+});
+
+describe('Dcric99 secondary markets', () => {
+  let extractSecondaryMarkets;
+
+  beforeAll(async () => {
+    ({ extractSecondaryMarkets } = await import('../datasources/dcric99.js'));
+  });
+
+  test('should put Over on side A whichever order the runners come in', () => {
+    const [market] = extractSecondaryMarkets([{
+      marketId: '9.1',
+      marketName: '6 Over Runs IND',
+      runners: [{ name: 'Under 48.5', odds: 1.5 }, { name: 'Over 48.5', odds: 3 }]
+    }], ['India', 'Australia']);
+
+    expect(market).toEqual(expect.objectContaining({ marketId: 3, threshold: 48.5 }));
+    expect(market.priceA).toBeLessThan(market.priceB);
+  });
+
+  test('should read the direction from the runners\' words', () => {
+    const [market] = extractSecondaryMarkets([{
+      marketId: '9.4',
+      marketName: '6 Over Runs IND',
+      runners: [{ name: 'No 48.5', odds: 1.5 }, { name: 'Yes 48.5', odds: 3 }]
+    }], ['India', 'Australia']);
+
+    expect(market).toEqual(expect.objectContaining({ marketId: 3, threshold: 48.5, confidence: 1.0 }));
+    expect(market.priceA).toBeLessThan(market.priceB);
+  });
+
+  test('should skip an over/under market whose line it can\'t read', () => {
+    const markets = extractSecondaryMarkets([{
+      marketId: '9.5',
+      marketName: '6 Over Runs IND',
+      runners: [{ name: 'Under', odds: 1.5 }, { name: 'Over', odds: 3 }]
+    }, {
+      marketId: '9.6',
+      marketName: 'Total Wickets',
+      runners: [{ name: 'IND 6.5', odds: 1.5 }, { name: 'AUS 6.5', odds: 3 }]
+    }], ['India', 'Australia']);
+
+    expect(markets).toEqual([]);
+  });
+
+  test('should order toss runners by the match teams', () => {
+    const [market] = extractSecondaryMarkets([{
+      marketId: '9.2',
+      marketName: 'Toss',
+      runners: [{ name: 'Australia', odds: 1.5 }, { name: 'India', odds: 3 }]
+    }], ['India', 'Australia']);
+
+    expect(market.marketId).toBe(2);
+    expect(market.priceA).toBeLessThan(market.priceB);
+  });
+
+  test('should ignore markets whose runners do not fit the market', () => {
+    const markets = extractSecondaryMarkets([{
+      marketId: '9.3',
+      marketName: 'Total Odd Even',
+      runners: [{ name: 'Yes', odds: 2 }, { name: 'No', odds: 2 }]
+    }], ['India', 'Australia']);
+
+    expect(markets).toEqual([]);
+  });
+});
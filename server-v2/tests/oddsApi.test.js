@@ -0,0 +1,194 @@
+/**
+ * The Odds API Data Source Tests
+ *
+ * Run with: npm test -- tests/oddsApi.test.js
+ */
+
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+
+// Responses recorded from api.the-odds-api.com (API key redacted)
+function fixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/oddsApi/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// GET /sports/, /sports/:key/odds/ and /sports/:key/events/:id/odds from the fixtures
+function respondWithFixtures(overrides = {}) {
+  global.fetch = jest.fn((url) => {
+    const path = new URL(url).pathname.replace(/^\/v4\//, '').replace(/\/$/, '');
+    const [, sportKey, kind, eventId] = path.split('/');
+
+    let payload;
+    if (path in overrides) {
+      payload = overrides[path];
+    } else if (path === 'sports') {
+      payload = fixture('sports');
+    } else if (kind === 'odds') {
+      payload = fixture(sportKey);
+    } else if (kind === 'events') {
+      payload = fixture(sportKey).find(event => event.id === eventId);
+    }
+
+    return Promise.resolve({
+      ok: payload !== undefined,
+      status: payload !== undefined ? 200 : 404,
+      headers: new Map([['x-requests-remaining', '480']]),
+      json: () => Promise.resolve(payload)
+    });
+  });
+}
+
+function requestedPaths() {
+  return global.fetch.mock.calls.map(([url]) => new URL(url).pathname);
+}
+
+describe('The Odds API Data Source', () => {
+  let oddsApi;
+  let datasources;
+  const originalFetch = global.fetch;
+  const NOW = Date.parse('2026-10-18T15:00:00Z');
+
+  beforeEach(async () => {
+    jest.resetModules();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+    datasources = await import('../datasources/index.js');
+    oddsApi = await import('../datasources/oddsApi.js');
+    respondWithFixtures();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('should price a match from the first bookmaker quoting head to head', () => {
+    const [event] = fixture('cricket_ipl');
+
+    expect(oddsApi.mapEvent(event, NOW)).toEqual(expect.objectContaining({
+      matchKey: expect.stringMatching(/^chennai-super-kings-vs-mumbai-indians-\d{4}-\d\d-\d\d$/),
+      teamA: 'Chennai Super Kings',
+      teamB: 'Mumbai Indians',
+      teamAShort: 'CSK',
+      teamBShort: 'MI',
+      priceA: 59,
+      priceB: 41,
+      bookmaker: 'williamhill',
+      provider: 'odds-api',
+      isLive: true,
+      startTime: '2026-10-18T14:00:00.000Z'
+    }));
+  });
+
+  test('should leave a test match\'s draw out of the prices', () => {
+    const [event] = fixture('cricket_test_match');
+
+    expect(oddsApi.mapEvent(event, NOW)).toEqual(expect.objectContaining({
+      teamA: 'Pakistan',
+      teamB: 'New Zealand',
+      priceA: 58,
+      priceB: 42,
+      isLive: false,
+      statusText: 'Upcoming'
+    }));
+  });
+
+  test('should fetch every cricket sport in season when none are configured', async () => {
+    const matches = await new oddsApi.OddsApiDataSource({ apiKey: 'test-key', regions: 'uk', sportKeys: [] }).fetchMatches();
+
+    expect(requestedPaths()).toEqual([
+      '/v4/sports/',
+      '/v4/sports/cricket_ipl/odds/',
+      '/v4/sports/cricket_test_match/odds/',
+      '/v4/sports/cricket_odi/odds/'
+    ]);
+    // The event no bookmaker prices yet isn't listed
+    expect(matches.map(m => m.teamA)).toEqual(['Chennai Super Kings', 'Pakistan']);
+  });
+
+  test('should fetch only the configured sports and regions', async () => {
+    await new oddsApi.OddsApiDataSource({ apiKey: 'test-key', regions: 'au,eu', sportKeys: ['cricket_ipl'] }).fetchMatches();
+
+    expect(requestedPaths()).toEqual(['/v4/sports/cricket_ipl/odds/']);
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('regions')).toBe('au,eu');
+    expect(params.get('markets')).toBe('h2h');
+    expect(params.get('apiKey')).toBe('test-key');
+  });
+
+  test('should list nothing when a sport fails to load', async () => {
+    respondWithFixtures({ 'sports/cricket_ipl/odds': undefined });
+
+    const matches = await new oddsApi.OddsApiDataSource({ apiKey: 'test-key', sportKeys: ['cricket_ipl'] }).fetchMatches();
+
+    expect(matches).toEqual([]);
+  });
+
+  test('should refresh one listed match\'s odds', async () => {
+    const source = new oddsApi.OddsApiDataSource({ apiKey: 'test-key', sportKeys: ['cricket_ipl'] });
+    const [match] = await source.fetchMatches();
+
+    await expect(source.fetchOdds(match.matchKey)).resolves.toEqual({ priceA: 59, priceB: 41 });
+    expect(requestedPaths()).toContain('/v4/sports/cricket_ipl/events/0d4c8a1e7b2f4a6c9e3d5b7f1a2c4e6d/odds');
+    await expect(source.fetchOdds('not-listed')).resolves.toBeNull();
+  });
+
+  describe('Deduplication with other sources', () => {
+    function dcric99Match(overrides = {}) {
+      return {
+        matchKey: 'mumbai-indians-vs-chennai-super-kings-2026-10-18',
+        teamA: 'Mumbai Indians',
+        teamB: 'Chennai Super Kings',
+        teamAShort: 'MI',
+        teamBShort: 'CSK',
+        isLive: true,
+        startTime: '2026-10-18T14:00:00.000Z',
+        priceA: 44,
+        priceB: 56,
+        provider: 'dcric99',
+        eventId: '33012345',
+        secondaryMarkets: [{ marketId: 2, threshold: null, priceA: 50, priceB: 50 }],
+        ...overrides
+      };
+    }
+
+    function registerBoth(dcricMatches) {
+      datasources.registerSource('dcric99', { fetchMatches: () => Promise.resolve(dcricMatches) });
+      datasources.registerSource('odds-api', new oddsApi.OddsApiDataSource({ apiKey: 'test-key', sportKeys: ['cricket_ipl', 'cricket_test_match'] }));
+    }
+
+    test('should list a match both sources have once, as the first source lists it', async () => {
+      registerBoth([dcric99Match()]);
+
+      const matches = await datasources.fetchAllMatches();
+
+      expect(matches).toHaveLength(2);
+      // The Odds API's 59/41 for CSK, in dcric99's team order
+      expect(matches[0]).toEqual(expect.objectContaining({
+        ...dcric99Match({ priceA: 43, priceB: 57 }),
+        pricing: expect.objectContaining({ method: 'weighted_median', spread: 3 })
+      }));
+      expect(matches[0].pricing.sources.map(s => [s.provider, s.priceA])).toEqual([['dcric99', 44], ['odds-api', 41]]);
+      expect(matches[1].provider).toBe('odds-api');
+    });
+
+    test('should take the bookmaker prices where dcric99 has none, in the listed team order', async () => {
+      registerBoth([dcric99Match({ priceA: null, priceB: null })]);
+
+      const [merged] = await datasources.fetchAllMatches();
+
+      expect(merged).toEqual(expect.objectContaining({
+        ...dcric99Match({ priceA: 41, priceB: 59, provider: 'odds-api' }),
+        pricing: expect.objectContaining({ method: 'single_source' })
+      }));
+    });
+
+    test('should list both sources\' matches when dcric99 has none', async () => {
+      registerBoth([]);
+
+      const matches = await datasources.fetchAllMatches();
+
+      expect(matches.map(m => m.provider)).toEqual(['odds-api', 'odds-api']);
+    });
+  });
+});
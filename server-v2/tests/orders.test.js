@@ -0,0 +1,229 @@
+/**
+ * Limit Order Tests
+ *
+ * Run with: npm test -- tests/orders.test.js
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock database modules
+jest.unstable_mockModule('../db/index.js', () => ({
+  getUser: jest.fn(),
+  createUser: jest.fn(),
+  updateBalance: jest.fn(),
+  createTransaction: jest.fn(),
+  placeLimitOrderAtomic: jest.fn(),
+  fillLimitOrderAtomic: jest.fn(),
+  cancelLimitOrderAtomic: jest.fn(),
+  getOpenOrders: jest.fn(),
+  getUserOrders: jest.fn(),
+  getRiskOverrides: jest.fn(() => Promise.resolve([])),
+  getOpenPositionBook: jest.fn(() => Promise.resolve([])),
+  acquireUserLock: jest.fn(),
+  releaseUserLock: jest.fn(),
+  supabase: {}
+}));
+
+// Mock market service
+jest.unstable_mockModule('../services/marketService.js', () => ({
+  getMarketPrices: jest.fn(),
+  getAllMarkets: jest.fn(() => []),
+  default: {
+    getMarketPrices: jest.fn(),
+    getAllMarkets: jest.fn(() => [])
+  }
+}));
+
+function orderRow(overrides = {}) {
+  return {
+    id: 7,
+    user_id: 'user123',
+    match_key: 'ind-vs-aus',
+    market_id: 1,
+    direction: 'A',
+    quantity: 50,
+    limit_price: '0.4000',
+    held_amount: '20.00',
+    status: 'open',
+    created_at: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+describe('Order Service', () => {
+  let orderService;
+  let db;
+  let marketService;
+  let state;
+
+  beforeEach(async () => {
+    jest.resetModules();
+
+    db = await import('../db/index.js');
+    marketService = await import('../services/marketService.js');
+    state = await import('../lib/state.js');
+
+    state.clearAllCaches();
+
+    db.getUser.mockResolvedValue({
+      id: 'user123',
+      name: 'User',
+      balance: '100.00',
+      held_balance: '0.00',
+      created_at: new Date().toISOString()
+    });
+    db.acquireUserLock.mockResolvedValue(true);
+    db.releaseUserLock.mockResolvedValue();
+    db.getOpenOrders.mockResolvedValue([]);
+    db.placeLimitOrderAtomic.mockImplementation((order) =>
+      Promise.resolve({
+        order: orderRow({
+          direction: order.direction,
+          quantity: order.quantity,
+          limit_price: String(order.limitPrice),
+          held_amount: String(order.quantity * order.limitPrice)
+        }),
+        user: { id: order.userId, name: 'User', balance: '100.00', held_balance: String(order.quantity * order.limitPrice) }
+      })
+    );
+    db.fillLimitOrderAtomic.mockImplementation((orderId, price) =>
+      Promise.resolve({
+        order: orderRow({ id: orderId, status: 'filled', fill_price: String(price), position_id: 3 }),
+        position: {
+          id: 3,
+          user_id: 'user123',
+          match_key: 'ind-vs-aus',
+          market_id: 1,
+          direction: 'A',
+          quantity: 50,
+          avg_price: String(price),
+          status: 'open'
+        },
+        user: { id: 'user123', name: 'User', balance: '100.00', held_balance: String(50 * price) }
+      })
+    );
+    db.cancelLimitOrderAtomic.mockImplementation((orderId) =>
+      Promise.resolve({
+        order: orderRow({ id: orderId, status: 'cancelled' }),
+        user: { id: 'user123', name: 'User', balance: '100.00', held_balance: '0.00' }
+      })
+    );
+
+    // A is at 55%, above the 40% limit
+    marketService.getMarketPrices.mockReturnValue({
+      priceA: 55,
+      priceB: 45,
+      labelA: 'IND',
+      labelB: 'AUS'
+    });
+
+    orderService = await import('../services/orderService.js');
+  });
+
+  describe('placeLimitOrder', () => {
+    test('should rest an order above the market and hold its cost', async () => {
+      const result = await orderService.placeLimitOrder('user123', 'ind-vs-aus', 1, 'A', 50, 40);
+
+      expect(result.order.status).toBe('open');
+      expect(result.order.limitPrice).toBe(40);
+      expect(result.position).toBeNull();
+      expect(db.placeLimitOrderAtomic).toHaveBeenCalledWith(expect.objectContaining({ limitPrice: 0.4 }));
+      expect(db.fillLimitOrderAtomic).not.toHaveBeenCalled();
+      expect(state.getUserState('user123').heldBalance).toBe(20);
+    });
+
+    test('should fill immediately when the limit is already reached', async () => {
+      marketService.getMarketPrices.mockReturnValue({ priceA: 38, priceB: 62 });
+
+      const result = await orderService.placeLimitOrder('user123', 'ind-vs-aus', 1, 'A', 50, 40);
+
+      expect(db.fillLimitOrderAtomic).toHaveBeenCalledWith(7, 0.38, expect.stringContaining('limit 40%'));
+      expect(result.order.status).toBe('filled');
+      expect(result.position.avgPrice).toBe(0.38);
+      expect(state.getPosition(3)).toBeDefined();
+    });
+
+    test('should reject out-of-range limit price', async () => {
+      await expect(
+        orderService.placeLimitOrder('user123', 'ind-vs-aus', 1, 'A', 50, 0)
+      ).rejects.toThrow('Limit price must be between 1 and 99');
+    });
+
+    test('should reject order on non-existent market', async () => {
+      marketService.getMarketPrices.mockReturnValue(null);
+
+      await expect(
+        orderService.placeLimitOrder('user123', 'unknown', 1, 'A', 50, 40)
+      ).rejects.toThrow('Market not found');
+    });
+  });
+
+  describe('matchOrders', () => {
+    test('should fill orders once the price reaches the limit', async () => {
+      db.getOpenOrders.mockResolvedValue([
+        orderRow({ id: 7 }),
+        orderRow({ id: 8, direction: 'B', limit_price: '0.3000' })
+      ]);
+      marketService.getMarketPrices.mockReturnValue({ priceA: 40, priceB: 60 });
+
+      const fills = await orderService.matchOrders();
+
+      expect(fills.length).toBe(1);
+      expect(db.fillLimitOrderAtomic).toHaveBeenCalledTimes(1);
+      expect(db.fillLimitOrderAtomic).toHaveBeenCalledWith(7, 0.4, expect.any(String));
+    });
+
+    test('should leave orders resting while price is above the limit', async () => {
+      db.getOpenOrders.mockResolvedValue([orderRow()]);
+
+      const fills = await orderService.matchOrders();
+
+      expect(fills.length).toBe(0);
+      expect(db.fillLimitOrderAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should skip orders another instance already filled', async () => {
+      db.getOpenOrders.mockResolvedValue([orderRow()]);
+      marketService.getMarketPrices.mockReturnValue({ priceA: 35, priceB: 65 });
+      db.fillLimitOrderAtomic.mockRejectedValue(new Error('Order is not open'));
+
+      const fills = await orderService.matchOrders();
+
+      expect(fills.length).toBe(0);
+    });
+
+    test('should leave an order resting while its fill would breach a risk limit', async () => {
+      db.getOpenOrders.mockResolvedValue([orderRow()]);
+      marketService.getMarketPrices.mockReturnValue({ priceA: 35, priceB: 65 });
+      db.getRiskOverrides.mockResolvedValue([
+        { scope: 'match', scope_id: 'ind-vs-aus', max_market_liability: '10.00' }
+      ]);
+
+      const fills = await orderService.matchOrders();
+
+      expect(fills.length).toBe(0);
+      expect(db.fillLimitOrderAtomic).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel', () => {
+    test('should cancel a user order and release the hold', async () => {
+      const result = await orderService.cancelOrder('user123', 7);
+
+      expect(db.cancelLimitOrderAtomic).toHaveBeenCalledWith(7, 'user123', 'Cancelled by user');
+      expect(result.order.status).toBe('cancelled');
+      expect(state.getUserState('user123').heldBalance).toBe(0);
+    });
+
+    test('should cancel all resting orders on a settled match', async () => {
+      db.getOpenOrders.mockResolvedValue([orderRow({ id: 7 }), orderRow({ id: 8, user_id: 'user456' })]);
+
+      const cancelled = await orderService.cancelMatchOrders('ind-vs-aus', 'Match settled');
+
+      expect(db.getOpenOrders).toHaveBeenCalledWith('ind-vs-aus');
+      expect(db.cancelLimitOrderAtomic).toHaveBeenCalledWith(7, null, 'Match settled');
+      expect(db.cancelLimitOrderAtomic).toHaveBeenCalledWith(8, null, 'Match settled');
+      expect(cancelled.length).toBe(2);
+    });
+  });
+});
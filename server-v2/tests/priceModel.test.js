@@ -0,0 +1,65 @@
+/**
+ * Score Model Pricing Tests
+ *
+ * Run with: npm test -- tests/priceModel.test.js
+ */
+
+import { parseInnings, modelPriceA } from '../lib/priceModel.js';
+
+function match(overrides = {}) {
+  return {
+    teamA: 'India',
+    teamB: 'Australia',
+    teamAShort: 'IND',
+    teamBShort: 'AUS',
+    statusText: '',
+    scoreA: '',
+    scoreB: '',
+    oversA: '',
+    oversB: '',
+    matchFormat: 'T20',
+    ...overrides
+  };
+}
+
+describe('Score Model Pricing', () => {
+  describe('parseInnings', () => {
+    test('should read runs, wickets and overs with the balls of the last over', () => {
+      expect(parseInnings('185/6', '19.3')).toEqual({ runs: 185, wickets: 6, overs: 19.5 });
+    });
+
+    test('should read nothing before the team bats', () => {
+      expect(parseInnings('', '')).toBeNull();
+      expect(parseInnings('Yet to bat', '0')).toBeNull();
+    });
+  });
+
+  describe('modelPriceA', () => {
+    test('should not price a match that has not started', () => {
+      expect(modelPriceA(match({ statusText: 'Starts at 14:00' }))).toBeNull();
+    });
+
+    test('should price a finished match from its result', () => {
+      expect(modelPriceA(match({ statusText: 'India won by 5 wickets' }))).toBe(99);
+      expect(modelPriceA(match({ statusText: 'Australia won by 20 runs' }))).toBe(1);
+      expect(modelPriceA(match({ statusText: 'Match tied' }))).toBeNull();
+    });
+
+    test('should favour a chase that is ahead of the rate', () => {
+      expect(modelPriceA(match({ scoreA: '185/6', oversA: '20', scoreB: '120/2', oversB: '12.0' }))).toBe(23);
+    });
+
+    test('should favour the side batting first against a collapsing chase', () => {
+      expect(modelPriceA(match({ scoreA: '185/6', oversA: '20', scoreB: '60/6', oversB: '10.0' }))).toBe(87);
+    });
+
+    test('should price a first innings against par', () => {
+      expect(modelPriceA(match({ scoreA: '70/0', oversA: '6.0' }))).toBe(73);
+      expect(modelPriceA(match({ scoreB: '30/4', oversB: '6.0', matchFormat: 'ODI' }))).toBe(61);
+    });
+
+    test('should price a multi-day match by runs and wickets', () => {
+      expect(modelPriceA(match({ scoreA: '350/8', oversA: '120', scoreB: '210/10', oversB: '80', matchFormat: 'Test' }))).toBe(76);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Market Maker Pricing Tests
+ *
+ * Run with: npm test -- tests/pricing.test.js
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock database modules
+jest.unstable_mockModule('../db/index.js', () => ({
+  getMarketPricingConfigs: jest.fn(),
+  upsertMarketPricing: jest.fn(),
+  getOpenPositionBook: jest.fn(),
+  supabase: {}
+}));
+
+describe('Pricing curves', () => {
+  let pricing;
+
+  beforeAll(async () => {
+    pricing = await import('../lib/pricing.js');
+  });
+
+  test.each(['lmsr', 'constant_product'])('%s should price at the anchor with no flow', (engine) => {
+    expect(pricing.marginalPrice(engine, 0.4, 0, 500)).toBeCloseTo(0.4, 6);
+  });
+
+  test.each(['lmsr', 'constant_product'])('%s should move the price with order flow', (engine) => {
+    expect(pricing.marginalPrice(engine, 0.4, 200, 500)).toBeGreaterThan(0.4);
+    expect(pricing.marginalPrice(engine, 0.4, -200, 500)).toBeLessThan(0.4);
+  });
+
+  test.each(['lmsr', 'constant_product'])('%s should charge more per share for larger trades', (engine) => {
+    const small = pricing.tradeCost(engine, 0.4, 0, 500, 'A', 10) / 10;
+    const large = pricing.tradeCost(engine, 0.4, 0, 500, 'A', 300) / 300;
+
+    expect(small).toBeGreaterThan(0.4);
+    expect(large).toBeGreaterThan(small);
+  });
+
+  test.each(['lmsr', 'constant_product'])('%s should return the cost when selling straight back', (engine) => {
+    const cost = pricing.tradeCost(engine, 0.4, 0, 500, 'A', 100);
+    const proceeds = -pricing.tradeCost(engine, 0.4, 100, 500, 'A', -100);
+
+    expect(proceeds).toBeCloseTo(cost, 6);
+  });
+
+  test('lmsr loss should be bounded by liquidity', () => {
+    expect(pricing.maxLoss('lmsr', 0.5, 100)).toBeCloseTo(100 * Math.log(2), 6);
+  });
+});
+
+describe('Pricing Service', () => {
+  let pricingService;
+  let db;
+  let state;
+
+  const prices = { priceA: 40, priceB: 60, externalPriceA: 40, externalPriceB: 60 };
+
+  beforeEach(async () => {
+    jest.resetModules();
+
+    db = await import('../db/index.js');
+    state = await import('../lib/state.js');
+
+    state.clearAllCaches();
+
+    db.getMarketPricingConfigs.mockResolvedValue([]);
+    db.getOpenPositionBook.mockResolvedValue([]);
+    db.upsertMarketPricing.mockImplementation((matchKey, marketId, engine, liquidity) =>
+      Promise.resolve({ match_key: matchKey, market_id: marketId, engine, liquidity: String(liquidity) })
+    );
+
+    pricingService = await import('../services/pricingService.js');
+  });
+
+  test('should fill at the feed price for external markets', () => {
+    const result = pricingService.priceTrade('ind-vs-aus', 1, prices, 'A', 100);
+
+    expect(result).toEqual({ price: 40, cost: 40 });
+    expect(pricingService.sharesForAmount('ind-vs-aus', 1, prices, 'A', 50)).toBe(125);
+  });
+
+  test('should fill along the curve for lmsr markets', async () => {
+    db.getMarketPricingConfigs.mockResolvedValue([
+      { match_key: 'ind-vs-aus', market_id: 1, engine: 'lmsr', liquidity: '100.00' }
+    ]);
+    await pricingService.sync();
+
+    const result = pricingService.priceTrade('ind-vs-aus', 1, prices, 'A', 100);
+
+    expect(result.price).toBeGreaterThan(40);
+    expect(result.cost).toBeCloseTo(100 * result.price / 100, 6);
+  });
+
+  test('should buy as many shares as the amount covers along the curve', async () => {
+    db.getMarketPricingConfigs.mockResolvedValue([
+      { match_key: 'ind-vs-aus', market_id: 1, engine: 'lmsr', liquidity: '100.00' }
+    ]);
+    await pricingService.sync();
+
+    const shares = pricingService.sharesForAmount('ind-vs-aus', 1, prices, 'A', 50);
+
+    expect(shares).toBeLessThan(125);
+    expect(pricingService.priceTrade('ind-vs-aus', 1, prices, 'A', shares).cost).toBeLessThanOrEqual(50);
+    expect(pricingService.priceTrade('ind-vs-aus', 1, prices, 'A', shares + 1).cost).toBeGreaterThan(50);
+  });
+
+  test('should rebuild order flow from open positions', async () => {
+    db.getOpenPositionBook.mockResolvedValue([
+      { match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 300, avg_price: '0.4000' },
+      { match_key: 'ind-vs-aus', market_id: 1, direction: 'B', quantity: 100, avg_price: '0.6000' }
+    ]);
+
+    await pricingService.sync();
+
+    expect(pricingService.getFlow('ind-vs-aus', 1)).toBe(200);
+  });
+
+  test('should reprice the market as fills are recorded', async () => {
+    state.setMarketState('ind-vs-aus', {
+      markets: [{ marketId: 1, priceA: 40, priceB: 60, externalPriceA: 40, externalPriceB: 60 }]
+    });
+    await pricingService.setConfig('ind-vs-aus', 1, 'lmsr', 100, 'admin');
+
+    pricingService.recordFlow('ind-vs-aus', 1, 'A', 50);
+
+    const market = state.getMarketState('ind-vs-aus').markets[0];
+    expect(market.priceA).toBeGreaterThan(40);
+    expect(market.priceA + market.priceB).toBe(100);
+    expect(market.externalPriceA).toBe(40);
+  });
+
+  test('should reject unknown engines and bad liquidity', async () => {
+    await expect(
+      pricingService.setConfig('ind-vs-aus', 1, 'magic', 100, 'admin')
+    ).rejects.toThrow('Unknown pricing engine');
+    await expect(
+      pricingService.setConfig('ind-vs-aus', 1, 'lmsr', 0, 'admin')
+    ).rejects.toThrow('Liquidity must be');
+    expect(db.upsertMarketPricing).not.toHaveBeenCalled();
+  });
+
+  test('should report worst-case liability per market', async () => {
+    db.getOpenPositionBook.mockResolvedValue([
+      { match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 100, avg_price: '0.4000' },
+      { match_key: 'ind-vs-aus', market_id: 1, direction: 'B', quantity: 50, avg_price: '0.6000' }
+    ]);
+
+    const [liability] = await pricingService.getLiabilities();
+
+    // Stakes 40 + 30 = 70; A wins pays 100, B wins pays 50
+    expect(liability).toEqual(expect.objectContaining({
+      matchKey: 'ind-vs-aus',
+      marketId: 1,
+      stakes: 70,
+      ifAWins: 30,
+      ifBWins: -20,
+      worstCase: 30,
+      engine: 'external'
+    }));
+  });
+});
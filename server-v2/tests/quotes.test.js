@@ -0,0 +1,203 @@
+/**
+ * Firm Quote Tests
+ *
+ * Run with: npm test -- tests/quotes.test.js
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock database modules
+jest.unstable_mockModule('../db/index.js', () => ({
+  getUser: jest.fn(),
+  createUser: jest.fn(),
+  updateBalance: jest.fn(),
+  createTransaction: jest.fn(),
+  executeTradeAtomic: jest.fn(),
+  updatePositionTriggers: jest.fn(),
+  isMatchSettled: jest.fn(),
+  redeemQuote: jest.fn(),
+  unredeemQuote: jest.fn(),
+  cleanOldQuoteRedemptions: jest.fn(),
+  getRiskOverrides: jest.fn(() => Promise.resolve([])),
+  getOpenPositionBook: jest.fn(() => Promise.resolve([])),
+  acquireUserLock: jest.fn(),
+  releaseUserLock: jest.fn(),
+  supabase: {}
+}));
+
+// Mock market service
+jest.unstable_mockModule('../services/marketService.js', () => ({
+  getMarketPrices: jest.fn(),
+  getAllMarkets: jest.fn(() => []),
+  default: {
+    getMarketPrices: jest.fn(),
+    getAllMarkets: jest.fn(() => [])
+  }
+}));
+
+describe('Quote Service', () => {
+  let quoteService;
+  let db;
+  let marketService;
+  let state;
+
+  beforeEach(async () => {
+    jest.resetModules();
+
+    db = await import('../db/index.js');
+    marketService = await import('../services/marketService.js');
+    state = await import('../lib/state.js');
+
+    state.clearAllCaches();
+
+    db.getUser.mockResolvedValue({
+      id: 'user123',
+      name: 'User',
+      balance: '100.00',
+      held_balance: '0.00',
+      created_at: new Date().toISOString()
+    });
+    db.acquireUserLock.mockResolvedValue(true);
+    db.releaseUserLock.mockResolvedValue();
+    db.isMatchSettled.mockResolvedValue(false);
+    db.redeemQuote.mockResolvedValue(true);
+    db.unredeemQuote.mockResolvedValue();
+    db.executeTradeAtomic.mockImplementation((trade) =>
+      Promise.resolve({
+        position: {
+          id: 1,
+          user_id: trade.userId,
+          match_key: trade.matchKey,
+          market_id: trade.marketId,
+          direction: trade.direction,
+          quantity: trade.quantity,
+          avg_price: String(trade.price),
+          status: 'open'
+        },
+        user: {
+          id: trade.userId,
+          name: 'User',
+          balance: '100.00',
+          held_balance: String(trade.quantity * trade.price)
+        }
+      })
+    );
+
+    marketService.getMarketPrices.mockReturnValue({
+      priceA: 40,
+      priceB: 60,
+      labelA: 'IND',
+      labelB: 'AUS'
+    });
+
+    quoteService = await import('../services/quoteService.js');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createQuote', () => {
+    test('should return exact shares, cost and payout', async () => {
+      const quote = await quoteService.createQuote('user123', 'ind-vs-aus', 1, 'A', 50);
+
+      expect(quote.quoteId).toEqual(expect.any(String));
+      expect(quote.price).toBe(40);
+      expect(quote.quantity).toBe(125);
+      expect(quote.cost).toBe(50);
+      expect(quote.potentialPayout).toBe(125);
+      expect(Date.parse(quote.expiresAt)).toBeGreaterThan(Date.now());
+    });
+
+    test('should refuse to quote a settled match', async () => {
+      db.isMatchSettled.mockResolvedValue(true);
+
+      await expect(
+        quoteService.createQuote('user123', 'ind-vs-aus', 1, 'A', 50)
+      ).rejects.toThrow('Match is already settled');
+    });
+
+    test('should not sign with the database service role key', async () => {
+      const saved = { QUOTE_SECRET: process.env.QUOTE_SECRET, SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY };
+      delete process.env.QUOTE_SECRET;
+      process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+
+      try {
+        jest.resetModules();
+        const { QUOTES } = await import('../lib/constants.js');
+        expect(QUOTES.SECRET).toBeUndefined();
+      } finally {
+        for (const [name, value] of Object.entries(saved)) {
+          if (value === undefined) delete process.env[name];
+          else process.env[name] = value;
+        }
+      }
+    });
+  });
+
+  describe('executeQuote', () => {
+    test('should fill at the quoted price after the market moved', async () => {
+      const quote = await quoteService.createQuote('user123', 'ind-vs-aus', 1, 'A', 50);
+      marketService.getMarketPrices.mockReturnValue({ priceA: 48, priceB: 52 });
+
+      const result = await quoteService.executeQuote('user123', quote.quoteId);
+
+      expect(db.executeTradeAtomic).toHaveBeenCalledWith(expect.objectContaining({
+        direction: 'A',
+        quantity: 125,
+        price: 0.4
+      }));
+      expect(result.cost).toBe(50);
+    });
+
+    test('should reject an expired quote', async () => {
+      const quote = await quoteService.createQuote('user123', 'ind-vs-aus', 1, 'A', 50);
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+
+      const error = await quoteService.executeQuote('user123', quote.quoteId).catch(err => err);
+
+      expect(error.code).toBe('QUOTE_EXPIRED');
+      expect(db.executeTradeAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should reject a tampered quote', async () => {
+      const quote = await quoteService.createQuote('user123', 'ind-vs-aus', 1, 'A', 50);
+      const [payload, signature] = quote.quoteId.split('.');
+      const terms = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const forged = Buffer.from(JSON.stringify({ ...terms, price: 1 })).toString('base64url');
+
+      await expect(
+        quoteService.executeQuote('user123', `${forged}.${signature}`)
+      ).rejects.toThrow('Invalid quote');
+    });
+
+    test('should reject a quote issued to another user', async () => {
+      const quote = await quoteService.createQuote('user456', 'ind-vs-aus', 1, 'A', 50);
+
+      await expect(
+        quoteService.executeQuote('user123', quote.quoteId)
+      ).rejects.toThrow('Invalid quote');
+    });
+
+    test('should fill each quote only once', async () => {
+      const quote = await quoteService.createQuote('user123', 'ind-vs-aus', 1, 'A', 50);
+      db.redeemQuote.mockResolvedValue(false);
+
+      await expect(
+        quoteService.executeQuote('user123', quote.quoteId)
+      ).rejects.toThrow('Quote already used');
+      expect(db.executeTradeAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should free the quote again when the trade fails', async () => {
+      const quote = await quoteService.createQuote('user123', 'ind-vs-aus', 1, 'A', 50);
+      marketService.getMarketPrices.mockReturnValue(null);
+
+      await expect(
+        quoteService.executeQuote('user123', quote.quoteId)
+      ).rejects.toThrow('Market not found');
+      expect(db.unredeemQuote).toHaveBeenCalledTimes(1);
+    });
+  });
+});
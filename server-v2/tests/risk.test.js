@@ -0,0 +1,232 @@
+/**
+ * Risk Limit Tests
+ *
+ * Run with: npm test -- tests/risk.test.js
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock database modules
+jest.unstable_mockModule('../db/index.js', () => ({
+  getUser: jest.fn(),
+  createUser: jest.fn(),
+  createTransaction: jest.fn(),
+  executeTradeAtomic: jest.fn(),
+  getRiskOverrides: jest.fn(),
+  getAllRiskOverrides: jest.fn(),
+  upsertRiskOverride: jest.fn(),
+  deleteRiskOverride: jest.fn(),
+  getOpenPositionBook: jest.fn(),
+  acquireUserLock: jest.fn(),
+  releaseUserLock: jest.fn(),
+  supabase: {}
+}));
+
+// Mock market service
+jest.unstable_mockModule('../services/marketService.js', () => ({
+  getMarketPrices: jest.fn(),
+  getAllMarkets: jest.fn(() => []),
+  default: {
+    getMarketPrices: jest.fn(),
+    getAllMarkets: jest.fn(() => [])
+  }
+}));
+
+describe('Risk limits', () => {
+  let tradingService;
+  let riskService;
+  let db;
+  let marketService;
+  let state;
+
+  function override(scope, scopeId, limits) {
+    return { scope, scope_id: scopeId, ...limits };
+  }
+
+  beforeEach(async () => {
+    jest.resetModules();
+
+    db = await import('../db/index.js');
+    marketService = await import('../services/marketService.js');
+    state = await import('../lib/state.js');
+
+    state.clearAllCaches();
+
+    db.getUser.mockResolvedValue({
+      id: 'user123',
+      name: 'User',
+      balance: '100.00',
+      held_balance: '0.00',
+      created_at: new Date().toISOString()
+    });
+    db.acquireUserLock.mockResolvedValue(true);
+    db.releaseUserLock.mockResolvedValue();
+    db.getRiskOverrides.mockResolvedValue([]);
+    db.getOpenPositionBook.mockResolvedValue([]);
+    db.executeTradeAtomic.mockImplementation((trade) =>
+      Promise.resolve({
+        position: {
+          id: 1,
+          user_id: trade.userId,
+          match_key: trade.matchKey,
+          market_id: trade.marketId,
+          direction: trade.direction,
+          quantity: trade.quantity,
+          avg_price: String(trade.price),
+          status: 'open'
+        },
+        user: {
+          id: trade.userId,
+          name: 'User',
+          balance: '100.00',
+          held_balance: String(trade.quantity * trade.price)
+        }
+      })
+    );
+
+    marketService.getMarketPrices.mockReturnValue({ priceA: 40, priceB: 60 });
+
+    tradingService = await import('../services/tradingService.js');
+    riskService = await import('../services/riskService.js');
+  });
+
+  describe('checks before a fill', () => {
+    test('should fill within the default limits', async () => {
+      const result = await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 50);
+
+      expect(result.quantity).toBe(50);
+      expect(db.getRiskOverrides).toHaveBeenCalledWith('user123', 'ind-vs-aus');
+    });
+
+    test('should reject an order above the per-order stake', async () => {
+      db.getRiskOverrides.mockResolvedValue([override('user', 'user123', { max_order_stake: '10.00' })]);
+
+      const error = await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 50).catch(err => err);
+
+      expect(error.code).toBe('ORDER_STAKE_LIMIT');
+      expect(error.limit).toBe(10);
+      expect(error.exposure).toBe(20);
+      expect(db.executeTradeAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should count held stakes towards the user exposure', async () => {
+      db.getUser.mockResolvedValue({
+        id: 'user123',
+        name: 'User',
+        balance: '100.00',
+        held_balance: '70.00',
+        created_at: new Date().toISOString()
+      });
+      db.getRiskOverrides.mockResolvedValue([override('user', 'user123', { max_user_exposure: '80.00' })]);
+
+      const error = await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 50).catch(err => err);
+
+      expect(error.code).toBe('USER_EXPOSURE_LIMIT');
+      expect(error.exposure).toBe(90);
+    });
+
+    test('should reject when one side of the match would owe too much', async () => {
+      // 1000 A @ 0.40 already owes 600 net if A wins; 50 more @ 40 adds 30
+      db.getOpenPositionBook.mockResolvedValue([
+        { match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 1000, avg_price: '0.4000' }
+      ]);
+      db.getRiskOverrides.mockResolvedValue([override('match', 'ind-vs-aus', { max_match_liability: '620.00' })]);
+
+      const error = await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 50).catch(err => err);
+
+      expect(error.code).toBe('MATCH_LIABILITY_LIMIT');
+      expect(error.exposure).toBe(630);
+    });
+
+    test('should reject a trade that deepens a market over its limit', async () => {
+      db.getOpenPositionBook.mockResolvedValue([
+        { match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 1000, avg_price: '0.4000' }
+      ]);
+      db.getRiskOverrides.mockResolvedValue([override('match', 'ind-vs-aus', { max_market_liability: '500.00' })]);
+
+      const error = await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 50).catch(err => err);
+
+      expect(error.code).toBe('MARKET_LIABILITY_LIMIT');
+    });
+
+    test('should allow a trade that hedges a market over its limit', async () => {
+      db.getOpenPositionBook.mockResolvedValue([
+        { match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 1000, avg_price: '0.4000' }
+      ]);
+      db.getRiskOverrides.mockResolvedValue([override('match', 'ind-vs-aus', { max_market_liability: '500.00' })]);
+
+      const result = await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'B', 50);
+
+      expect(result.quantity).toBe(50);
+    });
+
+    test('should not let two users\' concurrent buys both pass the match limit', async () => {
+      // Each buy of 50 A @ 40 owes 30; the limit has room for one
+      const book = [];
+      db.getUser.mockImplementation((userId) => Promise.resolve({
+        id: userId,
+        name: 'User',
+        balance: '100.00',
+        held_balance: '0.00',
+        created_at: new Date().toISOString()
+      }));
+      db.getOpenPositionBook.mockImplementation(() => Promise.resolve([...book]));
+      db.getRiskOverrides.mockResolvedValue([override('match', 'ind-vs-aus', { max_match_liability: '50.00' })]);
+      const fill = db.executeTradeAtomic.getMockImplementation();
+      db.executeTradeAtomic.mockImplementation(async (trade) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        book.push({ match_key: trade.matchKey, market_id: trade.marketId, direction: trade.direction, quantity: trade.quantity, avg_price: String(trade.price) });
+        return fill(trade);
+      });
+
+      const results = await Promise.allSettled([
+        tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 50),
+        tradingService.executeTrade('user456', 'ind-vs-aus', 1, 'A', 50)
+      ]);
+
+      expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.code).toBe('MATCH_LIABILITY_LIMIT');
+      expect(db.acquireUserLock).toHaveBeenCalledWith('match:ind-vs-aus', expect.any(String), expect.any(Number));
+    });
+  });
+
+  describe('overrides', () => {
+    test('should prefer a user override over a match override', async () => {
+      db.getRiskOverrides.mockResolvedValue([
+        override('match', 'ind-vs-aus', { max_order_stake: '5.00', max_match_liability: '900.00' }),
+        override('user', 'user123', { max_order_stake: '50.00', max_match_liability: null })
+      ]);
+
+      const limits = await riskService.getLimits('user123', 'ind-vs-aus');
+
+      expect(limits.maxOrderStake).toBe(50);
+      expect(limits.maxMatchLiability).toBe(900);
+      expect(limits.maxUserExposure).toBe(riskService.getDefaults().maxUserExposure);
+    });
+
+    test('should write only the limits given', async () => {
+      db.upsertRiskOverride.mockImplementation((scope, scopeId) =>
+        Promise.resolve({ scope, scope_id: scopeId, max_order_stake: '25.00', updated_by: 'admin' })
+      );
+
+      const result = await riskService.setOverride('user', 'user123', { maxOrderStake: 25 }, 'admin');
+
+      expect(db.upsertRiskOverride).toHaveBeenCalledWith('user', 'user123', { maxOrderStake: 25 }, 'admin');
+      expect(result.maxOrderStake).toBe(25);
+      expect(result.maxUserExposure).toBeNull();
+    });
+
+    test('should reject unknown scopes, unknown limits and bad values', async () => {
+      await expect(
+        riskService.setOverride('team', 'ind', { maxOrderStake: 25 }, 'admin')
+      ).rejects.toThrow('Unknown risk scope');
+      await expect(
+        riskService.setOverride('user', 'user123', { maxStake: 25 }, 'admin')
+      ).rejects.toThrow('Unknown risk limit');
+      await expect(
+        riskService.setOverride('user', 'user123', { maxOrderStake: -5 }, 'admin')
+      ).rejects.toThrow('must be a positive number');
+      expect(db.upsertRiskOverride).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Scraper Data Source Tests
+ *
+ * Run with: npm test -- tests/scraper.test.js
+ */
+
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+
+// Saved pages and the site configs that read them
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/scraper/${name}`, import.meta.url), 'utf8');
+}
+
+function respondWith(pages) {
+  global.fetch = jest.fn((url) => {
+    const page = pages[url];
+    return Promise.resolve({
+      ok: page !== undefined,
+      status: page !== undefined ? 200 : 503,
+      text: () => Promise.resolve(page),
+      json: () => Promise.resolve(JSON.parse(page))
+    });
+  });
+}
+
+describe('Scraper Data Source', () => {
+  let scraper;
+  let sites;
+  const originalFetch = global.fetch;
+
+  beforeAll(async () => {
+    scraper = await import('../datasources/scraper.js');
+  });
+
+  beforeEach(() => {
+    ({ sites } = scraper.loadSiteConfigs(fixture('sites.json')));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('Odds formats', () => {
+    test.each([
+      ['2.50', 'decimal', 0.4],
+      ['6/4', 'fractional', 0.4],
+      ['+150', 'american', 0.4],
+      ['-150', 'american', 0.6],
+      ['0.4', 'probability', 0.4],
+      ['40%', 'auto', 0.4],
+      ['2.50', 'auto', 0.4],
+      ['0.4', 'auto', 0.4]
+    ])('should read %s as %s odds', (raw, format, probability) => {
+      expect(scraper.parseOddsProbability(raw, format)).toBeCloseTo(probability);
+    });
+
+    test.each([
+      ['SUSP', 'auto'],
+      ['0.8', 'decimal'],
+      ['2.5', 'probability'],
+      ['6-4', 'fractional'],
+      ['+50', 'american'],
+      ['', 'auto']
+    ])('should not read %s as %s odds', (raw, format) => {
+      expect(scraper.parseOddsProbability(raw, format)).toBeNull();
+    });
+  });
+
+  describe('Site configs', () => {
+    test('should fill in the defaults', () => {
+      const site = scraper.validateSiteConfig({ name: 'site-a', url: 'https://example.com/odds' });
+
+      expect(site).toEqual({
+        name: 'site-a',
+        url: 'https://example.com/odds',
+        format: 'html',
+        oddsFormat: 'auto',
+        eventSelector: '.event',
+        homeSelector: '.home',
+        awaySelector: '.away',
+        homeOddsSelector: '.home-odds',
+        awayOddsSelector: '.away-odds'
+      });
+    });
+
+    test('should report every problem with a site', () => {
+      expect(() => scraper.validateSiteConfig({
+        name: 'broken',
+        url: 'ftp://example.com',
+        oddsFormat: 'moneyline',
+        eventSelector: 'tr[',
+        homeSelector: ''
+      })).toThrow('Scraper site "broken": url must be http(s), got "ftp://example.com"; oddsFormat must be one of auto, decimal, fractional, american, probability, got "moneyline"; eventSelector "tr[" is not a valid CSS selector; homeSelector must not be empty');
+    });
+
+    test('should leave out invalid and duplicate sites and keep the rest', () => {
+      const { sites: loaded, errors } = scraper.loadSiteConfigs(JSON.stringify([
+        { name: 'site-a', url: 'https://a.example.com' },
+        { url: 'https://b.example.com', format: 'xml' },
+        { name: 'site-a', url: 'https://c.example.com' }
+      ]));
+
+      expect(loaded.map(site => site.url)).toEqual(['https://a.example.com']);
+      expect(errors).toEqual([
+        '[1] Scraper site: name is required; format must be one of html, json, got "xml"',
+        '[2] Scraper site "site-a": name is used by another site'
+      ]);
+    });
+
+    test('should reject sites that are not JSON', () => {
+      const { sites: loaded, errors } = scraper.loadSiteConfigs('[{ name: site-a }]');
+
+      expect(loaded).toEqual([]);
+      expect(errors[0]).toMatch(/^Scraper sites are not valid JSON/);
+    });
+  });
+
+  describe('Parsing pages', () => {
+    test('should read the rows of an HTML page with both teams and odds', () => {
+      const pairs = scraper.parseSitePage(sites[0], fixture('oddsboard.html'));
+
+      expect(pairs).toEqual([
+        { teamA: 'India', teamB: 'Australia', priceA: 60, priceB: 40 },
+        { teamA: 'England Women', teamB: 'South Africa Women', priceA: 55, priceB: 45 }
+      ]);
+    });
+
+    test('should read a JSON feed by its paths', () => {
+      const pairs = scraper.parseSitePage(sites[1], fixture('linesfeed.json'));
+
+      expect(pairs).toEqual([
+        { teamA: 'Chennai Super Kings', teamB: 'Mumbai Indians', priceA: 57, priceB: 43 }
+      ]);
+    });
+  });
+
+  describe('fetchMatches', () => {
+    test('should list every site\'s matches with the site as provider', async () => {
+      respondWith({ [sites[0].url]: fixture('oddsboard.html'), [sites[1].url]: fixture('linesfeed.json') });
+
+      const matches = await new scraper.ScraperDataSource(sites).fetchMatches();
+
+      expect(matches.map(m => [m.teamA, m.provider])).toEqual([
+        ['India', 'scraper:oddsboard'],
+        ['England Women', 'scraper:oddsboard'],
+        ['Chennai Super Kings', 'scraper:linesfeed']
+      ]);
+      expect(matches[0]).toEqual(expect.objectContaining({
+        matchKey: expect.stringMatching(/^india-vs-australia-\d{4}-\d\d-\d\d$/),
+        teamAShort: 'IND',
+        priceA: 60,
+        secondaryMarkets: []
+      }));
+    });
+
+    test('should list nothing from a site that is down or unreadable', async () => {
+      respondWith({ [sites[1].url]: '<html>Service unavailable</html>' });
+
+      const matches = await new scraper.ScraperDataSource(sites).fetchMatches();
+
+      expect(matches).toEqual([]);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+});
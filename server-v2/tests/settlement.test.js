@@ -21,7 +21,33 @@ jest.unstable_mockModule('../db/index.js', () => ({
   createSettlement: jest.fn(),
   getSettlement: jest.fn(),
   getAllSettlements: jest.fn(),
+  markSettlementReversed: jest.fn(),
+  createSettlementJobAtomic: jest.fn(),
+  settleJobPositionAtomic: jest.fn(),
+  getSettlementJob: jest.fn(),
+  getRunningSettlementJob: jest.fn(),
+  getRunningSettlementJobs: jest.fn(),
+  getSettlementJobItems: jest.fn(),
+  failSettlementJobItem: jest.fn(),
+  updateSettlementJob: jest.fn(),
   isMatchSettled: jest.fn(),
+  getSettledPositions: jest.fn(),
+  reverseSettlementPositionAtomic: jest.fn(),
+  getSettlementReversalPositions: jest.fn(),
+  createNotification: jest.fn(),
+  getTieRule: jest.fn(),
+  getMatchStats: jest.fn(),
+  upsertMatchStats: jest.fn(),
+  getMarketThresholds: jest.fn(),
+  getMarketSettlements: jest.fn(),
+  getMarketCloseTimes: jest.fn(),
+  getMarketSuspensions: jest.fn(),
+  createMarketSettlement: jest.fn(),
+  reverseMarketSettlements: jest.fn(),
+  getOpenOrders: jest.fn(),
+  cancelLimitOrderAtomic: jest.fn(),
+  acquireUserLock: jest.fn(),
+  releaseUserLock: jest.fn(),
   supabase: {}
 }));
 
@@ -29,18 +55,52 @@ jest.unstable_mockModule('../db/index.js', () => ({
 jest.unstable_mockModule('../services/marketService.js', () => ({
   getMarketPrices: jest.fn(),
   getAllMarkets: jest.fn(() => []),
+  markMarketSettled: jest.fn(),
   default: {
     getMarketPrices: jest.fn(),
     getAllMarkets: jest.fn(() => [])
   }
 }));
 
+describe('Market resolvers', () => {
+  let resolveMarket;
+
+  beforeAll(async () => {
+    ({ resolveMarket } = await import('../lib/marketResolvers.js'));
+  });
+
+  test('should decide an over as soon as the line is passed, an under only at the end', () => {
+    expect(resolveMarket(6, { innings: { A: { wickets: 7 } } }, 6.5)).toBe('A');
+    expect(resolveMarket(6, { innings: { A: { wickets: 5 } } }, 6.5)).toBeNull();
+    expect(resolveMarket(6, { innings: { A: { wickets: 5, complete: true } } }, 6.5)).toBe('B');
+  });
+
+  test('should count runs at an over, or the total of an innings that ended before it', () => {
+    expect(resolveMarket(3, { innings: { A: { runsAtOver: { 6: 45 } } } }, 48.5)).toBe('B');
+    expect(resolveMarket(4, { innings: { A: { runs: 70, overs: 9.2, complete: true } } }, 82.5)).toBe('B');
+    expect(resolveMarket(4, { innings: { A: { runs: 70, overs: 9.2 } } }, 82.5)).toBeNull();
+  });
+
+  test('should void the 20th over when it was never bowled', () => {
+    expect(resolveMarket(7, { innings: { A: { runsAtOver: { 19: 150, 20: 163 } } } }, 10.5)).toBe('A');
+    expect(resolveMarket(7, { innings: { A: { runs: 120, overs: 18.4, complete: true } } }, 10.5)).toBe('void');
+  });
+
+  test('should settle the player and odd/even markets', () => {
+    expect(resolveMarket(5, { innings: { A: { topScore: 31 } } })).toBe('A');
+    expect(resolveMarket(5, { innings: { A: { topScore: 29, complete: true } } })).toBe('B');
+    expect(resolveMarket(8, { innings: { A: { runs: 160, complete: true }, B: { runs: 151, complete: true } } })).toBe('A');
+    expect(resolveMarket(8, { innings: { A: { runs: 160, complete: true }, B: { runs: 151 } } })).toBeNull();
+  });
+});
+
 describe('Settlement Service', () => {
   let settlementService;
   let tradingService;
   let userService;
   let db;
   let state;
+  let jobItems;
 
   beforeEach(async () => {
     jest.resetModules();
@@ -53,6 +113,13 @@ describe('Settlement Service', () => {
 
     // Default mocks
     db.getSettlement.mockResolvedValue(null);
+    db.getTieRule.mockResolvedValue(null);
+    db.getMatchStats.mockResolvedValue(null);
+    db.getMarketThresholds.mockResolvedValue({});
+    db.getMarketSettlements.mockResolvedValue([]);
+    db.getMarketCloseTimes.mockResolvedValue([]);
+    db.getMarketSuspensions.mockResolvedValue([]);
+    db.createMarketSettlement.mockResolvedValue({ id: 1 });
     db.createSettlement.mockResolvedValue({
       id: 1,
       match_key: 'ind-vs-aus',
@@ -63,6 +130,38 @@ describe('Settlement Service', () => {
       Promise.resolve({ id: posId, status })
     );
     db.createTransaction.mockResolvedValue({ id: 1 });
+
+    // Settlement jobs: items are kept as written and settled one by one
+    jobItems = [];
+    db.getRunningSettlementJob.mockResolvedValue(null);
+    db.createSettlementJobAtomic.mockImplementation((job, items) => {
+      jobItems = items.map(item => ({ ...item, status: 'pending' }));
+      return Promise.resolve({
+        id: 1,
+        match_key: job.matchKey,
+        market_id: job.marketId ?? null,
+        winner: job.winner,
+        market_results: job.marketResults,
+        competition: job.tie?.competition ?? null,
+        tie_rule: job.tie?.rule ?? null,
+        settled_by: job.settledBy,
+        status: 'running'
+      });
+    });
+    db.getSettlementJobItems.mockImplementation(() => Promise.resolve(jobItems));
+    db.settleJobPositionAtomic.mockImplementation((jobId, positionId) => {
+      const item = jobItems.find(i => i.position_id === positionId);
+      return Promise.resolve({
+        item: { ...item, status: 'settled' },
+        user: { id: item.user_id, name: 'User', balance: '100.00', held_balance: '0.00' },
+        already_settled: false
+      });
+    });
+    db.failSettlementJobItem.mockResolvedValue();
+    db.updateSettlementJob.mockResolvedValue({ id: 1 });
+    db.getOpenOrders.mockResolvedValue([]);
+    db.acquireUserLock.mockResolvedValue(true);
+    db.releaseUserLock.mockResolvedValue();
     db.updateBalance.mockImplementation((userId, balance, heldBalance) =>
       Promise.resolve({
         id: userId,
@@ -139,6 +238,20 @@ describe('Settlement Service', () => {
       expect(result.losers[0].userId).toBe('loser1');
     });
 
+    test('should cancel resting limit orders on the match', async () => {
+      db.getMatchPositions.mockResolvedValue([]);
+      db.getOpenOrders.mockResolvedValue([{ id: 7, user_id: 'user1' }]);
+      db.cancelLimitOrderAtomic.mockResolvedValue({
+        order: { id: 7, user_id: 'user1', status: 'cancelled', limit_price: '0.40', held_amount: '20.00' },
+        user: { id: 'user1', name: 'User', balance: '100.00', held_balance: '0.00' }
+      });
+
+      const result = await settlementService.settleMatch('ind-vs-aus', 'A', 'admin');
+
+      expect(db.cancelLimitOrderAtomic).toHaveBeenCalledWith(7, null, expect.stringContaining('Match settled'));
+      expect(result.cancelledOrders).toBe(1);
+    });
+
     test('should reject settlement of already settled match', async () => {
       db.getSettlement.mockResolvedValue({
         id: 1,
@@ -154,7 +267,122 @@ describe('Settlement Service', () => {
     test('should reject invalid winner', async () => {
       await expect(
         settlementService.settleMatch('ind-vs-aus', 'C', 'admin')
-      ).rejects.toThrow('Winner must be "A" or "B"');
+      ).rejects.toThrow('Winner must be "A", "B", "void" or "tie"');
+    });
+
+    test('should settle secondary markets by their own results', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'open' },
+        { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 3, direction: 'A', quantity: 10, avg_price: '0.50', status: 'open' }
+      ]);
+
+      // Team A won the match but the powerplay went Under
+      const result = await settlementService.settleMatch('ind-vs-aus', 'A', 'admin', { 3: 'B' });
+
+      expect(result.winners.map(w => w.positionId)).toEqual([1]);
+      expect(result.losers.map(l => l.positionId)).toEqual([2]);
+    });
+
+    test('should refuse to settle secondary markets without a result', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 3, direction: 'A', quantity: 10, avg_price: '0.50', status: 'open' }
+      ]);
+
+      await expect(
+        settlementService.settleMatch('ind-vs-aus', 'A', 'admin')
+      ).rejects.toThrow('Missing result for market 3');
+      expect(db.createSettlementJobAtomic).not.toHaveBeenCalled();
+      expect(db.createSettlement).not.toHaveBeenCalled();
+    });
+
+    test('should refund every position of a void match', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'open' },
+        { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 3, direction: 'B', quantity: 10, avg_price: '0.40', status: 'open' }
+      ]);
+      const result = await settlementService.settleMatch('ind-vs-aus', 'void', 'admin');
+
+      expect(result.voided.map(v => v.positionId)).toEqual([1, 2]);
+      expect(result.totalRefunded).toBe(10);
+      expect(result.winners.length).toBe(0);
+      // The 6 stake is refunded from held, the balance is untouched
+      expect(jobItems[0]).toEqual(expect.objectContaining({ position_id: 1, outcome: 'void', cost_basis: 6, payout: 6, refund: true }));
+      expect(db.settleJobPositionAtomic).toHaveBeenCalledWith(1, 1, expect.stringContaining('Void'), null);
+      expect(db.createSettlement).toHaveBeenCalledWith('ind-vs-aus', 'void', 'admin', { 1: 'void', 3: 'void' }, null);
+    });
+
+    test('should void a single market and settle the rest', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'open' },
+        { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 3, direction: 'A', quantity: 10, avg_price: '0.50', status: 'open' }
+      ]);
+
+      const result = await settlementService.settleMatch('ind-vs-aus', 'A', 'admin', { 3: 'void' });
+
+      expect(result.winners.map(w => w.positionId)).toEqual([1]);
+      expect(result.voided.map(v => v.positionId)).toEqual([2]);
+      expect(db.createSettlement).toHaveBeenCalledWith('ind-vs-aus', 'A', 'admin', { 1: 'A', 3: 'void' }, null);
+    });
+
+    test('should pay both sides of a tie at half under the dead heat rule', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'open' },
+        { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 1, direction: 'B', quantity: 10, avg_price: '0.40', status: 'open' }
+      ]);
+      db.getTieRule.mockResolvedValue({ competition: 'IPL', rule: 'dead_heat' });
+
+      const result = await settlementService.settleMatch('ind-vs-aus', 'tie', 'admin', {}, { competition: 'IPL' });
+
+      expect(db.getTieRule).toHaveBeenCalledWith('IPL');
+      expect(result.tieRule).toBe('dead_heat');
+      expect(result.tied.map(t => t.payout)).toEqual([5, 5]);
+      expect(result.tied.map(t => t.profit)).toEqual([-1, 1]);
+      expect(result.totalPayout).toBe(10);
+      expect(jobItems.map(i => i.outcome)).toEqual(['tie', 'tie']);
+      expect(db.settleJobPositionAtomic).toHaveBeenCalledWith(1, 1, expect.any(String), expect.stringContaining('dead heat'));
+      expect(db.createSettlement).toHaveBeenCalledWith('ind-vs-aus', 'tie', 'admin', { 1: 'tie' }, { competition: 'IPL', rule: 'dead_heat' });
+    });
+
+    test('should refund both sides of a tie under the void rule', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'open' }
+      ]);
+      db.getTieRule.mockResolvedValue({ competition: 'Test Series', rule: 'void' });
+
+      const result = await settlementService.settleMatch('ind-vs-aus', 'tie', 'admin', {}, { competition: 'Test Series' });
+
+      expect(result.tied[0]).toEqual(expect.objectContaining({ positionId: 1, payout: 6, profit: 0 }));
+      expect(result.totalRefunded).toBe(6);
+      expect(jobItems[0]).toEqual(expect.objectContaining({ outcome: 'tie', payout: 6, refund: true }));
+      expect(db.settleJobPositionAtomic).toHaveBeenCalledWith(1, 1, expect.stringContaining('tie rule: void'), null);
+    });
+
+    test('should refuse a tie where ties go to a super over', async () => {
+      db.getTieRule.mockResolvedValue({ competition: 'T20 World Cup', rule: 'super_over' });
+
+      await expect(
+        settlementService.settleMatch('ind-vs-aus', 'tie', 'admin', {}, { competition: 'T20 World Cup' })
+      ).rejects.toThrow('decided by super over');
+      expect(db.createSettlement).not.toHaveBeenCalled();
+    });
+
+    test('should not accept a tie for a secondary market', async () => {
+      await expect(
+        settlementService.settleMatch('ind-vs-aus', 'A', 'admin', { 3: 'tie' })
+      ).rejects.toThrow('Result for market 3 must be "A", "B" or "void"');
+    });
+
+    test('should settle secondary markets the recorded match stats decide', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 3, direction: 'A', quantity: 10, avg_price: '0.50', status: 'open' }
+      ]);
+      db.getMatchStats.mockResolvedValue({ stats: { innings: { A: { runsAtOver: { 6: 52 } } } } });
+      db.getMarketThresholds.mockResolvedValue({ 3: 48.5 });
+
+      const result = await settlementService.settleMatch('ind-vs-aus', 'A', 'admin');
+
+      expect(result.winners.map(w => w.positionId)).toEqual([2]);
+      expect(db.createSettlement).toHaveBeenCalledWith('ind-vs-aus', 'A', 'admin', { 1: 'A', 3: 'A' }, null);
     });
 
     test('should handle match with no positions', async () => {
@@ -169,6 +397,352 @@ describe('Settlement Service', () => {
     });
   });
 
+  describe('settleMarket', () => {
+    const positions = [
+      { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'open' },
+      { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 2, direction: 'A', quantity: 10, avg_price: '0.50', status: 'open' },
+      { id: 3, user_id: 'user3', match_key: 'ind-vs-aus', market_id: 2, direction: 'B', quantity: 10, avg_price: '0.50', status: 'open' }
+    ];
+
+    test('should settle one market from the stats and leave the match open', async () => {
+      db.getMatchPositions.mockResolvedValue(positions);
+      db.getMatchStats.mockResolvedValue({ stats: { tossWinner: 'B' } });
+      const marketService = await import('../services/marketService.js');
+
+      const result = await settlementService.settleMarket('ind-vs-aus', 2, 'admin');
+
+      expect(result.marketId).toBe(2);
+      expect(result.winners.map(w => w.positionId)).toEqual([3]);
+      expect(result.losers.map(l => l.positionId)).toEqual([2]);
+      expect(jobItems.map(i => i.position_id)).toEqual([2, 3]);
+      expect(db.createMarketSettlement).toHaveBeenCalledWith('ind-vs-aus', 2, 'B', { tossWinner: 'B' }, 'admin');
+      expect(db.createSettlement).not.toHaveBeenCalled();
+      expect(marketService.markMarketSettled).toHaveBeenCalledWith('ind-vs-aus', 2);
+    });
+
+    test('should preview only the market\'s positions without writing', async () => {
+      db.getMatchPositions.mockResolvedValue(positions);
+      db.getMatchStats.mockResolvedValue({ stats: { tossWinner: 'B' } });
+
+      const preview = await settlementService.previewMarketSettlement('ind-vs-aus', 2);
+
+      expect(preview.winner).toBe('B');
+      expect(preview.positions.map(p => p.positionId)).toEqual([2, 3]);
+      expect(preview.totals).toEqual(expect.objectContaining({ positions: 2, won: 1, lost: 1, payout: 10 }));
+      expect(db.createSettlementJobAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should only cancel orders on the settled market', async () => {
+      db.getMatchPositions.mockResolvedValue([]);
+      db.getOpenOrders.mockResolvedValue([{ id: 7, user_id: 'user1', market_id: 1 }, { id: 8, user_id: 'user1', market_id: 2 }]);
+      db.cancelLimitOrderAtomic.mockResolvedValue({
+        order: { id: 8, user_id: 'user1', status: 'cancelled', limit_price: '0.40', held_amount: '4.00' },
+        user: { id: 'user1', name: 'User', balance: '100.00', held_balance: '6.00' }
+      });
+
+      await settlementService.settleMarket('ind-vs-aus', 2, 'admin', 'A');
+
+      expect(db.cancelLimitOrderAtomic).toHaveBeenCalledTimes(1);
+      expect(db.cancelLimitOrderAtomic).toHaveBeenCalledWith(8, null, expect.stringContaining('Market 2 settled'));
+    });
+
+    test('should refuse a market the stats do not decide yet', async () => {
+      db.getMatchStats.mockResolvedValue({ stats: { innings: { A: { wickets: 3 } } } });
+      db.getMarketThresholds.mockResolvedValue({ 6: 6.5 });
+
+      await expect(
+        settlementService.settleMarket('ind-vs-aus', 6, 'admin')
+      ).rejects.toThrow('Missing result for market 6');
+      expect(db.createSettlementJobAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should refuse the match winner and markets already settled', async () => {
+      await expect(
+        settlementService.settleMarket('ind-vs-aus', 1, 'admin', 'A')
+      ).rejects.toThrow('cannot be settled on its own');
+
+      db.getMarketSettlements.mockResolvedValue([{ match_key: 'ind-vs-aus', market_id: 2, result: 'A' }]);
+      await expect(
+        settlementService.settleMarket('ind-vs-aus', 2, 'admin', 'B')
+      ).rejects.toThrow('already settled. Result was: A');
+    });
+
+    test('should record a market settled earlier with the match', async () => {
+      db.getMatchPositions.mockResolvedValue([positions[0]]);
+      db.getMarketSettlements.mockResolvedValue([{ match_key: 'ind-vs-aus', market_id: 2, result: 'B' }]);
+
+      await settlementService.settleMatch('ind-vs-aus', 'A', 'admin');
+
+      expect(db.createSettlement).toHaveBeenCalledWith('ind-vs-aus', 'A', 'admin', { 1: 'A', 2: 'B' }, null);
+    });
+  });
+
+  describe('recordMatchStats', () => {
+    test('should merge updates and report what they decide', async () => {
+      db.getMatchStats
+        .mockResolvedValueOnce({ stats: { tossWinner: 'A', innings: { A: { runsAtOver: { 6: 40 } } } } })
+        .mockImplementation(() => Promise.resolve({ stats: db.upsertMatchStats.mock.calls[0][1], source: 'admin' }));
+      db.getMarketThresholds.mockResolvedValue({ 3: 48.5 });
+
+      const result = await settlementService.recordMatchStats('ind-vs-aus', { innings: { A: { runsAtOver: { 10: 80 } } } }, 'admin', 'admin1');
+
+      expect(db.upsertMatchStats).toHaveBeenCalledWith('ind-vs-aus', {
+        tossWinner: 'A',
+        innings: { A: { runsAtOver: { 6: 40, 10: 80 } } }
+      }, 'admin', 'admin1');
+      const byId = new Map(result.markets.map(m => [m.marketId, m]));
+      expect(byId.get(2).result).toBe('A');
+      expect(byId.get(3)).toEqual(expect.objectContaining({ threshold: 48.5, result: 'B' }));
+      expect(byId.get(8).result).toBeNull();
+    });
+
+    test('should reject malformed stats', async () => {
+      await expect(
+        settlementService.recordMatchStats('ind-vs-aus', { innings: { A: { wickets: 12 } } }, 'admin', 'admin1')
+      ).rejects.toThrow('wickets must be at most 10');
+      expect(db.upsertMatchStats).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settlement jobs', () => {
+    const openPositions = [
+      { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'open' },
+      { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 1, direction: 'B', quantity: 10, avg_price: '0.40', status: 'open' }
+    ];
+
+    test('should leave the match unsettled and report positions that fail', async () => {
+      db.getMatchPositions.mockResolvedValue(openPositions);
+      db.settleJobPositionAtomic.mockRejectedValueOnce(new Error('connection reset'));
+
+      const result = await settlementService.settleMatch('ind-vs-aus', 'A', 'admin');
+
+      expect(result.complete).toBe(false);
+      expect(result.failed).toEqual([expect.objectContaining({ positionId: 1, userId: 'user1', error: 'connection reset' })]);
+      expect(result.losers.map(l => l.positionId)).toEqual([2]);
+      expect(db.failSettlementJobItem).toHaveBeenCalledWith(1, 1, 'connection reset');
+      expect(db.createSettlement).not.toHaveBeenCalled();
+      expect(db.updateSettlementJob).toHaveBeenCalledWith(1, { last_error: '1 position(s) failed' });
+    });
+
+    test('should resume a job without settling a position twice', async () => {
+      db.getMatchPositions.mockResolvedValue(openPositions);
+      db.settleJobPositionAtomic.mockRejectedValueOnce(new Error('connection reset'));
+      await settlementService.settleMatch('ind-vs-aus', 'A', 'admin');
+
+      db.getSettlementJob.mockResolvedValue({ id: 1, match_key: 'ind-vs-aus', winner: 'A', market_results: { 1: 'A' }, settled_by: 'admin', status: 'running' });
+      db.settleJobPositionAtomic.mockClear();
+
+      const result = await settlementService.resumeSettlement(1);
+
+      expect(db.settleJobPositionAtomic).toHaveBeenCalledTimes(1);
+      expect(db.settleJobPositionAtomic).toHaveBeenCalledWith(1, 1, expect.any(String), expect.stringContaining('Won 10'));
+      expect(result.complete).toBe(true);
+      expect(result.winners.map(w => w.positionId)).toEqual([1]);
+      expect(result.losers.map(l => l.positionId)).toEqual([2]);
+      expect(db.createSettlement).toHaveBeenCalledWith('ind-vs-aus', 'A', 'admin', { 1: 'A' }, null);
+      expect(db.updateSettlementJob).toHaveBeenLastCalledWith(1, expect.objectContaining({ status: 'completed' }));
+    });
+
+    test('should refuse a second settlement while a job is running', async () => {
+      db.getRunningSettlementJob.mockResolvedValue({ id: 4, match_key: 'ind-vs-aus', winner: 'B', status: 'running' });
+
+      await expect(
+        settlementService.settleMatch('ind-vs-aus', 'A', 'admin')
+      ).rejects.toThrow('already in progress (job 4');
+      expect(db.createSettlementJobAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to resume a completed job', async () => {
+      db.getSettlementJob.mockResolvedValue({ id: 1, match_key: 'ind-vs-aus', status: 'completed' });
+
+      await expect(settlementService.resumeSettlement(1)).rejects.toThrow('already completed');
+    });
+  });
+
+  describe('previewSettlement', () => {
+    test('should project payouts, user totals and house P&L without writing', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'open' },
+        { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 1, direction: 'B', quantity: 20, avg_price: '0.40', status: 'open' },
+        { id: 3, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 3, direction: 'A', quantity: 10, avg_price: '0.50', status: 'open' }
+      ]);
+      db.getOpenOrders.mockResolvedValue([{ id: 7, user_id: 'user2' }]);
+
+      const preview = await settlementService.previewSettlement('ind-vs-aus', 'A', { 3: 'void' });
+
+      expect(preview.positions.map(p => [p.positionId, p.outcome, p.payout, p.pnl])).toEqual([
+        [1, 'won', 10, 4],
+        [2, 'lost', 0, -8],
+        [3, 'void', 5, 0]
+      ]);
+      expect(preview.users).toEqual([
+        { userId: 'user1', positions: 2, costBasis: 11, payout: 15, pnl: 4 },
+        { userId: 'user2', positions: 1, costBasis: 8, payout: 0, pnl: -8 }
+      ]);
+      expect(preview.totals).toEqual(expect.objectContaining({ won: 1, lost: 1, void: 1, stakes: 19, payout: 10, refunded: 5 }));
+      expect(preview.houseNet).toBe(4);
+      expect(preview.cancelledOrders).toBe(1);
+
+      expect(db.closePosition).not.toHaveBeenCalled();
+      expect(db.createTransaction).not.toHaveBeenCalled();
+      expect(db.cancelLimitOrderAtomic).not.toHaveBeenCalled();
+      expect(db.createSettlementJobAtomic).not.toHaveBeenCalled();
+      expect(db.createSettlement).not.toHaveBeenCalled();
+    });
+
+    test('should refuse what settleMatch would refuse', async () => {
+      db.getMatchPositions.mockResolvedValue([
+        { id: 3, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 3, direction: 'A', quantity: 10, avg_price: '0.50', status: 'open' }
+      ]);
+
+      await expect(
+        settlementService.previewSettlement('ind-vs-aus', 'A')
+      ).rejects.toThrow('Missing result for market 3');
+    });
+  });
+
+  describe('reverseSettlement', () => {
+    const settledPositions = [
+      { id: 1, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 1, direction: 'A', quantity: 10, avg_price: '0.60', status: 'won' },
+      { id: 2, user_id: 'user2', match_key: 'ind-vs-aus', market_id: 1, direction: 'B', quantity: 10, avg_price: '0.40', status: 'lost' },
+      { id: 3, user_id: 'user1', match_key: 'ind-vs-aus', market_id: 3, direction: 'A', quantity: 10, avg_price: '0.50', status: 'void' }
+    ];
+    let reversals;
+
+    beforeEach(() => {
+      db.getSettlement.mockResolvedValue({
+        id: 5,
+        match_key: 'ind-vs-aus',
+        winner: 'A',
+        market_results: { 1: 'A', 3: 'void' }
+      });
+      db.getSettledPositions.mockResolvedValue(settledPositions);
+
+      // Progress rows are kept as written, as the RPC records them
+      reversals = [];
+      db.reverseSettlementPositionAtomic.mockImplementation((settlementId, positionId, reversal) => {
+        const existing = reversals.find(r => r.position_id === positionId);
+        if (existing) {
+          return Promise.resolve({ item: existing, already_reversed: true });
+        }
+        const position = settledPositions.find(p => p.id === positionId);
+        const item = {
+          settlement_id: settlementId,
+          position_id: positionId,
+          user_id: position.user_id,
+          balance_delta: reversal.balanceDelta.toFixed(2),
+          held_delta: reversal.heldDelta.toFixed(2),
+          status: 'reversed'
+        };
+        reversals.push(item);
+        return Promise.resolve({
+          item,
+          position: { ...position, status: 'open' },
+          user: { id: position.user_id, name: 'User', balance: '100.00', held_balance: '10.00' },
+          already_reversed: false
+        });
+      });
+      db.getSettlementReversalPositions.mockImplementation(() => Promise.resolve(reversals));
+      db.createNotification.mockResolvedValue({ id: 1 });
+      db.markSettlementReversed.mockResolvedValue({ id: 5 });
+    });
+
+    test('should reverse each position in one call, reopen it and notify users', async () => {
+      const result = await settlementService.reverseSettlement('ind-vs-aus', 'admin', 'Wrong winner');
+
+      // Won: the 4 profit is clawed back and the 6 stake held again
+      expect(db.reverseSettlementPositionAtomic).toHaveBeenCalledWith(5, 1, expect.objectContaining({
+        balanceDelta: -4,
+        heldDelta: 6,
+        amount: -4
+      }));
+      // Lost: the 4 stake is given back and held again
+      expect(db.reverseSettlementPositionAtomic).toHaveBeenCalledWith(5, 2, expect.objectContaining({
+        balanceDelta: 4,
+        heldDelta: 4,
+        amount: 4
+      }));
+      // Refunded: only the hold is restored
+      expect(db.reverseSettlementPositionAtomic).toHaveBeenCalledWith(5, 3, expect.objectContaining({
+        balanceDelta: 0,
+        heldDelta: 5,
+        amount: -5
+      }));
+
+      // Money moves only inside the RPC
+      expect(db.updateBalance).not.toHaveBeenCalled();
+      expect(db.createTransaction).not.toHaveBeenCalled();
+
+      expect(state.getPosition(1)).toEqual(expect.objectContaining({ status: 'open' }));
+      expect(state.getUserState('user1')).toEqual(expect.objectContaining({ balance: 100, heldBalance: 10 }));
+
+      expect(db.createNotification).toHaveBeenCalledTimes(2);
+      expect(db.createNotification).toHaveBeenCalledWith('user1', 'Settlement corrected', expect.stringContaining('Wrong winner'), expect.any(String));
+
+      expect(result.positions).toBe(3);
+      expect(result.balanceAdjusted).toBe(0);
+      expect(db.markSettlementReversed).toHaveBeenCalledWith(5, 'admin', 'Wrong winner', expect.objectContaining({ positions: 3 }));
+    });
+
+    test('should allow the match to be settled again afterwards', async () => {
+      await settlementService.reverseSettlement('ind-vs-aus', 'admin', 'Wrong winner');
+
+      // The reversed settlement is no longer in force
+      db.getSettlement.mockResolvedValue(null);
+      db.getMatchPositions.mockResolvedValue(settledPositions.map(p => ({ ...p, status: 'open' })));
+
+      const result = await settlementService.settleMatch('ind-vs-aus', 'B', 'admin', { 3: 'A' });
+
+      expect(result.winners.map(w => w.positionId)).toEqual([2, 3]);
+      expect(result.losers.map(l => l.positionId)).toEqual([1]);
+    });
+
+    test('should leave the settlement in force if a position fails', async () => {
+      db.reverseSettlementPositionAtomic.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(
+        settlementService.reverseSettlement('ind-vs-aus', 'admin', 'Wrong winner')
+      ).rejects.toThrow('Reversal incomplete: positions 1 failed');
+      expect(db.markSettlementReversed).not.toHaveBeenCalled();
+    });
+
+    test('should finish on retry without adjusting reversed positions again', async () => {
+      db.reverseSettlementPositionAtomic.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(
+        settlementService.reverseSettlement('ind-vs-aus', 'admin', 'Wrong winner')
+      ).rejects.toThrow('Reversal incomplete');
+
+      // A position the first run reversed is passed again, but only recorded once
+      db.getSettledPositions.mockResolvedValue(settledPositions.slice(0, 2));
+      db.createNotification.mockClear();
+
+      const result = await settlementService.reverseSettlement('ind-vs-aus', 'admin', 'Wrong winner');
+
+      expect(reversals.map(r => r.position_id)).toEqual([2, 3, 1]);
+      expect(db.createNotification).toHaveBeenCalledTimes(1);
+      expect(db.createNotification).toHaveBeenCalledWith('user1', 'Settlement corrected', expect.stringContaining('1 position(s)'), expect.any(String));
+
+      // The summary covers both runs
+      expect(result.positions).toBe(3);
+      expect(result.users).toEqual(expect.arrayContaining([
+        { userId: 'user1', positions: 2, balanceAdjusted: -4 },
+        { userId: 'user2', positions: 1, balanceAdjusted: 4 }
+      ]));
+    });
+
+    test('should require a reason and a settlement', async () => {
+      await expect(
+        settlementService.reverseSettlement('ind-vs-aus', 'admin', ' ')
+      ).rejects.toThrow('reason is required');
+
+      db.getSettlement.mockResolvedValue(null);
+      await expect(
+        settlementService.reverseSettlement('ind-vs-aus', 'admin', 'Wrong winner')
+      ).rejects.toThrow('is not settled');
+    });
+  });
+
   describe('isMatchSettled', () => {
     test('should return true for settled match', async () => {
       db.isMatchSettled.mockResolvedValue(true);
@@ -0,0 +1,326 @@
+/**
+ * Settlement Approval Tests
+ *
+ * Run with: npm test -- tests/settlementApproval.test.js
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock database modules
+jest.unstable_mockModule('../db/index.js', () => ({
+  createSettlementApproval: jest.fn(),
+  getSettlementApproval: jest.fn(),
+  getPendingSettlementApproval: jest.fn(),
+  getSettlementApprovals: jest.fn(),
+  updateSettlementApproval: jest.fn(),
+  getAutoSettlement: jest.fn(),
+  updateAutoSettlement: jest.fn(),
+  supabase: {}
+}));
+
+// Mock settlement service
+jest.unstable_mockModule('../services/settlementService.js', () => ({
+  previewSettlement: jest.fn(),
+  previewMarketSettlement: jest.fn(),
+  settleMatch: jest.fn(),
+  settleMarket: jest.fn(),
+  getMatchStats: jest.fn()
+}));
+
+// Mock the services the admin routes use
+jest.unstable_mockModule('../services/index.js', () => ({
+  settlementService: {},
+  settlementApprovalService: {
+    requestSettlement: jest.fn(),
+    requestMarketSettlement: jest.fn(),
+    requestResolvedMarkets: jest.fn(),
+    approveSettlement: jest.fn(),
+    rejectSettlement: jest.fn()
+  },
+  autoSettlementService: {},
+  userService: {},
+  marketService: {},
+  pricingService: {},
+  riskService: {}
+}));
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({
+  createClient: jest.fn(() => ({}))
+}));
+
+// Sends a request through the admin router; resolves with the response
+function request(router, method, url, headers, body = {}) {
+  return new Promise((resolve, reject) => {
+    const req = { method, url, headers, body, query: {}, params: {} };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { resolve({ status: this.statusCode, body: payload }); return this; }
+    };
+    router.handle(req, res, (err) => reject(err || new Error(`No route for ${method} ${url}`)));
+  });
+}
+
+describe('Settlement Approval Service', () => {
+  let settlementApprovalService;
+  let settlementService;
+  let db;
+
+  const PENDING_REQUEST = {
+    id: 5,
+    match_key: 'ind-vs-aus',
+    winner: 'A',
+    market_results: { 3: 'B' },
+    competition: 'IPL',
+    total_payout: '80000.00',
+    status: 'pending',
+    requested_by: 'alice'
+  };
+
+  function previewPaying(payout, refunded = 0) {
+    settlementService.previewSettlement.mockResolvedValue({ totals: { payout, refunded } });
+  }
+
+  beforeEach(async () => {
+    jest.resetModules();
+
+    db = await import('../db/index.js');
+    settlementService = await import('../services/settlementService.js');
+
+    db.getPendingSettlementApproval.mockResolvedValue(null);
+    db.createSettlementApproval.mockImplementation((row) => Promise.resolve({ id: 5, status: 'pending', ...row }));
+    db.getSettlementApproval.mockResolvedValue(PENDING_REQUEST);
+    db.updateSettlementApproval.mockImplementation((id, fromStatus, updates) => Promise.resolve({ ...PENDING_REQUEST, ...updates }));
+    db.getAutoSettlement.mockResolvedValue(null);
+    settlementService.settleMatch.mockResolvedValue({ jobId: 12, complete: true });
+    settlementService.settleMarket.mockResolvedValue({ jobId: 13, marketId: 2, complete: true });
+
+    settlementApprovalService = await import('../services/settlementApprovalService.js');
+  });
+
+  test('should settle at once up to the threshold', async () => {
+    previewPaying(30000, 20000);
+
+    const result = await settlementApprovalService.requestSettlement('ind-vs-aus', 'A', 'alice');
+
+    expect(result.pending).toBe(false);
+    expect(settlementService.settleMatch).toHaveBeenCalledWith('ind-vs-aus', 'A', 'alice', {}, {});
+    expect(db.createSettlementApproval).not.toHaveBeenCalled();
+  });
+
+  test('should hold a settlement paying out above the threshold', async () => {
+    previewPaying(60000, 5000);
+
+    const result = await settlementApprovalService.requestSettlement('ind-vs-aus', 'A', 'alice', { 3: 'B' }, { competition: 'IPL' });
+
+    expect(result.pending).toBe(true);
+    expect(result.approval).toEqual(expect.objectContaining({ id: 5, totalPayout: 65000, requestedBy: 'alice' }));
+    expect(db.createSettlementApproval).toHaveBeenCalledWith({
+      match_key: 'ind-vs-aus',
+      winner: 'A',
+      market_results: { 3: 'B' },
+      competition: 'IPL',
+      total_payout: 65000,
+      requested_by: 'alice'
+    });
+    expect(settlementService.settleMatch).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a second request while one is waiting', async () => {
+    db.getPendingSettlementApproval.mockResolvedValue(PENDING_REQUEST);
+
+    await expect(
+      settlementApprovalService.requestSettlement('ind-vs-aus', 'B', 'bob')
+    ).rejects.toThrow('already awaiting approval (request 5)');
+    expect(settlementService.previewSettlement).not.toHaveBeenCalled();
+  });
+
+  test('should settle once a different admin approves', async () => {
+    const settlement = await settlementApprovalService.approveSettlement(5, 'bob');
+
+    expect(settlement.jobId).toBe(12);
+    expect(db.updateSettlementApproval).toHaveBeenCalledWith(5, 'pending', expect.objectContaining({ status: 'approved', decided_by: 'bob' }));
+    expect(settlementService.settleMatch).toHaveBeenCalledWith('ind-vs-aus', 'A', 'bob', { 3: 'B' }, { competition: 'IPL' });
+    expect(db.updateSettlementApproval).toHaveBeenLastCalledWith(5, 'approved', { job_id: 12 });
+  });
+
+  test('should not let the requesting admin approve', async () => {
+    await expect(
+      settlementApprovalService.approveSettlement(5, 'alice')
+    ).rejects.toThrow('must be approved by a different admin');
+    expect(db.updateSettlementApproval).not.toHaveBeenCalled();
+    expect(settlementService.settleMatch).not.toHaveBeenCalled();
+  });
+
+  test('should not settle twice when two admins approve at once', async () => {
+    db.updateSettlementApproval.mockResolvedValue(null);
+
+    await expect(
+      settlementApprovalService.approveSettlement(5, 'bob')
+    ).rejects.toThrow('already decided');
+    expect(settlementService.settleMatch).not.toHaveBeenCalled();
+  });
+
+  test('should put the request back when the settlement is refused', async () => {
+    settlementService.settleMatch.mockRejectedValue(new Error('Match ind-vs-aus already settled. Winner was: A'));
+
+    await expect(
+      settlementApprovalService.approveSettlement(5, 'bob')
+    ).rejects.toThrow('already settled');
+    expect(db.updateSettlementApproval).toHaveBeenLastCalledWith(5, 'approved', { status: 'pending', decided_by: null, decided_at: null });
+  });
+
+  test('should record who rejected a request and why', async () => {
+    const approval = await settlementApprovalService.rejectSettlement(5, 'bob', 'Wrong winner');
+
+    expect(approval).toEqual(expect.objectContaining({ status: 'rejected', decidedBy: 'bob', reason: 'Wrong winner' }));
+    expect(settlementService.settleMatch).not.toHaveBeenCalled();
+
+    db.getSettlementApproval.mockResolvedValue({ ...PENDING_REQUEST, status: 'rejected' });
+    await expect(
+      settlementApprovalService.approveSettlement(5, 'bob')
+    ).rejects.toThrow('already rejected');
+  });
+
+  describe('per-market settlements', () => {
+    function previewMarketPaying(payout, result = 'B') {
+      settlementService.previewMarketSettlement.mockImplementation((matchKey, marketId) =>
+        Promise.resolve({ marketId, winner: result, marketResults: { [marketId]: result }, totals: { payout, refunded: 0 } })
+      );
+    }
+
+    test('should settle a market at once up to the threshold', async () => {
+      previewMarketPaying(40000);
+
+      const result = await settlementApprovalService.requestMarketSettlement('ind-vs-aus', 2, 'alice');
+
+      expect(result.pending).toBe(false);
+      expect(db.getPendingSettlementApproval).toHaveBeenCalledWith('ind-vs-aus', 2);
+      expect(settlementService.previewMarketSettlement).toHaveBeenCalledWith('ind-vs-aus', 2, null);
+      expect(settlementService.settleMarket).toHaveBeenCalledWith('ind-vs-aus', 2, 'alice', 'B');
+      expect(db.createSettlementApproval).not.toHaveBeenCalled();
+    });
+
+    test('should hold a market paying out above the threshold until a second admin approves', async () => {
+      previewMarketPaying(70000);
+
+      const result = await settlementApprovalService.requestMarketSettlement('ind-vs-aus', 2, 'alice');
+
+      expect(result.pending).toBe(true);
+      expect(settlementService.settleMarket).not.toHaveBeenCalled();
+      expect(db.createSettlementApproval).toHaveBeenCalledWith(expect.objectContaining({
+        match_key: 'ind-vs-aus',
+        market_id: 2,
+        winner: 'B',
+        total_payout: 70000,
+        requested_by: 'alice'
+      }));
+
+      db.getSettlementApproval.mockResolvedValue({ ...PENDING_REQUEST, market_id: 2, winner: 'B', market_results: { 2: 'B' }, competition: null });
+      const settlement = await settlementApprovalService.approveSettlement(5, 'bob');
+
+      expect(settlement.jobId).toBe(13);
+      expect(settlementService.settleMarket).toHaveBeenCalledWith('ind-vs-aus', 2, 'bob', 'B');
+      expect(settlementService.settleMatch).not.toHaveBeenCalled();
+      expect(db.getAutoSettlement).not.toHaveBeenCalled();
+    });
+
+    test('should settle the markets the stats decide and hold those above the threshold', async () => {
+      settlementService.getMatchStats.mockResolvedValue({
+        markets: [
+          { marketId: 2, result: 'B', settledResult: null },
+          { marketId: 3, result: 'A', settledResult: null },
+          { marketId: 4, result: null, settledResult: null },
+          { marketId: 5, result: 'A', settledResult: 'A' }
+        ]
+      });
+      settlementService.previewMarketSettlement.mockImplementation((matchKey, marketId, result) =>
+        Promise.resolve({ marketId, winner: result, marketResults: { [marketId]: result }, totals: { payout: marketId === 3 ? 90000 : 100, refunded: 0 } })
+      );
+
+      const { settled, pending } = await settlementApprovalService.requestResolvedMarkets('ind-vs-aus', 'alice');
+
+      expect(settlementService.settleMarket).toHaveBeenCalledTimes(1);
+      expect(settlementService.settleMarket).toHaveBeenCalledWith('ind-vs-aus', 2, 'alice', 'B');
+      expect(settled).toHaveLength(1);
+      expect(pending).toEqual([expect.objectContaining({ marketId: 3, winner: 'A', totalPayout: 90000 })]);
+    });
+  });
+});
+
+describe('Settlement approval routes', () => {
+  let router;
+  let services;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    process.env.ADMIN_API_KEY = 'shared-key';
+    process.env.ADMIN_API_KEYS = 'alice:alice-key,bob:bob-key';
+
+    services = await import('../services/index.js');
+    services.settlementApprovalService.approveSettlement.mockResolvedValue({
+      jobId: 12,
+      matchKey: 'ind-vs-aus',
+      complete: true,
+      winners: [],
+      losers: [],
+      voided: [],
+      tied: [],
+      skipped: []
+    });
+    services.settlementApprovalService.rejectSettlement.mockResolvedValue({ id: 5, status: 'rejected' });
+
+    ({ default: router } = await import('../routes/admin.js'));
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+    delete process.env.ADMIN_API_KEYS;
+  });
+
+  test('should refuse approvals made with the shared key, whoever it names', async () => {
+    const response = await request(router, 'POST', '/settlement-approvals/5/approve', {
+      'x-admin-key': 'shared-key',
+      'x-admin-user': 'bob'
+    });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toContain('named admin key');
+    expect(services.settlementApprovalService.approveSettlement).not.toHaveBeenCalled();
+
+    const rejected = await request(router, 'POST', '/settlement-approvals/5/reject', { 'x-admin-key': 'shared-key' });
+
+    expect(rejected.status).toBe(403);
+    expect(services.settlementApprovalService.rejectSettlement).not.toHaveBeenCalled();
+  });
+
+  test('should not let a shared-key requester name someone else and approve it themselves', async () => {
+    const spoofed = { 'x-admin-key': 'shared-key', 'x-admin-user': 'bob' };
+
+    const settle = await request(router, 'POST', '/settle', spoofed, { matchKey: 'ind-vs-aus', winner: 'A' });
+    const market = await request(router, 'POST', '/settle/market', spoofed, { matchKey: 'ind-vs-aus', marketId: 2 });
+    const markets = await request(router, 'POST', '/matches/ind-vs-aus/settle-markets', spoofed);
+
+    expect([settle.status, market.status, markets.status]).toEqual([403, 403, 403]);
+    expect(services.settlementApprovalService.requestSettlement).not.toHaveBeenCalled();
+    expect(services.settlementApprovalService.requestMarketSettlement).not.toHaveBeenCalled();
+    expect(services.settlementApprovalService.requestResolvedMarkets).not.toHaveBeenCalled();
+
+    // With their own key the request is theirs, so they can't approve it
+    services.settlementApprovalService.requestSettlement.mockResolvedValue({ pending: true, approval: { id: 5, requestedBy: 'alice' } });
+    const held = await request(router, 'POST', '/settle', { 'x-admin-key': 'alice-key', 'x-admin-user': 'bob' }, { matchKey: 'ind-vs-aus', winner: 'A' });
+
+    expect(held.status).toBe(202);
+    expect(services.settlementApprovalService.requestSettlement).toHaveBeenCalledWith('ind-vs-aus', 'A', 'alice', {}, { competition: undefined });
+  });
+
+  test('should approve as the admin a named key belongs to', async () => {
+    const response = await request(router, 'POST', '/settlement-approvals/5/approve', {
+      'x-admin-key': 'bob-key',
+      'x-admin-user': 'alice'
+    });
+
+    expect(response.status).toBe(200);
+    expect(services.settlementApprovalService.approveSettlement).toHaveBeenCalledWith(5, 'bob');
+  });
+});
@@ -19,6 +19,14 @@ jest.unstable_mockModule('../db/index.js', () => ({
   closePosition: jest.fn(),
   updatePositionForTrade: jest.fn(),
   createTransaction: jest.fn(),
+  executeTradeAtomic: jest.fn(),
+  closePositionAtomic: jest.fn(),
+  getRiskOverrides: jest.fn(() => Promise.resolve([])),
+  getOpenPositionBook: jest.fn(() => Promise.resolve([])),
+  acquireUserLock: jest.fn(),
+  releaseUserLock: jest.fn(),
+  getTriggeredPositions: jest.fn(),
+  updatePositionTriggers: jest.fn(),
   supabase: {}
 }));
 
@@ -82,6 +90,53 @@ describe('Trading Service', () => {
       })
     );
     db.createTransaction.mockResolvedValue({ id: 1 });
+    db.acquireUserLock.mockResolvedValue(true);
+    db.releaseUserLock.mockResolvedValue();
+    db.executeTradeAtomic.mockImplementation((trade) =>
+      Promise.resolve({
+        position: {
+          id: 1,
+          user_id: trade.userId,
+          match_key: trade.matchKey,
+          market_id: trade.marketId,
+          direction: trade.direction,
+          quantity: trade.quantity,
+          avg_price: String(trade.price),
+          stop_loss: trade.triggers?.stop_loss ?? null,
+          take_profit: trade.triggers?.take_profit ?? null,
+          status: 'open',
+          created_at: new Date().toISOString()
+        },
+        user: {
+          id: trade.userId,
+          name: 'User',
+          balance: '100.00',
+          held_balance: String(trade.quantity * trade.price)
+        }
+      })
+    );
+    db.closePositionAtomic.mockImplementation((close) => {
+      const position = state.getPosition(close.positionId);
+      const remaining = position.quantity - close.quantity;
+      return Promise.resolve({
+        position: {
+          id: position.dbId,
+          user_id: position.userId,
+          match_key: position.matchKey,
+          market_id: position.marketId,
+          direction: position.direction,
+          quantity: remaining > 0 ? remaining : position.quantity,
+          avg_price: String(position.avgPrice),
+          status: remaining > 0 ? 'open' : 'closed'
+        },
+        user: {
+          id: close.userId,
+          name: 'User',
+          balance: '101.00',
+          held_balance: '0.00'
+        }
+      });
+    });
     db.getUserPositions.mockResolvedValue([]);
     db.getMatchPositions.mockResolvedValue([]);
 
@@ -111,7 +166,22 @@ describe('Trading Service', () => {
       expect(result.direction).toBe('A');
       expect(result.quantity).toBe(10);
       expect(result.cost).toBe(6); // 10 * (60/100)
-      expect(db.createPosition).toHaveBeenCalled();
+      expect(db.executeTradeAtomic).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        quantity: 10,
+        price: 0.6
+      }));
+    });
+
+    test('should leave cache untouched when the DB transaction fails', async () => {
+      db.executeTradeAtomic.mockRejectedValue(new Error('connection reset'));
+
+      await expect(
+        tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10)
+      ).rejects.toThrow('connection reset');
+
+      expect(state.getUserPositionIds('user123').size).toBe(0);
+      expect(state.getUserState('user123').heldBalance).toBe(0);
     });
 
     test('should reject trade with insufficient balance', async () => {
@@ -148,6 +218,89 @@ describe('Trading Service', () => {
         tradingService.executeTrade('user123', 'unknown-match', 1, 'A', 10)
       ).rejects.toThrow('Market not found');
     });
+
+    test('should reject with MARKET_CLOSED once the market has passed its close time', async () => {
+      const closesAt = new Date(Date.now() - 1000).toISOString();
+      marketService.getMarketPrices.mockReturnValue({ priceA: 60, priceB: 40, closesAt });
+
+      const error = await tradingService
+        .executeTrade('user123', 'ind-vs-aus', 1, 'A', 10)
+        .catch(err => err);
+
+      expect(error.code).toBe('MARKET_CLOSED');
+      expect(error.closesAt).toBe(closesAt);
+      expect(db.executeTradeAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should reject with MARKET_SUSPENDED while the market is suspended', async () => {
+      marketService.getMarketPrices.mockReturnValue({ priceA: 60, priceB: 40, suspension: { reason: 'Rain delay' } });
+
+      const error = await tradingService
+        .executeTrade('user123', 'ind-vs-aus', 1, 'A', 10)
+        .catch(err => err);
+
+      expect(error.code).toBe('MARKET_SUSPENDED');
+      expect(error.message).toBe('Rain delay');
+      expect(db.executeTradeAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should reject with PRICE_UNTRUSTED on a fallback price no admin has allowed', async () => {
+      marketService.getMarketPrices.mockReturnValue({ priceA: 23, priceB: 77, pricingTier: 'model', priceTrusted: false });
+
+      const error = await tradingService
+        .executeTrade('user123', 'ind-vs-aus', 1, 'A', 10)
+        .catch(err => err);
+
+      expect(error.code).toBe('PRICE_UNTRUSTED');
+      expect(error.pricingTier).toBe('model');
+      expect(db.executeTradeAtomic).not.toHaveBeenCalled();
+
+      marketService.getMarketPrices.mockReturnValue({ priceA: 50, priceB: 50, pricingTier: 'unpriced', priceTrusted: false });
+      await expect(
+        tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10)
+      ).rejects.toThrow('Market has no price to trade at');
+    });
+
+    test('should trade up to the close time', async () => {
+      marketService.getMarketPrices.mockReturnValue({
+        priceA: 60,
+        priceB: 40,
+        closesAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10);
+
+      expect(db.executeTradeAtomic).toHaveBeenCalled();
+    });
+
+    test('should fill within the slippage tolerance', async () => {
+      const result = await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10, null, {
+        quotedPrice: 58,
+        maxSlippage: 2
+      });
+
+      expect(result.avgPrice).toBe(0.6);
+    });
+
+    test('should reject with PRICE_MOVED when the price rose beyond tolerance', async () => {
+      const error = await tradingService
+        .executeTrade('user123', 'ind-vs-aus', 1, 'A', 10, null, { quotedPrice: 55, maxSlippage: 2 })
+        .catch(err => err);
+
+      expect(error.code).toBe('PRICE_MOVED');
+      expect(error.currentPrice).toBe(60);
+      expect(error.quotedPrice).toBe(55);
+      expect(db.executeTradeAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should not reject a buy when the price fell', async () => {
+      await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10, null, {
+        quotedPrice: 70,
+        maxSlippage: 0
+      });
+
+      expect(db.executeTradeAtomic).toHaveBeenCalled();
+    });
   });
 
   describe('closePosition', () => {
@@ -182,6 +335,87 @@ describe('Trading Service', () => {
       expect(result.closePrice).toBe(60);
       expect(result.closeValue).toBe(6); // 10 * (60/100)
       expect(result.pnl).toBe(1); // 6 - (10 * 0.50)
+      expect(result.newBalance).toBe(101);
+      expect(state.getPosition(1)).toBeUndefined();
+    });
+
+    test('should keep remaining shares after partial close', async () => {
+      state.addPosition({
+        id: 1,
+        dbId: 1,
+        userId: 'user123',
+        matchKey: 'ind-vs-aus',
+        marketId: 1,
+        direction: 'A',
+        quantity: 10,
+        avgPrice: 0.50,
+        status: 'open'
+      });
+      state.setUserState('user123', {
+        id: 'user123',
+        name: 'User',
+        balance: 100,
+        heldBalance: 5
+      });
+
+      const result = await tradingService.closePosition('user123', 1, 4);
+
+      expect(result.closedQuantity).toBe(4);
+      expect(db.closePositionAtomic).toHaveBeenCalledWith(expect.objectContaining({
+        positionId: 1,
+        quantity: 4,
+        price: 0.6
+      }));
+      expect(state.getPosition(1).quantity).toBe(6);
+    });
+
+    test('should reject with PRICE_MOVED when the price fell beyond tolerance', async () => {
+      state.addPosition({
+        id: 1,
+        dbId: 1,
+        userId: 'user123',
+        matchKey: 'ind-vs-aus',
+        marketId: 1,
+        direction: 'A',
+        quantity: 10,
+        avgPrice: 0.50,
+        status: 'open'
+      });
+
+      const error = await tradingService
+        .closePosition('user123', 1, null, null, { quotedPrice: 65, maxSlippage: 3 })
+        .catch(err => err);
+
+      expect(error.code).toBe('PRICE_MOVED');
+      expect(error.currentPrice).toBe(60);
+      expect(db.closePositionAtomic).not.toHaveBeenCalled();
+      expect(state.getPosition(1).quantity).toBe(10);
+    });
+
+    test('should not close while the market is suspended, but should once it has only closed', async () => {
+      state.addPosition({
+        id: 1,
+        dbId: 1,
+        userId: 'user123',
+        matchKey: 'ind-vs-aus',
+        marketId: 1,
+        direction: 'A',
+        quantity: 10,
+        avgPrice: 0.50,
+        status: 'open'
+      });
+      marketService.getMarketPrices.mockReturnValue({ priceA: 60, priceB: 40, suspension: { reason: null } });
+
+      const error = await tradingService.closePosition('user123', 1).catch(err => err);
+
+      expect(error.code).toBe('MARKET_SUSPENDED');
+      expect(error.message).toBe('Market is suspended');
+      expect(db.closePositionAtomic).not.toHaveBeenCalled();
+
+      marketService.getMarketPrices.mockReturnValue({ priceA: 60, priceB: 40, closesAt: new Date(Date.now() - 1000).toISOString() });
+      await tradingService.closePosition('user123', 1);
+
+      expect(db.closePositionAtomic).toHaveBeenCalled();
     });
 
     test('should reject closing position of another user', async () => {
@@ -222,4 +456,196 @@ describe('Trading Service', () => {
       ).rejects.toThrow('Position is not open');
     });
   });
+
+  describe('position triggers', () => {
+    function positionRow(overrides = {}) {
+      return {
+        id: 1,
+        user_id: 'user123',
+        match_key: 'ind-vs-aus',
+        market_id: 1,
+        direction: 'A',
+        quantity: 10,
+        avg_price: '0.5000',
+        stop_loss: null,
+        take_profit: null,
+        status: 'open',
+        ...overrides
+      };
+    }
+
+    beforeEach(() => {
+      db.updatePositionTriggers.mockImplementation((positionId, stopLoss, takeProfit) =>
+        Promise.resolve(positionRow({ id: positionId, stop_loss: stopLoss, take_profit: takeProfit }))
+      );
+      state.setUserState('user123', {
+        id: 'user123',
+        name: 'User',
+        balance: 100,
+        heldBalance: 5
+      });
+    });
+
+    test('should attach triggers when opening a position', async () => {
+      const result = await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10, {
+        stopLoss: 45,
+        takeProfit: 80
+      });
+
+      // Written with the trade, in its transaction
+      expect(db.executeTradeAtomic).toHaveBeenCalledWith(expect.objectContaining({
+        triggers: { stop_loss: 0.45, take_profit: 0.8 }
+      }));
+      expect(db.updatePositionTriggers).not.toHaveBeenCalled();
+      expect(result.stopLoss).toBe(45);
+      expect(result.takeProfit).toBe(80);
+    });
+
+    test('should reject a stop-loss at or above the current price', async () => {
+      await expect(
+        tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10, { stopLoss: 60 })
+      ).rejects.toThrow('Invalid trigger: Stop-loss must be below the current price');
+      expect(db.executeTradeAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should clear a level set to null and keep one left undefined', async () => {
+      state.addPosition(tradingService.mapDbPosition(positionRow({ stop_loss: '0.4000', take_profit: '0.8000' })));
+
+      const position = await tradingService.setPositionTriggers('user123', 1, null, undefined);
+
+      expect(db.updatePositionTriggers).toHaveBeenCalledWith(1, null, 0.8);
+      expect(position.stopLoss).toBeNull();
+      expect(position.takeProfit).toBe(80);
+    });
+
+    test('should close a position once the price falls to its stop-loss', async () => {
+      const row = positionRow({ stop_loss: '0.4500' });
+      state.addPosition(tradingService.mapDbPosition(row));
+      db.getTriggeredPositions.mockResolvedValue([row]);
+      marketService.getMarketPrices.mockReturnValue({ priceA: 44, priceB: 56 });
+
+      const closes = await tradingService.runPositionTriggers();
+
+      expect(closes.length).toBe(1);
+      expect(closes[0].userId).toBe('user123');
+      expect(closes[0].trigger).toBe('stop_loss');
+      expect(db.closePositionAtomic).toHaveBeenCalledWith(expect.objectContaining({
+        positionId: 1,
+        quantity: 10,
+        price: 0.44,
+        description: expect.stringMatching(/^Stop-loss at 45% triggered - Close 10 A @ 44%/)
+      }));
+    });
+
+    test('should close a position once the price reaches its take-profit', async () => {
+      const row = positionRow({ take_profit: '0.7000' });
+      state.addPosition(tradingService.mapDbPosition(row));
+      db.getTriggeredPositions.mockResolvedValue([row]);
+      marketService.getMarketPrices.mockReturnValue({ priceA: 72, priceB: 28 });
+
+      const closes = await tradingService.runPositionTriggers();
+
+      expect(closes.length).toBe(1);
+      expect(closes[0].trigger).toBe('take_profit');
+      expect(db.closePositionAtomic).toHaveBeenCalledWith(expect.objectContaining({
+        description: expect.stringContaining('Take-profit at 70% triggered')
+      }));
+    });
+
+    test('should leave positions open while the price is between the levels', async () => {
+      db.getTriggeredPositions.mockResolvedValue([positionRow({ stop_loss: '0.4500', take_profit: '0.7000' })]);
+
+      const closes = await tradingService.runPositionTriggers();
+
+      expect(closes.length).toBe(0);
+      expect(db.closePositionAtomic).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('concurrency', () => {
+    // Stateful fake of the users row so each locked section re-reads the DB
+    let dbUser;
+
+    beforeEach(() => {
+      dbUser = {
+        id: 'user123',
+        name: 'User',
+        balance: '100.00',
+        held_balance: '0.00',
+        created_at: new Date().toISOString()
+      };
+      db.getUser.mockImplementation(() => Promise.resolve({ ...dbUser }));
+      db.executeTradeAtomic.mockImplementation(async (trade) => {
+        // Yield so unserialized callers would interleave here
+        await new Promise(resolve => setTimeout(resolve, 5));
+        dbUser.held_balance = String(parseFloat(dbUser.held_balance) + trade.quantity * trade.price);
+        return {
+          position: {
+            id: 1,
+            user_id: trade.userId,
+            match_key: trade.matchKey,
+            market_id: trade.marketId,
+            direction: trade.direction,
+            quantity: trade.quantity,
+            avg_price: String(trade.price),
+            status: 'open'
+          },
+          user: { ...dbUser }
+        };
+      });
+    });
+
+    test('should not overspend when parallel orders hit one account', async () => {
+      // Each order costs 42 (70 shares @ 60%); 100 only covers two
+      const results = await Promise.allSettled([
+        tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 70),
+        tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 70),
+        tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 70)
+      ]);
+
+      const filled = results.filter(r => r.status === 'fulfilled');
+      const rejected = results.filter(r => r.status === 'rejected');
+
+      expect(filled.length).toBe(2);
+      expect(rejected.length).toBe(1);
+      expect(rejected[0].reason.message).toContain('Insufficient balance');
+      expect(parseFloat(dbUser.held_balance)).toBe(84);
+    });
+
+    test('should not serialize orders from different users', async () => {
+      db.getUser.mockImplementation((userId) => Promise.resolve({ ...dbUser, id: userId }));
+
+      const results = await Promise.all([
+        tradingService.executeTrade('user1', 'ind-vs-aus', 1, 'A', 10),
+        tradingService.executeTrade('user2', 'ind-vs-aus', 1, 'A', 10)
+      ]);
+
+      expect(results.length).toBe(2);
+      expect(db.acquireUserLock).toHaveBeenCalledWith('user1', expect.any(String), expect.any(Number));
+      expect(db.acquireUserLock).toHaveBeenCalledWith('user2', expect.any(String), expect.any(Number));
+    });
+
+    test('should wait while another instance holds the lock', async () => {
+      db.acquireUserLock
+        .mockResolvedValueOnce(false)
+        .mockResolvedValueOnce(false)
+        .mockResolvedValue(true);
+
+      await tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10);
+
+      // Three tries for the user's lock, then the match's for the fill
+      expect(db.acquireUserLock.mock.calls.map(([lockId]) => lockId)).toEqual(['user123', 'user123', 'user123', 'match:ind-vs-aus']);
+      expect(db.releaseUserLock).toHaveBeenCalledTimes(2);
+    });
+
+    test('should release the lock when the trade fails', async () => {
+      db.executeTradeAtomic.mockRejectedValue(new Error('connection reset'));
+
+      await expect(
+        tradingService.executeTrade('user123', 'ind-vs-aus', 1, 'A', 10)
+      ).rejects.toThrow('connection reset');
+
+      expect(db.releaseUserLock).toHaveBeenCalledWith('user123', expect.any(String));
+    });
+  });
 });
@@ -24,6 +24,10 @@ const CRICKETDATA_API_KEY =
   process.env.CRICKETDATA_API_KEY ?? process.env.VITE_CRICKETDATA_API_KEY ?? ''
 const ODDS_API_KEY = process.env.ODDS_API_KEY ?? process.env.VITE_ODDS_API_KEY ?? ''
 const ADMIN_API_KEY = process.env.ADMIN_API_KEY ?? 'admin-local-key'
+// Named admin keys ("alice:key1,bob:key2"): the admin is identified by the key
+const ADMIN_KEYS = parseAdminKeys(process.env.ADMIN_API_KEYS)
+// Settlements paying out more than this wait for a second admin's approval
+const SETTLEMENT_APPROVAL_THRESHOLD = Math.max(0, Number(process.env.SETTLEMENT_APPROVAL_THRESHOLD ?? 50_000))
 const STARTING_BALANCE = Number(process.env.STARTING_BALANCE ?? 100)
 const POLL_INTERVAL_MS = Math.max(10_000, Number(process.env.POLL_INTERVAL_MS ?? 30_000))
 const STALE_AFTER_MS = Math.max(POLL_INTERVAL_MS * 2, Number(process.env.STALE_AFTER_MS ?? 120_000))
@@ -124,6 +128,7 @@ const state = {
   positionsByUser: new Map(),
   orders: [],
   settlementsByMatch: new Map(),
+  settlementApprovals: new Map(),
   thresholdLockByMatchMarket: new Map(),
   audits: [],
 }
@@ -184,6 +189,25 @@ function parseScraperSiteConfig(raw) {
   }
 }
 
+function parseAdminKeys(raw) {
+  const keys = new Map()
+
+  for (const entry of String(raw ?? '').split(',')) {
+    const separator = entry.indexOf(':')
+    if (separator <= 0) {
+      continue
+    }
+
+    const adminId = entry.slice(0, separator).trim()
+    const key = entry.slice(separator + 1).trim()
+    if (adminId && key) {
+      keys.set(key, adminId)
+    }
+  }
+
+  return keys
+}
+
 function nowIso() {
   return new Date().toISOString()
 }
@@ -227,6 +251,10 @@ function clampProbability(value) {
   return clamp(value, 0.01, 0.99)
 }
 
+function roundMoney(value) {
+  return Math.round(value * 100) / 100
+}
+
 function hashToInt(input) {
   let hash = 0
   for (let index = 0; index < input.length; index += 1) {
@@ -2525,7 +2553,8 @@ function resolveMarket8(position, match) {
   }
 }
 
-function settleMatch(matchId, winnerLabel, actor = 'system') {
+// Works out who gets what if the match settled now, without changing anything
+function planMatchSettlement(matchId, winnerLabel) {
   const match = state.matches.find((entry) => entry.id === matchId)
   if (!match) {
     return { ok: false, error: 'Match not found' }
@@ -2560,11 +2589,9 @@ function settleMatch(matchId, winnerLabel, actor = 'system') {
     return { ok: false, error: 'Could not infer match winner yet' }
   }
 
-  const settlementRows = []
+  const rows = []
 
   for (const [userId, positions] of state.positionsByUser.entries()) {
-    const user = ensureUser(userId)
-
     for (const position of positions) {
       if (position.matchId !== matchId || position.status !== 'open') {
         continue
@@ -2591,21 +2618,92 @@ function settleMatch(matchId, winnerLabel, actor = 'system') {
         outcome = 'void'
       }
 
-      user.balance += payout
-      position.status = 'settled'
-      position.settledAt = nowIso()
-      position.outcome = outcome
-      position.payout = payout
-      position.stakeRemaining = 0
-      position.sharesRemaining = 0
+      rows.push({ userId, position, payout, outcome })
+    }
+  }
 
-      settlementRows.push({
-        userId,
-        positionId: position.id,
-        payout,
-        outcome,
-      })
+  return { ok: true, match, winner, rows }
+}
+
+function previewMatchSettlement(matchId, winnerLabel) {
+  const plan = planMatchSettlement(matchId, winnerLabel)
+  if (!plan.ok) {
+    return plan
+  }
+
+  const users = new Map()
+  const totals = { positions: plan.rows.length, win: 0, lose: 0, void: 0, stakes: 0, payouts: 0 }
+
+  const positions = plan.rows.map(({ userId, position, payout, outcome }) => {
+    const stake = position.stakeRemaining
+    const pnl = payout - stake
+
+    totals[outcome] += 1
+    totals.stakes += stake
+    totals.payouts += payout
+
+    const user = users.get(userId) ?? { userId, positions: 0, stake: 0, payout: 0, pnl: 0 }
+    user.positions += 1
+    user.stake = roundMoney(user.stake + stake)
+    user.payout = roundMoney(user.payout + payout)
+    user.pnl = roundMoney(user.pnl + pnl)
+    users.set(userId, user)
+
+    return {
+      positionId: position.id,
+      userId,
+      marketId: position.marketId,
+      marketTitle: position.marketTitle,
+      optionLabel: position.optionLabel,
+      side: position.side,
+      stake: roundMoney(stake),
+      payout: roundMoney(payout),
+      pnl: roundMoney(pnl),
+      outcome,
     }
+  })
+
+  return {
+    ok: true,
+    preview: {
+      matchId,
+      winnerCode: plan.winner.winnerCode,
+      winnerFull: plan.winner.winnerFull,
+      positions,
+      users: [...users.values()],
+      totals: { ...totals, stakes: roundMoney(totals.stakes), payouts: roundMoney(totals.payouts) },
+      // Stakes kept minus payouts and refunds
+      houseNet: roundMoney(totals.stakes - totals.payouts),
+    },
+  }
+}
+
+function settleMatch(matchId, winnerLabel, actor = 'system') {
+  const plan = planMatchSettlement(matchId, winnerLabel)
+  if (!plan.ok) {
+    return plan
+  }
+
+  const { winner } = plan
+  const settlementRows = []
+
+  for (const { userId, position, payout, outcome } of plan.rows) {
+    const user = ensureUser(userId)
+
+    user.balance += payout
+    position.status = 'settled'
+    position.settledAt = nowIso()
+    position.outcome = outcome
+    position.payout = payout
+    position.stakeRemaining = 0
+    position.sharesRemaining = 0
+
+    settlementRows.push({
+      userId,
+      positionId: position.id,
+      payout,
+      outcome,
+    })
   }
 
   const settlement = {
@@ -2736,17 +2834,175 @@ function settleMatch(matchId, winnerLabel, actor = 'system') {
   return { ok: true, settlement }
 }
 
+function findSettlementApproval(matchId, statuses) {
+  return [...state.settlementApprovals.values()].find(
+    (approval) => approval.matchId === matchId && statuses.includes(approval.status),
+  )
+}
+
+function persistSettlementApproval(approval) {
+  if (!supabaseAdmin) {
+    return
+  }
+
+  supabaseAdmin
+    .from('match_settlement_approvals')
+    .upsert(
+      {
+        request_id: approval.id,
+        match_id: approval.matchId,
+        match_label: approval.matchLabel,
+        winner_code: approval.winnerCode,
+        winner_full: approval.winnerFull,
+        total_payout: approval.totalPayout,
+        status: approval.status,
+        requested_by: approval.requestedBy,
+        requested_at: approval.requestedAt,
+        decided_by: approval.decidedBy,
+        decided_at: approval.decidedAt,
+        reason: approval.reason,
+      },
+      { onConflict: 'request_id' },
+    )
+    .then(({ error }) => {
+      if (error) {
+        logger.error({ error, requestId: approval.id }, 'Failed to persist settlement approval to Supabase')
+      }
+    })
+}
+
+// Settles the match, unless it would pay out more than
+// SETTLEMENT_APPROVAL_THRESHOLD: then nothing moves until a second admin
+// approves the request (approveMatchSettlement)
+function requestMatchSettlement(matchId, winnerLabel, actor) {
+  const waiting = findSettlementApproval(matchId, ['pending'])
+  if (waiting) {
+    return { ok: false, error: `Settlement already awaiting approval (${waiting.id})`, code: 'APPROVAL_PENDING' }
+  }
+
+  const plan = planMatchSettlement(matchId, winnerLabel)
+  if (!plan.ok) {
+    return plan
+  }
+
+  const totalPayout = roundMoney(plan.rows.reduce((sum, row) => sum + row.payout, 0))
+  if (totalPayout <= SETTLEMENT_APPROVAL_THRESHOLD) {
+    return settleMatch(matchId, winnerLabel, actor)
+  }
+
+  const approval = {
+    id: `SAP-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    matchId,
+    matchLabel: `${plan.match.teamA} vs ${plan.match.teamB}`,
+    winnerCode: plan.winner.winnerCode,
+    winnerFull: plan.winner.winnerFull,
+    totalPayout,
+    positions: plan.rows.length,
+    status: 'pending',
+    requestedBy: actor,
+    requestedAt: nowIso(),
+    decidedBy: null,
+    decidedAt: null,
+    reason: null,
+  }
+
+  state.settlementApprovals.set(approval.id, approval)
+  persistSettlementApproval(approval)
+
+  appendAudit('settlement_requested', {
+    actor,
+    matchId,
+    requestId: approval.id,
+    winner: approval.winnerFull,
+    totalPayout,
+  })
+
+  return { ok: true, pending: true, approval }
+}
+
+function approveMatchSettlement(requestId, actor) {
+  const approval = state.settlementApprovals.get(requestId)
+  if (!approval) {
+    return { ok: false, error: 'Settlement request not found', code: 'NOT_FOUND' }
+  }
+
+  if (approval.status !== 'pending') {
+    return { ok: false, error: `Settlement request already ${approval.status}`, code: 'ALREADY_DECIDED' }
+  }
+
+  if (approval.requestedBy === actor) {
+    return {
+      ok: false,
+      error: `Settlement must be approved by a different admin than ${approval.requestedBy}`,
+      code: 'SAME_ADMIN',
+    }
+  }
+
+  // Settles with the winner the request was made for; a refusal (e.g. settled
+  // meanwhile) leaves the request pending
+  const settlement = settleMatch(approval.matchId, approval.winnerFull, actor)
+  if (!settlement.ok) {
+    return settlement
+  }
+
+  approval.status = 'approved'
+  approval.decidedBy = actor
+  approval.decidedAt = nowIso()
+  persistSettlementApproval(approval)
+
+  appendAudit('settlement_approved', {
+    actor,
+    matchId: approval.matchId,
+    requestId,
+    requestedBy: approval.requestedBy,
+  })
+
+  return { ...settlement, approval }
+}
+
+function rejectMatchSettlement(requestId, actor, reason) {
+  const approval = state.settlementApprovals.get(requestId)
+  if (!approval) {
+    return { ok: false, error: 'Settlement request not found', code: 'NOT_FOUND' }
+  }
+
+  if (approval.status !== 'pending') {
+    return { ok: false, error: `Settlement request already ${approval.status}`, code: 'ALREADY_DECIDED' }
+  }
+
+  approval.status = 'rejected'
+  approval.decidedBy = actor
+  approval.decidedAt = nowIso()
+  approval.reason = reason || null
+  persistSettlementApproval(approval)
+
+  appendAudit('settlement_rejected', {
+    actor,
+    matchId: approval.matchId,
+    requestId,
+    requestedBy: approval.requestedBy,
+    reason: approval.reason,
+  })
+
+  return { ok: true, approval }
+}
+
 function autoSettleResolvedMatches() {
   for (const match of state.matches) {
     if (state.settlementsByMatch.has(match.id)) {
       continue
     }
 
+    // Waiting for approval, or rejected: up to the admins now
+    if (findSettlementApproval(match.id, ['pending', 'rejected'])) {
+      continue
+    }
+
     if (!String(match.statusText ?? '').toLowerCase().includes('won')) {
       continue
     }
 
-    settleMatch(match.id, null, 'auto')
+    requestMatchSettlement(match.id, null, 'auto')
   }
 }
 
@@ -2797,6 +3053,8 @@ function buildAdminOverview() {
       settledMatches: state.settlementsByMatch.size,
       audits: state.audits.length,
     },
+    approvalThreshold: SETTLEMENT_APPROVAL_THRESHOLD,
+    pendingApprovals: [...state.settlementApprovals.values()].filter((approval) => approval.status === 'pending'),
     audits: state.audits.slice(-200).reverse(),
   }
 }
@@ -2910,9 +3168,19 @@ async function refreshGateway() {
   return refreshPromise
 }
 
+// Sets req.adminId: the owner of a named key (ADMIN_API_KEYS), otherwise
+// x-admin-user (or 'admin') for the shared ADMIN_API_KEY; req.adminKeyNamed
+// tells the two apart
 function requireAdmin(req, res, next) {
   const providedKey = req.header('x-admin-key')
 
+  if (providedKey && ADMIN_KEYS.has(providedKey)) {
+    req.adminId = ADMIN_KEYS.get(providedKey)
+    req.adminKeyNamed = true
+    next()
+    return
+  }
+
   if (!providedKey || providedKey !== ADMIN_API_KEY) {
     res.status(401).json({
       ok: false,
@@ -2922,6 +3190,23 @@ function requireAdmin(req, res, next) {
     return
   }
 
+  req.adminId = String(req.header('x-admin-user') ?? '').trim() || 'admin'
+  req.adminKeyNamed = false
+  next()
+}
+
+// For admin actions that rely on who the admin is (after requireAdmin): the
+// shared key's x-admin-user header can name anyone, so only a named key counts
+function requireNamedAdmin(req, res, next) {
+  if (!req.adminKeyNamed) {
+    res.status(403).json({
+      ok: false,
+      error: 'A named admin key (ADMIN_API_KEYS) is required',
+      code: 'NAMED_ADMIN_REQUIRED',
+    })
+    return
+  }
+
   next()
 }
 
@@ -4188,7 +4473,8 @@ app.post('/api/admin/user/:userId/suspend', requireAdmin, (req, res) => {
   })
 })
 
-app.post('/api/admin/settle/:matchId', requireAdmin, (req, res) => {
+// Dry run of POST /api/admin/settle/:matchId: same body, nothing changes
+app.post('/api/admin/settle/:matchId/preview', requireAdmin, (req, res) => {
   const matchId = Number(req.params.matchId)
   const payload = asRecord(req.body)
 
@@ -4198,13 +4484,45 @@ app.post('/api/admin/settle/:matchId', requireAdmin, (req, res) => {
   }
 
   const winnerTeam = payload.winnerTeam ? String(payload.winnerTeam) : null
-  const settlement = settleMatch(matchId, winnerTeam, 'admin')
+  const preview = previewMatchSettlement(matchId, winnerTeam)
+
+  if (!preview.ok) {
+    res.status(409).json(preview)
+    return
+  }
+
+  res.json(preview)
+})
+
+// Settle a match, or hold it for a second admin above the threshold; the
+// requester must be identified by a named key so they can't approve it as
+// someone else
+app.post('/api/admin/settle/:matchId', requireAdmin, requireNamedAdmin, (req, res) => {
+  const matchId = Number(req.params.matchId)
+  const payload = asRecord(req.body)
+
+  if (!Number.isFinite(matchId)) {
+    res.status(400).json({ ok: false, error: 'Invalid match id' })
+    return
+  }
+
+  const winnerTeam = payload.winnerTeam ? String(payload.winnerTeam) : null
+  const settlement = requestMatchSettlement(matchId, winnerTeam, req.adminId)
 
   if (!settlement.ok) {
     res.status(409).json(settlement)
     return
   }
 
+  // Held for a second admin: nothing settled yet
+  if (settlement.pending) {
+    res.status(202).json(settlement)
+    if (io) {
+      io.to('admin').emit('admin:overview', { overview: buildAdminOverview() })
+    }
+    return
+  }
+
   res.json(settlement)
 
   // Socket.io: broadcast updated matches and admin overview after settlement
@@ -4214,6 +4532,54 @@ app.post('/api/admin/settle/:matchId', requireAdmin, (req, res) => {
   }
 })
 
+app.get('/api/admin/settlement-approvals', requireAdmin, (req, res) => {
+  const status = req.query.status ? String(req.query.status) : 'pending'
+
+  res.json({
+    ok: true,
+    threshold: SETTLEMENT_APPROVAL_THRESHOLD,
+    approvals: [...state.settlementApprovals.values()]
+      .filter((approval) => status === 'all' || approval.status === status)
+      .sort((left, right) => right.requestedAt.localeCompare(left.requestedAt)),
+  })
+})
+
+// Approve a held settlement and run it; the approver must not be the requester
+// and must be identified by a named key
+app.post('/api/admin/settlement-approvals/:requestId/approve', requireAdmin, requireNamedAdmin, (req, res) => {
+  const result = approveMatchSettlement(String(req.params.requestId), req.adminId)
+
+  if (!result.ok) {
+    const status = result.code === 'NOT_FOUND' ? 404 : result.code === 'SAME_ADMIN' ? 403 : 409
+    res.status(status).json(result)
+    return
+  }
+
+  res.json(result)
+
+  if (io) {
+    io.emit('matches:update', { matches: state.matches })
+    io.to('admin').emit('admin:overview', { overview: buildAdminOverview() })
+  }
+})
+
+app.post('/api/admin/settlement-approvals/:requestId/reject', requireAdmin, requireNamedAdmin, (req, res) => {
+  const payload = asRecord(req.body)
+  const reason = String(payload.reason ?? '').trim()
+  const result = rejectMatchSettlement(String(req.params.requestId), req.adminId, reason)
+
+  if (!result.ok) {
+    res.status(result.code === 'NOT_FOUND' ? 404 : 409).json(result)
+    return
+  }
+
+  res.json(result)
+
+  if (io) {
+    io.to('admin').emit('admin:overview', { overview: buildAdminOverview() })
+  }
+})
+
 app.get('/api/admin/audit', requireAdmin, (req, res) => {
   const limit = clamp(Number(req.query.limit ?? 200), 10, 500)
 
@@ -4486,7 +4852,36 @@ async function bootstrapFromSupabase() {
       logger.info(`Restored ${settlements.length} match settlement(s)`)
     }
 
-    // 4. Restore recent price history (last 4 hours)
+    // 4. Restore settlement approval requests
+    const { data: approvals, error: approvalsError } = await supabaseAdmin
+      .from('match_settlement_approvals')
+      .select('*')
+      .order('requested_at', { ascending: true })
+
+    if (approvalsError) {
+      logger.error({ error: approvalsError }, 'Failed to load settlement approvals from Supabase')
+    } else if (approvals) {
+      for (const row of approvals) {
+        state.settlementApprovals.set(row.request_id, {
+          id: row.request_id,
+          matchId: row.match_id,
+          matchLabel: row.match_label,
+          winnerCode: row.winner_code,
+          winnerFull: row.winner_full,
+          totalPayout: Number(row.total_payout),
+          positions: null,
+          status: row.status,
+          requestedBy: row.requested_by,
+          requestedAt: row.requested_at,
+          decidedBy: row.decided_by,
+          decidedAt: row.decided_at,
+          reason: row.reason,
+        })
+      }
+      logger.info(`Restored ${approvals.length} settlement approval request(s)`)
+    }
+
+    // 5. Restore recent price history (last 4 hours)
     const fourHoursAgo = new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString()
     const { data: historyRows, error: historyError } = await supabaseAdmin
       .from('server_price_history')
@@ -4536,6 +4931,9 @@ async function bootstrap() {
   if (ADMIN_API_KEY === 'admin-local-key') {
     logger.warn('ADMIN_API_KEY is using default value "admin-local-key" — change this for production')
   }
+  if (ADMIN_KEYS.size === 0) {
+    logger.warn('ADMIN_API_KEYS not set — matches cannot be settled, nor held settlements approved or rejected, until named admin keys are configured')
+  }
 
   // Bootstrap state from Supabase before starting data refresh
   await bootstrapFromSupabase()
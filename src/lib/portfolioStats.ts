@@ -5,12 +5,13 @@ export function computePortfolioStats(positions: Position[]): PortfolioStats {
   const wins = settled.filter((p) => p.outcome === 'win')
   const losses = settled.filter((p) => p.outcome === 'lose')
   const voids = settled.filter((p) => p.outcome === 'void')
+  const ties = settled.filter((p) => p.outcome === 'tie')
 
   let totalPnl = 0
   for (const p of settled) {
-    if (p.outcome === 'win') totalPnl += (p.payout ?? 0) - p.cost
+    if (p.outcome === 'win' || p.outcome === 'tie') totalPnl += (p.payout ?? 0) - p.cost
     else if (p.outcome === 'lose') totalPnl -= p.cost
-    // void: 0 net
+    // void: 0 net; tie: half payout (dead heat) or the stake back
   }
 
   const decidedCount = wins.length + losses.length
@@ -43,6 +44,7 @@ export function computePortfolioStats(positions: Position[]): PortfolioStats {
     wins: wins.length,
     losses: losses.length,
     voids: voids.length,
+    ties: ties.length,
     avgProfitPerTrade,
   }
 }
@@ -62,7 +64,7 @@ export function computeEquityCurve(positions: Position[]): number[] {
   let cumulative = 0
 
   for (const p of settled) {
-    if (p.outcome === 'win') cumulative += (p.payout ?? 0) - p.cost
+    if (p.outcome === 'win' || p.outcome === 'tie') cumulative += (p.payout ?? 0) - p.cost
     else if (p.outcome === 'lose') cumulative -= p.cost
     curve.push(cumulative)
   }
@@ -0,0 +1,69 @@
+import type { Position, PositionOutcome } from '../types/app'
+
+interface OutcomeStyle {
+  label: string
+  cardClass: string
+  badgeBackground: string
+  badgeColor: string
+  resultColor: string
+}
+
+const OUTCOME_STYLES: Record<PositionOutcome, OutcomeStyle> = {
+  win: {
+    label: 'WON',
+    cardClass: 'pos-card settled-win',
+    badgeBackground: '#E8F5E9',
+    badgeColor: '#2E7D32',
+    resultColor: '#00C853',
+  },
+  lose: {
+    label: 'LOST',
+    cardClass: 'pos-card settled-lose',
+    badgeBackground: '#FFEBEE',
+    badgeColor: '#D32F2F',
+    resultColor: '#D32F2F',
+  },
+  tie: {
+    label: 'TIE',
+    cardClass: 'pos-card settled-tie',
+    badgeBackground: '#FFF8E1',
+    badgeColor: '#F57F17',
+    resultColor: '#F9A825',
+  },
+  void: {
+    label: 'VOID',
+    cardClass: 'pos-card settled-void',
+    badgeBackground: '#F5F5F5',
+    badgeColor: '#757575',
+    resultColor: '#9E9E9E',
+  },
+}
+
+export function outcomeStyle(position: Position): OutcomeStyle {
+  return OUTCOME_STYLES[position.outcome ?? 'void']
+}
+
+export function posCardClass(position: Position): string {
+  if (position.status !== 'settled') return 'pos-card'
+  return outcomeStyle(position).cardClass
+}
+
+/**
+ * Settled result line: profit for a win, stake for a loss, the refund for a
+ * void, and the net of the (half or refunded) payout for a tie.
+ */
+export function settledResultText(position: Position): string {
+  const payout = position.payout ?? 0
+  switch (position.outcome) {
+    case 'win':
+      return `+Rs ${(payout - position.cost).toFixed(0)}`
+    case 'lose':
+      return `-Rs ${position.cost.toFixed(0)}`
+    case 'tie': {
+      const net = payout - position.cost
+      return `${net >= 0 ? '+' : '-'}Rs ${Math.abs(net).toFixed(0)} tie`
+    }
+    default:
+      return `Rs ${payout.toFixed(0)} refund`
+  }
+}
@@ -1,13 +1,18 @@
 import { useEffect, useMemo, useState } from 'react'
 import { useAppNavigation } from '../hooks/useAppNavigation'
 import {
+  approveGatewaySettlement,
   approveWithdrawal,
   fetchAdminOverview,
   fetchAdminWithdrawals,
+  previewGatewaySettlement,
+  rejectGatewaySettlement,
   rejectWithdrawal,
   settleGatewayMatch,
   setGatewayMarketSuspended,
   setGatewayUserSuspended,
+  type SettlementApproval,
+  type SettlementPreview,
 } from '../services/gateway'
 import {
   isSocketAvailable,
@@ -68,6 +73,8 @@ interface Overview {
     settledMatches: number
     audits: number
   }
+  approvalThreshold?: number
+  pendingApprovals?: SettlementApproval[]
   audits: AuditRow[]
 }
 
@@ -78,6 +85,8 @@ export function AdminPage() {
   const [loading, setLoading] = useState(true)
   const [workingKey, setWorkingKey] = useState('')
   const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [settlePreview, setSettlePreview] = useState<SettlementPreview | null>(null)
 
   const liveCount = useMemo(
     () => overview?.matches.filter((match) => match.isLive).length ?? 0,
@@ -166,13 +175,61 @@ export function AdminPage() {
         setWithdrawals(Array.isArray(requests) ? (requests as WithdrawalRow[]) : [])
       }
       setError('')
-    } catch {
-      setError('Action failed. Please retry.')
+    } catch (taskError) {
+      setNotice('')
+      setError(taskError instanceof Error && taskError.message ? taskError.message : 'Action failed. Please retry.')
     } finally {
       setWorkingKey('')
     }
   }
 
+  // Settling can't be undone: show what it will pay out and wait for confirmation
+  const openSettlePreview = async (matchId: number) => {
+    const key = `settle-${matchId}`
+    setWorkingKey(key)
+
+    const payload = await previewGatewaySettlement(matchId)
+    if (payload?.ok && payload.preview) {
+      setSettlePreview(payload.preview)
+      setError('')
+    } else {
+      setError(payload?.error ?? 'Could not preview settlement. Please retry.')
+    }
+
+    setWorkingKey('')
+  }
+
+  const confirmSettle = (matchId: number) => {
+    setSettlePreview(null)
+    void withRefresh(`settle-${matchId}`, async () => {
+      const payload = await settleGatewayMatch(matchId)
+      if (payload?.pending && payload.approval) {
+        setNotice(
+          `Payout Rs ${payload.approval.totalPayout.toFixed(0)} is above the approval limit: waiting for a second admin to approve.`,
+        )
+      } else if (payload && !payload.ok) {
+        throw new Error(payload.error ?? 'Settlement failed')
+      }
+    })
+  }
+
+  // Approving runs the settlement; the gateway refuses the admin who requested it
+  const decideApproval = (approval: SettlementApproval, approve: boolean) => {
+    const key = `approval-${approval.id}`
+
+    void withRefresh(key, async () => {
+      const payload = approve
+        ? await approveGatewaySettlement(approval.id)
+        : await rejectGatewaySettlement(approval.id)
+      if (!payload?.ok) {
+        throw new Error(payload?.error ?? 'Action failed')
+      }
+      setNotice(approve ? `Settled ${approval.matchLabel}.` : `Rejected settlement of ${approval.matchLabel}.`)
+    })
+  }
+
+  const pendingApprovals = overview?.pendingApprovals ?? []
+
   return (
     <div className="screen" style={{ paddingBottom: 20 }}>
       <div className="app-header">
@@ -190,6 +247,7 @@ export function AdminPage() {
         {loading ? <div className="loading-spinner" /> : null}
 
         {error ? <div className="alert-box alert-error">{error}</div> : null}
+        {notice && !error ? <div className="alert-box">{notice}</div> : null}
 
         {overview ? (
           <>
@@ -214,12 +272,64 @@ export function AdminPage() {
               </div>
             </div>
 
+            <div style={{ fontSize: 11, fontWeight: 700, color: '#888', textTransform: 'uppercase', marginBottom: 10 }}>
+              Pending Settlement Approvals {pendingApprovals.length > 0 ? `(${pendingApprovals.length})` : ''}
+            </div>
+            {pendingApprovals.length === 0 ? (
+              <div className="market-card" style={{ color: '#888', fontSize: 12, marginBottom: 14 }}>
+                No settlements waiting for approval
+                {overview.approvalThreshold !== undefined
+                  ? ` (payouts above Rs ${overview.approvalThreshold.toFixed(0)} need a second admin).`
+                  : '.'}
+              </div>
+            ) : (
+              pendingApprovals.map((approval) => {
+                const approvalKey = `approval-${approval.id}`
+                return (
+                  <div key={approval.id} className="market-card" style={{ marginBottom: 10 }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 8 }}>
+                      <div style={{ flex: 1 }}>
+                        <div style={{ fontSize: 14, fontWeight: 700 }}>{approval.matchLabel}</div>
+                        <div style={{ fontSize: 12, marginTop: 4 }}>
+                          Winner {approval.winnerFull} · Payout{' '}
+                          <strong style={{ color: '#D32F2F' }}>Rs {approval.totalPayout.toFixed(0)}</strong>
+                          {approval.positions !== null ? ` · ${approval.positions} pos` : ''}
+                        </div>
+                        <div style={{ fontSize: 10, color: '#aaa', marginTop: 4 }}>
+                          Requested by {approval.requestedBy} · {new Date(approval.requestedAt).toLocaleString()}
+                        </div>
+                      </div>
+                      <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                        <button
+                          className="quick-amount-btn"
+                          style={{ background: '#E8F5E9', color: '#2E7D32', fontWeight: 700, fontSize: 12 }}
+                          onClick={() => decideApproval(approval, true)}
+                          disabled={workingKey === approvalKey}
+                        >
+                          {workingKey === approvalKey ? '...' : 'Approve'}
+                        </button>
+                        <button
+                          className="quick-amount-btn"
+                          style={{ background: '#FFEBEE', color: '#C62828', fontWeight: 700, fontSize: 12 }}
+                          onClick={() => decideApproval(approval, false)}
+                          disabled={workingKey === approvalKey}
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                )
+              })
+            )}
+
             <div style={{ fontSize: 11, fontWeight: 700, color: '#888', textTransform: 'uppercase', marginBottom: 10 }}>
               Market Risk Controls
             </div>
             {overview.matches.map((match) => {
               const pauseKey = `match-${match.id}`
               const settleKey = `settle-${match.id}`
+              const awaitingApproval = pendingApprovals.some((approval) => approval.matchId === match.id)
 
               return (
                 <div key={match.id} className="market-card" style={{ marginBottom: 10 }}>
@@ -256,14 +366,64 @@ export function AdminPage() {
                         </button>
                         <button
                           className="quick-amount-btn"
-                          onClick={() => withRefresh(settleKey, () => settleGatewayMatch(match.id))}
-                          disabled={workingKey === settleKey || match.settled}
+                          onClick={() => void openSettlePreview(match.id)}
+                          disabled={
+                            workingKey === settleKey || match.settled || awaitingApproval || settlePreview?.matchId === match.id
+                          }
                         >
-                          {match.settled ? 'Settled' : 'Settle'}
+                          {match.settled ? 'Settled' : awaitingApproval ? 'Awaiting approval' : 'Settle'}
                         </button>
                       </div>
                     </div>
                   </div>
+                  {settlePreview?.matchId === match.id ? (
+                    <div style={{ marginTop: 10, paddingTop: 10, borderTop: '1px solid #f0f0f0', fontSize: 12 }}>
+                      <div style={{ fontWeight: 700, marginBottom: 6 }}>
+                        Settle with winner {settlePreview.winnerFull}?
+                      </div>
+                      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 4, marginBottom: 8 }}>
+                        <div>
+                          Positions: {settlePreview.totals.positions} ({settlePreview.totals.win} win ·{' '}
+                          {settlePreview.totals.lose} lose · {settlePreview.totals.void} void)
+                        </div>
+                        <div>Stakes: Rs {settlePreview.totals.stakes.toFixed(0)}</div>
+                        <div>Payouts: Rs {settlePreview.totals.payouts.toFixed(0)}</div>
+                        <div>
+                          House P&L:{' '}
+                          <strong style={{ color: settlePreview.houseNet >= 0 ? '#2E7D32' : '#D32F2F' }}>
+                            {settlePreview.houseNet >= 0 ? '+' : '-'}Rs {Math.abs(settlePreview.houseNet).toFixed(0)}
+                          </strong>
+                        </div>
+                      </div>
+                      <div style={{ maxHeight: 160, overflowY: 'auto', marginBottom: 8 }}>
+                        {settlePreview.users.map((user) => (
+                          <div
+                            key={user.userId}
+                            style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 0', borderBottom: '1px solid #f5f5f5' }}
+                          >
+                            <span>
+                              {user.userId} · {user.positions} pos · stake Rs {user.stake.toFixed(0)}
+                            </span>
+                            <strong style={{ color: user.pnl >= 0 ? '#2E7D32' : '#D32F2F' }}>
+                              {user.pnl >= 0 ? '+' : '-'}Rs {Math.abs(user.pnl).toFixed(0)}
+                            </strong>
+                          </div>
+                        ))}
+                      </div>
+                      <div style={{ display: 'flex', gap: 6, justifyContent: 'flex-end' }}>
+                        <button className="quick-amount-btn" onClick={() => setSettlePreview(null)}>
+                          Cancel
+                        </button>
+                        <button
+                          className="quick-amount-btn"
+                          style={{ background: '#FFEBEE', color: '#C62828', fontWeight: 700 }}
+                          onClick={() => confirmSettle(match.id)}
+                        >
+                          Confirm Settle
+                        </button>
+                      </div>
+                    </div>
+                  ) : null}
                 </div>
               )
             })}
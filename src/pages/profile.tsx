@@ -2,6 +2,7 @@ import { useState } from 'react'
 import { BottomNav } from '../components/BottomNav'
 import { helpFaqs } from '../data/mockData'
 import { useAppNavigation } from '../hooks/useAppNavigation'
+import { outcomeStyle, posCardClass, settledResultText } from '../lib/positionOutcome'
 import {
   fetchGatewayPortfolioSnapshot,
   fetchSnapshot,
@@ -275,14 +276,7 @@ export function EditProfilePage() {
   )
 }
 
-type HistoryFilter = 'all' | 'open' | 'won' | 'lost' | 'void'
-
-function historyCardClass(position: Position): string {
-  if (position.status !== 'settled') return 'pos-card'
-  if (position.outcome === 'win') return 'pos-card settled-win'
-  if (position.outcome === 'lose') return 'pos-card settled-lose'
-  return 'pos-card settled-void'
-}
+type HistoryFilter = 'all' | 'open' | 'won' | 'lost' | 'tie' | 'void'
 
 function filterPositions(positions: Position[], filter: HistoryFilter): Position[] {
   switch (filter) {
@@ -292,6 +286,8 @@ function filterPositions(positions: Position[], filter: HistoryFilter): Position
       return positions.filter((p) => p.status === 'settled' && p.outcome === 'win')
     case 'lost':
       return positions.filter((p) => p.status === 'settled' && p.outcome === 'lose')
+    case 'tie':
+      return positions.filter((p) => p.status === 'settled' && p.outcome === 'tie')
     case 'void':
       return positions.filter((p) => p.status === 'settled' && p.outcome === 'void')
     default:
@@ -311,6 +307,7 @@ export function TradeHistoryPage() {
     { key: 'open', label: `Open (${positions.filter((p) => p.status === 'open').length})` },
     { key: 'won', label: `Won (${positions.filter((p) => p.outcome === 'win').length})` },
     { key: 'lost', label: `Lost (${positions.filter((p) => p.outcome === 'lose').length})` },
+    { key: 'tie', label: `Tie (${positions.filter((p) => p.outcome === 'tie').length})` },
     { key: 'void', label: `Void (${positions.filter((p) => p.outcome === 'void').length})` },
   ]
 
@@ -365,7 +362,7 @@ export function TradeHistoryPage() {
           filtered.map((position) => (
             <div
               key={position.id}
-              className={historyCardClass(position)}
+              className={posCardClass(position)}
               onClick={() => {
                 if (position.status !== 'settled') {
                   appNavigate('/trade/sell', { position })
@@ -386,25 +383,15 @@ export function TradeHistoryPage() {
                   {position.status === 'settled' && position.outcome ? (
                     <span
                       style={{
-                        background:
-                          position.outcome === 'win'
-                            ? '#E8F5E9'
-                            : position.outcome === 'lose'
-                              ? '#FFEBEE'
-                              : '#F5F5F5',
-                        color:
-                          position.outcome === 'win'
-                            ? '#2E7D32'
-                            : position.outcome === 'lose'
-                              ? '#D32F2F'
-                              : '#757575',
+                        background: outcomeStyle(position).badgeBackground,
+                        color: outcomeStyle(position).badgeColor,
                         padding: '2px 8px',
                         borderRadius: 8,
                         fontSize: 11,
                         fontWeight: 600,
                       }}
                     >
-                      {position.outcome === 'win' ? 'WON' : position.outcome === 'lose' ? 'LOST' : 'VOID'}
+                      {outcomeStyle(position).label}
                     </span>
                   ) : position.isLive ? (
                     <span className="live-badge">
@@ -441,19 +428,10 @@ export function TradeHistoryPage() {
                       style={{
                         fontSize: 13,
                         fontWeight: 700,
-                        color:
-                          position.outcome === 'win'
-                            ? '#00C853'
-                            : position.outcome === 'lose'
-                              ? '#D32F2F'
-                              : '#9E9E9E',
+                        color: outcomeStyle(position).resultColor,
                       }}
                     >
-                      {position.outcome === 'win'
-                        ? `+Rs ${((position.payout ?? 0) - position.cost).toFixed(0)}`
-                        : position.outcome === 'lose'
-                          ? `-Rs ${position.cost.toFixed(0)}`
-                          : `Rs ${(position.payout ?? 0).toFixed(0)} refund`}
+                      {settledResultText(position)}
                     </div>
                   </div>
                 ) : (
@@ -2,11 +2,45 @@ import { useEffect, useState } from 'react'
 import { matchesData } from '../data/mockData'
 import { useAppNavigation } from '../hooks/useAppNavigation'
 import { defaultChartSeries, toAreaPoints, toLinePoints } from '../lib/chartUtils'
-import { fetchGatewayPortfolioSnapshot, fetchSnapshot, syncBuyTrade, syncSellTrade } from '../services/backend'
-import { fetchGatewayHistory, fetchGatewayMarkets } from '../services/gateway'
+import {
+  PriceMovedError,
+  QuoteExpiredError,
+  fetchGatewayPortfolioSnapshot,
+  fetchSnapshot,
+  syncBuyTrade,
+  syncSellTrade,
+} from '../services/backend'
+import { fetchGatewayHistory, fetchGatewayMarkets, requestGatewayQuote } from '../services/gateway'
+import type { GatewayQuote } from '../services/gateway'
 import { useAppStore } from '../store/useAppStore'
 import type { Position } from '../types/app'
 
+const DEFAULT_SLIPPAGE_TOLERANCE = 2
+const SLIPPAGE_OPTIONS = [1, 2, 5]
+
+function SlippageSelector({ value, onChange }: { value: number; onChange: (value: number) => void }) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: 12 }}>
+      <span style={{ fontSize: 12, color: '#888' }}>Max price move</span>
+      <div style={{ display: 'flex', gap: 6 }}>
+        {SLIPPAGE_OPTIONS.map((option) => (
+          <button
+            key={option}
+            className="quick-amount-btn"
+            onClick={() => onChange(option)}
+            style={{
+              border: value === option ? '2px solid #2E7D32' : undefined,
+              fontWeight: value === option ? 700 : undefined,
+            }}
+          >
+            {option}p
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
 export function BuyPage() {
   const appNavigate = useAppNavigation()
   const routeData = useAppStore((state) => state.routeData)
@@ -17,6 +51,8 @@ export function BuyPage() {
   const addTransaction = useAppStore((state) => state.addTransaction)
   const addNotification = useAppStore((state) => state.addNotification)
   const addToast = useAppStore((state) => state.addToast)
+  const slippageTolerance = useAppStore((state) => state.settings.slippageTolerance ?? DEFAULT_SLIPPAGE_TOLERANCE)
+  const setSettings = useAppStore((state) => state.setSettings)
 
   const match = routeData.match ?? matchesData[0]
   const option = routeData.option
@@ -25,12 +61,60 @@ export function BuyPage() {
   const [buyMode, setBuyMode] = useState<'yes' | 'no'>('yes')
   const [amount, setAmount] = useState(50)
   const [submitting, setSubmitting] = useState(false)
+  // Fresh price from a PRICE_MOVED rejection, shown until the user confirms again
+  const [requote, setRequote] = useState<{ mode: 'yes' | 'no'; price: number } | null>(null)
+  // Firm server quote for the current inputs; refreshed as it expires
+  const [quote, setQuote] = useState<(GatewayQuote & { key: string }) | null>(null)
+  const [quoteNonce, setQuoteNonce] = useState(0)
 
   const basePrice = option?.price ?? (side === 'A' ? match.priceA : match.priceB)
-  const price = buyMode === 'yes' ? basePrice : 100 - basePrice
+  const listedPrice = buyMode === 'yes' ? basePrice : 100 - basePrice
   const marketId = routeData.market?.id ?? 1
   const marketTitle = routeData.market?.title ?? 'Match Winner'
   const optionLabel = option?.label ?? (side === 'A' ? match.teamA : match.teamB)
+  const quoteKey = `${match.id}:${marketId}:${optionLabel}:${buyMode}:${amount}`
+  const activeQuote = quote?.key === quoteKey ? quote : null
+  const price = activeQuote?.price ?? (requote?.mode === buyMode ? requote.price : listedPrice)
+
+  useEffect(() => {
+    if (amount <= 0) {
+      return
+    }
+
+    let isCancelled = false
+    let timeoutId: number | undefined
+
+    const loadQuote = async () => {
+      const nextQuote = await requestGatewayQuote({
+        matchId: match.id,
+        marketId,
+        optionLabel,
+        side: buyMode,
+        amount,
+      })
+
+      if (isCancelled || !nextQuote) {
+        return
+      }
+
+      setQuote({ ...nextQuote, key: quoteKey })
+
+      // Re-quote as soon as this one lapses so the terms shown stay firm
+      timeoutId = window.setTimeout(() => {
+        void loadQuote()
+      }, Math.max(1000, Date.parse(nextQuote.expiresAt) - Date.now()))
+    }
+
+    // Debounce while the amount is being typed
+    timeoutId = window.setTimeout(() => {
+      void loadQuote()
+    }, 300)
+
+    return () => {
+      isCancelled = true
+      window.clearTimeout(timeoutId)
+    }
+  }, [amount, buyMode, marketId, match.id, optionLabel, quoteKey, quoteNonce])
 
   const [chartSeries, setChartSeries] = useState<number[]>(defaultChartSeries(price))
 
@@ -72,10 +156,11 @@ export function BuyPage() {
     }
   }, [buyMode, marketId, match.id, optionLabel, price])
 
-  const shares = Math.round((amount / (price / 100)) * 100) / 100
-  const payout = shares
-  const profit = payout - amount
-  const profitPct = amount > 0 ? Math.round((profit / amount) * 100) : 0
+  const shares = activeQuote?.quantity ?? Math.round((amount / (price / 100)) * 100) / 100
+  const cost = activeQuote?.cost ?? amount
+  const payout = activeQuote?.potentialPayout ?? shares
+  const profit = Math.round((payout - cost) * 100) / 100
+  const profitPct = cost > 0 ? Math.round((profit / cost) * 100) : 0
   const chartLow = Math.min(...chartSeries)
   const chartHigh = Math.max(...chartSeries)
   const chartFirst = chartSeries[0] ?? price
@@ -102,7 +187,7 @@ export function BuyPage() {
       side: buyMode,
       shares,
       avgPrice: price,
-      cost: amount,
+      cost,
       potentialPayout: payout,
       status: 'open',
       isLive: match.isLive,
@@ -117,11 +202,13 @@ export function BuyPage() {
           position,
           amount,
           userId,
+          quote: { quotedPrice: price, maxSlippage: slippageTolerance },
+          quoteId: activeQuote && Date.parse(activeQuote.expiresAt) > Date.now() ? activeQuote.quoteId : undefined,
         })
 
         // Use the server-generated position (has the correct ID) if available
         const finalPosition = result.serverPosition ?? position
-        const newBalance = result.balance ?? balance - amount
+        const newBalance = result.balance ?? balance - cost
 
         updateState({
           balance: newBalance,
@@ -130,7 +217,7 @@ export function BuyPage() {
 
         addTransaction({
           type: 'debit',
-          amount,
+          amount: cost,
           description: `Bought ${optionLabel} ${buyMode.toUpperCase()}`,
           icon: '📉',
         })
@@ -165,6 +252,18 @@ export function BuyPage() {
         addToast(`Bought ${shares} shares of ${optionLabel}`, 'success')
         appNavigate('/trade/success', { position: finalPosition, match })
       } catch (error) {
+        if (error instanceof PriceMovedError) {
+          setRequote({ mode: buyMode, price: error.currentPrice })
+          addToast(`Price moved to ${error.currentPrice}p — review and confirm again`, 'info')
+          return
+        }
+
+        if (error instanceof QuoteExpiredError) {
+          setQuoteNonce((nonce) => nonce + 1)
+          addToast('Quote expired — review the refreshed price and confirm again', 'info')
+          return
+        }
+
         const msg = error instanceof Error ? error.message : 'Trade failed — check balance or market status'
         addToast(msg, 'error')
       } finally {
@@ -355,6 +454,12 @@ export function BuyPage() {
                 {price}p (Rs {(price / 100).toFixed(2)})
               </strong>
             </div>
+            {activeQuote ? (
+              <div className="summary-row">
+                <span>Cost (price locked)</span>
+                <strong>Rs {cost.toFixed(2)}</strong>
+              </div>
+            ) : null}
             <div className="summary-row">
               <span>Payout if wins (Rs 1/share)</span>
               <strong style={{ color: '#00C853' }}>Rs {payout}</strong>
@@ -367,6 +472,14 @@ export function BuyPage() {
             </div>
           </div>
 
+          <SlippageSelector value={slippageTolerance} onChange={(value) => setSettings({ slippageTolerance: value })} />
+
+          {requote?.mode === buyMode ? (
+            <div className="alert-box" style={{ marginTop: 12 }}>
+              Price moved from {listedPrice}p to {requote.price}p. Shares and payout above use the new price.
+            </div>
+          ) : null}
+
           {amount > balance ? (
             <div className="alert-box alert-error" style={{ marginTop: 12 }}>
               Insufficient balance. You have Rs {balance.toFixed(0)} available.
@@ -449,6 +562,8 @@ export function SellPage() {
   const addTransaction = useAppStore((state) => state.addTransaction)
   const addNotification = useAppStore((state) => state.addNotification)
   const addToast = useAppStore((state) => state.addToast)
+  const slippageTolerance = useAppStore((state) => state.settings.slippageTolerance ?? DEFAULT_SLIPPAGE_TOLERANCE)
+  const setSettings = useAppStore((state) => state.setSettings)
 
   const selectedPosition = routeData.position ?? null
 
@@ -529,6 +644,7 @@ export function SellPage() {
           positionId: selectedPosition.id,
           sellShares,
           userId,
+          quote: { quotedPrice: currentPrice, maxSlippage: slippageTolerance },
         })
 
         // Use server values if available, otherwise fall back to local estimate
@@ -594,6 +710,12 @@ export function SellPage() {
         addToast(`Sold ${sellShares} shares of ${selectedPosition.option}`, 'success')
         appNavigate('/wallet')
       } catch (error) {
+        if (error instanceof PriceMovedError) {
+          setCurrentPrice(error.currentPrice)
+          addToast(`Price moved to ${error.currentPrice}p — review and confirm again`, 'info')
+          return
+        }
+
         const msg = error instanceof Error ? error.message : 'Unable to close position — try again'
         addToast(msg, 'error')
       } finally {
@@ -712,6 +834,8 @@ export function SellPage() {
             </div>
           </div>
 
+          <SlippageSelector value={slippageTolerance} onChange={(value) => setSettings({ slippageTolerance: value })} />
+
           <button className="btn-danger" onClick={handleSell} disabled={sellShares <= 0 || submitting} style={{ marginTop: 12 }}>
             {submitting ? 'SUBMITTING...' : `SELL ${sellShares} SHARES`}
           </button>
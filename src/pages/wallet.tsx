@@ -3,19 +3,13 @@ import { BottomNav } from '../components/BottomNav'
 import { useAppNavigation } from '../hooks/useAppNavigation'
 import { toAreaPoints, toLinePoints } from '../lib/chartUtils'
 import { computeEquityCurve, computePortfolioStats } from '../lib/portfolioStats'
+import { outcomeStyle, posCardClass, settledResultText } from '../lib/positionOutcome'
 import { fetchGatewayPortfolioSnapshot, fetchMatches } from '../services/backend'
 import { createWithdrawalRequest } from '../services/gateway'
 import { isSocketAvailable, onPortfolioUpdate } from '../services/socket'
 import { useAppStore } from '../store/useAppStore'
 import type { Match, Position } from '../types/app'
 
-function posCardClass(position: Position): string {
-  if (position.status !== 'settled') return 'pos-card'
-  if (position.outcome === 'win') return 'pos-card settled-win'
-  if (position.outcome === 'lose') return 'pos-card settled-lose'
-  return 'pos-card settled-void'
-}
-
 function computePnl(position: Position, matchesMap: Map<number, Match>): { currentPrice: number; pnl: number } | null {
   if (position.status === 'settled') return null
   const match = matchesMap.get(position.matchId)
@@ -194,25 +188,15 @@ export function WalletPage() {
                         {position.status === 'settled' && position.outcome ? (
                           <span
                             style={{
-                              background:
-                                position.outcome === 'win'
-                                  ? '#E8F5E9'
-                                  : position.outcome === 'lose'
-                                    ? '#FFEBEE'
-                                    : '#F5F5F5',
-                              color:
-                                position.outcome === 'win'
-                                  ? '#2E7D32'
-                                  : position.outcome === 'lose'
-                                    ? '#D32F2F'
-                                    : '#757575',
+                              background: outcomeStyle(position).badgeBackground,
+                              color: outcomeStyle(position).badgeColor,
                               padding: '2px 8px',
                               borderRadius: 8,
                               fontSize: 11,
                               fontWeight: 600,
                             }}
                           >
-                            {position.outcome === 'win' ? 'WON' : position.outcome === 'lose' ? 'LOST' : 'VOID'}
+                            {outcomeStyle(position).label}
                           </span>
                         ) : position.isLive ? (
                           <span className="live-badge">
@@ -249,19 +233,10 @@ export function WalletPage() {
                             style={{
                               fontSize: 13,
                               fontWeight: 700,
-                              color:
-                                position.outcome === 'win'
-                                  ? '#00C853'
-                                  : position.outcome === 'lose'
-                                    ? '#D32F2F'
-                                    : '#9E9E9E',
+                              color: outcomeStyle(position).resultColor,
                             }}
                           >
-                            {position.outcome === 'win'
-                              ? `+Rs ${((position.payout ?? 0) - position.cost).toFixed(0)}`
-                              : position.outcome === 'lose'
-                                ? `-Rs ${position.cost.toFixed(0)}`
-                                : `Rs ${(position.payout ?? 0).toFixed(0)} refund`}
+                            {settledResultText(position)}
                           </div>
                         </div>
                       ) : livePnl ? (
@@ -414,6 +389,10 @@ export function WalletPage() {
                     <span style={{ color: '#D32F2F' }}>Losses</span>
                     <strong style={{ color: '#D32F2F' }}>{stats.losses}</strong>
                   </div>
+                  <div className="summary-row">
+                    <span style={{ color: '#F9A825' }}>Tied</span>
+                    <strong style={{ color: '#F9A825' }}>{stats.ties}</strong>
+                  </div>
                   <div className="summary-row">
                     <span style={{ color: '#9E9E9E' }}>Voided</span>
                     <strong style={{ color: '#9E9E9E' }}>{stats.voids}</strong>
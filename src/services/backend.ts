@@ -25,6 +25,7 @@ import type {
   Match,
   NotificationItem,
   Position,
+  PositionOutcome,
   Transaction,
   User,
 } from '../types/app'
@@ -38,16 +39,55 @@ interface Snapshot {
   notifications: NotificationItem[]
 }
 
+/** Price (1-99) the user was shown and how many points it may move against them */
+interface TradeQuote {
+  quotedPrice: number
+  maxSlippage: number
+}
+
 interface BuySyncInput {
   position: Position
   amount: number
   userId?: string
+  quote?: TradeQuote
+  /** Firm quote from requestGatewayQuote; takes precedence over `quote` */
+  quoteId?: string
 }
 
 interface SellSyncInput {
   positionId: number
   sellShares: number
   userId?: string
+  quote?: TradeQuote
+}
+
+/** Thrown when the server rejects an order because the price moved beyond the slippage tolerance */
+export class PriceMovedError extends Error {
+  currentPrice: number
+
+  constructor(message: string, currentPrice: number) {
+    super(message)
+    this.name = 'PriceMovedError'
+    this.currentPrice = currentPrice
+  }
+}
+
+/** Thrown when a firm quote expired before the order reached the server */
+export class QuoteExpiredError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'QuoteExpiredError'
+  }
+}
+
+function throwIfRequoteNeeded(payload: Record<string, unknown> | null) {
+  if (payload?.code === 'PRICE_MOVED') {
+    throw new PriceMovedError(String(payload.error ?? 'Price moved'), Number(payload.currentPrice))
+  }
+
+  if (payload?.code === 'QUOTE_EXPIRED') {
+    throw new QuoteExpiredError(String(payload.error ?? 'Quote expired'))
+  }
 }
 
 interface CashSyncInput {
@@ -87,7 +127,7 @@ function toPosition(row: Record<string, unknown>): Position {
     status: (row.status as 'open' | 'closed' | 'settled') ?? 'open',
     isLive: Boolean(row.is_live),
     timestamp: String(row.created_at ?? new Date().toISOString()),
-    outcome: (row.outcome as 'win' | 'lose' | 'void' | undefined) ?? undefined,
+    outcome: (row.outcome as PositionOutcome | undefined) ?? undefined,
     payout: row.payout != null ? Number(row.payout) : undefined,
     settledAt: row.settled_at ? String(row.settled_at) : undefined,
   }
@@ -526,7 +566,7 @@ export function subscribeToMatchMarketPrices(
   }
 }
 
-export async function syncBuyTrade({ position, amount, userId }: BuySyncInput): Promise<{ serverPosition?: Position; balance?: number }> {
+export async function syncBuyTrade({ position, amount, userId, quote, quoteId }: BuySyncInput): Promise<{ serverPosition?: Position; balance?: number }> {
   if (isGatewayEnabled) {
     const payload = await placeGatewayOrder({
       userId: userId ?? position.match + position.option,
@@ -536,8 +576,11 @@ export async function syncBuyTrade({ position, amount, userId }: BuySyncInput):
       optionLabel: position.option,
       side: position.side,
       amount,
+      ...(quoteId ? { quoteId } : quote),
     })
 
+    throwIfRequoteNeeded(payload)
+
     if (!payload?.ok) {
       throw new Error(String(payload?.error ?? 'Gateway order rejected.'))
     }
@@ -599,14 +642,17 @@ export interface SellResult {
   closedShares: number
 }
 
-export async function syncSellTrade({ positionId, sellShares, userId }: SellSyncInput): Promise<SellResult | null> {
+export async function syncSellTrade({ positionId, sellShares, userId, quote }: SellSyncInput): Promise<SellResult | null> {
   if (isGatewayEnabled) {
     const payload = await closeGatewayPosition({
       userId: userId ?? `position-${positionId}`,
       positionId,
       shares: sellShares,
+      ...quote,
     })
 
+    throwIfRequoteNeeded(payload)
+
     if (!payload?.ok) {
       throw new Error(String(payload?.error ?? 'Gateway close rejected.'))
     }
@@ -757,7 +803,7 @@ export async function fetchGatewayPortfolioSnapshot(userId: string): Promise<Gat
     status: (sp.status as 'open' | 'closed' | 'settled') ?? 'open',
     isLive: Boolean(sp.isLive),
     timestamp: String(sp.openedAt ?? new Date().toISOString()),
-    outcome: (sp.outcome as 'win' | 'lose' | 'void' | undefined) ?? undefined,
+    outcome: (sp.outcome as PositionOutcome | undefined) ?? undefined,
     payout: sp.payout != null ? Number(sp.payout) : undefined,
     settledAt: sp.settledAt ? String(sp.settledAt) : sp.closedAt ? String(sp.closedAt) : undefined,
   }))
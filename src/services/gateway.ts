@@ -34,6 +34,19 @@ interface GatewayHistoryPoint {
   price: number
 }
 
+export interface GatewayQuote {
+  quoteId: string
+  quantity: number
+  price: number
+  cost: number
+  potentialPayout: number
+  expiresAt: string
+}
+
+interface GatewayQuoteResponse extends GatewayEnvelope {
+  quote?: GatewayQuote
+}
+
 interface LeaderboardResponse extends GatewayEnvelope {
   leaderboard?: LeaderboardEntry[]
 }
@@ -289,27 +302,57 @@ export async function placeGatewayOrder(input: {
   optionLabel: string
   side: 'yes' | 'no'
   amount: number
+  quotedPrice?: number
+  maxSlippage?: number
+  quoteId?: string
 }) {
-  const payload = await fetchGateway<GatewayEnvelope>('/api/trades/orders', {
+  // Same key on every retry so the server fills the order at most once
+  const payload = await fetchWithRetry<GatewayEnvelope>('/api/trades/orders', {
     method: 'POST',
+    headers: { 'idempotency-key': crypto.randomUUID() },
     body: JSON.stringify(input),
   })
 
   return payload
 }
 
+/** Firm terms for a buy; placing the order with `quoteId` fills at exactly these until `expiresAt` */
+export async function requestGatewayQuote(input: {
+  matchId: number
+  marketId: number
+  optionLabel: string
+  side: 'yes' | 'no'
+  amount: number
+}): Promise<GatewayQuote | null> {
+  const payload = await fetchGateway<GatewayQuoteResponse>('/api/trades/quote', {
+    method: 'POST',
+    body: JSON.stringify(input),
+  })
+
+  if (!payload?.ok || !payload.quote) {
+    return null
+  }
+
+  return payload.quote
+}
+
 export async function closeGatewayPosition(input: {
   userId: string
   positionId: number
   shares: number
+  quotedPrice?: number
+  maxSlippage?: number
 }) {
-  const payload = await fetchGateway<GatewayEnvelope>(
+  const payload = await fetchWithRetry<GatewayEnvelope>(
     `/api/trades/positions/${input.positionId}/close`,
     {
       method: 'POST',
+      headers: { 'idempotency-key': crypto.randomUUID() },
       body: JSON.stringify({
         userId: input.userId,
         shares: input.shares,
+        quotedPrice: input.quotedPrice,
+        maxSlippage: input.maxSlippage,
       }),
     },
   )
@@ -415,12 +458,88 @@ export async function setGatewayUserSuspended(userId: string, suspended: boolean
   })
 }
 
+export interface SettlementPreview {
+  matchId: number
+  winnerCode: string
+  winnerFull: string
+  positions: Array<{
+    positionId: number
+    userId: string
+    marketId: number
+    marketTitle?: string
+    optionLabel: string
+    side: 'yes' | 'no'
+    stake: number
+    payout: number
+    pnl: number
+    outcome: 'win' | 'lose' | 'void'
+  }>
+  users: Array<{
+    userId: string
+    positions: number
+    stake: number
+    payout: number
+    pnl: number
+  }>
+  totals: {
+    positions: number
+    win: number
+    lose: number
+    void: number
+    stakes: number
+    payouts: number
+  }
+  houseNet: number
+}
+
+interface SettlementPreviewResponse extends GatewayEnvelope {
+  preview?: SettlementPreview
+}
+
+// Dry run of settleGatewayMatch: what settling now would pay out, nothing changes
+export async function previewGatewaySettlement(matchId: number, winnerTeam?: string) {
+  if (!GATEWAY_ADMIN_KEY) {
+    return null
+  }
+
+  return fetchGateway<SettlementPreviewResponse>(`/api/admin/settle/${matchId}/preview`, {
+    method: 'POST',
+    headers: {
+      ...adminHeaders(),
+    },
+    body: JSON.stringify({ winnerTeam }),
+  })
+}
+
+// A settlement held for a second admin's approval
+export interface SettlementApproval {
+  id: string
+  matchId: number
+  matchLabel: string
+  winnerCode: string
+  winnerFull: string
+  totalPayout: number
+  positions: number | null
+  status: 'pending' | 'approved' | 'rejected'
+  requestedBy: string
+  requestedAt: string
+  decidedBy: string | null
+  decidedAt: string | null
+  reason: string | null
+}
+
+interface SettleResponse extends GatewayEnvelope {
+  // Set when the payout is above the approval threshold: nothing settled yet
+  pending?: boolean
+  approval?: SettlementApproval
+}
+
 export async function settleGatewayMatch(matchId: number, winnerTeam?: string) {
   if (!GATEWAY_ADMIN_KEY) {
     return null
   }
 
-  return fetchGateway<GatewayEnvelope>(`/api/admin/settle/${matchId}`, {
+  return fetchGateway<SettleResponse>(`/api/admin/settle/${matchId}`, {
     method: 'POST',
     headers: {
       ...adminHeaders(),
@@ -429,6 +548,34 @@ export async function settleGatewayMatch(matchId: number, winnerTeam?: string) {
   })
 }
 
+// Runs a held settlement; the gateway refuses the admin who requested it
+export async function approveGatewaySettlement(requestId: string) {
+  if (!GATEWAY_ADMIN_KEY) {
+    return null
+  }
+
+  return fetchGateway<SettleResponse>(`/api/admin/settlement-approvals/${encodeURIComponent(requestId)}/approve`, {
+    method: 'POST',
+    headers: {
+      ...adminHeaders(),
+    },
+  })
+}
+
+export async function rejectGatewaySettlement(requestId: string, reason?: string) {
+  if (!GATEWAY_ADMIN_KEY) {
+    return null
+  }
+
+  return fetchGateway<SettleResponse>(`/api/admin/settlement-approvals/${encodeURIComponent(requestId)}/reject`, {
+    method: 'POST',
+    headers: {
+      ...adminHeaders(),
+    },
+    body: JSON.stringify({ reason }),
+  })
+}
+
 // ============================================================
 // Trade Tape
 // ============================================================
@@ -53,6 +53,7 @@ const defaultSettings: AppSettings = {
   notifications: true,
   sounds: true,
   biometric: false,
+  slippageTolerance: 2,
 }
 
 const initialState = {
@@ -1,5 +1,6 @@
 export type KycStatus = 'pending' | 'submitted' | 'verified'
 export type TxnType = 'credit' | 'debit'
+export type PositionOutcome = 'win' | 'lose' | 'void' | 'tie'
 export type AppRoute =
   | '/'
   | '/auth/phone'
@@ -98,7 +99,7 @@ export interface Position {
   status: 'open' | 'closed' | 'settled'
   isLive: boolean
   timestamp: string
-  outcome?: 'win' | 'lose' | 'void'
+  outcome?: PositionOutcome
   payout?: number
   settledAt?: string
 }
@@ -154,6 +155,8 @@ export interface AppSettings {
   notifications: boolean
   sounds: boolean
   biometric: boolean
+  /** Max adverse price move (points) accepted between quote and fill */
+  slippageTolerance?: number
 }
 
 export interface WithdrawalRequest {
@@ -175,6 +178,7 @@ export interface PortfolioStats {
   wins: number
   losses: number
   voids: number
+  ties: number
   avgProfitPerTrade: number
 }
 
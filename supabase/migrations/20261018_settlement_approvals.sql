@@ -0,0 +1,30 @@
+-- Migration: Two-person approval for large settlements
+-- Created: 2026-10-18
+-- Purpose: Settlements paying out more than SETTLEMENT_APPROVAL_THRESHOLD wait
+-- here until a second admin approves or rejects them
+
+CREATE TABLE IF NOT EXISTS public.match_settlement_approvals (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  request_id text NOT NULL UNIQUE,
+  match_id bigint NOT NULL,
+  match_label text,
+  winner_code text NOT NULL,
+  winner_full text NOT NULL,
+  total_payout numeric(12,2) NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_by text NOT NULL,
+  requested_at timestamptz NOT NULL DEFAULT now(),
+  decided_by text,
+  decided_at timestamptz,
+  reason text
+);
+
+CREATE INDEX idx_match_settlement_approvals_status
+  ON public.match_settlement_approvals(status, requested_at DESC);
+
+-- Enable RLS
+ALTER TABLE public.match_settlement_approvals ENABLE ROW LEVEL SECURITY;
+
+-- Allow all operations (server uses service role key)
+CREATE POLICY "match_settlement_approvals_all" ON public.match_settlement_approvals
+  FOR ALL USING (true) WITH CHECK (true);